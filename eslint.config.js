@@ -15,6 +15,8 @@ export default [
         requestAnimationFrame: 'readonly',
         setTimeout: 'readonly',
         alert: 'readonly',
+        Worker: 'readonly',
+        URL: 'readonly',
         THREE: 'readonly'
       }
     },
@@ -28,5 +30,23 @@ export default [
       'prefer-const': ['error'],
       'no-var': ['error']
     }
+  },
+  {
+    // Unit tests run under Node's built-in test runner
+    files: ['tests/**/*.js'],
+    languageOptions: {
+      globals: {
+        URL: 'readonly'
+      }
+    }
+  },
+  {
+    // Web Worker entry points
+    files: ['src/js/**/*Worker.js'],
+    languageOptions: {
+      globals: {
+        self: 'readonly'
+      }
+    }
   }
 ];
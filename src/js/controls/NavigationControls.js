@@ -21,6 +21,10 @@ export class NavigationControls {
 
     // Control state
     this.isPaused = false;
+    this.isMovementLocked = false;
+
+    // Orientation the mouse-look angles are relative to (null for the scene axes)
+    this.referenceFrame = null;
 
     // Movement settings
     this.moveSpeed = 10.0;
@@ -274,7 +278,13 @@ export class NavigationControls {
     this.velocity.lerp(this.targetVelocity, this.dampingFactor);
 
     // Apply rotation to camera
-    this.camera.quaternion.setFromEuler(this.euler);
+    this.applyRotation();
+
+    // Looking around only, e.g. while standing on a surface
+    if (this.isMovementLocked) {
+      this.velocity.set(0, 0, 0);
+      return;
+    }
 
     // Apply movement relative to camera orientation
     const moveVector = this.velocity.clone().multiplyScalar(deltaTime);
@@ -291,6 +301,31 @@ export class NavigationControls {
     }
   }
 
+  /**
+   * Orient the camera from the euler angles within the reference frame
+   */
+  applyRotation() {
+    this.camera.quaternion.setFromEuler(this.euler);
+    if (this.referenceFrame) {
+      this.camera.quaternion.premultiply(this.referenceFrame);
+    }
+  }
+
+  /**
+   * Set the orientation that mouse-look is relative to (a quaternion, or null for the scene axes)
+   */
+  setReferenceFrame(quaternion) {
+    this.referenceFrame = quaternion ? quaternion.clone() : null;
+  }
+
+  /**
+   * Lock or unlock camera translation while keeping mouse-look
+   */
+  setMovementLocked(locked) {
+    this.isMovementLocked = locked;
+    this.resetVelocity();
+  }
+
   /**
    * Set movement speed
    */
@@ -364,7 +399,11 @@ export class NavigationControls {
    */
   syncEulerWithCamera() {
     const tempEuler = new THREE.Euler(0, 0, 0, 'YXZ');
-    tempEuler.setFromQuaternion(this.camera.quaternion);
+    const orientation = this.camera.quaternion.clone();
+    if (this.referenceFrame) {
+      orientation.premultiply(this.referenceFrame.clone().invert());
+    }
+    tempEuler.setFromQuaternion(orientation);
     this.euler.copy(tempEuler);
 
     console.log(`🔄 Navigation controls euler synchronized with camera`);
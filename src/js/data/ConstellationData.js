@@ -0,0 +1,528 @@
+/**
+ * ConstellationData - Stick figures for all 88 IAU constellations
+ * Each figure is a list of polylines joining stars from the bright-star catalog by designation
+ */
+
+export const CONSTELLATIONS = {
+  And: {
+    name: 'Andromeda',
+    lines: [['alf And', 'del And', 'bet And', 'gam1 And']]
+  },
+  Ant: {
+    name: 'Antlia',
+    lines: [['eps Ant', 'alf Ant', 'iot Ant']]
+  },
+  Aps: {
+    name: 'Apus',
+    lines: [['alf Aps', 'del1 Aps', 'bet Aps', 'gam Aps']]
+  },
+  Aqr: {
+    name: 'Aquarius',
+    lines: [
+      ['eps Aqr', 'bet Aqr', 'alf Aqr', 'gam Aqr', 'zet Aqr', 'eta Aqr'],
+      ['alf Aqr', 'lam Aqr', 'del Aqr']
+    ]
+  },
+  Aql: {
+    name: 'Aquila',
+    lines: [
+      ['gam Aql', 'alf Aql', 'bet Aql'],
+      ['zet Aql', 'del Aql', 'eta Aql', 'tet Aql'],
+      ['alf Aql', 'del Aql', 'lam Aql']
+    ]
+  },
+  Ara: {
+    name: 'Ara',
+    lines: [['alf Ara', 'bet Ara', 'gam Ara', 'del Ara', 'eta Ara', 'zet Ara', 'eps1 Ara', 'alf Ara']]
+  },
+  Ari: {
+    name: 'Aries',
+    lines: [['41 Ari', 'alf Ari', 'bet Ari', 'gam Ari']]
+  },
+  Aur: {
+    name: 'Auriga',
+    lines: [
+      ['alf Aur', 'bet Aur', 'tet Aur', 'bet Tau', 'iot Aur', 'eta Aur', 'alf Aur'],
+      ['alf Aur', 'eps Aur', 'zet Aur', 'eta Aur']
+    ]
+  },
+  Boo: {
+    name: 'Boötes',
+    lines: [
+      ['alf Boo', 'eps Boo', 'del Boo', 'bet Boo', 'gam Boo', 'rho Boo', 'alf Boo'],
+      ['alf Boo', 'eta Boo'],
+      ['alf Boo', 'zet Boo']
+    ]
+  },
+  Cae: {
+    name: 'Caelum',
+    lines: [['del Cae', 'alf Cae', 'bet Cae', 'gam Cae']]
+  },
+  Cam: {
+    name: 'Camelopardalis',
+    lines: [['7 Cam', 'bet Cam', 'alf Cam', 'gam Cam', 'BE Cam', 'CS Cam']]
+  },
+  Cnc: {
+    name: 'Cancer',
+    lines: [
+      ['iot Cnc', 'gam Cnc', 'del Cnc', 'bet Cnc'],
+      ['del Cnc', 'alf Cnc']
+    ]
+  },
+  CVn: {
+    name: 'Canes Venatici',
+    lines: [['alf2 CVn', 'bet CVn']]
+  },
+  CMa: {
+    name: 'Canis Major',
+    lines: [
+      ['bet CMa', 'alf CMa', 'omi2 CMa', 'del CMa', 'eta CMa'],
+      ['del CMa', 'eps CMa', 'zet CMa'],
+      ['alf CMa', 'gam CMa']
+    ]
+  },
+  CMi: {
+    name: 'Canis Minor',
+    lines: [['alf CMi', 'bet CMi']]
+  },
+  Cap: {
+    name: 'Capricornus',
+    lines: [['alf2 Cap', 'bet Cap', 'psi Cap', 'ome Cap', 'zet Cap', 'del Cap', 'gam Cap', 'iot Cap', 'tet Cap', 'alf2 Cap']]
+  },
+  Car: {
+    name: 'Carina',
+    lines: [
+      ['alf Car', 'chi Car', 'eps Car', 'iot Car', 'p Car', 'tet Car'],
+      ['iot Car', 'ups Car', 'bet Car', 'ome Car', 'tet Car']
+    ]
+  },
+  Cas: {
+    name: 'Cassiopeia',
+    lines: [['eps Cas', 'del Cas', 'gam Cas', 'alf Cas', 'bet Cas']]
+  },
+  Cen: {
+    name: 'Centaurus',
+    lines: [
+      ['alf Cen', 'bet Cen', 'eps Cen', 'gam Cen', 'sig Cen', 'del Cen', 'rho Cen'],
+      ['eps Cen', 'zet Cen', 'mu Cen', 'nu Cen', 'tet Cen'],
+      ['nu Cen', 'iot Cen'],
+      ['zet Cen', 'eta Cen', 'kap Cen']
+    ]
+  },
+  Cep: {
+    name: 'Cepheus',
+    lines: [
+      ['alf Cep', 'bet Cep', 'gam Cep', 'iot Cep', 'zet Cep', 'alf Cep'],
+      ['bet Cep', 'iot Cep'],
+      ['alf Cep', 'eta Cep'],
+      ['zet Cep', 'del Cep']
+    ]
+  },
+  Cet: {
+    name: 'Cetus',
+    lines: [
+      ['alf Cet', 'gam Cet', 'del Cet', 'omi Cet', 'zet Cet', 'tau Cet', 'bet Cet', 'iot Cet', 'eta Cet', 'tet Cet', 'zet Cet'],
+      ['gam Cet', 'mu Cet', 'lam Cet', 'alf Cet']
+    ]
+  },
+  Cha: {
+    name: 'Chamaeleon',
+    lines: [['alf Cha', 'gam Cha', 'del1 Cha', 'bet Cha', 'eps Cha', 'gam Cha']]
+  },
+  Cir: {
+    name: 'Circinus',
+    lines: [['bet Cir', 'alf Cir', 'gam Cir']]
+  },
+  Col: {
+    name: 'Columba',
+    lines: [
+      ['eps Col', 'alf Col', 'bet Col', 'del Col'],
+      ['bet Col', 'eta Col'],
+      ['bet Col', 'gam Col']
+    ]
+  },
+  Com: {
+    name: 'Coma Berenices',
+    lines: [['alf Com', 'bet Com', 'gam Com']]
+  },
+  CrA: {
+    name: 'Corona Australis',
+    lines: [['eps CrA', 'gam CrA', 'alf CrA', 'bet CrA', 'del CrA', 'zet CrA', 'eta2 CrA', 'tet CrA']]
+  },
+  CrB: {
+    name: 'Corona Borealis',
+    lines: [['tet CrB', 'bet CrB', 'alf CrB', 'gam CrB', 'del CrB', 'eps CrB']]
+  },
+  Crv: {
+    name: 'Corvus',
+    lines: [['alf Crv', 'eps Crv', 'gam Crv', 'del Crv', 'bet Crv', 'eps Crv']]
+  },
+  Crt: {
+    name: 'Crater',
+    lines: [['alf Crt', 'del Crt', 'gam Crt', 'bet Crt', 'alf Crt']]
+  },
+  Cru: {
+    name: 'Crux',
+    lines: [
+      ['alf Cru', 'gam Cru'],
+      ['bet Cru', 'del Cru']
+    ]
+  },
+  Cyg: {
+    name: 'Cygnus',
+    lines: [
+      ['alf Cyg', 'gam Cyg', 'eta Cyg', 'bet1 Cyg'],
+      ['del Cyg', 'gam Cyg', 'eps Cyg', 'zet Cyg'],
+      ['del Cyg', 'iot Cyg', 'kap Cyg']
+    ]
+  },
+  Del: {
+    name: 'Delphinus',
+    lines: [['eps Del', 'bet Del', 'alf Del', 'gam2 Del', 'del Del', 'bet Del']]
+  },
+  Dor: {
+    name: 'Dorado',
+    lines: [['gam Dor', 'alf Dor', 'bet Dor', 'del Dor', '36 Dor', 'bet Dor', 'zet Dor', 'alf Dor']]
+  },
+  Dra: {
+    name: 'Draco',
+    lines: [
+      ['lam Dra', 'kap Dra', 'alf Dra', 'iot Dra', 'tet Dra', 'eta Dra', 'zet Dra', 'del Dra', 'xi Dra', 'gam Dra', 'bet Dra', 'nu2 Dra', 'xi Dra'],
+      ['del Dra', 'eps Dra']
+    ]
+  },
+  Equ: {
+    name: 'Equuleus',
+    lines: [['alf Equ', 'del Equ', 'gam Equ']]
+  },
+  Eri: {
+    name: 'Eridanus',
+    lines: [[
+      'bet Eri', 'mu Eri', 'nu Eri', 'omi1 Eri', 'gam Eri', 'del Eri', 'eps Eri', 'eta Eri', 'tau3 Eri',
+      'tau4 Eri', 'ups2 Eri', '43 Eri', 'tet1 Eri', 'iot Eri', 'phi Eri', 'chi Eri', 'alf Eri'
+    ]]
+  },
+  For: {
+    name: 'Fornax',
+    lines: [['alf For', 'bet For', 'nu For']]
+  },
+  Gem: {
+    name: 'Gemini',
+    lines: [
+      ['alf Gem', 'tau Gem', 'eps Gem', 'mu Gem', 'eta Gem'],
+      ['eps Gem', 'nu Gem'],
+      ['tau Gem', 'tet Gem'],
+      ['tau Gem', 'iot Gem', 'ups Gem', 'bet Gem'],
+      ['ups Gem', 'kap Gem'],
+      ['bet Gem', 'del Gem', 'zet Gem', 'gam Gem'],
+      ['del Gem', 'lam Gem', 'xi Gem']
+    ]
+  },
+  Gru: {
+    name: 'Grus',
+    lines: [
+      ['gam Gru', 'alf Gru', 'bet Gru', 'eps Gru', 'zet Gru'],
+      ['gam Gru', 'del1 Gru', 'bet Gru', 'iot Gru']
+    ]
+  },
+  Her: {
+    name: 'Hercules',
+    lines: [
+      ['eps Her', 'zet Her', 'eta Her', 'pi Her', 'eps Her'],
+      ['zet Her', 'bet Her', 'gam Her'],
+      ['eps Her', 'del Her', 'alf1 Her'],
+      ['del Her', 'lam Her', 'mu Her', 'xi Her', 'omi Her'],
+      ['pi Her', 'tet Her', 'iot Her'],
+      ['eta Her', 'sig Her', 'tau Her', 'phi Her']
+    ]
+  },
+  Hor: {
+    name: 'Horologium',
+    lines: [['alf Hor', 'iot Hor', 'eta Hor', 'zet Hor', 'mu Hor', 'bet Hor']]
+  },
+  Hya: {
+    name: 'Hydra',
+    lines: [
+      ['del Hya', 'sig Hya', 'eta Hya', 'rho Hya', 'eps Hya', 'del Hya'],
+      [
+        'eps Hya', 'zet Hya', 'tet Hya', 'iot Hya', 'alf Hya', 'ups1 Hya', 'lam Hya', 'mu Hya',
+        'nu Hya', 'xi Hya', 'bet Hya', 'gam Hya', 'pi Hya'
+      ]
+    ]
+  },
+  Hyi: {
+    name: 'Hydrus',
+    lines: [['bet Hyi', 'alf Hyi', 'gam Hyi', 'bet Hyi']]
+  },
+  Ind: {
+    name: 'Indus',
+    lines: [['alf Ind', 'eta Ind', 'bet Ind', 'del Ind', 'tet Ind', 'alf Ind']]
+  },
+  Lac: {
+    name: 'Lacerta',
+    lines: [
+      ['bet Lac', 'alf Lac', '5 Lac', '2 Lac', '6 Lac', '11 Lac', '5 Lac', '4 Lac', 'bet Lac'],
+      ['6 Lac', '1 Lac']
+    ]
+  },
+  Leo: {
+    name: 'Leo',
+    lines: [
+      ['alf Leo', 'eta Leo', 'gam1 Leo', 'zet Leo', 'mu Leo', 'eps Leo'],
+      ['gam1 Leo', 'del Leo', 'bet Leo', 'tet Leo', 'alf Leo'],
+      ['del Leo', 'tet Leo']
+    ]
+  },
+  LMi: {
+    name: 'Leo Minor',
+    lines: [['21 LMi', '30 LMi', '46 LMi', 'bet LMi', '21 LMi', '10 LMi']]
+  },
+  Lep: {
+    name: 'Lepus',
+    lines: [
+      ['kap Lep', 'mu Lep', 'alf Lep', 'bet Lep', 'eps Lep'],
+      ['alf Lep', 'zet Lep', 'eta Lep'],
+      ['bet Lep', 'gam Lep', 'del Lep', 'alf Lep']
+    ]
+  },
+  Lib: {
+    name: 'Libra',
+    lines: [
+      ['sig Lib', 'alf2 Lib', 'bet Lib', 'gam Lib', 'alf2 Lib'],
+      ['gam Lib', 'ups Lib', 'tau Lib'],
+      ['gam Lib', 'tet Lib']
+    ]
+  },
+  Lup: {
+    name: 'Lupus',
+    lines: [
+      ['iot Lup', 'alf Lup', 'bet Lup', 'del Lup', 'phi1 Lup'],
+      ['del Lup', 'gam Lup', 'eta Lup'],
+      ['gam Lup', 'eps Lup', 'kap1 Lup', 'zet Lup', 'alf Lup']
+    ]
+  },
+  Lyn: {
+    name: 'Lynx',
+    lines: [['alf Lyn', '38 Lyn']]
+  },
+  Lyr: {
+    name: 'Lyra',
+    lines: [
+      ['alf Lyr', 'eps1 Lyr', 'zet1 Lyr', 'alf Lyr'],
+      ['zet1 Lyr', 'bet Lyr', 'gam Lyr', 'del2 Lyr', 'zet1 Lyr']
+    ]
+  },
+  Men: {
+    name: 'Mensa',
+    lines: [['alf Men', 'gam Men', 'eta Men', 'bet Men']]
+  },
+  Mic: {
+    name: 'Microscopium',
+    lines: [['alf Mic', 'iot Mic', 'tet1 Mic', 'eps Mic', 'gam Mic', 'alf Mic']]
+  },
+  Mon: {
+    name: 'Monoceros',
+    lines: [['gam Mon', 'bet Mon', 'del Mon', 'alf Mon']]
+  },
+  Mus: {
+    name: 'Musca',
+    lines: [['alf Mus', 'bet Mus']]
+  },
+  Nor: {
+    name: 'Norma',
+    lines: [['del Nor', 'eps Nor', 'gam2 Nor', 'eta Nor', 'del Nor']]
+  },
+  Oct: {
+    name: 'Octans',
+    lines: [['del Oct', 'bet Oct', 'nu Oct', 'del Oct']]
+  },
+  Oph: {
+    name: 'Ophiuchus',
+    lines: [
+      ['alf Oph', 'kap Oph', 'del Oph', 'eps Oph', 'zet Oph', 'eta Oph', 'nu Oph', 'bet Oph', 'alf Oph'],
+      ['eta Oph', 'tet Oph'],
+      ['bet Oph', 'gam Oph']
+    ]
+  },
+  Ori: {
+    name: 'Orion',
+    lines: [
+      ['lam Ori', 'alf Ori', 'zet Ori', 'kap Ori', 'bet Ori', 'del Ori', 'gam Ori', 'lam Ori'],
+      ['del Ori', 'eps Ori', 'zet Ori'],
+      ['gam Ori', 'pi3 Ori'],
+      ['omi2 Ori', 'pi2 Ori', 'pi3 Ori', 'pi4 Ori', 'pi5 Ori'],
+      ['alf Ori', 'mu Ori', 'xi Ori', 'chi1 Ori', 'chi2 Ori'],
+      ['xi Ori', 'nu Ori']
+    ]
+  },
+  Pav: {
+    name: 'Pavo',
+    lines: [
+      ['alf Pav', 'bet Pav', 'del Pav', 'eps Pav'],
+      ['del Pav', 'eta Pav']
+    ]
+  },
+  Peg: {
+    name: 'Pegasus',
+    lines: [
+      ['alf Peg', 'bet Peg', 'alf And', 'gam Peg', 'alf Peg'],
+      ['alf Peg', 'zet Peg', 'tet Peg', 'eps Peg'],
+      ['bet Peg', 'eta Peg'],
+      ['bet Peg', 'mu Peg', 'lam Peg', 'iot Peg', 'kap Peg']
+    ]
+  },
+  Per: {
+    name: 'Perseus',
+    lines: [
+      ['eta Per', 'gam Per', 'alf Per', 'del Per', 'eps Per', 'xi Per', 'zet Per', 'omi Per'],
+      ['alf Per', 'iot Per', 'tau Per', 'eta Per'],
+      ['alf Per', 'kap Per', 'bet Per', 'rho Per'],
+      ['del Per', 'nu Per', 'eps Per']
+    ]
+  },
+  Phe: {
+    name: 'Phoenix',
+    lines: [
+      ['eps Phe', 'kap Phe', 'alf Phe', 'bet Phe', 'gam Phe', 'del Phe', 'zet Phe', 'bet Phe']
+    ]
+  },
+  Pic: {
+    name: 'Pictor',
+    lines: [['alf Pic', 'gam Pic', 'bet Pic']]
+  },
+  Psc: {
+    name: 'Pisces',
+    lines: [
+      ['gam Psc', 'tet Psc', 'iot Psc', 'lam Psc', 'gam Psc'],
+      ['iot Psc', 'ome Psc', 'del Psc', 'eps Psc', 'nu Psc', 'alf Psc'],
+      ['alf Psc', 'omi Psc', 'eta Psc', 'phi Psc']
+    ]
+  },
+  PsA: {
+    name: 'Piscis Austrinus',
+    lines: [
+      ['alf PsA', 'eps PsA', 'mu PsA', 'iot PsA'],
+      ['alf PsA', 'del PsA', 'gam PsA', 'bet PsA', 'mu PsA']
+    ]
+  },
+  Pup: {
+    name: 'Puppis',
+    lines: [
+      ['xi Pup', 'rho Pup', 'zet Pup', 'pi Pup', 'nu Pup', 'tau Pup'],
+      ['pi Pup', 'sig Pup']
+    ]
+  },
+  Pyx: {
+    name: 'Pyxis',
+    lines: [['zet Pup', 'bet Pyx', 'alf Pyx', 'gam Pyx']]
+  },
+  Ret: {
+    name: 'Reticulum',
+    lines: [['alf Ret', 'eps Ret', 'del Ret', 'bet Ret', 'alf Ret']]
+  },
+  Sge: {
+    name: 'Sagitta',
+    lines: [
+      ['alf Sge', 'del Sge', 'gam Sge'],
+      ['bet Sge', 'del Sge']
+    ]
+  },
+  Sgr: {
+    name: 'Sagittarius',
+    lines: [
+      ['gam2 Sgr', 'del Sgr', 'eps Sgr', 'gam2 Sgr'],
+      ['del Sgr', 'lam Sgr', 'phi Sgr', 'del Sgr'],
+      ['phi Sgr', 'sig Sgr', 'tau Sgr', 'zet Sgr', 'phi Sgr'],
+      ['zet Sgr', 'eps Sgr', 'eta Sgr'],
+      ['lam Sgr', 'mu Sgr'],
+      ['sig Sgr', 'xi2 Sgr', 'omi Sgr', 'pi Sgr']
+    ]
+  },
+  Sco: {
+    name: 'Scorpius',
+    lines: [
+      ['bet1 Sco', 'del Sco', 'pi Sco', 'rho Sco'],
+      [
+        'del Sco', 'sig Sco', 'alf Sco', 'tau Sco', 'eps Sco', 'mu1 Sco', 'zet2 Sco', 'eta Sco',
+        'tet Sco', 'iot1 Sco', 'kap Sco', 'lam Sco', 'ups Sco'
+      ]
+    ]
+  },
+  Scl: {
+    name: 'Sculptor',
+    lines: [['alf Scl', 'del Scl', 'gam Scl', 'bet Scl']]
+  },
+  Sct: {
+    name: 'Scutum',
+    lines: [['alf Sct', 'bet Sct', 'del Sct', 'gam Sct', 'alf Sct']]
+  },
+  Ser: {
+    name: 'Serpens',
+    lines: [
+      ['gam Ser', 'bet Ser', 'kap Ser'],
+      ['bet Ser', 'del Ser', 'alf Ser', 'eps Ser', 'mu Ser'],
+      ['nu Ser', 'xi Ser', 'omi Ser', 'eta Ser', 'tet1 Ser']
+    ]
+  },
+  Sex: {
+    name: 'Sextans',
+    lines: [['alf Sex', 'gam Sex', 'del Sex', 'bet Sex']]
+  },
+  Tau: {
+    name: 'Taurus',
+    lines: [
+      ['zet Tau', 'alf Tau', 'tet2 Tau', 'gam Tau', 'del1 Tau', 'eps Tau', 'tau Tau', 'bet Tau'],
+      ['gam Tau', 'lam Tau', 'xi Tau', 'omi Tau']
+    ]
+  },
+  Tel: {
+    name: 'Telescopium',
+    lines: [['eps Tel', 'alf Tel', 'zet Tel']]
+  },
+  Tri: {
+    name: 'Triangulum',
+    lines: [['alf Tri', 'bet Tri', 'gam Tri', 'alf Tri']]
+  },
+  TrA: {
+    name: 'Triangulum Australe',
+    lines: [['alf TrA', 'bet TrA', 'gam TrA', 'alf TrA']]
+  },
+  Tuc: {
+    name: 'Tucana',
+    lines: [['alf Tuc', 'gam Tuc', 'bet1 Tuc', 'zet Tuc', 'eps Tuc', 'del Tuc', 'alf Tuc']]
+  },
+  UMa: {
+    name: 'Ursa Major',
+    lines: [
+      ['eta UMa', 'zet UMa', 'eps UMa', 'del UMa', 'alf UMa', 'bet UMa', 'gam UMa', 'del UMa'],
+      ['alf UMa', '23 UMa', 'omi UMa', 'ups UMa', 'tet UMa', 'kap UMa', 'iot UMa'],
+      ['gam UMa', 'chi UMa', 'psi UMa', 'mu UMa', 'lam UMa'],
+      ['chi UMa', 'nu UMa', 'xi UMa']
+    ]
+  },
+  UMi: {
+    name: 'Ursa Minor',
+    lines: [['alf UMi', 'del UMi', 'eps UMi', 'zet UMi', 'bet UMi', 'gam UMi', 'eta UMi', 'zet UMi']]
+  },
+  Vel: {
+    name: 'Vela',
+    lines: [['gam2 Vel', 'del Vel', 'kap Vel', 'N Vel', 'phi Vel', 'mu Vel', 'psi Vel', 'lam Vel', 'gam2 Vel']]
+  },
+  Vir: {
+    name: 'Virgo',
+    lines: [
+      ['nu Vir', 'bet Vir', 'eta Vir', 'gam Vir', 'del Vir', 'eps Vir'],
+      ['gam Vir', 'alf Vir', 'kap Vir'],
+      ['del Vir', 'zet Vir', 'tau Vir', '109 Vir'],
+      ['zet Vir', 'iot Vir', 'mu Vir']
+    ]
+  },
+  Vol: {
+    name: 'Volans',
+    lines: [['alf Vol', 'bet Vol', 'eps Vol', 'del Vol', 'gam1 Vol', 'eps Vol', 'alf Vol']]
+  },
+  Vul: {
+    name: 'Vulpecula',
+    lines: [['1 Vul', 'alf Vul', '13 Vul', '15 Vul', '23 Vul']]
+  }
+};
@@ -23,7 +23,14 @@ const TRUE_ASTRONOMICAL_SCALING = {
 
   // Sun scaling - even the sun becomes small at true distances
   sunSizeScale: 1 / 100000, // Sun: 1 unit = 100,000 km
-  sunMinRadius: 0.7 // Small but visible sun
+  sunMinRadius: 0.7, // Small but visible sun
+
+  // Moon orbits: altitude in parent radii raised to this exponent (1 = true scale)
+  moonOrbitExponent: 1.0,
+  minSmallBodyRadius: 0.001, // Small moons, dwarf planets and comets stay true scale
+
+  // Belt particles (scene units) - large enough to see as dots at true distances
+  beltParticleSize: 8.0
 };
 
 // Compressed scaling for exploration and artistic mode
@@ -38,7 +45,14 @@ const EXPLORATION_SCALING = {
 
   // Sun scaling for exploration mode
   sunSizeScale: 1 / 200000, // Sun: 1 unit = 200,000 km
-  sunMinRadius: 8.0 // Prominent sun
+  sunMinRadius: 8.0, // Prominent sun
+
+  // Compress moon orbits so they stay close to their enlarged parents
+  moonOrbitExponent: 0.6,
+  minSmallBodyRadius: 0.1, // Keep tiny moons and comet nuclei visible
+
+  // Belt particles (scene units)
+  beltParticleSize: 0.3
 };
 
 // Artistic mode with enhanced visuals
@@ -53,17 +67,28 @@ const ARTISTIC_SCALING = {
 
   // Large, dramatic sun
   sunSizeScale: 1 / 150000,
-  sunMinRadius: 15.0
+  sunMinRadius: 15.0,
+
+  // Strongly compressed moon orbits for the very compressed distances
+  moonOrbitExponent: 0.4,
+  minSmallBodyRadius: 0.3,
+
+  // Belt particles (scene units)
+  beltParticleSize: 0.25
 };
 
 // Accurate astronomical data with J2000 orbital elements from NASA JPL
 export const SOLAR_SYSTEM_DATA = {
   sun: {
+    type: 'star',
+
     // Physical properties
     radius: 696340, // km (actual radius)
     mass: 1.989e30, // kg
     rotationPeriod: 609.12, // hours (25.05 days at equator)
     axialTilt: 7.25, // degrees (to ecliptic)
+    northPole: { rightAscension: 286.13, declination: 63.87 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 84.176, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0xffff00,
@@ -77,20 +102,19 @@ export const SOLAR_SYSTEM_DATA = {
     inclination: 0,
     longitudeOfAscendingNode: 0,
     longitudeOfPerihelion: 0,
-    meanLongitude: 0,
-
-    // Texture configuration
-    textures: {
-      diffuse: '/assets/textures/sun_diffuse.jpg'
-    }
+    meanLongitude: 0
   },
 
   mercury: {
+    type: 'planet',
+
     // Physical properties (NASA Mercury Fact Sheet)
     radius: 2439.7, // km
     mass: 3.301e23, // kg
-    rotationPeriod: 1407.6, // hours (58.646 days)
+    rotationPeriod: 1407.5, // hours (58.646 days)
     axialTilt: 0.034, // degrees
+    northPole: { rightAscension: 281.01, declination: 61.42 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 329.5988, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0x8c7853,
@@ -109,18 +133,38 @@ export const SOLAR_SYSTEM_DATA = {
     // Texture configuration
     textures: {
       diffuse: '/assets/textures/mercury_diffuse.jpg'
+    },
+
+    // Procedural relief (km); heightmap, minHeight and maxHeight load a DEM instead
+    terrain: {
+      roughness: 0.8,
+      craters: { count: 1500, minRadius: 4, maxRadius: 150 },
+      features: [
+        { name: 'Caloris Basin', type: 'basin', latitude: 30.5, longitude: 170.2, radius: 775, depth: 2.0 },
+        { name: 'Rembrandt', type: 'basin', latitude: -32.9, longitude: 87.9, radius: 358, depth: 2.5 }
+      ]
+    },
+
+    // Tiled surface for close approaches
+    surface: {
+      maxLevel: 10
     }
   },
 
   venus: {
+    type: 'planet',
+
     // Physical properties (NASA Venus Fact Sheet)
     radius: 6051.8, // km
     mass: 4.867e24, // kg
     rotationPeriod: -5832.5, // hours (retrograde, 243.025 days)
     axialTilt: 177.4, // degrees (nearly upside down)
+    northPole: { rightAscension: 272.76, declination: 67.16 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 160.2, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0xffc649,
+    textureStyle: 'cloudy', // Procedural map style (sulphuric acid clouds)
     emissive: 0x000000,
     emissiveIntensity: 0,
 
@@ -136,18 +180,35 @@ export const SOLAR_SYSTEM_DATA = {
     // Texture configuration
     textures: {
       diffuse: '/assets/textures/venus_diffuse.jpg'
+    },
+
+    // Atmospheric scattering: shell height in planet radii, Rayleigh and Mie scale heights as
+    // fractions of the shell, and zenith optical depths in red, green and blue
+    atmosphere: {
+      thickness: 0.04,
+      rayleighScaleHeight: 0.25,
+      mieScaleHeight: 0.2,
+      rayleigh: [0.3, 0.26, 0.15],
+      mie: [0.5, 0.45, 0.3],
+      mieAnisotropy: 0.7
     }
   },
 
   earth: {
+    type: 'planet',
+
     // Physical properties (NASA Earth Fact Sheet)
     radius: 6371.0, // km (volumetric mean radius)
     mass: 5.9722e24, // kg
-    rotationPeriod: 23.9345, // hours (sidereal day)
+    rotationPeriod: 23.9344696, // hours (sidereal day, relative to the equinox of date)
     axialTilt: 23.44, // degrees (obliquity to orbit)
+    northPole: { rightAscension: 0.0, declination: 90.0 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 190.4606, // degrees at J2000, Greenwich at the mean sidereal time
+    precessionRate: 1.3969713, // degrees per Julian century (general precession in longitude)
 
     // Visual properties
     color: 0x6b93d6,
+    textureStyle: 'cloudy', // Procedural map style (clouds)
     emissive: 0x000000,
     emissiveIntensity: 0,
 
@@ -165,15 +226,35 @@ export const SOLAR_SYSTEM_DATA = {
       diffuse: '/assets/textures/earth_diffuse.jpg',
       normal: '/assets/textures/earth_normal.jpg',
       specular: '/assets/textures/earth_specular.jpg'
+    },
+
+    // Atmospheric scattering
+    atmosphere: {
+      thickness: 0.025,
+      rayleighScaleHeight: 0.2,
+      mieScaleHeight: 0.05,
+      rayleigh: [0.045, 0.097, 0.24],
+      mie: [0.02, 0.02, 0.02],
+      mieAnisotropy: 0.76
+    },
+
+    // Tiled surface for close approaches (image tiles are optional; see PlanetSurface)
+    surface: {
+      maxLevel: 10,
+      tiles: '/assets/tiles/earth'
     }
   },
 
   mars: {
+    type: 'planet',
+
     // Physical properties (NASA Mars Fact Sheet)
     radius: 3389.5, // km (volumetric mean radius)
     mass: 6.4169e23, // kg
     rotationPeriod: 24.6229, // hours (sidereal day)
     axialTilt: 25.19, // degrees (obliquity to orbit)
+    northPole: { rightAscension: 317.681, declination: 52.887 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 176.63, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0xcd5c5c,
@@ -192,15 +273,48 @@ export const SOLAR_SYSTEM_DATA = {
     // Texture configuration
     textures: {
       diffuse: '/assets/textures/mars_diffuse.jpg'
+    },
+
+    // Atmospheric scattering
+    atmosphere: {
+      thickness: 0.02,
+      rayleighScaleHeight: 0.2,
+      mieScaleHeight: 0.2,
+      rayleigh: [0.004, 0.009, 0.02],
+      mie: [0.45, 0.3, 0.18],
+      mieAnisotropy: 0.65
+    },
+
+    // Procedural relief (km); the volcanoes' heights are above the mean radius
+    terrain: {
+      roughness: 1.5,
+      craters: { count: 800, minRadius: 4, maxRadius: 100 },
+      features: [
+        { name: 'Olympus Mons', type: 'volcano', latitude: 18.65, longitude: -133.8, radius: 300, height: 21.9, calderaRadius: 35, calderaDepth: 3.2 },
+        { name: 'Ascraeus Mons', type: 'volcano', latitude: 11.92, longitude: -104.08, radius: 230, height: 18.2, calderaRadius: 25, calderaDepth: 3.4 },
+        { name: 'Pavonis Mons', type: 'volcano', latitude: 1.48, longitude: -112.96, radius: 187, height: 14.0, calderaRadius: 23, calderaDepth: 4.5 },
+        { name: 'Arsia Mons', type: 'volcano', latitude: -8.26, longitude: -120.09, radius: 215, height: 17.8, calderaRadius: 55, calderaDepth: 1.4 },
+        { name: 'Hellas Planitia', type: 'basin', latitude: -42.4, longitude: 70.5, radius: 1150, depth: 7.2 }
+      ]
+    },
+
+    // Tiled surface for close approaches
+    surface: {
+      maxLevel: 10,
+      tiles: '/assets/tiles/mars'
     }
   },
 
   jupiter: {
+    type: 'planet',
+
     // Physical properties (NASA Jupiter Fact Sheet)
     radius: 69911, // km (volumetric mean radius)
     mass: 1.89813e27, // kg
     rotationPeriod: 9.9250, // hours (System III rotation)
     axialTilt: 3.13, // degrees (obliquity to orbit)
+    northPole: { rightAscension: 268.057, declination: 64.495 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 284.95, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0xd8ca9d,
@@ -216,18 +330,42 @@ export const SOLAR_SYSTEM_DATA = {
     longitudeOfPerihelion: 14.75385, // degrees
     meanLongitude: 34.40438, // degrees at J2000
 
+    // Ring system
+    rings: {
+      bands: [
+        { name: 'Halo', inner: 92000, outer: 122500, opacity: 0.002, color: 0x8a7560 },
+        { name: 'Main', inner: 122500, outer: 129000, opacity: 0.01, color: 0x9a8470 },
+        { name: 'Amalthea gossamer', inner: 129000, outer: 182000, opacity: 0.001, color: 0x8a7560 },
+        { name: 'Thebe gossamer', inner: 182000, outer: 226000, opacity: 0.0005, color: 0x8a7560 }
+      ]
+    },
+
     // Texture configuration
     textures: {
       diffuse: '/assets/textures/jupiter_diffuse.jpg'
+    },
+
+    // Atmospheric scattering
+    atmosphere: {
+      thickness: 0.02,
+      rayleighScaleHeight: 0.2,
+      mieScaleHeight: 0.1,
+      rayleigh: [0.06, 0.08, 0.14],
+      mie: [0.1, 0.09, 0.07],
+      mieAnisotropy: 0.7
     }
   },
 
   saturn: {
+    type: 'planet',
+
     // Physical properties (NASA Saturn Fact Sheet)
     radius: 58232, // km (volumetric mean radius)
     mass: 5.683e26, // kg
     rotationPeriod: 10.66, // hours (System III rotation)
     axialTilt: 26.73, // degrees (obliquity to orbit)
+    northPole: { rightAscension: 40.589, declination: 83.537 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 38.9, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0xfab27b,
@@ -248,20 +386,43 @@ export const SOLAR_SYSTEM_DATA = {
       diffuse: '/assets/textures/saturn_diffuse.jpg'
     },
 
-    // Ring system
+    // Ring system: radial bands from the planet's centre (km) with a colour and a normal
+    // opacity (the fraction of light blocked face-on), which may vary from inner to outer edge
     rings: {
-      texture: '/assets/textures/saturn_ring.png',
-      innerRadius: 1.2,
-      outerRadius: 2.2
+      bands: [
+        { name: 'D', inner: 66900, outer: 74490, opacity: 0.005, color: 0x8a7d70 },
+        { name: 'C', inner: 74490, outer: 91980, opacity: [0.06, 0.15], color: 0x8c7a6b },
+        { name: 'B (inner)', inner: 91980, outer: 99000, opacity: [0.5, 0.75], color: 0xcdb99a },
+        { name: 'B (core)', inner: 99000, outer: 115000, opacity: 0.95, color: 0xd8c8a8 },
+        { name: 'B (outer)', inner: 115000, outer: 117580, opacity: 0.85, color: 0xd2c2a2 },
+        { name: 'Cassini Division', inner: 117580, outer: 122170, opacity: 0.08, color: 0x6b6055 },
+        { name: 'A', inner: 122170, outer: 133423, opacity: [0.55, 0.45], color: 0xc4b59a },
+        { name: 'A (beyond the Encke Gap)', inner: 133745, outer: 136775, opacity: 0.4, color: 0xbcae94 },
+        { name: 'F', inner: 140155, outer: 140205, opacity: 0.3, color: 0xbfb3a0 }
+      ]
+    },
+
+    // Atmospheric scattering
+    atmosphere: {
+      thickness: 0.025,
+      rayleighScaleHeight: 0.2,
+      mieScaleHeight: 0.1,
+      rayleigh: [0.07, 0.08, 0.11],
+      mie: [0.12, 0.1, 0.07],
+      mieAnisotropy: 0.7
     }
   },
 
   uranus: {
+    type: 'planet',
+
     // Physical properties (NASA Uranus Fact Sheet)
     radius: 25362, // km (volumetric mean radius)
     mass: 8.681e25, // kg
     rotationPeriod: -17.24, // hours (retrograde rotation)
     axialTilt: 97.77, // degrees (rotates on its side)
+    northPole: { rightAscension: 257.311, declination: -15.175 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 203.81, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0x4fd0e7,
@@ -277,18 +438,49 @@ export const SOLAR_SYSTEM_DATA = {
     longitudeOfPerihelion: 170.96424, // degrees
     meanLongitude: 313.23218, // degrees at J2000
 
+    // Ring system
+    rings: {
+      bands: [
+        { name: 'Zeta', inner: 37850, outer: 41350, opacity: 0.005, color: 0x404040 },
+        { name: '6', inner: 41835, outer: 41838, opacity: 0.3, color: 0x3a3a3a },
+        { name: '5', inner: 42233, outer: 42236, opacity: 0.5, color: 0x3a3a3a },
+        { name: '4', inner: 42569, outer: 42572, opacity: 0.3, color: 0x3a3a3a },
+        { name: 'Alpha', inner: 44714, outer: 44724, opacity: 0.35, color: 0x3a3a3a },
+        { name: 'Beta', inner: 45655, outer: 45666, opacity: 0.2, color: 0x3a3a3a },
+        { name: 'Eta', inner: 47174, outer: 47176, opacity: 0.35, color: 0x3a3a3a },
+        { name: 'Gamma', inner: 47625, outer: 47629, opacity: 0.8, color: 0x3a3a3a },
+        { name: 'Delta', inner: 48297, outer: 48303, opacity: 0.4, color: 0x3a3a3a },
+        { name: 'Lambda', inner: 50022, outer: 50024, opacity: 0.1, color: 0x3a3a3a },
+        { name: 'Epsilon', inner: 51129, outer: 51169, opacity: 0.6, color: 0x404040 }
+      ]
+    },
+
     // Texture configuration
     textures: {
       diffuse: '/assets/textures/uranus_diffuse.jpg'
+    },
+
+    // Atmospheric scattering
+    atmosphere: {
+      thickness: 0.03,
+      rayleighScaleHeight: 0.2,
+      mieScaleHeight: 0.1,
+      rayleigh: [0.05, 0.14, 0.18],
+      mie: [0.03, 0.04, 0.04],
+      mieAnisotropy: 0.7
     }
   },
 
   neptune: {
+    type: 'planet',
+
     // Physical properties (NASA Neptune Fact Sheet)
     radius: 24622, // km (volumetric mean radius)
     mass: 1.024e26, // kg
     rotationPeriod: 16.11, // hours
     axialTilt: 28.32, // degrees (obliquity to orbit)
+    northPole: { rightAscension: 299.36, declination: 43.46 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 249.978, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0x4b70dd,
@@ -304,16 +496,240 @@ export const SOLAR_SYSTEM_DATA = {
     longitudeOfPerihelion: 44.97135, // degrees
     meanLongitude: 304.88003, // degrees at J2000
 
+    // Ring system
+    rings: {
+      bands: [
+        { name: 'Galle', inner: 40900, outer: 42900, opacity: 0.0001, color: 0x6e625a },
+        { name: 'Le Verrier', inner: 53143, outer: 53256, opacity: 0.01, color: 0x6e625a },
+        { name: 'Lassell', inner: 53256, outer: 57200, opacity: 0.0002, color: 0x6e625a },
+        { name: 'Arago', inner: 57200, outer: 57300, opacity: 0.001, color: 0x6e625a },
+        { name: 'Adams', inner: 62908, outer: 62958, opacity: 0.01, color: 0x6e625a }
+      ]
+    },
+
     // Texture configuration
     textures: {
       diffuse: '/assets/textures/neptune_diffuse.jpg'
+    },
+
+    // Atmospheric scattering
+    atmosphere: {
+      thickness: 0.03,
+      rayleighScaleHeight: 0.2,
+      mieScaleHeight: 0.1,
+      rayleigh: [0.04, 0.1, 0.25],
+      mie: [0.03, 0.04, 0.05],
+      mieAnisotropy: 0.7
     }
+  },
+
+  // Dwarf planets (no texture maps, procedural textures)
+  pluto: {
+    type: 'dwarf-planet',
+
+    // Physical properties (NASA Pluto Fact Sheet)
+    radius: 1188.3, // km
+    mass: 1.303e+22, // kg
+    rotationPeriod: -153.29, // hours (retrograde)
+    axialTilt: 122.53, // degrees
+
+    // Visual properties
+    color: 0xd9c4a8,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -0.45, // H (V at 1 AU from the Sun and observer)
+
+    // J2000 Orbital Elements (NASA JPL)
+    semiMajorAxis: 39.48211675, // AU
+    orbitalPeriod: 90560, // days (247.94 years)
+    eccentricity: 0.2488273, // orbital eccentricity
+    inclination: 17.14001206, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 110.30393684, // degrees
+    longitudeOfPerihelion: 224.069, // degrees
+    meanLongitude: 238.929 // degrees at J2000
+  },
+
+  ceres: {
+    type: 'dwarf-planet',
+
+    // Physical properties (Dawn mission)
+    radius: 469.7, // km
+    mass: 9.393e+20, // kg
+    rotationPeriod: 9.074, // hours
+    axialTilt: 4.0, // degrees
+
+    // Visual properties
+    color: 0x9e9a94,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 3.34, // H (V at 1 AU from the Sun and observer)
+
+    // Osculating elements near J2000 (JPL Small-Body Database)
+    semiMajorAxis: 2.7675, // AU
+    orbitalPeriod: 1681.63, // days (4.60 years)
+    eccentricity: 0.0758, // orbital eccentricity
+    inclination: 10.594, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 80.305, // degrees
+    longitudeOfPerihelion: 153.902, // degrees
+    meanLongitude: 161.110 // degrees at J2000
+  },
+
+  eris: {
+    type: 'dwarf-planet',
+
+    // Physical properties
+    radius: 1163, // km
+    mass: 1.647e+22, // kg
+    rotationPeriod: 378.9, // hours
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xe8e8e8,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -1.1, // H (V at 1 AU from the Sun and observer)
+
+    // Osculating elements (JPL Small-Body Database), mean anomaly back-propagated to J2000
+    semiMajorAxis: 67.864, // AU
+    orbitalPeriod: 204199, // days (559.07 years)
+    eccentricity: 0.4361, // orbital eccentricity
+    inclination: 44.04, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 35.951, // degrees
+    longitudeOfPerihelion: 187.590, // degrees
+    meanLongitude: 19.590 // degrees at J2000
+  },
+
+  haumea: {
+    type: 'dwarf-planet',
+
+    // Physical properties
+    radius: 780, // km
+    mass: 4.006e+21, // kg
+    rotationPeriod: 3.9155, // hours
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xdddddd,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 0.23, // H (V at 1 AU from the Sun and observer)
+
+    // Osculating elements (JPL Small-Body Database), mean anomaly back-propagated to J2000
+    semiMajorAxis: 43.116, // AU
+    orbitalPeriod: 103410, // days (283.12 years)
+    eccentricity: 0.1912, // orbital eccentricity
+    inclination: 28.213, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 122.167, // degrees
+    longitudeOfPerihelion: 1.208, // degrees
+    meanLongitude: 191.808 // degrees at J2000
+  },
+
+  makemake: {
+    type: 'dwarf-planet',
+
+    // Physical properties
+    radius: 715, // km
+    mass: 3.1e+21, // kg
+    rotationPeriod: 22.83, // hours
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xc8926b,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -0.2, // H (V at 1 AU from the Sun and observer)
+
+    // Osculating elements (JPL Small-Body Database), mean anomaly back-propagated to J2000
+    semiMajorAxis: 45.43, // AU
+    orbitalPeriod: 111845, // days (306.21 years)
+    eccentricity: 0.161, // orbital eccentricity
+    inclination: 28.983, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 79.62, // degrees
+    longitudeOfPerihelion: 14.454, // degrees
+    meanLongitude: 155.654 // degrees at J2000
+  },
+
+  // Comets on highly eccentric orbits (tails are generated in CelestialBody)
+  halley: {
+    type: 'comet',
+    designation: '1P/Halley',
+
+    // Physical properties (Giotto/Vega flybys)
+    radius: 5.5, // km (nucleus)
+    mass: 2.2e+14, // kg
+    rotationPeriod: 52.8, // hours
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x8a8a8a,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+
+    // Orbital elements (perihelion 1986-02-09, mean anomaly propagated to J2000)
+    semiMajorAxis: 17.834, // AU
+    orbitalPeriod: 27560, // days (75.46 years, 1986 → 2061 perihelion interval)
+    eccentricity: 0.96714, // orbital eccentricity
+    inclination: 162.26, // degrees (to ecliptic, retrograde)
+    longitudeOfAscendingNode: 58.42, // degrees
+    longitudeOfPerihelion: 169.750, // degrees
+    meanLongitude: 236.020 // degrees at J2000
+  },
+
+  encke: {
+    type: 'comet',
+    designation: '2P/Encke',
+
+    // Physical properties
+    radius: 2.4, // km (nucleus)
+    mass: 9.2e+13, // kg
+    rotationPeriod: 11.0, // hours
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x8c8c8c,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+
+    // Orbital elements (perihelion 2000-09-09, mean anomaly propagated to J2000)
+    semiMajorAxis: 2.215, // AU
+    orbitalPeriod: 1204, // days (3.30 years)
+    eccentricity: 0.8483, // orbital eccentricity
+    inclination: 11.78, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 334.57, // degrees
+    longitudeOfPerihelion: 161.110, // degrees
+    meanLongitude: 85.710 // degrees at J2000
+  },
+
+  haleBopp: {
+    type: 'comet',
+    designation: 'C/1995 O1 (Hale-Bopp)',
+
+    // Physical properties
+    radius: 30, // km (nucleus)
+    mass: 1.3e+16, // kg
+    rotationPeriod: 11.4, // hours
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x9a9a9a,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+
+    // Orbital elements (perihelion 1997-04-01, mean anomaly propagated to J2000)
+    semiMajorAxis: 186.0, // AU
+    orbitalPeriod: 924000, // days (2529.77 years)
+    eccentricity: 0.99509, // orbital eccentricity
+    inclination: 89.43, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 282.47, // degrees
+    longitudeOfPerihelion: 53.060, // degrees
+    meanLongitude: 53.450 // degrees at J2000
   }
 };
 
 // Major moons data with accurate orbital elements
 export const MOONS_DATA = {
   moon: {
+    type: 'moon',
     parent: 'earth',
 
     // Physical properties (NASA Moon Fact Sheet)
@@ -321,22 +737,521 @@ export const MOONS_DATA = {
     mass: 7.342e22, // kg
     rotationPeriod: 655.72, // hours (27.32 days, tidally locked)
     axialTilt: 6.68, // degrees
+    northPole: { rightAscension: 269.995, declination: 66.539 }, // degrees (IAU, J2000 equator)
+    primeMeridian: 38.3213, // degrees at J2000 (IAU W0)
 
     // Visual properties
     color: 0xaaaaaa,
     emissive: 0x000000,
     emissiveIntensity: 0,
+    absoluteMagnitude: 0.21, // H (V at 1 AU from the Sun and observer)
 
-    // Orbital elements (relative to Earth)
+    // Mean orbital elements at J2000 (relative to Earth, ecliptic frame)
     semiMajorAxis: 384400, // km from Earth center
     orbitalPeriod: 27.32166, // days (sidereal month)
     eccentricity: 0.0549, // orbital eccentricity
     inclination: 5.145, // degrees (to ecliptic)
+    longitudeOfAscendingNode: 125.08, // degrees
+    longitudeOfPerihelion: 83.35, // degrees (longitude of perigee)
+    meanLongitude: 218.32, // degrees at J2000
 
     // Texture configuration
     textures: {
       diffuse: '/assets/textures/moon_diffuse.jpg'
+    },
+
+    // Procedural relief (km)
+    terrain: {
+      roughness: 0.6,
+      craters: { count: 2000, minRadius: 3, maxRadius: 120 },
+      features: [
+        { name: 'Tycho', type: 'crater', latitude: -43.31, longitude: -11.36, radius: 43 },
+        { name: 'Copernicus', type: 'crater', latitude: 9.62, longitude: -20.08, radius: 46.5 },
+        { name: 'Mare Imbrium', type: 'basin', latitude: 32.8, longitude: -15.6, radius: 570, depth: 3.0 },
+        { name: 'Mare Orientale', type: 'basin', latitude: -19.4, longitude: -92.8, radius: 465, depth: 4.0 },
+        { name: 'South Pole-Aitken Basin', type: 'basin', latitude: -53.0, longitude: 169.0, radius: 1250, depth: 6.2 }
+      ]
+    },
+
+    // Tiled surface for close approaches
+    surface: {
+      maxLevel: 10,
+      tiles: '/assets/tiles/moon'
+    }
+  },
+
+  // Moons below have no texture maps and use procedural textures
+  phobos: {
+    type: 'moon',
+    parent: 'mars',
+    referencePlane: 'equator', // elements relative to Mars's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 11.267, // km
+    mass: 1.0659e+16, // kg
+    rotationPeriod: 7.65, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x8a7f73,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 11.8, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 9376, // km from Mars center
+    orbitalPeriod: 0.31891023, // days
+    eccentricity: 0.0151, // orbital eccentricity
+    inclination: 1.075, // degrees (to Mars's equatorial plane)
+    longitudeOfAscendingNode: 207.784, // degrees
+    longitudeOfPerihelion: 357.841, // degrees (node + argument of periapsis)
+    meanLongitude: 88.900 // degrees at J2000
+  },
+
+  deimos: {
+    type: 'moon',
+    parent: 'mars',
+    referencePlane: 'equator', // elements relative to Mars's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 6.2, // km
+    mass: 1.4762e+15, // kg
+    rotationPeriod: 30.30, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xa39a8c,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 12.89, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 23458, // km from Mars center
+    orbitalPeriod: 1.2624407, // days
+    eccentricity: 0.0002, // orbital eccentricity
+    inclination: 1.788, // degrees (to Mars's equatorial plane)
+    longitudeOfAscendingNode: 24.525, // degrees
+    longitudeOfPerihelion: 285.254, // degrees (node + argument of periapsis)
+    meanLongitude: 250.583 // degrees at J2000
+  },
+
+  io: {
+    type: 'moon',
+    parent: 'jupiter',
+    referencePlane: 'equator', // elements relative to Jupiter's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 1821.6, // km
+    mass: 8.9319e+22, // kg
+    rotationPeriod: 42.46, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xe8d36a,
+    textureStyle: 'rocky', // Procedural map style (sulphur plains, not ice)
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -1.68, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 421800, // km from Jupiter center
+    orbitalPeriod: 1.769137786, // days
+    eccentricity: 0.0041, // orbital eccentricity
+    inclination: 0.036, // degrees (to Jupiter's equatorial plane)
+    longitudeOfAscendingNode: 43.977, // degrees
+    longitudeOfPerihelion: 128.106, // degrees (node + argument of periapsis)
+    meanLongitude: 110.127 // degrees at J2000
+  },
+
+  europa: {
+    type: 'moon',
+    parent: 'jupiter',
+    referencePlane: 'equator', // elements relative to Jupiter's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 1560.8, // km
+    mass: 4.7998e+22, // kg
+    rotationPeriod: 85.23, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xcdb99a,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -1.41, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 671100, // km from Jupiter center
+    orbitalPeriod: 3.551181041, // days
+    eccentricity: 0.0094, // orbital eccentricity
+    inclination: 0.466, // degrees (to Jupiter's equatorial plane)
+    longitudeOfAscendingNode: 219.106, // degrees
+    longitudeOfPerihelion: 308.076, // degrees (node + argument of periapsis)
+    meanLongitude: 119.092 // degrees at J2000
+  },
+
+  ganymede: {
+    type: 'moon',
+    parent: 'jupiter',
+    referencePlane: 'equator', // elements relative to Jupiter's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 2634.1, // km
+    mass: 1.4819e+23, // kg
+    rotationPeriod: 171.71, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x9c9083,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -2.09, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 1070400, // km from Jupiter center
+    orbitalPeriod: 7.15455296, // days
+    eccentricity: 0.0013, // orbital eccentricity
+    inclination: 0.177, // degrees (to Jupiter's equatorial plane)
+    longitudeOfAscendingNode: 63.552, // degrees
+    longitudeOfPerihelion: 255.969, // degrees (node + argument of periapsis)
+    meanLongitude: 213.509 // degrees at J2000
+  },
+
+  callisto: {
+    type: 'moon',
+    parent: 'jupiter',
+    referencePlane: 'equator', // elements relative to Jupiter's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 2410.3, // km
+    mass: 1.0759e+23, // kg
+    rotationPeriod: 400.54, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x6e6357,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -1.05, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 1882700, // km from Jupiter center
+    orbitalPeriod: 16.6890184, // days
+    eccentricity: 0.0074, // orbital eccentricity
+    inclination: 0.192, // degrees (to Jupiter's equatorial plane)
+    longitudeOfAscendingNode: 298.848, // degrees
+    longitudeOfPerihelion: 351.491, // degrees (node + argument of periapsis)
+    meanLongitude: 172.899 // degrees at J2000
+  },
+
+  enceladus: {
+    type: 'moon',
+    parent: 'saturn',
+    referencePlane: 'equator', // elements relative to Saturn's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 252.1, // km
+    mass: 1.0800e+20, // kg
+    rotationPeriod: 32.89, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xf4f6f8,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 2.1, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 238400, // km from Saturn center
+    orbitalPeriod: 1.370218, // days
+    eccentricity: 0.0047, // orbital eccentricity
+    inclination: 0.009, // degrees (to Saturn's equatorial plane)
+    longitudeOfAscendingNode: 342.507, // degrees
+    longitudeOfPerihelion: 98.091, // degrees (node + argument of periapsis)
+    meanLongitude: 80.674 // degrees at J2000
+  },
+
+  rhea: {
+    type: 'moon',
+    parent: 'saturn',
+    referencePlane: 'equator', // elements relative to Saturn's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 763.8, // km
+    mass: 2.3065e+21, // kg
+    rotationPeriod: 108.44, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xc8c4bd,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 0.1, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 527100, // km from Saturn center
+    orbitalPeriod: 4.518212, // days
+    eccentricity: 0.001, // orbital eccentricity
+    inclination: 0.333, // degrees (to Saturn's equatorial plane)
+    longitudeOfAscendingNode: 311.531, // degrees
+    longitudeOfPerihelion: 193.150, // degrees (node + argument of periapsis)
+    meanLongitude: 12.931 // degrees at J2000
+  },
+
+  titan: {
+    type: 'moon',
+    parent: 'saturn',
+    referencePlane: 'equator', // elements relative to Saturn's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 2574.7, // km
+    mass: 1.3452e+23, // kg
+    rotationPeriod: 382.69, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xd9a552,
+    textureStyle: 'cloudy', // Procedural map style (orange haze)
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -1.28, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 1221900, // km from Saturn center
+    orbitalPeriod: 15.945421, // days
+    eccentricity: 0.0288, // orbital eccentricity
+    inclination: 0.306, // degrees (to Saturn's equatorial plane)
+    longitudeOfAscendingNode: 28.060, // degrees
+    longitudeOfPerihelion: 208.592, // degrees (node + argument of periapsis)
+    meanLongitude: 11.902, // degrees at J2000
+
+    // Atmospheric scattering
+    atmosphere: {
+      thickness: 0.15,
+      rayleighScaleHeight: 0.3,
+      mieScaleHeight: 0.2,
+      rayleigh: [0.3, 0.15, 0.04],
+      mie: [0.6, 0.35, 0.1],
+      mieAnisotropy: 0.6
     }
+  },
+
+  iapetus: {
+    type: 'moon',
+    parent: 'saturn',
+    referencePlane: 'equator', // elements relative to Saturn's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 734.5, // km
+    mass: 1.8056e+21, // kg
+    rotationPeriod: 1903.92, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x9b8b73,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 1.5, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 3560800, // km from Saturn center
+    orbitalPeriod: 79.330183, // days
+    eccentricity: 0.0286, // orbital eccentricity
+    inclination: 8.298, // degrees (to Saturn's equatorial plane)
+    longitudeOfAscendingNode: 81.105, // degrees
+    longitudeOfPerihelion: 352.711, // degrees (node + argument of periapsis)
+    meanLongitude: 194.500 // degrees at J2000
+  },
+
+  miranda: {
+    type: 'moon',
+    parent: 'uranus',
+    referencePlane: 'equator', // elements relative to Uranus's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 235.8, // km
+    mass: 6.4000e+19, // kg
+    rotationPeriod: 33.92, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xb5b5b0,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 3.6, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 129900, // km from Uranus center
+    orbitalPeriod: 1.413479, // days
+    eccentricity: 0.0013, // orbital eccentricity
+    inclination: 4.338, // degrees (to Uranus's equatorial plane)
+    longitudeOfAscendingNode: 100.700, // degrees
+    longitudeOfPerihelion: 256.300, // degrees (node + argument of periapsis)
+    meanLongitude: 328.700 // degrees at J2000
+  },
+
+  ariel: {
+    type: 'moon',
+    parent: 'uranus',
+    referencePlane: 'equator', // elements relative to Uranus's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 578.9, // km
+    mass: 1.2510e+21, // kg
+    rotationPeriod: 60.49, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xc4c2bd,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 1.45, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 190900, // km from Uranus center
+    orbitalPeriod: 2.520379, // days
+    eccentricity: 0.0012, // orbital eccentricity
+    inclination: 0.041, // degrees (to Uranus's equatorial plane)
+    longitudeOfAscendingNode: 22.400, // degrees
+    longitudeOfPerihelion: 105.700, // degrees (node + argument of periapsis)
+    meanLongitude: 225.500 // degrees at J2000
+  },
+
+  titania: {
+    type: 'moon',
+    parent: 'uranus',
+    referencePlane: 'equator', // elements relative to Uranus's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 788.4, // km
+    mass: 3.4000e+21, // kg
+    rotationPeriod: 208.94, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xb0a89e,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 1.02, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 436300, // km from Uranus center
+    orbitalPeriod: 8.705867, // days
+    eccentricity: 0.0011, // orbital eccentricity
+    inclination: 0.079, // degrees (to Uranus's equatorial plane)
+    longitudeOfAscendingNode: 29.500, // degrees
+    longitudeOfPerihelion: 187.000, // degrees (node + argument of periapsis)
+    meanLongitude: 221.500 // degrees at J2000
+  },
+
+  oberon: {
+    type: 'moon',
+    parent: 'uranus',
+    referencePlane: 'equator', // elements relative to Uranus's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 761.4, // km
+    mass: 3.0760e+21, // kg
+    rotationPeriod: 323.12, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0x9e948a,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: 1.23, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 583500, // km from Uranus center
+    orbitalPeriod: 13.463234, // days
+    eccentricity: 0.0014, // orbital eccentricity
+    inclination: 0.068, // degrees (to Uranus's equatorial plane)
+    longitudeOfAscendingNode: 279.800, // degrees
+    longitudeOfPerihelion: 121.800, // degrees (node + argument of periapsis)
+    meanLongitude: 44.900 // degrees at J2000
+  },
+
+  triton: {
+    type: 'moon',
+    parent: 'neptune',
+    referencePlane: 'equator', // elements relative to Neptune's equatorial (Laplace) plane
+
+    // Physical properties
+    radius: 1353.4, // km
+    mass: 2.1390e+22, // kg
+    rotationPeriod: 141.04, // hours (tidally locked)
+    axialTilt: 0, // degrees
+
+    // Visual properties
+    color: 0xd6c9c1,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+    absoluteMagnitude: -1.24, // H (V at 1 AU from the Sun and observer)
+
+    // Mean orbital elements (JPL satellite mean elements)
+    semiMajorAxis: 354759, // km from Neptune center
+    orbitalPeriod: 5.876854, // days (retrograde)
+    eccentricity: 0.0, // orbital eccentricity
+    inclination: 156.865, // degrees (to Neptune's equatorial plane)
+    longitudeOfAscendingNode: 177.608, // degrees
+    longitudeOfPerihelion: 177.608, // degrees (node + argument of periapsis)
+    meanLongitude: 169.865 // degrees at J2000
+  }
+};
+
+// Bodies imported at runtime from MPC / JPL small-body files (see SmallBodyImporter)
+export const IMPORTED_BODIES_DATA = {};
+
+// Small-body belts rendered as particles with sampled Keplerian elements
+// Each population samples semi-major axis uniformly, eccentricity from a clipped
+// normal distribution and inclination from a Rayleigh distribution
+export const BELT_DATA = {
+  asteroidBelt: {
+    name: 'Main Asteroid Belt',
+    count: 20000,
+    seed: 1801, // Year Ceres was discovered
+    particleSize: 1.0,
+    colors: [0x8a7f6e, 0x6f6a64, 0xa08870], // S-type, C-type and M-type tints
+    populations: [
+      {
+        fraction: 1.0,
+        semiMajorAxis: { min: 2.1, max: 3.3 }, // AU
+        eccentricity: { mean: 0.14, sigma: 0.07, max: 0.35 },
+        inclinationSigma: 7 // degrees
+      }
+    ],
+    // Kirkwood gaps from the 3:1, 5:2, 7:3 and 2:1 mean-motion resonances with Jupiter
+    gaps: [
+      { center: 2.502, width: 0.03 },
+      { center: 2.825, width: 0.03 },
+      { center: 2.958, width: 0.02 },
+      { center: 3.279, width: 0.04 }
+    ]
+  },
+
+  kuiperBelt: {
+    name: 'Kuiper Belt',
+    count: 15000,
+    seed: 1992, // Year the first Kuiper belt object after Pluto was found
+    particleSize: 4.0, // Larger objects, seen from much further away
+    colors: [0xa88f7a, 0x9c7a66, 0x8d8a86], // Reddish and neutral surfaces
+    populations: [
+      {
+        // Classical (cold) Kuiper belt
+        fraction: 0.75,
+        semiMajorAxis: { min: 42, max: 48 }, // AU
+        eccentricity: { mean: 0.05, sigma: 0.03, max: 0.2 },
+        inclinationSigma: 3 // degrees
+      },
+      {
+        // Plutinos in the 3:2 resonance with Neptune
+        fraction: 0.25,
+        semiMajorAxis: { min: 39.2, max: 39.7 }, // AU
+        eccentricity: { mean: 0.2, sigma: 0.06, max: 0.33 },
+        inclinationSigma: 10 // degrees
+      }
+    ],
+    gaps: []
   }
 };
 
@@ -360,7 +1275,30 @@ export const CAMERA_POSITIONS = {
   saturn: { distance: 8, height: 4 }, // Extra distance for rings
   uranus: { distance: 5, height: 2.5 },
   neptune: { distance: 5, height: 2.5 },
-  moon: { distance: 2, height: 1 }
+  moon: { distance: 2, height: 1 },
+  phobos: { distance: 1, height: 0.5 },
+  deimos: { distance: 1, height: 0.5 },
+  io: { distance: 2, height: 1 },
+  europa: { distance: 2, height: 1 },
+  ganymede: { distance: 2, height: 1 },
+  callisto: { distance: 2, height: 1 },
+  enceladus: { distance: 1, height: 0.5 },
+  rhea: { distance: 1.5, height: 0.75 },
+  titan: { distance: 2, height: 1 },
+  iapetus: { distance: 1.5, height: 0.75 },
+  miranda: { distance: 1, height: 0.5 },
+  ariel: { distance: 1.5, height: 0.75 },
+  titania: { distance: 1.5, height: 0.75 },
+  oberon: { distance: 1.5, height: 0.75 },
+  triton: { distance: 2, height: 1 },
+  pluto: { distance: 2, height: 1 },
+  ceres: { distance: 1.5, height: 0.75 },
+  eris: { distance: 2, height: 1 },
+  haumea: { distance: 2, height: 1 },
+  makemake: { distance: 2, height: 1 },
+  halley: { distance: 1, height: 0.5 },
+  encke: { distance: 1, height: 0.5 },
+  haleBopp: { distance: 1, height: 0.5 }
 };
 
 // Texture fallback colors (used when textures fail to load)
@@ -374,7 +1312,30 @@ export const FALLBACK_COLORS = {
   saturn: 0xfab27b,
   uranus: 0x4fd0e7,
   neptune: 0x4b70dd,
-  moon: 0xaaaaaa
+  moon: 0xaaaaaa,
+  phobos: 0x8a7f73,
+  deimos: 0xa39a8c,
+  io: 0xe8d36a,
+  europa: 0xcdb99a,
+  ganymede: 0x9c9083,
+  callisto: 0x6e6357,
+  enceladus: 0xf4f6f8,
+  rhea: 0xc8c4bd,
+  titan: 0xd9a552,
+  iapetus: 0x9b8b73,
+  miranda: 0xb5b5b0,
+  ariel: 0xc4c2bd,
+  titania: 0xb0a89e,
+  oberon: 0x9e948a,
+  triton: 0xd6c9c1,
+  pluto: 0xd9c4a8,
+  ceres: 0x9e9a94,
+  eris: 0xe8e8e8,
+  haumea: 0xdddddd,
+  makemake: 0xc8926b,
+  halley: 0x8a8a8a,
+  encke: 0x8c8c8c,
+  haleBopp: 0x9a9a9a
 };
 
 /**
@@ -385,10 +1346,29 @@ export function getCurrentMeanAnomaly(bodyData) {
 }
 
 /**
- * Calculate current position using accurate Kepler's laws
+ * Calculate current heliocentric position (AU) using accurate Kepler's laws
+ * Moons are positioned relative to their parent, whose elements are in km
  */
-export function calculateCurrentPosition(bodyData) {
-  return calculateHeliocentricPosition(bodyData);
+export function calculateCurrentPosition(bodyData, date = null) {
+  if (!bodyData.parent) {
+    return calculateHeliocentricPosition(bodyData, date);
+  }
+
+  const parentPos = calculateHeliocentricPosition(SOLAR_SYSTEM_DATA[bodyData.parent], date);
+  const relativePos = calculateHeliocentricPosition(bodyData, date);
+
+  const x = parentPos.x + relativePos.x / AU_TO_KM;
+  const y = parentPos.y + relativePos.y / AU_TO_KM;
+  const z = parentPos.z + relativePos.z / AU_TO_KM;
+
+  return {
+    ...relativePos,
+    x,
+    y,
+    z,
+    distance: Math.sqrt(x * x + y * y + z * z),
+    distanceFromParent: relativePos.distance // km
+  };
 }
 
 /**
@@ -423,6 +1403,44 @@ function calculateScaledRadius(originalRadius, bodyName, scaling, mode) {
   return baseScaledRadius;
 }
 
+/**
+ * Calculate a moon's orbital distance in scene units
+ * The altitude above the parent is measured in (scaled) parent radii so the moon always
+ * orbits outside its parent, with the mode's exponent compressing wide orbits while
+ * keeping inner moons clear of ring systems
+ */
+function calculateScaledMoonDistance(moonData, scaling, mode) {
+  const parentData = SOLAR_SYSTEM_DATA[moonData.parent];
+  const parentRadius = calculateScaledRadius(parentData.radius, moonData.parent, scaling, mode);
+  const altitudeRadii = moonData.semiMajorAxis / parentData.radius - 1;
+
+  return parentRadius * (1 + Math.pow(altitudeRadii, scaling.moonOrbitExponent));
+}
+
+/**
+ * Get belt data scaled for a visualization mode
+ */
+export function getScaledBeltData(beltName, mode = 'exploration') {
+  const data = BELT_DATA[beltName];
+  if (!data) return null;
+
+  const scaling = getScalingConfig(mode);
+
+  return {
+    ...data,
+    distanceScale: scaling.distanceScale, // Scene units per AU, matching planet orbits
+    particleSize: data.particleSize * scaling.beltParticleSize
+  };
+}
+
+/**
+ * Scene units per AU for a visualization mode (heliocentric distances scale linearly;
+ * only moon distances are compressed)
+ */
+export function getDistanceScale(mode = 'exploration') {
+  return getScalingConfig(mode).distanceScale;
+}
+
 /**
  * Get scaling configuration based on visualization mode
  */
@@ -443,7 +1461,7 @@ function getScalingConfig(mode) {
  * Get scaled data for visualization mode with accurate positioning
  */
 export function getScaledData(bodyName, mode = 'exploration') {
-  const data = SOLAR_SYSTEM_DATA[bodyName] || MOONS_DATA[bodyName];
+  const data = getBodyData(bodyName);
   if (!data) return null;
 
   const scaledData = { ...data };
@@ -458,8 +1476,17 @@ export function getScaledData(bodyName, mode = 'exploration') {
   // Apply radius scaling
   scaledData.radius = calculateScaledRadius(data.radius, bodyName, scaling, mode);
 
-  // Apply distance scaling
-  scaledData.semiMajorAxis = data.semiMajorAxis * scaling.distanceScale;
+  if (!['star', 'planet'].includes(data.type)) {
+    scaledData.radius = Math.max(scaledData.radius, scaling.minSmallBodyRadius || 0);
+  }
+
+  // Apply distance scaling (keeping the true value for astronomical calculations)
+  scaledData.originalSemiMajorAxis = data.semiMajorAxis;
+  if (data.parent) {
+    scaledData.semiMajorAxis = calculateScaledMoonDistance(data, scaling, mode);
+  } else {
+    scaledData.semiMajorAxis = data.semiMajorAxis * scaling.distanceScale;
+  }
 
   // Apply visual enhancements based on mode
   if (mode === 'artistic') {
@@ -474,7 +1501,10 @@ export function getScaledData(bodyName, mode = 'exploration') {
   }
 
   // Log scaling information for debugging
-  if (bodyName !== 'sun') {
+  if (data.parent) {
+    console.log(`📏 ${mode.toUpperCase()} - ${bodyName} (around ${data.parent}):`);
+    console.log(`   Distance: ${data.semiMajorAxis.toLocaleString()} km → ${scaledData.semiMajorAxis.toFixed(3)} units`);
+  } else if (bodyName !== 'sun') {
     const actualDistanceAU = data.semiMajorAxis;
     const scaledDistance = scaledData.semiMajorAxis;
     const actualRadiusKm = data.radius;
@@ -510,25 +1540,131 @@ function enhanceColor(color) {
   return (newR << 16) | (newG << 8) | newB;
 }
 
+/**
+ * Get the data for any body (built-in, moon or imported at runtime)
+ */
+export function getBodyData(bodyName) {
+  return SOLAR_SYSTEM_DATA[bodyName] || MOONS_DATA[bodyName] || IMPORTED_BODIES_DATA[bodyName] || null;
+}
+
+/**
+ * Names a body is known by, reduced to lowercase letters and digits: its key, its
+ * designation, and the name and number within it ("(1) Ceres" → "1ceres", "ceres";
+ * "1P/Halley" → "1phalley", "1p", "halley"; "C/1995 O1 (Hale-Bopp)" → ..., "halebopp")
+ */
+function getBodyAliases(bodyName, data) {
+  const aliases = [bodyName];
+  const designation = String(data.designation || '').trim();
+
+  if (designation) {
+    aliases.push(designation);
+
+    // Name or provisional designation in parentheses after the designation
+    const [, main, suffix] = designation.match(/^(.*?)\s*(?:\(([^)]*)\))?$/);
+    if (suffix) aliases.push(suffix);
+
+    // Strip a minor planet number, "(1) Ceres" or "1 Ceres"
+    const unnumbered = main.replace(/^\(\d+\)\s*|^\d+\s+/, '');
+    aliases.push(unnumbered);
+
+    // Periodic comet number and name, "1P/Halley"
+    const comet = unnumbered.match(/^(\d+[PD])\/(.+)$/i);
+    if (comet) aliases.push(comet[1], comet[2]);
+  }
+
+  return aliases
+    .map(alias => alias.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .filter(alias => alias !== '');
+}
+
+/**
+ * Find a built-in or imported body that shares a key, designation or name with a body
+ * about to be imported (moons orbit planets, so only their keys are compared)
+ */
+export function findMatchingBody(bodyName, data) {
+  if (bodyName in MOONS_DATA) return bodyName;
+
+  const aliases = new Set(getBodyAliases(bodyName, data));
+
+  return [...Object.keys(SOLAR_SYSTEM_DATA), ...Object.keys(IMPORTED_BODIES_DATA)]
+    .find(name => getBodyAliases(name, getBodyData(name)).some(alias => aliases.has(alias))) || null;
+}
+
+/**
+ * Register a body imported at runtime (e.g. from an MPC or JPL small-body file)
+ * Bodies already built in are refused; a body imported before is replaced
+ */
+export function registerBodyData(bodyName, data) {
+  const matchingName = findMatchingBody(bodyName, data);
+
+  if (matchingName && !(matchingName in IMPORTED_BODIES_DATA)) {
+    console.warn(`⚠️ Cannot register ${bodyName}: it is the built-in body ${matchingName}`);
+    return false;
+  }
+
+  if (matchingName) {
+    delete IMPORTED_BODIES_DATA[matchingName];
+  }
+
+  IMPORTED_BODIES_DATA[bodyName] = data;
+  return true;
+}
+
+/**
+ * Get names of bodies imported at runtime
+ */
+export function getImportedBodyNames() {
+  return Object.keys(IMPORTED_BODIES_DATA);
+}
+
 /**
  * Get all celestial body names
  */
 export function getAllBodyNames() {
-  return [...Object.keys(SOLAR_SYSTEM_DATA), ...Object.keys(MOONS_DATA)];
+  return [...Object.keys(SOLAR_SYSTEM_DATA), ...Object.keys(MOONS_DATA), ...Object.keys(IMPORTED_BODIES_DATA)];
+}
+
+/**
+ * Get the type of a body ('star', 'planet', 'dwarf-planet', 'asteroid', 'comet' or 'moon')
+ */
+export function getBodyType(bodyName) {
+  const data = getBodyData(bodyName);
+  return data ? data.type : null;
+}
+
+/**
+ * Get names of all bodies of a given type
+ */
+export function getBodyNamesByType(type) {
+  return getAllBodyNames().filter(name => getBodyType(name) === type);
 }
 
 /**
- * Get planet names only (excluding sun and moons)
+ * Get planet names only (excluding sun, moons and small bodies)
  */
 export function getPlanetNames() {
-  return Object.keys(SOLAR_SYSTEM_DATA).filter(name => name !== 'sun');
+  return getBodyNamesByType('planet');
 }
 
 /**
  * Check if a body is a planet
  */
 export function isPlanet(bodyName) {
-  return bodyName !== 'sun' && bodyName in SOLAR_SYSTEM_DATA;
+  return getBodyType(bodyName) === 'planet';
+}
+
+/**
+ * Check if a body is a dwarf planet
+ */
+export function isDwarfPlanet(bodyName) {
+  return getBodyType(bodyName) === 'dwarf-planet';
+}
+
+/**
+ * Check if a body is a comet
+ */
+export function isComet(bodyName) {
+  return getBodyType(bodyName) === 'comet';
 }
 
 /**
@@ -542,7 +1678,7 @@ export function isMoon(bodyName) {
  * Get astronomical information for a celestial body
  */
 export function getAstronomicalInfo(bodyName) {
-  const data = SOLAR_SYSTEM_DATA[bodyName] || MOONS_DATA[bodyName];
+  const data = getBodyData(bodyName);
   if (!data) return null;
 
   const currentPos = calculateCurrentPosition(data);
@@ -568,8 +1704,8 @@ export function getAstronomicalInfo(bodyName) {
  * Get real-time distance between two celestial bodies
  */
 export function getDistanceBetweenBodies(bodyName1, bodyName2) {
-  const pos1 = calculateCurrentPosition(SOLAR_SYSTEM_DATA[bodyName1] || MOONS_DATA[bodyName1]);
-  const pos2 = calculateCurrentPosition(SOLAR_SYSTEM_DATA[bodyName2] || MOONS_DATA[bodyName2]);
+  const pos1 = calculateCurrentPosition(getBodyData(bodyName1));
+  const pos2 = calculateCurrentPosition(getBodyData(bodyName2));
 
   const dx = pos1.x - pos2.x;
   const dy = pos1.y - pos2.y;
@@ -0,0 +1,838 @@
+/**
+ * StarCatalog - Bright stars from the Yale Bright Star Catalogue (5th revised edition)
+ * Subset covering the stars brighter than about magnitude 3.5 plus the fainter stars
+ * that complete the traditional constellation figures.
+ *
+ * Each entry: [designation, proper name, right ascension (hours), declination (degrees),
+ * visual magnitude, B-V colour index]. Positions are J2000.0.
+ */
+
+export const BRIGHT_STARS = [
+  // Andromeda
+  ['alf And', 'Alpheratz', 0.1398, 29.091, 2.06, -0.11],
+  ['bet And', 'Mirach', 1.1622, 35.621, 2.06, 1.58],
+  ['gam1 And', 'Almach', 2.0650, 42.330, 2.26, 1.37],
+  ['del And', null, 0.6555, 30.861, 3.27, 1.28],
+
+  // Antlia
+  ['alf Ant', null, 10.4525, -31.068, 4.28, 1.43],
+  ['eps Ant', null, 9.4874, -35.951, 4.51, 1.41],
+  ['iot Ant', null, 10.9453, -37.138, 4.60, 1.01],
+
+  // Apus
+  ['alf Aps', null, 14.7977, -79.045, 3.83, 1.43],
+  ['gam Aps', null, 16.5575, -78.897, 3.86, 0.92],
+  ['bet Aps', null, 16.7180, -77.517, 4.23, 1.06],
+  ['del1 Aps', null, 16.3391, -78.696, 4.68, 1.68],
+
+  // Aquarius
+  ['bet Aqr', 'Sadalsuud', 21.5260, -5.571, 2.91, 0.83],
+  ['alf Aqr', 'Sadalmelik', 22.0964, -0.320, 2.96, 0.98],
+  ['del Aqr', 'Skat', 22.9108, -15.821, 3.27, 0.05],
+  ['zet Aqr', null, 22.4806, -0.020, 3.65, 0.38],
+  ['lam Aqr', null, 22.8769, -7.580, 3.74, 1.64],
+  ['eps Aqr', 'Albali', 20.7946, -9.496, 3.77, 0.00],
+  ['gam Aqr', 'Sadachbia', 22.3609, -1.387, 3.84, -0.05],
+  ['eta Aqr', null, 22.5893, -0.117, 4.02, -0.09],
+
+  // Aquila
+  ['alf Aql', 'Altair', 19.8464, 8.868, 0.77, 0.22],
+  ['gam Aql', 'Tarazed', 19.7710, 10.613, 2.72, 1.52],
+  ['zet Aql', 'Okab', 19.0902, 13.863, 2.99, 0.01],
+  ['tet Aql', null, 20.1884, -0.821, 3.23, -0.07],
+  ['del Aql', null, 19.4249, 3.115, 3.36, 0.32],
+  ['lam Aql', null, 19.1042, -4.882, 3.44, -0.09],
+  ['bet Aql', 'Alshain', 19.9219, 6.407, 3.71, 0.86],
+  ['eta Aql', null, 19.8745, 1.006, 3.90, 0.89],
+
+  // Ara
+  ['bet Ara', null, 17.4217, -55.530, 2.85, 1.46],
+  ['alf Ara', null, 17.5302, -49.876, 2.95, -0.17],
+  ['zet Ara', null, 16.9770, -55.990, 3.13, 1.60],
+  ['gam Ara', null, 17.4232, -56.378, 3.34, -0.13],
+  ['del Ara', null, 17.5183, -60.684, 3.62, -0.10],
+  ['eta Ara', null, 16.8297, -59.041, 3.76, 1.57],
+  ['eps1 Ara', null, 16.9931, -53.160, 4.06, 1.45],
+
+  // Aries
+  ['alf Ari', 'Hamal', 2.1195, 23.463, 2.00, 1.15],
+  ['bet Ari', 'Sheratan', 1.9107, 20.808, 2.64, 0.13],
+  ['41 Ari', 'Bharani', 2.8333, 27.261, 3.63, -0.10],
+  ['gam Ari', 'Mesarthim', 1.8921, 19.294, 3.88, -0.04],
+
+  // Auriga
+  ['alf Aur', 'Capella', 5.2782, 45.998, 0.08, 0.80],
+  ['bet Aur', 'Menkalinan', 5.9921, 44.948, 1.90, 0.08],
+  ['tet Aur', 'Mahasim', 5.9954, 37.213, 2.62, -0.08],
+  ['iot Aur', 'Hassaleh', 4.9499, 33.166, 2.69, 1.53],
+  ['eps Aur', 'Almaaz', 5.0328, 43.823, 2.99, 0.54],
+  ['eta Aur', 'Haedus', 5.1086, 41.234, 3.17, -0.18],
+  ['zet Aur', 'Saclateni', 5.0413, 41.076, 3.75, 1.22],
+
+  // Bootes
+  ['alf Boo', 'Arcturus', 14.2610, 19.182, -0.05, 1.23],
+  ['eps Boo', 'Izar', 14.7498, 27.074, 2.37, 0.97],
+  ['eta Boo', 'Muphrid', 13.9114, 18.398, 2.68, 0.58],
+  ['gam Boo', 'Seginus', 14.5347, 38.308, 3.03, 0.19],
+  ['del Boo', null, 15.2583, 33.315, 3.47, 0.95],
+  ['bet Boo', 'Nekkar', 15.0324, 40.390, 3.50, 0.97],
+  ['rho Boo', null, 14.5305, 30.371, 3.58, 1.30],
+  ['zet Boo', null, 14.6853, 13.728, 3.78, 0.05],
+
+  // Caelum
+  ['alf Cae', null, 4.6760, -41.864, 4.44, 0.34],
+  ['gam Cae', null, 5.0734, -35.483, 4.55, 1.18],
+  ['bet Cae', null, 4.7010, -37.144, 5.04, 0.39],
+  ['del Cae', null, 4.5139, -44.954, 5.07, -0.19],
+
+  // Camelopardalis
+  ['bet Cam', null, 5.0570, 60.442, 4.03, 0.92],
+  ['CS Cam', null, 3.4845, 59.940, 4.21, 0.42],
+  ['alf Cam', null, 4.9008, 66.343, 4.26, -0.01],
+  ['BE Cam', null, 3.8254, 65.526, 4.39, 1.87],
+  ['7 Cam', null, 4.9548, 53.752, 4.43, -0.02],
+  ['gam Cam', null, 3.8393, 71.332, 4.59, 0.06],
+
+  // Cancer
+  ['bet Cnc', 'Tarf', 8.2753, 9.186, 3.52, 1.48],
+  ['del Cnc', 'Asellus Australis', 8.7448, 18.154, 3.94, 1.08],
+  ['iot Cnc', null, 8.7781, 28.760, 4.02, 1.01],
+  ['alf Cnc', 'Acubens', 8.9748, 11.858, 4.26, 0.14],
+  ['gam Cnc', 'Asellus Borealis', 8.7215, 21.469, 4.66, 0.02],
+
+  // Canes Venatici
+  ['alf2 CVn', 'Cor Caroli', 12.9338, 38.318, 2.90, -0.12],
+  ['bet CVn', 'Chara', 12.5624, 41.357, 4.26, 0.59],
+
+  // Canis Major
+  ['alf CMa', 'Sirius', 6.7525, -16.716, -1.46, 0.00],
+  ['eps CMa', 'Adhara', 6.9771, -28.972, 1.50, -0.21],
+  ['del CMa', 'Wezen', 7.1399, -26.393, 1.84, 0.68],
+  ['bet CMa', 'Mirzam', 6.3783, -17.956, 1.98, -0.23],
+  ['eta CMa', 'Aludra', 7.4016, -29.303, 2.45, -0.08],
+  ['zet CMa', 'Furud', 6.3385, -30.063, 3.02, -0.19],
+  ['omi2 CMa', null, 7.0503, -23.833, 3.02, -0.08],
+  ['sig CMa', null, 7.0287, -27.935, 3.47, 1.73],
+  ['omi1 CMa', null, 6.9022, -24.184, 3.87, 1.73],
+  ['gam CMa', 'Muliphein', 7.0625, -15.633, 4.12, -0.12],
+
+  // Canis Minor
+  ['alf CMi', 'Procyon', 7.6550, 5.225, 0.34, 0.42],
+  ['bet CMi', 'Gomeisa', 7.4525, 8.289, 2.90, -0.09],
+
+  // Capricornus
+  ['del Cap', 'Deneb Algedi', 21.7840, -16.127, 2.87, 0.29],
+  ['bet Cap', 'Dabih', 20.3502, -14.781, 3.08, 0.79],
+  ['alf2 Cap', 'Algedi', 20.3009, -12.545, 3.57, 0.94],
+  ['gam Cap', 'Nashira', 21.6682, -16.662, 3.68, 0.32],
+  ['zet Cap', null, 21.4443, -22.411, 3.74, 1.00],
+  ['tet Cap', null, 21.0991, -17.233, 4.07, -0.01],
+  ['ome Cap', null, 20.8637, -26.919, 4.11, 1.64],
+  ['psi Cap', null, 20.7683, -25.271, 4.14, 0.43],
+  ['iot Cap', null, 21.3707, -16.834, 4.28, 0.89],
+
+  // Carina
+  ['alf Car', 'Canopus', 6.3992, -52.696, -0.74, 0.15],
+  ['bet Car', 'Miaplacidus', 9.2200, -69.717, 1.67, 0.07],
+  ['eps Car', 'Avior', 8.3752, -59.510, 1.86, 1.28],
+  ['iot Car', 'Aspidiske', 9.2848, -59.275, 2.21, 0.18],
+  ['tet Car', null, 10.7159, -64.394, 2.76, -0.22],
+  ['ups Car', null, 9.7851, -65.072, 2.97, 0.27],
+  ['p Car', null, 10.5337, -61.685, 3.30, -0.09],
+  ['ome Car', null, 10.2289, -70.038, 3.32, -0.08],
+  ['q Car', null, 10.2847, -61.332, 3.40, 1.54],
+  ['chi Car', null, 7.9463, -52.982, 3.47, -0.18],
+
+  // Cassiopeia
+  ['alf Cas', 'Schedar', 0.6751, 56.537, 2.24, 1.17],
+  ['bet Cas', 'Caph', 0.1529, 59.150, 2.28, 0.34],
+  ['gam Cas', null, 0.9451, 60.717, 2.47, -0.15],
+  ['del Cas', 'Ruchbah', 1.4303, 60.235, 2.68, 0.13],
+  ['eps Cas', 'Segin', 1.9066, 63.670, 3.38, -0.15],
+
+  // Centaurus
+  ['alf Cen', 'Rigil Kentaurus', 14.6601, -60.834, -0.27, 0.71],
+  ['bet Cen', 'Hadar', 14.0637, -60.373, 0.61, -0.23],
+  ['tet Cen', 'Menkent', 14.1114, -36.370, 2.06, 1.01],
+  ['gam Cen', 'Muhlifain', 12.6920, -48.960, 2.17, -0.01],
+  ['eps Cen', null, 13.6648, -53.466, 2.30, -0.22],
+  ['eta Cen', null, 14.5918, -42.158, 2.31, -0.19],
+  ['del Cen', null, 12.1394, -50.722, 2.52, -0.12],
+  ['zet Cen', null, 13.9257, -47.288, 2.55, -0.22],
+  ['iot Cen', null, 13.3432, -36.712, 2.75, 0.04],
+  ['mu Cen', null, 13.8265, -42.474, 3.04, -0.17],
+  ['kap Cen', null, 14.9860, -42.104, 3.13, -0.20],
+  ['lam Cen', null, 11.5960, -63.020, 3.13, -0.04],
+  ['nu Cen', null, 13.8251, -41.688, 3.41, -0.22],
+  ['pi Cen', null, 11.3503, -54.491, 3.89, -0.14],
+  ['sig Cen', null, 12.4673, -50.231, 3.91, -0.19],
+  ['rho Cen', null, 12.1940, -52.369, 3.96, -0.15],
+
+  // Cepheus
+  ['alf Cep', 'Alderamin', 21.3097, 62.586, 2.45, 0.22],
+  ['gam Cep', 'Errai', 23.6558, 77.632, 3.21, 1.03],
+  ['bet Cep', 'Alfirk', 21.4777, 70.561, 3.23, -0.22],
+  ['zet Cep', null, 22.1809, 58.201, 3.35, 1.57],
+  ['eta Cep', null, 20.7548, 61.839, 3.43, 0.92],
+  ['iot Cep', null, 22.8280, 66.201, 3.52, 1.05],
+  ['del Cep', null, 22.4862, 58.415, 4.07, 0.60],
+
+  // Cetus
+  ['bet Cet', 'Diphda', 0.7265, -17.987, 2.04, 1.02],
+  ['alf Cet', 'Menkar', 3.0380, 4.090, 2.54, 1.64],
+  ['omi Cet', 'Mira', 2.3224, -2.978, 3.04, 1.42],
+  ['eta Cet', null, 1.1431, -10.182, 3.45, 1.16],
+  ['gam Cet', 'Kaffaljidhma', 2.7217, 3.236, 3.47, 0.09],
+  ['tau Cet', null, 1.7344, -15.938, 3.50, 0.72],
+  ['iot Cet', null, 0.3238, -8.824, 3.56, 1.22],
+  ['tet Cet', null, 1.4002, -8.183, 3.60, 1.06],
+  ['zet Cet', 'Baten Kaitos', 1.8577, -10.335, 3.73, 1.14],
+  ['del Cet', null, 2.6580, 0.329, 4.07, -0.22],
+  ['mu Cet', null, 2.7491, 10.114, 4.27, 0.31],
+  ['lam Cet', null, 2.9953, 8.907, 4.70, -0.12],
+
+  // Chamaeleon
+  ['alf Cha', null, 8.3088, -76.920, 4.05, 0.41],
+  ['gam Cha', null, 10.5911, -78.608, 4.11, 1.58],
+  ['bet Cha', null, 12.3058, -79.312, 4.24, -0.12],
+  ['eps Cha', null, 11.9938, -78.222, 4.88, -0.05],
+  ['del1 Cha', null, 10.7545, -80.470, 5.46, 0.96],
+
+  // Circinus
+  ['alf Cir', null, 14.7084, -64.975, 3.18, 0.26],
+  ['bet Cir', null, 15.2919, -58.801, 4.07, 0.09],
+  ['gam Cir', null, 15.3896, -59.321, 4.48, 0.17],
+
+  // Columba
+  ['alf Col', 'Phact', 5.6608, -34.074, 2.65, -0.12],
+  ['bet Col', 'Wazn', 5.8493, -35.768, 3.12, 1.16],
+  ['del Col', null, 6.3685, -33.436, 3.85, 0.88],
+  ['eps Col', null, 5.5203, -35.470, 3.87, 1.14],
+  ['eta Col', null, 5.9853, -42.815, 3.96, 1.14],
+  ['gam Col', null, 5.9590, -35.283, 4.36, -0.18],
+
+  // Coma Berenices
+  ['bet Com', null, 13.1978, 27.878, 4.26, 0.57],
+  ['alf Com', 'Diadem', 13.1664, 17.529, 4.32, 0.45],
+  ['gam Com', null, 12.4488, 28.268, 4.36, 1.13],
+
+  // Corona Australis
+  ['bet CrA', null, 19.1672, -39.341, 4.10, 1.16],
+  ['alf CrA', 'Meridiana', 19.1579, -37.904, 4.11, 0.04],
+  ['gam CrA', null, 19.1070, -37.063, 4.23, 0.52],
+  ['del CrA', null, 19.1392, -40.497, 4.57, 1.07],
+  ['tet CrA', null, 18.5584, -42.313, 4.62, 0.99],
+  ['zet CrA', null, 19.0519, -42.095, 4.74, -0.03],
+  ['eps CrA', null, 18.9787, -37.107, 4.83, 0.40],
+  ['eta2 CrA', null, 18.8264, -43.434, 5.60, -0.08],
+
+  // Corona Borealis
+  ['alf CrB', 'Alphecca', 15.5781, 26.715, 2.23, -0.02],
+  ['bet CrB', 'Nusakan', 15.4638, 29.106, 3.68, 0.28],
+  ['gam CrB', null, 15.7126, 26.296, 3.84, 0.00],
+  ['tet CrB', null, 15.5488, 31.359, 4.14, -0.13],
+  ['eps CrB', null, 15.9597, 26.878, 4.15, 1.23],
+  ['del CrB', null, 15.8260, 26.068, 4.63, 0.80],
+
+  // Corvus
+  ['gam Crv', 'Gienah', 12.2634, -17.542, 2.59, -0.11],
+  ['bet Crv', 'Kraz', 12.5731, -23.397, 2.65, 0.89],
+  ['del Crv', 'Algorab', 12.4977, -16.515, 2.95, -0.05],
+  ['eps Crv', 'Minkar', 12.1685, -22.620, 3.00, 1.33],
+  ['alf Crv', 'Alchiba', 12.1400, -24.729, 4.02, 0.32],
+
+  // Crater
+  ['del Crt', null, 11.3223, -14.779, 3.56, 1.12],
+  ['alf Crt', 'Alkes', 10.9963, -18.299, 4.08, 1.09],
+  ['gam Crt', null, 11.4148, -17.684, 4.08, 0.21],
+  ['bet Crt', null, 11.1942, -22.826, 4.48, 0.03],
+
+  // Crux
+  ['alf Cru', 'Acrux', 12.4433, -63.099, 0.77, -0.24],
+  ['bet Cru', 'Mimosa', 12.7953, -59.689, 1.25, -0.23],
+  ['gam Cru', 'Gacrux', 12.5194, -57.113, 1.59, 1.59],
+  ['del Cru', 'Imai', 12.2524, -58.749, 2.79, -0.23],
+  ['eps Cru', null, 12.3562, -60.401, 3.59, 1.42],
+
+  // Cygnus
+  ['alf Cyg', 'Deneb', 20.6905, 45.280, 1.25, 0.09],
+  ['gam Cyg', 'Sadr', 20.3705, 40.257, 2.23, 0.67],
+  ['eps Cyg', 'Aljanah', 20.7702, 33.970, 2.48, 1.03],
+  ['del Cyg', 'Fawaris', 19.7496, 45.131, 2.87, -0.03],
+  ['bet1 Cyg', 'Albireo', 19.5120, 27.960, 3.08, 1.13],
+  ['zet Cyg', null, 21.2156, 30.227, 3.20, 0.99],
+  ['kap Cyg', null, 19.2850, 53.368, 3.77, 0.95],
+  ['iot Cyg', null, 19.4951, 51.730, 3.79, 0.14],
+  ['eta Cyg', null, 19.9384, 35.083, 3.89, 1.02],
+
+  // Delphinus
+  ['bet Del', 'Rotanev', 20.6258, 14.595, 3.63, 0.44],
+  ['alf Del', 'Sualocin', 20.6606, 15.912, 3.77, -0.06],
+  ['eps Del', 'Aldulfin', 20.5536, 11.303, 4.03, -0.13],
+  ['gam2 Del', null, 20.7774, 16.124, 4.27, 1.04],
+  ['del Del', null, 20.7243, 15.075, 4.43, 0.32],
+
+  // Dorado
+  ['alf Dor', null, 4.5667, -55.045, 3.27, -0.10],
+  ['bet Dor', null, 5.5604, -62.490, 3.76, 0.64],
+  ['gam Dor', null, 4.2671, -51.487, 4.26, 0.31],
+  ['del Dor', null, 5.7462, -65.736, 4.34, 0.22],
+  ['36 Dor', null, 5.9017, -63.090, 4.65, 1.02],
+  ['zet Dor', null, 5.0918, -57.473, 4.71, 0.53],
+
+  // Draco
+  ['gam Dra', 'Eltanin', 17.9434, 51.489, 2.23, 1.52],
+  ['eta Dra', 'Athebyne', 16.3999, 61.514, 2.74, 0.91],
+  ['bet Dra', 'Rastaban', 17.5072, 52.301, 2.79, 0.98],
+  ['del Dra', 'Altais', 19.2093, 67.662, 3.07, 1.00],
+  ['zet Dra', 'Aldhibah', 17.1465, 65.715, 3.17, -0.12],
+  ['iot Dra', 'Edasich', 15.4155, 58.966, 3.29, 1.16],
+  ['chi Dra', null, 18.3509, 72.733, 3.57, 0.49],
+  ['alf Dra', 'Thuban', 14.0731, 64.376, 3.65, -0.05],
+  ['xi Dra', 'Grumium', 17.8921, 56.873, 3.75, 1.18],
+  ['eps Dra', null, 19.8029, 70.268, 3.83, 0.89],
+  ['lam Dra', 'Giausar', 11.5235, 69.331, 3.84, 1.62],
+  ['kap Dra', null, 12.5580, 69.788, 3.87, -0.13],
+  ['tet Dra', null, 16.0313, 58.565, 4.01, 0.52],
+  ['nu2 Dra', null, 17.5375, 55.173, 4.87, 0.28],
+
+  // Equuleus
+  ['alf Equ', 'Kitalpha', 21.2637, 5.248, 3.92, 0.55],
+  ['del Equ', null, 21.2413, 10.007, 4.47, 0.53],
+  ['gam Equ', null, 21.1724, 10.132, 4.70, 0.26],
+
+  // Eridanus
+  ['alf Eri', 'Achernar', 1.6286, -57.237, 0.46, -0.16],
+  ['bet Eri', 'Cursa', 5.1308, -5.086, 2.79, 0.13],
+  ['gam Eri', 'Zaurak', 3.9672, -13.509, 2.95, 1.59],
+  ['tet1 Eri', 'Acamar', 2.9710, -40.305, 3.20, 0.14],
+  ['del Eri', 'Rana', 3.7210, -9.763, 3.54, 0.92],
+  ['phi Eri', null, 2.2752, -51.512, 3.56, -0.12],
+  ['tau4 Eri', null, 3.3238, -21.758, 3.69, 1.62],
+  ['chi Eri', null, 1.9327, -51.609, 3.70, 0.85],
+  ['eps Eri', 'Ran', 3.5489, -9.458, 3.73, 0.88],
+  ['ups2 Eri', 'Theemin', 4.5924, -30.562, 3.82, 0.98],
+  ['eta Eri', 'Azha', 2.9403, -8.898, 3.89, 1.11],
+  ['nu Eri', null, 4.6054, -3.353, 3.93, -0.21],
+  ['43 Eri', null, 4.4005, -34.017, 3.96, 1.49],
+  ['mu Eri', null, 4.7581, -3.255, 4.02, -0.15],
+  ['omi1 Eri', 'Beid', 4.1977, -6.838, 4.04, 0.33],
+  ['tau3 Eri', null, 3.0402, -23.625, 4.09, 0.16],
+  ['iot Eri', null, 2.6778, -39.855, 4.11, 1.02],
+
+  // Fornax
+  ['alf For', 'Dalim', 3.2013, -28.988, 3.80, 0.54],
+  ['bet For', null, 2.8182, -32.406, 4.45, 0.98],
+  ['nu For', null, 2.0748, -29.297, 4.68, -0.16],
+
+  // Gemini
+  ['bet Gem', 'Pollux', 7.7553, 28.026, 1.14, 1.00],
+  ['alf Gem', 'Castor', 7.5767, 31.888, 1.58, 0.03],
+  ['gam Gem', 'Alhena', 6.6285, 16.399, 1.93, 0.00],
+  ['mu Gem', 'Tejat', 6.3828, 22.514, 2.88, 1.64],
+  ['eps Gem', 'Mebsuta', 6.7322, 25.131, 2.98, 1.40],
+  ['eta Gem', 'Propus', 6.2479, 22.507, 3.28, 1.60],
+  ['xi Gem', 'Alzirr', 6.7548, 12.896, 3.36, 0.43],
+  ['del Gem', 'Wasat', 7.3354, 21.982, 3.53, 0.34],
+  ['kap Gem', null, 7.7406, 24.398, 3.57, 0.93],
+  ['lam Gem', null, 7.3015, 16.540, 3.58, 0.11],
+  ['tet Gem', null, 6.8798, 33.961, 3.60, 0.10],
+  ['zet Gem', 'Mekbuda', 7.0685, 20.570, 3.79, 0.79],
+  ['iot Gem', null, 7.4288, 27.798, 3.79, 1.03],
+  ['ups Gem', null, 7.5985, 26.896, 4.06, 1.54],
+  ['nu Gem', null, 6.4827, 20.212, 4.15, -0.13],
+  ['tau Gem', null, 7.1858, 30.245, 4.41, 1.26],
+
+  // Grus
+  ['alf Gru', 'Alnair', 22.1372, -46.961, 1.74, -0.13],
+  ['bet Gru', 'Tiaki', 22.7111, -46.885, 2.10, 1.60],
+  ['gam Gru', 'Aldhanab', 21.8988, -37.365, 3.01, -0.12],
+  ['eps Gru', null, 22.8092, -51.317, 3.49, 0.08],
+  ['iot Gru', null, 23.1727, -45.247, 3.90, 1.02],
+  ['del1 Gru', null, 22.4877, -43.496, 3.97, 1.03],
+  ['zet Gru', null, 23.0147, -52.754, 4.12, 0.98],
+
+  // Hercules
+  ['bet Her', 'Kornephoros', 16.5037, 21.490, 2.77, 0.94],
+  ['zet Her', null, 16.6881, 31.603, 2.81, 0.65],
+  ['del Her', 'Sarin', 17.2505, 24.839, 3.14, 0.08],
+  ['pi Her', null, 17.2508, 36.809, 3.16, 1.44],
+  ['mu Her', null, 17.7746, 27.720, 3.42, 0.75],
+  ['alf1 Her', 'Rasalgethi', 17.2441, 14.390, 3.48, 1.44],
+  ['eta Her', null, 16.7149, 38.922, 3.53, 0.92],
+  ['xi Her', null, 17.9627, 29.248, 3.70, 0.94],
+  ['gam Her', null, 16.3653, 19.153, 3.75, 0.27],
+  ['iot Her', null, 17.6575, 46.006, 3.80, -0.18],
+  ['omi Her', null, 18.1255, 28.762, 3.83, -0.03],
+  ['tet Her', null, 17.9376, 37.250, 3.86, 1.35],
+  ['tau Her', null, 16.3298, 46.313, 3.89, -0.15],
+  ['eps Her', null, 17.0048, 30.926, 3.92, -0.01],
+  ['sig Her', null, 16.5684, 42.437, 4.20, -0.01],
+  ['phi Her', null, 16.1462, 44.935, 4.26, -0.07],
+  ['lam Her', 'Maasym', 17.5126, 26.110, 4.41, 1.44],
+
+  // Horologium
+  ['alf Hor', null, 4.2334, -42.294, 3.85, 1.08],
+  ['bet Hor', null, 2.9799, -64.071, 4.98, 0.13],
+  ['mu Hor', null, 3.0602, -59.738, 5.12, 0.35],
+  ['zet Hor', null, 2.6777, -54.550, 5.21, 0.41],
+  ['eta Hor', null, 2.6234, -52.543, 5.30, 0.29],
+  ['iot Hor', null, 2.7093, -50.800, 5.40, 0.56],
+
+  // Hydra
+  ['alf Hya', 'Alphard', 9.4598, -8.659, 1.98, 1.44],
+  ['gam Hya', null, 13.3154, -23.171, 3.00, 0.92],
+  ['zet Hya', null, 8.9232, 5.946, 3.11, 1.00],
+  ['nu Hya', null, 10.8270, -16.194, 3.11, 1.25],
+  ['pi Hya', null, 14.1062, -26.682, 3.27, 1.12],
+  ['eps Hya', null, 8.7794, 6.419, 3.38, 0.68],
+  ['xi Hya', null, 11.5501, -31.858, 3.54, 0.94],
+  ['lam Hya', null, 10.1762, -12.354, 3.61, 1.01],
+  ['mu Hya', null, 10.4346, -16.836, 3.81, 1.48],
+  ['tet Hya', null, 9.2391, 2.314, 3.88, -0.06],
+  ['iot Hya', null, 9.6640, -1.143, 3.91, 1.32],
+  ['ups1 Hya', null, 9.8580, -14.847, 4.12, 0.92],
+  ['del Hya', null, 8.6276, 5.704, 4.16, 0.00],
+  ['bet Hya', null, 11.8822, -33.908, 4.28, -0.10],
+  ['eta Hya', null, 8.7206, 3.399, 4.30, -0.20],
+  ['rho Hya', null, 8.8073, 5.838, 4.36, -0.04],
+  ['sig Hya', 'Minchir', 8.6454, 3.341, 4.44, 1.21],
+
+  // Hydrus
+  ['bet Hyi', null, 0.4292, -77.254, 2.80, 0.62],
+  ['alf Hyi', null, 1.9795, -61.570, 2.86, 0.28],
+  ['gam Hyi', null, 3.7873, -74.239, 3.24, 1.62],
+
+  // Indus
+  ['alf Ind', null, 20.6261, -47.291, 3.11, 1.00],
+  ['bet Ind', null, 20.9135, -58.454, 3.67, 1.25],
+  ['tet Ind', null, 21.3311, -53.449, 4.39, 0.19],
+  ['del Ind', null, 21.9653, -54.993, 4.40, 0.30],
+  ['eta Ind', null, 20.7340, -51.921, 4.51, 0.28],
+
+  // Lacerta
+  ['alf Lac', null, 22.5215, 50.282, 3.76, 0.03],
+  ['1 Lac', null, 22.2662, 37.749, 4.14, 1.45],
+  ['5 Lac', null, 22.4922, 47.707, 4.34, 1.68],
+  ['bet Lac', null, 22.3927, 52.229, 4.42, 1.01],
+  ['11 Lac', null, 22.6752, 44.276, 4.50, 1.32],
+  ['6 Lac', null, 22.5081, 43.123, 4.52, -0.09],
+  ['2 Lac', null, 22.3504, 46.537, 4.55, -0.10],
+  ['4 Lac', null, 22.4086, 49.476, 4.55, 0.09],
+
+  // Leo
+  ['alf Leo', 'Regulus', 10.1395, 11.967, 1.35, -0.11],
+  ['gam1 Leo', 'Algieba', 10.3329, 19.842, 2.08, 1.15],
+  ['bet Leo', 'Denebola', 11.8177, 14.572, 2.14, 0.09],
+  ['del Leo', 'Zosma', 11.2351, 20.524, 2.56, 0.12],
+  ['eps Leo', null, 9.7642, 23.774, 2.98, 0.81],
+  ['tet Leo', 'Chertan', 11.2373, 15.430, 3.34, -0.01],
+  ['zet Leo', 'Adhafera', 10.2782, 23.417, 3.44, 0.31],
+  ['eta Leo', null, 10.1222, 16.763, 3.52, -0.03],
+  ['omi Leo', 'Subra', 9.6851, 9.892, 3.52, 0.49],
+  ['rho Leo', null, 10.5469, 9.307, 3.85, -0.14],
+  ['mu Leo', 'Rasalas', 9.8794, 26.007, 3.88, 1.22],
+  ['iot Leo', null, 11.3980, 10.529, 3.94, 0.41],
+  ['sig Leo', null, 11.3530, 6.029, 4.05, -0.06],
+  ['lam Leo', 'Alterf', 9.5287, 22.968, 4.31, 1.54],
+  ['kap Leo', null, 9.4101, 26.182, 4.46, 1.23],
+
+  // Leo Minor
+  ['46 LMi', 'Praecipua', 10.8885, 34.215, 3.79, 1.04],
+  ['bet LMi', null, 10.4647, 36.707, 4.20, 0.91],
+  ['21 LMi', null, 10.1238, 35.245, 4.49, 0.19],
+  ['10 LMi', null, 9.5704, 36.398, 4.54, 0.91],
+  ['30 LMi', null, 10.4319, 33.796, 4.72, 0.26],
+
+  // Lepus
+  ['alf Lep', 'Arneb', 5.5455, -17.822, 2.58, 0.21],
+  ['bet Lep', 'Nihal', 5.4708, -20.759, 2.84, 0.82],
+  ['eps Lep', null, 5.0913, -22.371, 3.19, 1.46],
+  ['mu Lep', null, 5.2156, -16.206, 3.31, -0.11],
+  ['zet Lep', null, 5.7826, -14.822, 3.55, 0.10],
+  ['gam Lep', null, 5.7412, -22.448, 3.60, 0.47],
+  ['eta Lep', null, 5.9400, -14.168, 3.71, 0.33],
+  ['del Lep', null, 5.8554, -20.879, 3.81, 0.99],
+  ['kap Lep', null, 5.2205, -12.941, 4.36, -0.10],
+
+  // Libra
+  ['bet Lib', 'Zubeneschamali', 15.2834, -9.383, 2.61, -0.11],
+  ['alf2 Lib', 'Zubenelgenubi', 14.8480, -16.042, 2.75, 0.15],
+  ['sig Lib', 'Brachium', 15.0679, -25.282, 3.29, 1.70],
+  ['ups Lib', null, 15.6171, -28.135, 3.58, 1.38],
+  ['tau Lib', null, 15.6443, -29.778, 3.66, -0.17],
+  ['gam Lib', 'Zubenelhakrabi', 15.5921, -14.790, 3.91, 1.01],
+  ['tet Lib', null, 15.8978, -16.730, 4.15, 1.02],
+
+  // Lupus
+  ['alf Lup', null, 14.6988, -47.388, 2.30, -0.20],
+  ['bet Lup', null, 14.9755, -43.134, 2.68, -0.22],
+  ['gam Lup', null, 15.5858, -41.167, 2.78, -0.20],
+  ['del Lup', null, 15.3562, -40.648, 3.22, -0.22],
+  ['eps Lup', null, 15.3780, -44.689, 3.37, -0.18],
+  ['zet Lup', null, 15.2049, -52.099, 3.41, 0.92],
+  ['eta Lup', null, 16.0020, -38.397, 3.41, -0.21],
+  ['iot Lup', null, 14.3236, -46.058, 3.55, -0.18],
+  ['phi1 Lup', null, 15.3634, -36.261, 3.56, 1.54],
+  ['kap1 Lup', null, 15.1987, -48.738, 3.87, -0.05],
+
+  // Lynx
+  ['alf Lyn', null, 9.3509, 34.393, 3.13, 1.55],
+  ['38 Lyn', null, 9.3140, 36.803, 3.82, 0.06],
+
+  // Lyra
+  ['alf Lyr', 'Vega', 18.6156, 38.784, 0.03, 0.00],
+  ['gam Lyr', 'Sulafat', 18.9824, 32.690, 3.24, -0.05],
+  ['bet Lyr', 'Sheliak', 18.8347, 33.363, 3.52, 0.00],
+  ['del2 Lyr', null, 18.9084, 36.899, 4.30, 1.68],
+  ['zet1 Lyr', null, 18.7463, 37.605, 4.36, 0.19],
+  ['eps1 Lyr', null, 18.7392, 39.670, 4.67, 0.16],
+
+  // Mensa
+  ['alf Men', null, 6.1707, -74.753, 5.08, 0.71],
+  ['gam Men', null, 5.5314, -76.341, 5.18, 1.13],
+  ['bet Men', null, 5.0453, -71.314, 5.30, 1.00],
+  ['eta Men', null, 4.9198, -74.937, 5.47, 1.52],
+
+  // Microscopium
+  ['gam Mic', null, 21.0215, -32.258, 4.67, 0.89],
+  ['eps Mic', null, 21.2990, -32.172, 4.71, 0.07],
+  ['tet1 Mic', null, 21.3460, -40.809, 4.80, 0.03],
+  ['alf Mic', null, 20.8328, -33.780, 4.89, 1.00],
+  ['iot Mic', null, 20.8081, -43.989, 5.11, 0.36],
+
+  // Monoceros
+  ['bet Mon', null, 6.4803, -7.033, 3.76, -0.10],
+  ['alf Mon', null, 7.6870, -9.551, 3.93, 1.02],
+  ['gam Mon', null, 6.2476, -6.275, 3.98, 1.32],
+  ['del Mon', null, 7.1977, -0.493, 4.15, -0.01],
+
+  // Musca
+  ['alf Mus', null, 12.6198, -69.136, 2.69, -0.20],
+  ['bet Mus', null, 12.7712, -68.108, 3.05, -0.18],
+
+  // Norma
+  ['gam2 Nor', null, 16.3307, -50.156, 4.01, 1.08],
+  ['eps Nor', null, 16.4531, -47.555, 4.46, -0.07],
+  ['eta Nor', null, 16.0536, -49.230, 4.65, 0.90],
+  ['del Nor', null, 16.1082, -45.173, 4.73, 0.23],
+
+  // Octans
+  ['nu Oct', null, 21.6913, -77.390, 3.73, 1.01],
+  ['bet Oct', null, 22.7676, -81.382, 4.13, 0.21],
+  ['del Oct', null, 14.4487, -83.668, 4.31, 1.30],
+
+  // Ophiuchus
+  ['alf Oph', 'Rasalhague', 17.5822, 12.560, 2.07, 0.15],
+  ['eta Oph', 'Sabik', 17.1730, -15.725, 2.43, 0.06],
+  ['zet Oph', null, 16.6193, -10.567, 2.56, 0.02],
+  ['del Oph', 'Yed Prior', 16.2391, -3.694, 2.74, 1.58],
+  ['bet Oph', 'Cebalrai', 17.7245, 4.567, 2.77, 1.16],
+  ['kap Oph', null, 16.9611, 9.375, 3.20, 1.15],
+  ['eps Oph', 'Yed Posterior', 16.3054, -4.693, 3.24, 0.97],
+  ['tet Oph', null, 17.3666, -24.999, 3.27, -0.19],
+  ['nu Oph', null, 17.9838, -9.774, 3.34, 0.99],
+  ['gam Oph', null, 17.7983, 2.707, 3.75, 0.04],
+  ['lam Oph', 'Marfik', 16.5153, 1.984, 3.82, 0.01],
+
+  // Orion
+  ['bet Ori', 'Rigel', 5.2423, -8.202, 0.13, -0.03],
+  ['alf Ori', 'Betelgeuse', 5.9195, 7.407, 0.50, 1.85],
+  ['gam Ori', 'Bellatrix', 5.4189, 6.350, 1.64, -0.22],
+  ['eps Ori', 'Alnilam', 5.6036, -1.202, 1.69, -0.18],
+  ['zet Ori', 'Alnitak', 5.6793, -1.943, 1.74, -0.21],
+  ['kap Ori', 'Saiph', 5.7959, -9.670, 2.07, -0.17],
+  ['del Ori', 'Mintaka', 5.5334, -0.299, 2.23, -0.22],
+  ['iot Ori', 'Hatysa', 5.5906, -5.910, 2.77, -0.24],
+  ['pi3 Ori', 'Tabit', 4.8306, 6.961, 3.19, 0.45],
+  ['eta Ori', null, 5.4076, -2.397, 3.36, -0.17],
+  ['lam Ori', 'Meissa', 5.5856, 9.934, 3.54, -0.16],
+  ['tau Ori', null, 5.2935, -6.845, 3.60, -0.11],
+  ['pi4 Ori', null, 4.8536, 5.605, 3.69, -0.17],
+  ['pi5 Ori', null, 4.9042, 2.441, 3.72, -0.18],
+  ['omi2 Ori', null, 4.9396, 13.515, 4.07, 1.15],
+  ['mu Ori', null, 6.0396, 9.648, 4.12, 0.16],
+  ['pi2 Ori', null, 4.8432, 8.900, 4.36, 0.01],
+  ['chi1 Ori', null, 5.9066, 20.277, 4.41, 0.59],
+  ['nu Ori', null, 6.1262, 14.768, 4.42, -0.17],
+  ['xi Ori', null, 6.1970, 14.209, 4.48, -0.18],
+  ['chi2 Ori', null, 6.0654, 20.138, 4.63, 0.28],
+
+  // Pavo
+  ['alf Pav', 'Peacock', 20.4275, -56.735, 1.94, -0.20],
+  ['bet Pav', null, 20.7490, -66.203, 3.42, 0.16],
+  ['del Pav', null, 20.1452, -66.182, 3.56, 0.76],
+  ['eta Pav', null, 17.7622, -64.724, 3.62, 1.19],
+  ['eps Pav', null, 20.0098, -72.910, 3.96, -0.03],
+
+  // Pegasus
+  ['eps Peg', 'Enif', 21.7364, 9.875, 2.39, 1.53],
+  ['bet Peg', 'Scheat', 23.0629, 28.083, 2.42, 1.67],
+  ['alf Peg', 'Markab', 23.0793, 15.205, 2.49, -0.04],
+  ['gam Peg', 'Algenib', 0.2206, 15.184, 2.83, -0.23],
+  ['eta Peg', 'Matar', 22.7167, 30.221, 2.94, 0.86],
+  ['zet Peg', 'Homam', 22.6910, 10.831, 3.40, -0.09],
+  ['mu Peg', 'Sadalbari', 22.8333, 24.602, 3.48, 0.93],
+  ['tet Peg', 'Biham', 22.1700, 6.198, 3.53, 0.08],
+  ['iot Peg', null, 22.1167, 25.345, 3.76, 0.44],
+  ['lam Peg', null, 22.7755, 23.566, 3.95, 1.07],
+  ['kap Peg', null, 21.7441, 25.645, 4.13, 0.43],
+
+  // Perseus
+  ['alf Per', 'Mirfak', 3.4054, 49.861, 1.79, 0.48],
+  ['bet Per', 'Algol', 3.1361, 40.956, 2.12, -0.05],
+  ['zet Per', null, 3.9022, 31.884, 2.85, 0.12],
+  ['eps Per', null, 3.9642, 40.010, 2.89, -0.18],
+  ['gam Per', null, 3.0799, 53.506, 2.93, 0.70],
+  ['del Per', null, 3.7154, 47.788, 3.01, -0.13],
+  ['rho Per', 'Gorgonea Tertia', 3.0865, 38.840, 3.39, 1.65],
+  ['eta Per', 'Miram', 2.8450, 55.896, 3.76, 1.68],
+  ['nu Per', null, 3.7530, 42.579, 3.77, 0.42],
+  ['kap Per', null, 3.1580, 44.857, 3.80, 0.98],
+  ['omi Per', 'Atik', 3.7384, 32.288, 3.83, 0.05],
+  ['tau Per', null, 2.9043, 52.763, 3.95, 0.74],
+  ['xi Per', 'Menkib', 3.9829, 35.791, 4.04, 0.01],
+  ['iot Per', null, 3.1512, 49.613, 4.05, 0.59],
+
+  // Phoenix
+  ['alf Phe', 'Ankaa', 0.4381, -42.306, 2.40, 1.09],
+  ['bet Phe', null, 1.1015, -46.719, 3.31, 0.89],
+  ['gam Phe', null, 1.4729, -43.318, 3.41, 1.57],
+  ['eps Phe', null, 0.1570, -45.747, 3.88, 1.03],
+  ['zet Phe', null, 1.1397, -55.246, 3.94, -0.08],
+  ['kap Phe', null, 0.4368, -43.680, 3.94, 0.17],
+  ['del Phe', null, 1.5209, -49.073, 3.95, 0.99],
+
+  // Pictor
+  ['alf Pic', null, 6.8032, -61.941, 3.27, 0.21],
+  ['bet Pic', null, 5.7881, -51.066, 3.85, 0.17],
+  ['gam Pic', null, 5.8305, -56.167, 4.50, 1.07],
+
+  // Pisces
+  ['eta Psc', 'Alpherg', 1.5248, 15.346, 3.62, 0.97],
+  ['gam Psc', null, 23.2860, 3.282, 3.69, 0.92],
+  ['alf Psc', 'Alrescha', 2.0340, 2.764, 3.82, 0.03],
+  ['ome Psc', null, 23.9885, 6.863, 4.01, 0.42],
+  ['iot Psc', null, 23.6658, 5.626, 4.13, 0.51],
+  ['omi Psc', 'Torcular', 1.7565, 9.158, 4.26, 0.94],
+  ['eps Psc', null, 1.0491, 7.890, 4.28, 0.96],
+  ['tet Psc', null, 23.4658, 6.379, 4.28, 1.07],
+  ['del Psc', null, 0.8114, 7.585, 4.43, 1.50],
+  ['nu Psc', null, 1.6905, 5.488, 4.44, 1.36],
+  ['lam Psc', null, 23.7008, 1.780, 4.50, 0.20],
+  ['phi Psc', null, 1.2291, 24.584, 4.65, 1.04],
+
+  // Piscis Austrinus
+  ['alf PsA', 'Fomalhaut', 22.9608, -29.622, 1.16, 0.09],
+  ['eps PsA', null, 22.6778, -27.044, 4.17, -0.11],
+  ['del PsA', null, 22.9325, -32.540, 4.21, 0.97],
+  ['bet PsA', null, 22.5252, -32.346, 4.29, 0.06],
+  ['iot PsA', null, 21.7490, -33.026, 4.34, -0.05],
+  ['gam PsA', null, 22.8755, -32.875, 4.46, -0.04],
+  ['mu PsA', null, 22.1398, -32.989, 4.50, 0.05],
+
+  // Puppis
+  ['zet Pup', 'Naos', 8.0597, -40.003, 2.25, -0.27],
+  ['pi Pup', null, 7.2857, -37.097, 2.70, 1.62],
+  ['rho Pup', 'Tureis', 8.1257, -24.304, 2.81, 0.43],
+  ['tau Pup', null, 6.8323, -50.615, 2.93, 1.20],
+  ['nu Pup', null, 6.6294, -43.196, 3.17, -0.11],
+  ['sig Pup', null, 7.4873, -43.301, 3.25, 1.51],
+  ['xi Pup', 'Azmidi', 7.8215, -24.860, 3.34, 1.24],
+
+  // Pyxis
+  ['alf Pyx', null, 8.7265, -33.186, 3.68, -0.18],
+  ['bet Pyx', null, 8.6684, -35.308, 3.97, 0.94],
+  ['gam Pyx', null, 8.8422, -27.710, 4.02, 1.27],
+
+  // Reticulum
+  ['alf Ret', null, 4.2404, -62.474, 3.35, 0.91],
+  ['bet Ret', null, 3.7367, -64.807, 3.84, 1.13],
+  ['eps Ret', null, 4.2747, -59.302, 4.44, 1.08],
+  ['del Ret', null, 3.9791, -61.400, 4.56, 1.59],
+
+  // Sagitta
+  ['gam Sge', null, 19.9793, 19.492, 3.47, 1.57],
+  ['del Sge', null, 19.7898, 18.534, 3.82, 1.41],
+  ['alf Sge', 'Sham', 19.6684, 18.014, 4.37, 0.78],
+  ['bet Sge', null, 19.6841, 17.476, 4.37, 1.05],
+
+  // Sagittarius
+  ['eps Sgr', 'Kaus Australis', 18.4029, -34.385, 1.85, -0.03],
+  ['sig Sgr', 'Nunki', 18.9211, -26.297, 2.02, -0.13],
+  ['zet Sgr', 'Ascella', 19.0435, -29.880, 2.60, 0.08],
+  ['del Sgr', 'Kaus Media', 18.3499, -29.828, 2.70, 1.38],
+  ['lam Sgr', 'Kaus Borealis', 18.4662, -25.422, 2.81, 1.04],
+  ['pi Sgr', 'Albaldah', 19.1627, -21.024, 2.89, 0.35],
+  ['gam2 Sgr', 'Alnasl', 18.0968, -30.424, 2.99, 1.00],
+  ['eta Sgr', null, 18.2938, -36.762, 3.11, 1.56],
+  ['phi Sgr', null, 18.7609, -26.991, 3.17, -0.11],
+  ['tau Sgr', null, 19.1157, -27.671, 3.32, 1.19],
+  ['xi2 Sgr', null, 18.9620, -21.107, 3.51, 1.18],
+  ['omi Sgr', null, 19.0780, -21.742, 3.77, 1.01],
+  ['mu Sgr', 'Polis', 18.2293, -21.059, 3.86, 0.23],
+  ['alf Sgr', 'Rukbat', 19.3981, -40.616, 3.97, -0.10],
+  ['bet1 Sgr', 'Arkab Prior', 19.3773, -44.459, 4.01, -0.10],
+
+  // Scorpius
+  ['alf Sco', 'Antares', 16.4901, -26.432, 1.06, 1.83],
+  ['lam Sco', 'Shaula', 17.5601, -37.104, 1.62, -0.22],
+  ['tet Sco', 'Sargas', 17.6220, -42.998, 1.86, 0.40],
+  ['eps Sco', 'Larawag', 16.8361, -34.293, 2.29, 1.15],
+  ['del Sco', 'Dschubba', 16.0056, -22.622, 2.32, -0.12],
+  ['kap Sco', null, 17.7081, -39.030, 2.41, -0.22],
+  ['bet1 Sco', 'Acrab', 16.0906, -19.805, 2.62, -0.07],
+  ['ups Sco', 'Lesath', 17.5127, -37.296, 2.69, -0.22],
+  ['tau Sco', 'Paikauhale', 16.5980, -28.216, 2.82, -0.25],
+  ['sig Sco', 'Alniyat', 16.3531, -25.593, 2.89, 0.13],
+  ['pi Sco', 'Fang', 15.9809, -26.114, 2.89, -0.19],
+  ['iot1 Sco', null, 17.7930, -40.127, 3.03, 0.51],
+  ['mu1 Sco', 'Xamidimura', 16.8645, -38.047, 3.08, -0.20],
+  ['G Sco', 'Fuyue', 17.8309, -37.043, 3.21, 1.17],
+  ['eta Sco', null, 17.2025, -43.239, 3.33, 0.41],
+  ['zet2 Sco', null, 16.9097, -42.362, 3.62, 1.37],
+  ['rho Sco', null, 15.9487, -29.214, 3.88, -0.20],
+
+  // Sculptor
+  ['alf Scl', null, 0.9768, -29.357, 4.30, -0.15],
+  ['bet Scl', null, 23.5495, -37.818, 4.38, -0.10],
+  ['gam Scl', null, 23.3137, -32.532, 4.41, 1.11],
+  ['del Scl', null, 23.8154, -28.130, 4.59, 0.00],
+
+  // Scutum
+  ['alf Sct', null, 18.5868, -8.244, 3.85, 1.32],
+  ['bet Sct', null, 18.7862, -4.748, 4.22, 1.09],
+  ['gam Sct', null, 18.4866, -14.566, 4.67, 0.08],
+  ['del Sct', null, 18.7046, -9.053, 4.70, 0.36],
+
+  // Serpens
+  ['alf Ser', 'Unukalhai', 15.7378, 6.426, 2.65, 1.17],
+  ['eta Ser', null, 18.3551, -2.899, 3.26, 0.94],
+  ['mu Ser', null, 15.8275, -3.430, 3.53, -0.04],
+  ['xi Ser', null, 17.6264, -15.398, 3.54, 0.26],
+  ['bet Ser', null, 15.7698, 15.422, 3.67, 0.06],
+  ['eps Ser', null, 15.8466, 4.478, 3.71, 0.15],
+  ['del Ser', null, 15.5800, 10.539, 3.80, 0.26],
+  ['gam Ser', null, 15.9409, 15.661, 3.85, 0.48],
+  ['kap Ser', null, 15.8124, 18.142, 4.09, 1.62],
+  ['omi Ser', null, 17.6906, -12.875, 4.26, 0.08],
+  ['nu Ser', null, 17.3476, -12.847, 4.33, 0.03],
+  ['tet1 Ser', 'Alya', 18.9370, 4.204, 4.62, 0.17],
+
+  // Sextans
+  ['alf Sex', null, 10.1323, -0.372, 4.48, -0.03],
+  ['gam Sex', null, 9.8751, -8.105, 5.07, 0.04],
+  ['bet Sex', null, 10.5049, -0.637, 5.08, -0.14],
+  ['del Sex', null, 10.4913, -2.739, 5.19, -0.05],
+
+  // Taurus
+  ['alf Tau', 'Aldebaran', 4.5987, 16.509, 0.85, 1.54],
+  ['bet Tau', 'Elnath', 5.4382, 28.608, 1.65, -0.13],
+  ['eta Tau', 'Alcyone', 3.7914, 24.105, 2.87, -0.09],
+  ['zet Tau', 'Tianguan', 5.6274, 21.143, 3.00, -0.19],
+  ['tet2 Tau', 'Chamukuy', 4.4776, 15.871, 3.40, 0.18],
+  ['lam Tau', null, 4.0117, 12.490, 3.47, -0.12],
+  ['eps Tau', 'Ain', 4.4769, 19.180, 3.53, 1.01],
+  ['omi Tau', null, 3.4135, 9.029, 3.60, 0.89],
+  ['27 Tau', 'Atlas', 3.8193, 24.053, 3.63, -0.08],
+  ['gam Tau', 'Prima Hyadum', 4.3299, 15.628, 3.65, 0.99],
+  ['17 Tau', 'Electra', 3.7479, 24.113, 3.70, -0.11],
+  ['xi Tau', null, 3.4526, 9.733, 3.74, -0.09],
+  ['del1 Tau', 'Secunda Hyadum', 4.3822, 17.543, 3.76, 0.98],
+  ['20 Tau', 'Maia', 3.7638, 24.368, 3.87, -0.07],
+  ['23 Tau', 'Merope', 3.7722, 23.948, 4.18, -0.06],
+  ['tau Tau', null, 4.7041, 22.957, 4.28, -0.13],
+  ['19 Tau', 'Taygeta', 3.7534, 24.467, 4.30, -0.11],
+
+  // Telescopium
+  ['alf Tel', null, 18.4496, -45.968, 3.49, -0.18],
+  ['zet Tel', null, 18.4805, -49.071, 4.10, 0.99],
+  ['eps Tel', null, 18.1872, -45.954, 4.52, 1.01],
+
+  // Triangulum
+  ['bet Tri', null, 2.1591, 34.987, 3.00, 0.14],
+  ['alf Tri', 'Mothallah', 1.8847, 29.579, 3.41, 0.49],
+  ['gam Tri', null, 2.2886, 33.847, 4.01, 0.02],
+
+  // Triangulum Australe
+  ['alf TrA', 'Atria', 16.8111, -69.028, 1.91, 1.44],
+  ['bet TrA', null, 15.9190, -63.430, 2.85, 0.29],
+  ['gam TrA', null, 15.3152, -68.679, 2.89, -0.01],
+
+  // Tucana
+  ['alf Tuc', null, 22.3083, -60.260, 2.86, 1.39],
+  ['gam Tuc', null, 23.2905, -58.236, 3.99, 0.41],
+  ['zet Tuc', null, 0.3345, -64.875, 4.23, 0.58],
+  ['bet1 Tuc', null, 0.5257, -62.958, 4.36, -0.06],
+  ['eps Tuc', null, 23.9986, -65.577, 4.49, -0.07],
+  ['del Tuc', null, 22.4555, -64.966, 4.51, -0.03],
+
+  // Ursa Major
+  ['eps UMa', 'Alioth', 12.9005, 55.960, 1.77, -0.02],
+  ['alf UMa', 'Dubhe', 11.0621, 61.751, 1.79, 1.07],
+  ['eta UMa', 'Alkaid', 13.7923, 49.313, 1.86, -0.19],
+  ['zet UMa', 'Mizar', 13.3988, 54.925, 2.27, 0.02],
+  ['bet UMa', 'Merak', 11.0307, 56.382, 2.37, -0.02],
+  ['gam UMa', 'Phecda', 11.8972, 53.695, 2.44, 0.00],
+  ['psi UMa', null, 11.1611, 44.498, 3.01, 1.14],
+  ['mu UMa', 'Tania Australis', 10.3722, 41.499, 3.05, 1.59],
+  ['iot UMa', 'Talitha', 8.9868, 48.042, 3.14, 0.19],
+  ['tet UMa', null, 9.5474, 51.677, 3.17, 0.46],
+  ['del UMa', 'Megrez', 12.2571, 57.033, 3.31, 0.08],
+  ['omi UMa', 'Muscida', 8.5045, 60.718, 3.36, 0.85],
+  ['lam UMa', 'Tania Borealis', 10.2849, 42.914, 3.45, 0.03],
+  ['nu UMa', 'Alula Borealis', 11.3080, 33.094, 3.48, 1.40],
+  ['kap UMa', 'Alkaphrah', 9.0604, 47.157, 3.60, 0.01],
+  ['23 UMa', null, 9.5256, 63.062, 3.67, 0.33],
+  ['chi UMa', 'Taiyangshou', 11.7675, 47.779, 3.71, 1.18],
+  ['xi UMa', 'Alula Australis', 11.3031, 31.529, 3.79, 0.59],
+  ['ups UMa', null, 9.8491, 59.039, 3.80, 0.28],
+
+  // Ursa Minor
+  ['alf UMi', 'Polaris', 2.5302, 89.264, 1.98, 0.60],
+  ['bet UMi', 'Kochab', 14.8451, 74.155, 2.08, 1.47],
+  ['gam UMi', 'Pherkad', 15.3455, 71.834, 3.05, 0.05],
+  ['eps UMi', null, 16.7662, 82.037, 4.23, 0.89],
+  ['zet UMi', null, 15.7343, 77.795, 4.32, 0.04],
+  ['del UMi', 'Yildun', 17.5369, 86.586, 4.36, 0.02],
+  ['eta UMi', null, 16.2918, 75.755, 4.95, 0.37],
+
+  // Vela
+  ['gam2 Vel', 'Regor', 8.1589, -47.337, 1.83, -0.22],
+  ['del Vel', 'Alsephina', 8.7449, -54.709, 1.96, 0.04],
+  ['lam Vel', 'Suhail', 9.1333, -43.433, 2.21, 1.66],
+  ['kap Vel', 'Markeb', 9.3686, -55.011, 2.47, -0.18],
+  ['mu Vel', null, 10.7795, -49.420, 2.69, 0.90],
+  ['N Vel', null, 9.5184, -57.034, 3.13, 1.54],
+  ['phi Vel', null, 9.9484, -54.568, 3.54, -0.08],
+  ['psi Vel', null, 9.5111, -40.467, 3.60, 0.36],
+
+  // Virgo
+  ['alf Vir', 'Spica', 13.4199, -11.161, 0.98, -0.23],
+  ['gam Vir', 'Porrima', 12.6943, -1.449, 2.74, 0.36],
+  ['eps Vir', 'Vindemiatrix', 13.0363, 10.959, 2.83, 0.94],
+  ['zet Vir', 'Heze', 13.5783, -0.596, 3.37, 0.11],
+  ['del Vir', 'Minelauva', 12.9267, 3.397, 3.38, 1.58],
+  ['bet Vir', 'Zavijava', 11.8449, 1.765, 3.61, 0.55],
+  ['109 Vir', null, 14.7706, 1.893, 3.72, -0.01],
+  ['mu Vir', 'Rijl al Awwa', 14.7177, -5.658, 3.88, 0.38],
+  ['eta Vir', 'Zaniah', 12.3318, -0.667, 3.89, 0.02],
+  ['nu Vir', null, 11.7646, 6.529, 4.03, 1.51],
+  ['iot Vir', 'Syrma', 14.2670, -6.001, 4.08, 0.52],
+  ['kap Vir', null, 14.2149, -10.274, 4.19, 1.33],
+  ['tau Vir', null, 14.0275, 1.544, 4.26, 0.10],
+
+  // Volans
+  ['bet Vol', null, 8.4289, -66.137, 3.77, 1.13],
+  ['del Vol', null, 7.2805, -67.957, 3.97, 0.76],
+  ['alf Vol', null, 9.0408, -66.396, 4.00, 0.14],
+  ['eps Vol', null, 8.1322, -68.617, 4.35, -0.11],
+  ['gam1 Vol', null, 7.1451, -70.497, 5.68, 0.44],
+
+  // Vulpecula
+  ['alf Vul', 'Anser', 19.4784, 24.665, 4.44, 1.50],
+  ['23 Vul', null, 20.2628, 27.814, 4.50, 1.26],
+  ['13 Vul', null, 19.8910, 24.080, 4.57, -0.05],
+  ['15 Vul', null, 20.0183, 27.754, 4.66, 0.18],
+  ['1 Vul', null, 19.2703, 21.390, 4.76, -0.06]
+];
@@ -0,0 +1,194 @@
+/**
+ * AtmosphereMaterial - Single-scattering Rayleigh/Mie shell around a planet
+ * Each fragment marches the view ray through the shell, lighting every sample with sunlight
+ * that has itself been dimmed on the way in. That gives the bright limb, a blue or hazy day
+ * side and reddened light along the terminator, and the planet's shadow falls across the
+ * shell on the night side.
+ */
+
+import * as THREE from 'three';
+
+// Samples along the view ray and along each ray towards the Sun
+const PRIMARY_STEPS = 16;
+const LIGHT_STEPS = 6;
+
+// Sunlight arriving at the planet, matched to the surface lighting (a Sun intensity of π)
+const SUN_IRRADIANCE = Math.PI;
+
+// Mie extinction includes absorption by the aerosols as well as scattering
+const MIE_EXTINCTION_RATIO = 1.1;
+
+// The Sun sits at the scene origin
+const SUN_POSITION = new THREE.Vector3(0, 0, 0);
+
+const cameraPosition = new THREE.Vector3();
+
+const VERTEX_SHADER = /* glsl */ `
+varying vec3 vWorldPosition;
+
+void main() {
+  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  vWorldPosition = worldPosition.xyz;
+  gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
+`;
+
+const FRAGMENT_SHADER = /* glsl */ `
+#define PI 3.141592653589793
+
+uniform vec3 planetCenter;
+uniform float planetRadius;
+uniform float atmosphereRadius;
+uniform vec3 sunPosition;
+uniform vec3 rayleighCoefficients;
+uniform vec3 mieCoefficients;
+uniform float rayleighScaleHeight;
+uniform float mieScaleHeight;
+uniform float mieAnisotropy;
+uniform float intensity;
+
+varying vec3 vWorldPosition;
+
+// Distances to where a ray enters and leaves a sphere about the origin (empty if x > y)
+vec2 intersectSphere(vec3 origin, vec3 direction, float radius) {
+  float b = dot(origin, direction);
+  float c = dot(origin, origin) - radius * radius;
+  float discriminant = b * b - c;
+  if (discriminant < 0.0) return vec2(1.0, -1.0);
+  float root = sqrt(discriminant);
+  return vec2(-b - root, -b + root);
+}
+
+void main() {
+  // Work in planet radii about the planet's centre
+  vec3 origin = (cameraPosition - planetCenter) / planetRadius;
+  vec3 direction = normalize(vWorldPosition - cameraPosition);
+  vec3 sunDirection = normalize(sunPosition - planetCenter);
+
+  vec2 shellHit = intersectSphere(origin, direction, atmosphereRadius);
+  float start = max(shellHit.x, 0.0);
+  float end = shellHit.y;
+
+  // Stop at the ground
+  vec2 groundHit = intersectSphere(origin, direction, 1.0);
+  if (groundHit.x < groundHit.y && groundHit.x > 0.0) {
+    end = min(end, groundHit.x);
+  }
+  if (end <= start) discard;
+
+  float stepLength = (end - start) / float(PRIMARY_STEPS);
+  vec3 rayleighSum = vec3(0.0);
+  vec3 mieSum = vec3(0.0);
+  float rayleighDepth = 0.0;
+  float mieDepth = 0.0;
+
+  for (int i = 0; i < PRIMARY_STEPS; i++) {
+    vec3 samplePoint = origin + direction * (start + stepLength * (float(i) + 0.5));
+    float height = max(length(samplePoint) - 1.0, 0.0);
+    float rayleighDensity = exp(-height / rayleighScaleHeight) * stepLength;
+    float mieDensity = exp(-height / mieScaleHeight) * stepLength;
+    rayleighDepth += rayleighDensity;
+    mieDepth += mieDensity;
+
+    // No sunlight reaches samples in the planet's shadow
+    vec2 shadowHit = intersectSphere(samplePoint, sunDirection, 1.0);
+    if (shadowHit.x < shadowHit.y && shadowHit.x > 0.0) continue;
+
+    float lightStepLength = intersectSphere(samplePoint, sunDirection, atmosphereRadius).y / float(LIGHT_STEPS);
+    float lightRayleighDepth = 0.0;
+    float lightMieDepth = 0.0;
+    for (int j = 0; j < LIGHT_STEPS; j++) {
+      vec3 lightPoint = samplePoint + sunDirection * lightStepLength * (float(j) + 0.5);
+      float lightHeight = max(length(lightPoint) - 1.0, 0.0);
+      lightRayleighDepth += exp(-lightHeight / rayleighScaleHeight) * lightStepLength;
+      lightMieDepth += exp(-lightHeight / mieScaleHeight) * lightStepLength;
+    }
+
+    vec3 attenuation = exp(-(rayleighCoefficients * (rayleighDepth + lightRayleighDepth)
+      + mieCoefficients * ${MIE_EXTINCTION_RATIO.toFixed(2)} * (mieDepth + lightMieDepth)));
+    rayleighSum += rayleighDensity * attenuation;
+    mieSum += mieDensity * attenuation;
+  }
+
+  // Rayleigh and Cornette-Shanks phase functions
+  float mu = dot(direction, sunDirection);
+  float rayleighPhase = 3.0 / (16.0 * PI) * (1.0 + mu * mu);
+  float g2 = mieAnisotropy * mieAnisotropy;
+  float miePhase = 3.0 / (8.0 * PI) * ((1.0 - g2) * (1.0 + mu * mu))
+    / ((2.0 + g2) * pow(1.0 + g2 - 2.0 * mieAnisotropy * mu, 1.5));
+
+  vec3 color = intensity * (rayleighPhase * rayleighCoefficients * rayleighSum + miePhase * mieCoefficients * mieSum);
+
+  // Whatever lies behind is dimmed by the shell's average transmittance
+  vec3 transmittance = exp(-(rayleighCoefficients * rayleighDepth + mieCoefficients * ${MIE_EXTINCTION_RATIO.toFixed(2)} * mieDepth));
+  float opacity = 1.0 - dot(transmittance, vec3(1.0 / 3.0));
+
+  gl_FragColor = vec4(color, opacity);
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Create an atmosphere material from a body's atmosphere configuration
+ * Optical depths are measured at the zenith, so they set the look of the sky regardless of
+ * how thick the shell is drawn.
+ */
+export function createAtmosphereMaterial(config) {
+  const atmosphereRadius = 1 + config.thickness;
+  const rayleighScaleHeight = config.thickness * config.rayleighScaleHeight;
+  const mieScaleHeight = config.thickness * config.mieScaleHeight;
+
+  // A column of density exp(-h / H) holds H of gas, so zenith depth = coefficient * H
+  const rayleighCoefficients = new THREE.Vector3(...config.rayleigh).divideScalar(rayleighScaleHeight);
+  const mieCoefficients = new THREE.Vector3(...config.mie).divideScalar(mieScaleHeight);
+
+  return new THREE.ShaderMaterial({
+    defines: { PRIMARY_STEPS, LIGHT_STEPS },
+    uniforms: {
+      planetCenter: { value: new THREE.Vector3() },
+      planetRadius: { value: 1 },
+      atmosphereRadius: { value: atmosphereRadius },
+      sunPosition: { value: SUN_POSITION.clone() },
+      rayleighCoefficients: { value: rayleighCoefficients },
+      mieCoefficients: { value: mieCoefficients },
+      rayleighScaleHeight: { value: rayleighScaleHeight },
+      mieScaleHeight: { value: mieScaleHeight },
+      mieAnisotropy: { value: config.mieAnisotropy },
+      intensity: { value: SUN_IRRADIANCE }
+    },
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: FRAGMENT_SHADER,
+    transparent: true,
+    depthWrite: false,
+    // Premultiplied: scattered light is added, the background dimmed by the alpha
+    blending: THREE.CustomBlending,
+    blendSrc: THREE.OneFactor,
+    blendDst: THREE.OneMinusSrcAlphaFactor
+  });
+}
+
+/**
+ * Place the shell for the camera about to render it
+ * The front faces are drawn from outside so the planet's disk gets its haze; from inside the
+ * shell only the far side is in front of the camera.
+ */
+export function updateAtmosphereMaterial(atmosphere, planetRadius, camera) {
+  const { uniforms } = atmosphere.material;
+
+  uniforms.planetCenter.value.setFromMatrixPosition(atmosphere.matrixWorld);
+  uniforms.planetRadius.value = planetRadius * atmosphere.matrixWorld.getMaxScaleOnAxis();
+
+  const cameraDistance = camera.getWorldPosition(cameraPosition).distanceTo(uniforms.planetCenter.value);
+  atmosphere.material.side = cameraDistance > uniforms.planetRadius.value * uniforms.atmosphereRadius.value
+    ? THREE.FrontSide
+    : THREE.BackSide;
+}
+
+/**
+ * Scale the scattered light (1 matches the surface lighting)
+ */
+export function setAtmosphereIntensity(material, intensity) {
+  material.uniforms.intensity.value = SUN_IRRADIANCE * intensity;
+}
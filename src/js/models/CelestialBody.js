@@ -4,8 +4,46 @@
 
 import * as THREE from 'three';
 import { TextureGenerator } from '../utils/TextureGenerator.js';
-import { calculateHeliocentricPosition, calculateAstronomicalInfo, calculateVisibilityFromPosition } from '../utils/AstronomicalCalculations.js';
+import { calculateAstronomicalInfo, calculateSatelliteInfo, calculateVisibilityFromPosition, correctForLightTime } from '../utils/AstronomicalCalculations.js';
+import { calculateBodyPosition, calculateSatellitePosition, calculateOrbitalElements, getEphemerisBackend } from '../utils/Ephemeris.js';
+import { getEquatorialFrame, getBodyFrame } from '../utils/ObserverCalculations.js';
+import { getBodyData } from '../data/SolarSystemData.js';
 import { OrbitLine } from './OrbitLine.js';
+import { createSurfaceMaterial, updateSurfaceMaterial, setNightLightIntensity, setRingShadow, disposeSurfaceMaterial } from './SurfaceMaterial.js';
+import { createAtmosphereMaterial, updateAtmosphereMaterial, setAtmosphereIntensity } from './AtmosphereMaterial.js';
+import { createRingProfileTexture, createRingMaterial, updateRingMaterial } from './RingMaterial.js';
+import { PlanetSurface } from './PlanetSurface.js';
+import { SunRenderer } from './SunRenderer.js';
+import { createProceduralTerrain, loadHeightmapTerrain, createTerrainNormalMap } from '../utils/TerrainGenerator.js';
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+// Sphere and terrain geometry put east longitude along -Z, but the scene mirrors the ecliptic
+// frame, so meshes flip Z to keep their maps the right way round against body-fixed axes
+const MESH_HANDEDNESS = new THREE.Vector3(1, 1, -1);
+const bodyFrameBasis = new THREE.Matrix4();
+
+// Tiled surfaces replace the sphere while the camera is within this many radii of the centre
+const SURFACE_DETAIL_DISTANCE = 6;
+const bodyWorldPosition = new THREE.Vector3();
+const cameraLocalPosition = new THREE.Vector3();
+
+// Comet tails (lengths in AU, scaled to scene units per mode)
+const COMET_TAIL_MAX_DISTANCE = 5; // AU - beyond this the nucleus is inactive
+const COMET_ION_TAIL_LENGTH = 0.2; // AU at 1 AU from the Sun
+const COMET_DUST_TAIL_LENGTH = 0.12; // AU at 1 AU from the Sun
+
+const MILLISECONDS_PER_DAY = 86400000;
+
+// Planet orbit lines are redrawn from the ephemeris once the date has moved a period, or
+// this many days if sooner (heliocentric elements wander as the Sun is pulled around)
+const ORBIT_LINE_REFRESH_DAYS = 365.25;
+
+// Night lights are brightened with the rest of the artistic mode's glow
+const NIGHT_LIGHT_INTENSITY = { realistic: 1.0, exploration: 1.0, artistic: 1.5 };
+
+// Scattered light is exaggerated outside realistic mode so thin atmospheres still show
+const ATMOSPHERE_INTENSITY = { realistic: 1.0, exploration: 1.5, artistic: 2.5 };
 
 export class CelestialBody {
   constructor(name, config) {
@@ -15,9 +53,18 @@ export class CelestialBody {
     // 3D objects
     this.mesh = null;
     this.group = new THREE.Group();
-    this.rings = null; // For Saturn
+    this.rings = null; // For ringed planets
     this.atmosphere = null; // For planets with atmospheres
+    this.atmosphereConfig = config.atmosphere || null; // Scattering parameters
+    this.surface = null; // Tiled surface for close approaches
+    this.surfaceConfig = config.surface || null;
+    this.surfaceOptions = null; // Material options shared with surface tiles
+    this.terrain = null; // Relief for rocky bodies (heights in km)
+    this.terrainConfig = config.terrain || null;
     this.orbitLine = null; // Orbital path visualization
+    this.orbitLineDate = null; // Time (ms) and backend the orbit line was drawn for
+    this.orbitLineBackend = null;
+    this.sunRenderer = null; // Photosphere shader, corona and lens flare for the Sun
 
     // Physical properties (scaled for visualization)
     this.radius = config.radius || 1;
@@ -34,18 +81,40 @@ export class CelestialBody {
 
     // Store original astronomical data for accurate calculations
     this.originalData = {
-      semiMajorAxis: config.semiMajorAxis || 0, // AU for planets, km for moons
+      name: name,
+      semiMajorAxis: config.originalSemiMajorAxis ?? (config.semiMajorAxis || 0), // AU for planets, km for moons
       eccentricity: config.eccentricity || 0,
       inclination: config.inclination || 0,
       orbitalPeriod: config.orbitalPeriod || 365,
       longitudeOfAscendingNode: config.longitudeOfAscendingNode || 0,
       longitudeOfPerihelion: config.longitudeOfPerihelion || 0,
-      meanLongitude: config.meanLongitude || 0
+      meanLongitude: config.meanLongitude || 0,
+      absoluteMagnitude: config.absoluteMagnitude ?? null,
+      slopeParameter: config.slopeParameter ?? null,
+      northPole: config.northPole || null,
+      referencePlane: config.referencePlane || null
     };
 
     // Current position from astronomical calculations
     this.currentPosition = config.currentPosition || { x: 0, y: 0, z: 0 };
 
+    // Simulated date driving orbital calculations (null = real current time)
+    this.currentDate = null;
+
+    // Light travel time to the camera (days); the body is drawn this far in the past
+    this.lightTime = 0;
+
+    // Parent body for moons (orbital elements are relative to the parent)
+    this.parentName = config.parent || null;
+    this.parentBody = null;
+
+    // Body classification ('star', 'planet', 'dwarf-planet', 'asteroid', 'comet', 'moon')
+    this.type = config.type || (this.parentName ? 'moon' : 'planet');
+
+    // Rotation from the plane a moon's elements are referred to (its parent's equator for
+    // most moons) into the scene; null for orbits referred to the ecliptic
+    this.referenceFrame = null;
+
     // Visual properties
     this.color = config.color || 0xffffff;
     this.emissive = config.emissive || 0x000000;
@@ -63,11 +132,11 @@ export class CelestialBody {
       normal: config.textures?.normal || null,
       specular: config.textures?.specular || null,
       bump: config.textures?.bump || null,
-      displacement: config.textures?.displacement || null
+      displacement: config.textures?.displacement || null,
+      night: config.textures?.night || null
     };
     
     // Animation state
-    this.currentRotation = 0;
     this.currentOrbitalAngle = 0;
     
     // Modes
@@ -88,34 +157,74 @@ export class CelestialBody {
   /**
    * Create the 3D representation of the celestial body
    */
-  async create() {
+  async create(date = null) {
     // Create geometry based on body type
     const segments = this.getGeometrySegments();
     const geometry = new THREE.SphereGeometry(this.radius, segments, segments);
+
+    // Relief shades the sphere through a normal map and displaces the close-up surface
+    if (this.terrainConfig) {
+      this.terrain = await this.createTerrain();
+    }
     
     // Create material
     const material = await this.createMaterial();
     
     // Create mesh
     this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.castShadow = true;
-    this.mesh.receiveShadow = true;
+
+    // The Sun holds the light, so it must not shadow everything else
+    this.mesh.castShadow = this.name !== 'sun';
+    this.mesh.receiveShadow = this.name !== 'sun';
+
+    // Surfaces need the Sun's direction in the view of whichever camera renders them
+    if (this.name !== 'sun') {
+      this.mesh.onBeforeRender = (renderer, scene, camera) => updateSurfaceMaterial(this.mesh.material, camera);
+    }
+
+    // The Sun's corona and lens flare
+    if (this.sunRenderer) {
+      this.group.add(this.sunRenderer.group);
+    }
     
-    // Set axial tilt
-    this.mesh.rotation.z = THREE.MathUtils.degToRad(this.axialTilt);
+    this.mesh.scale.copy(MESH_HANDEDNESS);
+    this.referenceFrame = this.getReferenceFrame(date);
     
     // Add to group
     this.group.add(this.mesh);
     
     // Create special features
     await this.createSpecialFeatures();
+
+    // Detailed surface for close approaches
+    if (this.surfaceConfig) {
+      this.createSurface();
+    }
     
-    // Set initial position using current astronomical data
-    this.updateOrbitalPosition(0);
+    // Set initial position using astronomical data for the simulated date
+    this.updateOrbitalPosition(date);
     
     console.log(`✅ Created celestial body: ${this.name}`);
   }
 
+  /**
+   * Rotation taking orbit coordinates in the parent's equatorial frame (laid out as scene
+   * axes, with Y and Z swapped) into the scene, for moons referred to their parent's equator
+   */
+  getReferenceFrame(date = null) {
+    if (!this.isMoon() || this.originalData.referencePlane !== 'equator') {
+      return null;
+    }
+
+    const { node, ninetyDegrees, pole } = getEquatorialFrame(this.parentName, date);
+    const basis = new THREE.Matrix4().makeBasis(
+      new THREE.Vector3(node.x, node.z, node.y),
+      new THREE.Vector3(pole.x, pole.z, pole.y),
+      new THREE.Vector3(ninetyDegrees.x, ninetyDegrees.z, ninetyDegrees.y)
+    );
+    return new THREE.Quaternion().setFromRotationMatrix(basis);
+  }
+
   /**
    * Get geometry segments based on importance and distance
    */
@@ -125,13 +234,21 @@ export class CelestialBody {
     if (this.name === 'earth') return 64;
     if (['jupiter', 'saturn'].includes(this.name)) return 48;
     if (['mars', 'venus', 'mercury'].includes(this.name)) return 32;
+    if (['comet', 'asteroid'].includes(this.type)) return 16; // Small nuclei
     return 24; // For moons and distant planets
   }
 
   /**
    * Create material based on textures and properties
+   * Planets and moons are lit by the Sun; the Sun itself is unlit
    */
   async createMaterial() {
+    // The Sun's surface is animated in a shader rather than textured
+    if (this.name === 'sun') {
+      this.sunRenderer = new SunRenderer(this.radius);
+      return this.sunRenderer.material;
+    }
+
     const materialConfig = {
       color: 0xffffff, // Use white to avoid tinting textures
       emissive: this.emissive,
@@ -154,18 +271,17 @@ export class CelestialBody {
       } catch (error) {
         console.error(`❌ Failed to load diffuse texture for ${this.name}:`, error);
         console.log(`🔄 Falling back to procedural texture for ${this.name}`);
-        materialConfig.map = TextureGenerator.createPlanetTexture(this.name);
-        // Use original color for fallback
-        materialConfig.color = this.color;
+        materialConfig.map = await TextureGenerator.createPlanetTexture(this.name);
       }
     } else {
-      // Use procedural texture as default
+      // Use procedural texture as default (already coloured for the body)
       console.log(`📝 No diffuse texture configured for ${this.name}, using procedural`);
-      materialConfig.map = TextureGenerator.createPlanetTexture(this.name);
-      // Use original color for procedural texture
-      materialConfig.color = this.color;
+      materialConfig.map = await TextureGenerator.createPlanetTexture(this.name);
     }
 
+    // Colour maps are stored in sRGB; normal, bump and ocean masks are linear data
+    materialConfig.map.colorSpace = THREE.SRGBColorSpace;
+
     if (this.textures.normal) {
       try {
         const textureLoader = new THREE.TextureLoader();
@@ -173,10 +289,14 @@ export class CelestialBody {
         console.log(`✅ Loaded normal map for ${this.name}: ${this.textures.normal}`);
       } catch (error) {
         console.warn(`Failed to load normal texture for ${this.name}:`, error);
-        materialConfig.normalMap = TextureGenerator.createNormalMap();
       }
     }
 
+    if (!materialConfig.normalMap && this.terrain) {
+      materialConfig.normalMap = createTerrainNormalMap(this.terrain, getBodyData(this.name).radius);
+      console.log(`🏔️ Generated terrain normal map for ${this.name}`);
+    }
+
     if (this.textures.bump) {
       try {
         const textureLoader = new THREE.TextureLoader();
@@ -187,14 +307,110 @@ export class CelestialBody {
       }
     }
 
-    // Use appropriate material type based on celestial body
-    if (this.name === 'sun') {
-      // Sun should emit light, use basic material
-      return new THREE.MeshBasicMaterial(materialConfig);
+    // Specular maps mark water, which is drawn glossy
+    if (this.textures.specular) {
+      try {
+        const textureLoader = new THREE.TextureLoader();
+        materialConfig.oceanMap = await this.loadTexture(textureLoader, this.textures.specular);
+        console.log(`✅ Loaded ocean mask for ${this.name}: ${this.textures.specular}`);
+      } catch (error) {
+        console.warn(`Failed to load specular texture for ${this.name}:`, error);
+      }
+    }
+
+    // City lights glow on the night side
+    if (this.textures.night) {
+      try {
+        const textureLoader = new THREE.TextureLoader();
+        materialConfig.nightMap = await this.loadTexture(textureLoader, this.textures.night);
+        materialConfig.nightMap.colorSpace = THREE.SRGBColorSpace;
+        console.log(`✅ Loaded night lights for ${this.name}: ${this.textures.night}`);
+      } catch (error) {
+        console.warn(`Failed to load night texture for ${this.name}:`, error);
+      }
+    }
+
+    this.surfaceOptions = materialConfig;
+    return createSurfaceMaterial(materialConfig);
+  }
+
+  /**
+   * Build the body's terrain from its heightmap, or procedurally if it has none or it fails
+   */
+  async createTerrain() {
+    const radiusKm = getBodyData(this.name).radius;
+    const { heightmap, minHeight = 0, maxHeight = 0 } = this.terrainConfig;
+
+    if (heightmap) {
+      try {
+        const terrain = await loadHeightmapTerrain(heightmap, minHeight, maxHeight);
+        console.log(`✅ Loaded heightmap for ${this.name}: ${heightmap}`);
+        return terrain;
+      } catch (error) {
+        console.warn(`Failed to load heightmap for ${this.name}, using procedural terrain:`, error);
+      }
+    }
+
+    const terrain = createProceduralTerrain(this.name, this.terrainConfig, radiusKm);
+    console.log(`🏔️ Generated procedural terrain for ${this.name} with ${terrain.craterCount} craters`);
+    return terrain;
+  }
+
+  /**
+   * Create the quadtree surface, drawn in place of the sphere when the camera is close
+   * It is a child of the mesh so it turns and scales with it.
+   */
+  createSurface() {
+    const unitsPerKm = this.radius / getBodyData(this.name).radius;
+
+    this.surface = new PlanetSurface(this.radius, texture => this.createTileMaterial(texture), {
+      maxLevel: this.surfaceConfig.maxLevel,
+      tiles: this.surfaceConfig.tiles,
+      heightAt: this.terrain
+        ? direction => this.terrain.heightAt(direction.x, direction.y, direction.z) * unitsPerKm
+        : null,
+      onBeforeRender: (mesh, camera) => updateSurfaceMaterial(mesh.material, camera)
+    });
+    this.mesh.add(this.surface.group);
+  }
+
+  /**
+   * Material for surface tiles: the body's own maps, with a streamed image tile if given
+   */
+  createTileMaterial(texture) {
+    const material = createSurfaceMaterial({
+      ...this.surfaceOptions,
+      ...(texture ? { map: texture, color: 0xffffff } : {}),
+      // Displaced tiles are shaded by their own geometry
+      ...(this.terrain ? { normalMap: null } : {})
+    });
+
+    // Match the sphere's current mode settings
+    material.emissiveIntensity = this.mesh.material.emissiveIntensity;
+    setNightLightIntensity(material, this.mesh.material.userData.nightIntensity.value);
+    if (this.rings) {
+      setRingShadow(material, this.rings, this.rings.material.uniforms.ringProfile.value);
+    }
+
+    return material;
+  }
+
+  /**
+   * Swap between the sphere and the tiled surface for the camera's distance, refining tiles
+   */
+  updateSurfaceDetail(camera) {
+    if (!this.surface) return;
+
+    this.mesh.getWorldPosition(bodyWorldPosition);
+    const worldRadius = this.radius * this.mesh.matrixWorld.getMaxScaleOnAxis();
+
+    if (camera.position.distanceTo(bodyWorldPosition) < SURFACE_DETAIL_DISTANCE * worldRadius) {
+      this.surface.group.updateWorldMatrix(true, false);
+      this.surface.update(this.surface.group.worldToLocal(camera.getWorldPosition(cameraLocalPosition)));
+      this.mesh.material.visible = false;
     } else {
-      // Temporarily use MeshBasicMaterial for debugging texture loading
-      console.log(`🔧 Using MeshBasicMaterial for ${this.name} (debugging)`);
-      return new THREE.MeshBasicMaterial(materialConfig);
+      this.surface.deactivate();
+      this.mesh.material.visible = true;
     }
   }
 
@@ -220,9 +436,6 @@ export class CelestialBody {
           // Generate mipmaps for better performance
           texture.generateMipmaps = true;
 
-          // Flip Y coordinate for proper texture mapping
-          texture.flipY = false;
-
           resolve(texture);
         },
         undefined,
@@ -235,99 +448,133 @@ export class CelestialBody {
    * Create special features like rings, atmospheres, etc.
    */
   async createSpecialFeatures() {
-    // Saturn's rings
-    if (this.name === 'saturn') {
-      await this.createRings();
+    // Ring systems of the giant planets
+    if (this.config.rings) {
+      this.createRings();
     }
 
-    // Atmospheric glow for gas giants and Earth
-    if (['earth', 'jupiter', 'saturn', 'uranus', 'neptune'].includes(this.name)) {
+    // Scattering atmosphere for bodies that have one
+    if (this.atmosphereConfig) {
       this.createAtmosphere();
     }
 
+    // Comet dust and ion tails
+    if (this.type === 'comet') {
+      this.createCometTail();
+    }
+
     // Create orbit line for all bodies except the Sun
     this.createOrbitLine();
   }
 
   /**
-   * Create Saturn's ring system
+   * Create comet dust and ion tails (oriented away from the Sun in updateCometTail)
    */
-  async createRings() {
-    const ringConfig = this.config.rings || {};
-    const innerRadius = this.radius * (ringConfig.innerRadius || 1.2);
-    const outerRadius = this.radius * (ringConfig.outerRadius || 2.2);
+  createCometTail() {
+    this.cometTail = new THREE.Group();
+    this.cometTail.add(this.createTailCone(0x99bbff, 0.5, COMET_ION_TAIL_LENGTH, 0.04));
+    this.cometTail.add(this.createTailCone(0xfff4dd, 0.35, COMET_DUST_TAIL_LENGTH, 0.12));
+    this.group.add(this.cometTail);
+  }
 
-    const ringGeometry = new THREE.RingGeometry(
-      innerRadius,
-      outerRadius,
-      64 // Segments
-    );
+  /**
+   * Create a single tail cone with its apex at the nucleus, fading towards the end
+   */
+  createTailCone(color, opacity, lengthAU, widthRatio) {
+    const geometry = new THREE.ConeGeometry(1, 1, 24, 8, true);
+    geometry.translate(0, -0.5, 0);
+    geometry.rotateX(Math.PI); // Apex at the origin, extending along +Y
+
+    // Fade from the bright head to the dark tip (additive blending makes black transparent)
+    const positions = geometry.attributes.position;
+    const colors = new Float32Array(positions.count * 3);
+    const tint = new THREE.Color(color);
+    for (let i = 0; i < positions.count; i++) {
+      const fade = Math.pow(1 - positions.getY(i), 2);
+      colors[i * 3] = tint.r * fade;
+      colors[i * 3 + 1] = tint.g * fade;
+      colors[i * 3 + 2] = tint.b * fade;
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
 
-    let ringMaterial;
+    const material = new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      opacity: opacity,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
 
-    if (ringConfig.texture) {
-      try {
-        const textureLoader = new THREE.TextureLoader();
-        const ringTexture = await this.loadTexture(textureLoader, ringConfig.texture);
+    const cone = new THREE.Mesh(geometry, material);
+    cone.userData = { lengthAU, widthRatio };
+    return cone;
+  }
 
-        ringMaterial = new THREE.MeshBasicMaterial({
-          map: ringTexture,
-          side: THREE.DoubleSide,
-          transparent: true,
-          opacity: 0.8
-        });
-      } catch (error) {
-        console.warn(`Failed to load ring texture for ${this.name}:`, error);
-        ringMaterial = new THREE.MeshBasicMaterial({
-          color: 0xaaaaaa,
-          side: THREE.DoubleSide,
-          transparent: true,
-          opacity: 0.8
-        });
-      }
-    } else {
-      ringMaterial = new THREE.MeshBasicMaterial({
-        color: 0xaaaaaa,
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 0.8
-      });
-    }
+  /**
+   * Point the comet tails away from the Sun and scale them with solar distance
+   */
+  updateCometTail() {
+    if (!this.cometTail || !this.currentAstronomicalPosition) return;
+
+    const distanceAU = this.currentAstronomicalPosition.distance;
+    this.cometTail.visible = distanceAU < COMET_TAIL_MAX_DISTANCE;
+    if (!this.cometTail.visible) return;
+
+    // Outgassing falls off roughly with the inverse square of solar distance
+    const activity = Math.min(1, 1 / (distanceAU * distanceAU));
+    const unitsPerAU = this.semiMajorAxis / this.originalData.semiMajorAxis;
+
+    this.cometTail.children.forEach(cone => {
+      const length = cone.userData.lengthAU * activity * unitsPerAU;
+      const width = Math.max(this.radius * 2, length * cone.userData.widthRatio);
+      cone.scale.set(width, length, width);
+    });
 
-    this.rings = new THREE.Mesh(ringGeometry, ringMaterial);
-    this.rings.rotation.x = Math.PI / 2; // Rotate to horizontal
-    this.group.add(this.rings);
+    // The Sun sits at the scene origin, so the anti-solar direction is the body's position
+    const antiSolar = this.group.position.clone().normalize();
+    this.cometTail.quaternion.setFromUnitVectors(Y_AXIS, antiSolar);
   }
 
   /**
-   * Create atmospheric glow effect
+   * Create the ring system from its radial profile
+   * The rings are a child of the mesh, in its equatorial (XZ) plane, so they share its pole
+   * and visibility scaling; spinning with it does not change their look.
    */
-  createAtmosphere() {
-    const atmosphereGeometry = new THREE.SphereGeometry(this.radius * 1.05, 32, 32);
-    const atmosphereMaterial = new THREE.MeshBasicMaterial({
-      color: this.getAtmosphereColor(),
-      transparent: true,
-      opacity: 0.1,
-      side: THREE.BackSide
-    });
-    
-    this.atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
-    this.group.add(this.atmosphere);
+  createRings() {
+    const { bands } = this.config.rings;
+    const innerKm = Math.min(...bands.map(band => band.inner));
+    const outerKm = Math.max(...bands.map(band => band.outer));
+
+    // Band radii are in km; the mesh is drawn at this.radius for the body's true radius
+    const unitsPerKm = this.radius / getBodyData(this.name).radius;
+    const innerRadius = innerKm * unitsPerKm;
+    const outerRadius = outerKm * unitsPerKm;
+
+    const ringGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 128);
+    ringGeometry.rotateX(-Math.PI / 2); // Into the XZ plane, facing the north pole
+
+    const profile = createRingProfileTexture(bands, innerKm, outerKm);
+    this.rings = new THREE.Mesh(ringGeometry, createRingMaterial(profile, innerRadius, outerRadius));
+    this.rings.userData = { innerRadius, outerRadius };
+    this.rings.onBeforeRender = () => updateRingMaterial(this.rings, this.radius);
+    this.mesh.add(this.rings);
+
+    setRingShadow(this.mesh.material, this.rings, profile);
+    console.log(`🪐 Created ${bands.length} ring bands for ${this.name}`);
   }
 
   /**
-   * Get atmosphere color based on planet
+   * Create the atmospheric scattering shell
+   * It is a child of the mesh so it follows the mesh's visibility scaling.
    */
-  getAtmosphereColor() {
-    const atmosphereColors = {
-      earth: 0x87ceeb,
-      jupiter: 0xffa500,
-      saturn: 0xffff99,
-      uranus: 0x00ffff,
-      neptune: 0x0000ff
-    };
+  createAtmosphere() {
+    const atmosphereGeometry = new THREE.SphereGeometry(this.radius * (1 + this.atmosphereConfig.thickness), 64, 32);
+    const atmosphereMaterial = createAtmosphereMaterial(this.atmosphereConfig);
 
-    return atmosphereColors[this.name] || 0xffffff;
+    this.atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+    this.atmosphere.onBeforeRender = (renderer, scene, camera) => updateAtmosphereMaterial(this.atmosphere, this.radius, camera);
+    this.mesh.add(this.atmosphere);
   }
 
   /**
@@ -346,7 +593,14 @@ export class CelestialBody {
       moon: 0xaaaaaa
     };
 
-    return orbitColors[this.name] || 0x666666;
+    // Small bodies share a colour per type
+    const typeColors = {
+      'dwarf-planet': 0xb08d6e,
+      asteroid: 0x8a8070,
+      comet: 0x7fb2ff
+    };
+
+    return orbitColors[this.name] || typeColors[this.type] || 0x666666;
   }
 
   /**
@@ -367,11 +621,13 @@ export class CelestialBody {
       opacity: this.orbitLineConfig.opacity,
       scaleFactor: scaleFactor,
       visible: this.orbitLineConfig.visible,
-      levelOfDetail: this.orbitLineConfig.levelOfDetail
+      levelOfDetail: this.orbitLineConfig.levelOfDetail,
+      referenceFrame: this.referenceFrame,
+      type: this.type
     };
 
     // Create the orbit line
-    this.orbitLine = new OrbitLine(this.name, this.originalData, orbitConfig);
+    this.orbitLine = new OrbitLine(this.name, this.getOrbitLineElements(this.currentDate), orbitConfig);
     this.orbitLine.create();
 
     // Add to scene (orbit lines are independent of the celestial body group)
@@ -380,32 +636,75 @@ export class CelestialBody {
   }
 
   /**
-   * Update the celestial body's rotation and orbital position
+   * Elements the orbit line is drawn from: the ephemeris backend's for the date, so the
+   * line runs under the planet wherever that backend puts it (moons keep their own)
    */
-  update(deltaTime, timeScale = 1) {
-    // Update rotation
-    const rotationSpeed = (2 * Math.PI) / (this.rotationPeriod * 3600); // rad/s
-    this.currentRotation += rotationSpeed * deltaTime * timeScale;
-    
-    if (this.mesh) {
-      this.mesh.rotation.y = this.currentRotation;
-    }
-    
-    // Update rings rotation (slightly different speed)
-    if (this.rings) {
-      this.rings.rotation.z += rotationSpeed * deltaTime * timeScale * 0.5;
+  getOrbitLineElements(date = null) {
+    this.orbitLineDate = date ? date.getTime() : Date.now();
+    this.orbitLineBackend = getEphemerisBackend().name;
+
+    return this.isMoon() ? this.originalData : calculateOrbitalElements(this.name, this.originalData, date);
+  }
+
+  /**
+   * Redraw the orbit line when the backend has changed or the date has moved on far enough
+   * for the planet to drift off the line
+   */
+  refreshOrbitLine(date = null) {
+    if (!this.orbitLine || this.isMoon() || !getEphemerisBackend().supports(this.name)) return;
+
+    const time = date ? date.getTime() : Date.now();
+    const refreshDays = Math.min(this.originalData.orbitalPeriod, ORBIT_LINE_REFRESH_DAYS);
+    const stale = Math.abs(time - this.orbitLineDate) > refreshDays * MILLISECONDS_PER_DAY;
+
+    if (stale || this.orbitLineBackend !== getEphemerisBackend().name) {
+      this.orbitLine.setOrbitalElements(this.getOrbitLineElements(date));
     }
-    
-    // Update orbital position if not the sun
-    if (this.name !== 'sun' && this.semiMajorAxis > 0) {
-      this.updateOrbitalPosition(deltaTime * timeScale);
+  }
+
+  /**
+   * Update the celestial body's rotation and orbital position for the simulated date
+   */
+  update(deltaTime, date = null) {
+    if (this.sunRenderer) {
+      this.sunRenderer.update(deltaTime);
     }
+
+    this.updateOrbitalPosition(date);
+  }
+
+  /**
+   * Turn the mesh to the body-fixed axes for a date: its Y axis along the north pole (so the
+   * ring plane follows the equator) and its prime meridian where the rotation model puts it
+   */
+  updateRotation(date = null) {
+    if (!this.mesh) return;
+
+    const { pole, primeMeridian, ninetyEast } = getBodyFrame(this.name, date);
+
+    // Scene axes swap ecliptic Y and Z; this ordering keeps the basis a rotation
+    bodyFrameBasis.makeBasis(
+      new THREE.Vector3(primeMeridian.x, primeMeridian.z, primeMeridian.y),
+      new THREE.Vector3(pole.x, pole.z, pole.y),
+      new THREE.Vector3(ninetyEast.x, ninetyEast.z, ninetyEast.y)
+    );
+    this.mesh.quaternion.setFromRotationMatrix(bodyFrameBasis);
   }
 
   /**
-   * Update orbital position using accurate Kepler's laws with elliptical orbits
+   * Update orbital position using accurate Kepler's laws with elliptical orbits, and the
+   * rotation for the same date
    */
-  updateOrbitalPosition(deltaTime = 0) {
+  updateOrbitalPosition(date = null) {
+    this.currentDate = date;
+
+    // Seen from the camera, the body is where it was when its light set out
+    const positionDate = this.lightTime > 0
+      ? new Date((date ? date.getTime() : Date.now()) - this.lightTime * MILLISECONDS_PER_DAY)
+      : date;
+
+    this.updateRotation(positionDate);
+
     // Skip orbital calculations for the Sun
     if (this.name === 'sun' || this.originalData.semiMajorAxis === 0) {
       this.group.position.set(0, 0, 0);
@@ -413,7 +712,10 @@ export class CelestialBody {
     }
 
     // Calculate current position using real astronomical data
-    const currentPos = calculateHeliocentricPosition(this.originalData);
+    // (moon positions are relative to the parent, in km)
+    const currentPos = this.isMoon()
+      ? calculateSatellitePosition(this.name, this.originalData, positionDate)
+      : calculateBodyPosition(this.name, this.originalData, positionDate);
 
     // Apply scaling for visualization
     const scaleFactor = this.semiMajorAxis / this.originalData.semiMajorAxis;
@@ -425,8 +727,37 @@ export class CelestialBody {
       currentPos.y * scaleFactor  // Use Y as Z for 3D visualization
     );
 
+    // Turn equator-referenced moon orbits into the parent's equatorial plane
+    if (this.referenceFrame) {
+      this.group.position.applyQuaternion(this.referenceFrame);
+    }
+
     // Store current astronomical position for reference
     this.currentAstronomicalPosition = currentPos;
+
+    this.refreshOrbitLine(positionDate);
+
+    this.updateCometTail();
+  }
+
+  /**
+   * Set the light travel time from this body to an observer at a heliocentric J2000
+   * ecliptic position (AU), from the body's true positions as calculateObservedPosition does
+   * Moons share their parent's delay; no observer clears it
+   */
+  updateLightTime(observerPosition = null, date = null) {
+    if (!observerPosition || this.name === 'sun' || this.originalData.semiMajorAxis === 0) {
+      this.lightTime = 0;
+      return;
+    }
+
+    if (this.isMoon()) {
+      this.lightTime = this.parentBody ? this.parentBody.lightTime : 0;
+      return;
+    }
+
+    const positionAt = retardedDate => calculateBodyPosition(this.name, this.originalData, retardedDate);
+    this.lightTime = correctForLightTime(positionAt, observerPosition, date).lightTime;
   }
 
   /**
@@ -444,23 +775,31 @@ export class CelestialBody {
       // Enhanced visuals for artistic mode
       this.mesh.material.emissiveIntensity = this.emissiveIntensity * 2;
       this.mesh.material.wireframe = false;
-      if (this.atmosphere) {
-        this.atmosphere.material.opacity = 0.2;
-      }
     } else if (mode === 'realistic') {
       // True realistic mode - minimal artificial enhancement
       this.mesh.material.emissiveIntensity = this.emissiveIntensity;
       this.mesh.material.wireframe = false;
-      if (this.atmosphere) {
-        this.atmosphere.material.opacity = 0.05; // Very faint atmosphere
-      }
     } else {
       // Exploration mode - balanced visibility
       this.mesh.material.emissiveIntensity = Math.max(this.emissiveIntensity, 0.1);
       this.mesh.material.wireframe = false;
-      if (this.atmosphere) {
-        this.atmosphere.material.opacity = 0.1;
-      }
+    }
+
+    setNightLightIntensity(this.mesh.material, NIGHT_LIGHT_INTENSITY[mode] ?? 1.0);
+
+    if (this.sunRenderer) {
+      this.sunRenderer.setMode(mode);
+    }
+
+    if (this.surface) {
+      this.surface.getMaterials().forEach((material) => {
+        material.emissiveIntensity = this.mesh.material.emissiveIntensity;
+        setNightLightIntensity(material, NIGHT_LIGHT_INTENSITY[mode] ?? 1.0);
+      });
+    }
+
+    if (this.atmosphere) {
+      setAtmosphereIntensity(this.atmosphere.material, ATMOSPHERE_INTENSITY[mode] ?? 1.0);
     }
 
     // Update orbit line for the new mode
@@ -486,11 +825,18 @@ export class CelestialBody {
       return;
     }
 
+    // Moons sit inside their parent's group, so they share its visibility
+    if (this.isMoon()) {
+      this.currentVisibility = this.parentBody ? this.parentBody.currentVisibility : null;
+      return;
+    }
+
     // Calculate visibility from current observer position
     this.currentVisibility = calculateVisibilityFromPosition(
       this.originalData,
       this.observerPosition,
-      this.currentMode
+      this.currentMode,
+      this.currentDate
     );
 
     // Apply visibility scaling to the mesh
@@ -500,7 +846,7 @@ export class CelestialBody {
       if (this.currentMode === 'realistic') {
         // In realistic mode, apply distance-based scaling
         const newRadius = this.baseRadius * scaleFactor;
-        this.mesh.scale.setScalar(newRadius / this.baseRadius);
+        this.mesh.scale.copy(MESH_HANDEDNESS).multiplyScalar(newRadius / this.baseRadius);
 
         // Adjust opacity based on visibility
         if (this.mesh.material.opacity !== undefined) {
@@ -535,7 +881,8 @@ export class CelestialBody {
    * Get current position
    */
   getPosition() {
-    return this.group.position.clone();
+    // World position, since moons are positioned inside their parent's group
+    return this.group.getWorldPosition(new THREE.Vector3());
   }
 
   /**
@@ -571,7 +918,42 @@ export class CelestialBody {
    * Get current astronomical information
    */
   getAstronomicalInfo() {
-    return calculateAstronomicalInfo(this.name, this.originalData);
+    if (this.isMoon() && this.parentBody) {
+      return calculateSatelliteInfo(
+        this.name,
+        this.originalData,
+        this.parentBody.mass,
+        this.currentDate,
+        calculateSatellitePosition(this.name, this.originalData, this.currentDate)
+      );
+    }
+
+    return calculateAstronomicalInfo(
+      this.name,
+      this.originalData,
+      this.currentDate,
+      calculateBodyPosition(this.name, this.originalData, this.currentDate)
+    );
+  }
+
+  /**
+   * Check if this body orbits a parent body rather than the Sun
+   */
+  isMoon() {
+    return this.parentName !== null;
+  }
+
+  /**
+   * Attach this moon to its parent body so it follows the parent's orbit
+   */
+  setParentBody(parentBody) {
+    this.parentBody = parentBody;
+    parentBody.getObject3D().add(this.group);
+
+    // Draw the orbit line around the parent as well
+    if (this.orbitLine && this.orbitLine.getObject3D()) {
+      parentBody.getObject3D().add(this.orbitLine.getObject3D());
+    }
   }
 
   /**
@@ -633,14 +1015,16 @@ export class CelestialBody {
   dispose() {
     if (this.mesh) {
       this.mesh.geometry.dispose();
-      if (this.mesh.material.map) this.mesh.material.map.dispose();
-      if (this.mesh.material.normalMap) this.mesh.material.normalMap.dispose();
-      if (this.mesh.material.bumpMap) this.mesh.material.bumpMap.dispose();
-      this.mesh.material.dispose();
+      disposeSurfaceMaterial(this.mesh.material);
+    }
+
+    if (this.surface) {
+      this.surface.dispose();
     }
 
     if (this.rings) {
       this.rings.geometry.dispose();
+      this.rings.material.uniforms.ringProfile.value.dispose();
       this.rings.material.dispose();
     }
 
@@ -649,10 +1033,21 @@ export class CelestialBody {
       this.atmosphere.material.dispose();
     }
 
+    if (this.cometTail) {
+      this.cometTail.children.forEach(cone => {
+        cone.geometry.dispose();
+        cone.material.dispose();
+      });
+    }
+
     if (this.orbitLine) {
       this.orbitLine.dispose();
     }
 
+    if (this.sunRenderer) {
+      this.sunRenderer.dispose();
+    }
+
     console.log(`🧹 Disposed celestial body: ${this.name}`);
   }
 }
@@ -0,0 +1,126 @@
+/**
+ * LensFlare - Ghost images strung across the view from the Sun through its centre
+ * Each ghost is a sprite a fixed size on screen, placed every frame from the Sun's projected
+ * position and drawn over the rest of the scene. three's Lensflare is not used: it copies the
+ * framebuffer behind the light, which fails on the post-processing pipeline's half-float
+ * render targets.
+ */
+
+import * as THREE from 'three';
+
+// Ghosts are drawn over everything else, at this depth between the near and far planes
+const FLARE_RENDER_ORDER = 1000;
+const FLARE_DEPTH = 0;
+
+// Size on screen (pixels), place along the line from the light (0) to its mirror image
+// through the centre of the view (1), and tint
+const FLARE_ELEMENTS = [
+  { ring: false, size: 180, distance: 0, color: [1.0, 0.9, 0.7] },
+  { ring: true, size: 60, distance: 0.35, color: [0.3, 0.5, 0.35] },
+  { ring: false, size: 35, distance: 0.55, color: [0.45, 0.3, 0.2] },
+  { ring: false, size: 70, distance: 0.7, color: [0.2, 0.3, 0.5] },
+  { ring: true, size: 130, distance: 0.9, color: [0.25, 0.2, 0.35] },
+  { ring: false, size: 25, distance: 1.0, color: [0.4, 0.4, 0.3] }
+];
+
+/**
+ * Flare ghost texture: a soft disc, or a thin ring
+ */
+function createFlareTexture(ring, size = 64) {
+  const data = new Uint8Array(size * size * 4);
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const r = Math.hypot(((column + 0.5) / size) * 2 - 1, ((row + 0.5) / size) * 2 - 1);
+      const glow = ring
+        ? Math.exp(-(((r - 0.8) / 0.08) ** 2))
+        : Math.max(0, 1 - r) ** 2;
+
+      const index = (row * size + column) * 4;
+      data[index] = 255;
+      data[index + 1] = 255;
+      data[index + 2] = 255;
+      data[index + 3] = Math.round(glow * 255);
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Fraction of the light's disk (radius sunRadius) covered by a second disk (radius
+ * bodyRadius) whose centre lies separation away, all in the same angular units; the flare
+ * dims by this much as a body crosses the Sun
+ */
+export function calculateDiskOverlap(sunRadius, bodyRadius, separation) {
+  if (separation >= sunRadius + bodyRadius) return 0;
+  if (separation <= Math.abs(sunRadius - bodyRadius)) {
+    return Math.min(bodyRadius / sunRadius, 1) ** 2;
+  }
+
+  // Area of the lens where the disks overlap
+  const sunSquared = sunRadius * sunRadius;
+  const bodySquared = bodyRadius * bodyRadius;
+  const sunAngle = Math.acos((separation * separation + sunSquared - bodySquared) / (2 * separation * sunRadius));
+  const bodyAngle = Math.acos((separation * separation + bodySquared - sunSquared) / (2 * separation * bodyRadius));
+  const overlap = sunSquared * (sunAngle - Math.sin(2 * sunAngle) / 2) + bodySquared * (bodyAngle - Math.sin(2 * bodyAngle) / 2);
+
+  return Math.min(overlap / (Math.PI * sunSquared), 1);
+}
+
+export class LensFlare {
+  constructor() {
+    this.textures = { glow: createFlareTexture(false), ring: createFlareTexture(true) };
+    this.group = new THREE.Group();
+
+    this.elements = FLARE_ELEMENTS.map(({ ring, size, distance, color }) => {
+      const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: ring ? this.textures.ring : this.textures.glow,
+        color: new THREE.Color(...color),
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+        sizeAttenuation: false
+      }));
+      sprite.frustumCulled = false;
+      sprite.renderOrder = FLARE_RENDER_ORDER;
+      this.group.add(sprite);
+      return { sprite, size, distance, color: new THREE.Color(...color) };
+    });
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  /**
+   * Place the ghosts for a camera
+   * screenPosition: the light's projected position (normalized device coordinates)
+   * viewHeight: drawing buffer height (pixels); strength scales every ghost's brightness
+   */
+  update(camera, screenPosition, viewHeight, strength) {
+    const pixelScale = (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov || 60) / 2)) / viewHeight;
+
+    this.elements.forEach(({ sprite, size, distance, color }) => {
+      const along = 1 - 2 * distance;
+      sprite.position.set(screenPosition.x * along, screenPosition.y * along, FLARE_DEPTH).unproject(camera);
+      this.group.worldToLocal(sprite.position);
+      sprite.scale.setScalar(size * pixelScale);
+      sprite.material.color.copy(color).multiplyScalar(strength);
+    });
+  }
+
+  /**
+   * Dispose of the sprite materials and textures
+   */
+  dispose() {
+    this.elements.forEach(({ sprite }) => sprite.material.dispose());
+    this.textures.glow.dispose();
+    this.textures.ring.dispose();
+  }
+}
@@ -31,6 +31,8 @@ export class OrbitLine {
     
     // Scaling properties
     this.scaleFactor = config.scaleFactor || 1.0;
+    this.referenceFrame = config.referenceFrame || null; // Rotation into a parent's equatorial plane (moons)
+    this.type = config.type || 'planet'; // Body type - small bodies get dashed orbits
     this.isVisible = config.visible !== false; // Default to visible
     
     // Performance settings
@@ -70,8 +72,9 @@ export class OrbitLine {
     
     this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 
-    // Create material with enhanced styling
-    this.material = new THREE.LineBasicMaterial({
+    // Create material with enhanced styling (dashed for dwarf planets and comets)
+    const LineMaterial = this.isDashed() ? THREE.LineDashedMaterial : THREE.LineBasicMaterial;
+    this.material = new LineMaterial({
       color: this.color,
       transparent: true,
       opacity: this.opacity,
@@ -87,12 +90,22 @@ export class OrbitLine {
 
     // Create line object
     this.line = new THREE.Line(this.geometry, this.material);
+    if (this.isDashed()) {
+      this.material.dashSize = this.getDashSize();
+      this.material.gapSize = this.material.dashSize * 0.6;
+      this.line.computeLineDistances();
+    }
     this.line.userData = { 
       type: 'orbitLine', 
       bodyName: this.name,
       isOrbitLine: true 
     };
 
+    // Match the rotation the body applies to its orbital position
+    if (this.referenceFrame) {
+      this.line.quaternion.copy(this.referenceFrame);
+    }
+
     // Set initial visibility
     this.line.visible = this.isVisible;
 
@@ -106,6 +119,10 @@ export class OrbitLine {
     const points = [];
     const segments = this.getSegmentCount();
     
+    // Highly eccentric orbits are sampled evenly in eccentric anomaly so the
+    // perihelion passage stays smooth instead of bunching points at aphelion
+    const sampleEccentricAnomaly = this.orbitalElements.eccentricity > 0.5;
+
     // Calculate points around the complete orbit (0 to 360 degrees)
     for (let i = 0; i <= segments; i++) {
       const meanAnomaly = (i / segments) * 360; // degrees
@@ -118,7 +135,9 @@ export class OrbitLine {
       
       try {
         // Calculate position in orbital plane
-        const orbitalPos = calculateOrbitalPosition(tempElements);
+        const orbitalPos = sampleEccentricAnomaly
+          ? this.calculatePositionFromEccentricAnomaly((i / segments) * 2 * Math.PI)
+          : calculateOrbitalPosition(tempElements);
         
         // Transform to ecliptic coordinates
         const eclipticPos = transformToEcliptic(orbitalPos, this.orbitalElements);
@@ -140,6 +159,32 @@ export class OrbitLine {
     return points;
   }
 
+  /**
+   * Calculate the orbital plane position for an eccentric anomaly (radians)
+   */
+  calculatePositionFromEccentricAnomaly(eccentricAnomaly) {
+    const { semiMajorAxis, eccentricity } = this.orbitalElements;
+
+    return {
+      x: semiMajorAxis * (Math.cos(eccentricAnomaly) - eccentricity),
+      y: semiMajorAxis * Math.sqrt(1 - eccentricity * eccentricity) * Math.sin(eccentricAnomaly)
+    };
+  }
+
+  /**
+   * Check if this orbit is drawn dashed (dwarf planets and comets)
+   */
+  isDashed() {
+    return this.type === 'dwarf-planet' || this.type === 'comet';
+  }
+
+  /**
+   * Get dash length in scene units (a fraction of the orbit size)
+   */
+  getDashSize() {
+    return this.orbitalElements.semiMajorAxis * this.scaleFactor * 0.02;
+  }
+
   /**
    * Get segment count based on level of detail and orbital characteristics
    */
@@ -178,12 +223,46 @@ export class OrbitLine {
     }
   }
 
+  /**
+   * Redraw the orbit from new elements (the ephemeris backend's for a later date)
+   */
+  setOrbitalElements(orbitalElements) {
+    this.orbitalElements = orbitalElements;
+    if (!this.geometry) return;
+
+    // Rewrite the existing buffer unless the segment count has changed with the eccentricity
+    const orbitPoints = this.calculateOrbitPoints();
+    const positions = this.geometry.getAttribute('position');
+    if (orbitPoints.length !== positions.count) {
+      this.recreate();
+      return;
+    }
+
+    orbitPoints.forEach((point, i) => positions.setXYZ(i, point.x, point.y, point.z));
+    positions.needsUpdate = true;
+    this.geometry.computeBoundingSphere();
+
+    if (this.isDashed()) {
+      this.line.computeLineDistances();
+    }
+  }
+
   /**
    * Recreate the orbit line with current parameters
    */
   recreate() {
+    // Keep the new line attached wherever the old one was (scene or parent body group)
+    const parent = this.line ? this.line.parent : null;
+    if (parent) {
+      parent.remove(this.line);
+    }
+
     this.dispose();
     this.create();
+
+    if (parent && this.line) {
+      parent.add(this.line);
+    }
   }
 
   /**
@@ -0,0 +1,447 @@
+/**
+ * PlanetSurface - Quadtree cube-sphere surface for close approaches to a body
+ * Each face of a cube is split into tiles projected onto the sphere, and tiles near the camera
+ * are split into four until their edges look small. Tiles carry the body's equirectangular
+ * UVs for its global maps, plus a second UV set for image tiles streamed from local files.
+ * Bodies with terrain raise each vertex by its height and shade tiles from the relief.
+ *
+ * Image tiles live at {path}/{level}/{face}/{x}_{y}.{extension} and are listed by
+ * {path}/tiles.json ({ "maxLevel": 5, "extension": "jpg" }). A tile covers the same square of
+ * its cube face as the quadtree tile with that address, with +x to the right and +y up; the
+ * cube point (face normal + (2x - 1) right + (2y - 1) up) is projected straight onto the sphere.
+ */
+
+import * as THREE from 'three';
+
+// Quads along each tile edge
+const TILE_SEGMENTS = 16;
+
+// Tiles split while the camera is nearer than this many tile edges, and merge beyond the
+// second distance (the gap stops tiles flickering between levels)
+const SPLIT_DISTANCE = 2;
+const MERGE_DISTANCE = 3;
+
+// Splits per update, so a fast approach does not stall a frame building tiles
+const MAX_SPLITS_PER_UPDATE = 8;
+
+// Skirts hang below tile edges to hide cracks between levels (fraction of a tile edge)
+const SKIRT_DEPTH = 0.05;
+
+// Cube faces: outward normal and the directions of increasing x and y (right × up = normal)
+const FACES = [
+  { name: 'px', normal: [1, 0, 0], right: [0, 0, -1], up: [0, 1, 0] },
+  { name: 'nx', normal: [-1, 0, 0], right: [0, 0, 1], up: [0, 1, 0] },
+  { name: 'py', normal: [0, 1, 0], right: [1, 0, 0], up: [0, 0, -1] },
+  { name: 'ny', normal: [0, -1, 0], right: [1, 0, 0], up: [0, 0, 1] },
+  { name: 'pz', normal: [0, 0, 1], right: [1, 0, 0], up: [0, 1, 0] },
+  { name: 'nz', normal: [0, 0, -1], right: [-1, 0, 0], up: [0, 1, 0] }
+];
+
+/**
+ * Unit direction through a point on a cube face (face coordinates 0 to 1)
+ */
+function getFaceDirection(face, faceX, faceY, target = new THREE.Vector3()) {
+  const a = 2 * faceX - 1;
+  const b = 2 * faceY - 1;
+  return target.set(
+    face.normal[0] + a * face.right[0] + b * face.up[0],
+    face.normal[1] + a * face.right[1] + b * face.up[1],
+    face.normal[2] + a * face.right[2] + b * face.up[2]
+  ).normalize();
+}
+
+/**
+ * Equirectangular UV of a direction, matching THREE.SphereGeometry
+ */
+function getSphereUv(direction) {
+  const u = Math.atan2(direction.z, -direction.x) / (2 * Math.PI);
+  return [u < 0 ? u + 1 : u, 1 - Math.acos(THREE.MathUtils.clamp(direction.y, -1, 1)) / Math.PI];
+}
+
+export class PlanetSurface {
+  /**
+   * radius: sphere radius in local units
+   * createMaterial(texture): material for tiles, with texture null for the body's global maps
+   * options: maxLevel (deepest split), tiles (path of the image tile set, or null),
+   * heightAt(direction), the terrain height in local units above a unit direction, and
+   * onBeforeRender(mesh, camera), called before each tile is drawn
+   */
+  constructor(radius, createMaterial, options = {}) {
+    this.radius = radius;
+    this.createMaterial = createMaterial;
+    this.maxLevel = options.maxLevel ?? 8;
+    this.tilePath = options.tiles || null;
+    this.heightAt = options.heightAt || null;
+    this.onBeforeRender = options.onBeforeRender || null;
+
+    // Shown in place of the body's sphere while the camera is close
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    this.active = false;
+
+    // Tiles without an image of their own share this material
+    this.baseMaterial = createMaterial(null);
+
+    // Image tile set, read from its manifest
+    this.textureMaxLevel = -1;
+    this.textureExtension = 'jpg';
+    this.textureLoader = new THREE.TextureLoader();
+    this.textures = new Map(); // key -> { texture, material, tiles, failed }
+
+    this.roots = FACES.map((face, index) => this.createTile(index, 0, 0, 0));
+    this.splitsLeft = 0;
+
+    if (this.tilePath) {
+      this.loadManifest();
+    }
+  }
+
+  /**
+   * Read the image tile manifest; without one only the global maps are used
+   */
+  loadManifest() {
+    const loader = new THREE.FileLoader();
+    loader.setResponseType('json');
+    loader.load(
+      `${this.tilePath}/tiles.json`,
+      (manifest) => {
+        this.textureMaxLevel = manifest.maxLevel ?? -1;
+        this.textureExtension = manifest.extension || 'jpg';
+
+        // Tiles built before the manifest arrived have no image; start again from the roots
+        if (this.textureMaxLevel >= 0) {
+          this.roots.forEach(root => {
+            this.mergeTile(root);
+            root.mesh.visible = this.active;
+            this.attachTexture(root, 0);
+          });
+        }
+        console.log(`🗺️ Found surface tiles to level ${this.textureMaxLevel} at ${this.tilePath}`);
+      },
+      undefined,
+      () => console.log(`📝 No surface tiles at ${this.tilePath}, using global maps`)
+    );
+  }
+
+  /**
+   * Create a tile and its mesh (hidden until shown as a leaf)
+   */
+  createTile(faceIndex, level, x, y) {
+    const face = FACES[faceIndex];
+    const tileCount = 2 ** level;
+    const center = getFaceDirection(face, (x + 0.5) / tileCount, (y + 0.5) / tileCount).multiplyScalar(this.radius);
+    const corner = getFaceDirection(face, x / tileCount, y / tileCount).multiplyScalar(this.radius);
+
+    const tile = {
+      faceIndex,
+      level,
+      x,
+      y,
+      center,
+      boundingRadius: center.distanceTo(corner),
+      edge: center.distanceTo(corner) * Math.SQRT2,
+      children: null,
+      textureKey: null,
+      mesh: null
+    };
+
+    const textureLevel = Math.min(level, Math.max(this.textureMaxLevel, 0));
+    tile.mesh = new THREE.Mesh(this.buildGeometry(tile, textureLevel), this.baseMaterial);
+    tile.mesh.position.copy(center);
+    tile.mesh.visible = false;
+    tile.mesh.castShadow = true;
+    tile.mesh.receiveShadow = true;
+    tile.mesh.userData = { type: 'surfaceTile' };
+    if (this.onBeforeRender) {
+      tile.mesh.onBeforeRender = (renderer, scene, camera) => this.onBeforeRender(tile.mesh, camera);
+    }
+    this.group.add(tile.mesh);
+
+    if (textureLevel <= this.textureMaxLevel) {
+      this.attachTexture(tile, textureLevel);
+    }
+
+    return tile;
+  }
+
+  /**
+   * Build a tile's grid, positioned relative to its centre for precision, with a skirt ring
+   * UV is the body's global equirectangular map; UV1 addresses the image tile at textureLevel.
+   * Normals come from the displaced grid, which runs one step past each edge so neighbouring
+   * tiles shade their shared edges alike.
+   */
+  buildGeometry(tile, textureLevel) {
+    const face = FACES[tile.faceIndex];
+    const tileCount = 2 ** tile.level;
+    const textureScale = 2 ** (tile.level - textureLevel);
+    const textureX = Math.floor(tile.x / textureScale);
+    const textureY = Math.floor(tile.y / textureScale);
+    const centerU = getSphereUv(tile.center.clone().normalize())[0];
+
+    // One extra vertex each side forms the skirt
+    const rowLength = TILE_SEGMENTS + 3;
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const tileUvs = [];
+    const direction = new THREE.Vector3();
+
+    // Surface points over the grid and one step beyond it, relative to the tile centre
+    const surface = [];
+    for (let j = -1; j <= TILE_SEGMENTS + 1; j++) {
+      for (let i = -1; i <= TILE_SEGMENTS + 1; i++) {
+        getFaceDirection(face, (tile.x + i / TILE_SEGMENTS) / tileCount, (tile.y + j / TILE_SEGMENTS) / tileCount, direction);
+        const height = this.radius + (this.heightAt ? this.heightAt(direction) : 0);
+        surface.push(direction.clone().multiplyScalar(height).sub(tile.center));
+      }
+    }
+    const surfaceAt = (i, j) => surface[(j + 1) * rowLength + i + 1];
+    const acrossX = new THREE.Vector3();
+    const acrossY = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+
+    for (let j = -1; j <= TILE_SEGMENTS + 1; j++) {
+      for (let i = -1; i <= TILE_SEGMENTS + 1; i++) {
+        const gridI = THREE.MathUtils.clamp(i, 0, TILE_SEGMENTS);
+        const gridJ = THREE.MathUtils.clamp(j, 0, TILE_SEGMENTS);
+        const gridX = gridI / TILE_SEGMENTS;
+        const gridY = gridJ / TILE_SEGMENTS;
+        const isSkirt = i < 0 || j < 0 || i > TILE_SEGMENTS || j > TILE_SEGMENTS;
+
+        // Skirts hang below the edge vertex they belong to
+        getFaceDirection(face, (tile.x + gridX) / tileCount, (tile.y + gridY) / tileCount, direction);
+        const point = surfaceAt(gridI, gridJ);
+        const drop = isSkirt ? SKIRT_DEPTH * tile.edge : 0;
+        positions.push(point.x - direction.x * drop, point.y - direction.y * drop, point.z - direction.z * drop);
+
+        // Right × up points outwards on every face
+        acrossX.subVectors(surfaceAt(gridI + 1, gridJ), surfaceAt(gridI - 1, gridJ));
+        acrossY.subVectors(surfaceAt(gridI, gridJ + 1), surfaceAt(gridI, gridJ - 1));
+        normal.crossVectors(acrossX, acrossY).normalize();
+        normals.push(normal.x, normal.y, normal.z);
+
+        // Keep U continuous across the antimeridian (the maps repeat horizontally)
+        const [u, v] = getSphereUv(direction);
+        uvs.push(u - Math.round(u - centerU), v);
+
+        tileUvs.push((tile.x + gridX) / textureScale - textureX, (tile.y + gridY) / textureScale - textureY);
+      }
+    }
+
+    const indices = [];
+    for (let j = 0; j < rowLength - 1; j++) {
+      for (let i = 0; i < rowLength - 1; i++) {
+        const a = j * rowLength + i;
+        const b = a + 1;
+        const c = a + rowLength;
+        const d = c + 1;
+        indices.push(a, b, d, a, d, c);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setAttribute('uv1', new THREE.Float32BufferAttribute(tileUvs, 2));
+    return geometry;
+  }
+
+  /**
+   * Use the image tile at textureLevel that covers this tile, loading it if needed
+   */
+  attachTexture(tile, textureLevel) {
+    const textureScale = 2 ** (tile.level - textureLevel);
+    const x = Math.floor(tile.x / textureScale);
+    const y = Math.floor(tile.y / textureScale);
+    const key = `${textureLevel}/${FACES[tile.faceIndex].name}/${x}_${y}`;
+    tile.textureKey = key;
+
+    let entry = this.textures.get(key);
+    if (!entry) {
+      entry = { texture: null, material: null, tiles: new Set(), failed: false };
+      this.textures.set(key, entry);
+      this.loadTexture(key, entry);
+    }
+
+    entry.tiles.add(tile);
+    if (entry.material) {
+      tile.mesh.material = entry.material;
+    }
+  }
+
+  /**
+   * Stream one image tile; tiles keep the global maps until it arrives
+   */
+  loadTexture(key, entry) {
+    this.textureLoader.load(
+      `${this.tilePath}/${key}.${this.textureExtension}`,
+      (texture) => {
+        // Every tile using it may have merged away while it loaded
+        if (this.textures.get(key) !== entry) {
+          texture.dispose();
+          return;
+        }
+
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.channel = 1;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.anisotropy = 4;
+
+        entry.texture = texture;
+        entry.material = this.createMaterial(texture);
+        entry.tiles.forEach(tile => { tile.mesh.material = entry.material; });
+      },
+      undefined,
+      () => {
+        entry.failed = true;
+        console.warn(`Failed to load surface tile ${key} from ${this.tilePath}`);
+      }
+    );
+  }
+
+  /**
+   * Stop a tile using its image tile, releasing the image when no tile needs it
+   */
+  detachTexture(tile) {
+    const entry = this.textures.get(tile.textureKey);
+    if (!entry) return;
+
+    entry.tiles.delete(tile);
+    if (entry.tiles.size === 0 && !entry.failed) {
+      if (entry.material) entry.material.dispose();
+      if (entry.texture) entry.texture.dispose();
+      this.textures.delete(tile.textureKey);
+    }
+  }
+
+  /**
+   * Split a leaf into four children
+   */
+  splitTile(tile) {
+    const level = tile.level + 1;
+    tile.children = [
+      this.createTile(tile.faceIndex, level, tile.x * 2, tile.y * 2),
+      this.createTile(tile.faceIndex, level, tile.x * 2 + 1, tile.y * 2),
+      this.createTile(tile.faceIndex, level, tile.x * 2, tile.y * 2 + 1),
+      this.createTile(tile.faceIndex, level, tile.x * 2 + 1, tile.y * 2 + 1)
+    ];
+    tile.children.forEach(child => { child.mesh.visible = true; });
+    tile.mesh.visible = false;
+  }
+
+  /**
+   * Collapse a tile's descendants back into it
+   */
+  mergeTile(tile) {
+    if (!tile.children) return;
+
+    tile.children.forEach(child => this.disposeTile(child));
+    tile.children = null;
+    tile.mesh.visible = true;
+  }
+
+  /**
+   * Remove a tile and its descendants
+   */
+  disposeTile(tile) {
+    if (tile.children) {
+      tile.children.forEach(child => this.disposeTile(child));
+      tile.children = null;
+    }
+
+    this.detachTexture(tile);
+    tile.mesh.geometry.dispose();
+    this.group.remove(tile.mesh);
+  }
+
+  /**
+   * Whether all of a tile lies over the horizon seen from the camera
+   */
+  isBeyondHorizon(tile, cameraPosition) {
+    const cameraDistance = cameraPosition.length();
+    if (cameraDistance <= this.radius) return false;
+
+    const horizonAngle = Math.acos(this.radius / cameraDistance);
+    const tileAngle = cameraPosition.angleTo(tile.center);
+    return tileAngle - Math.asin(Math.min(tile.boundingRadius / this.radius, 1)) > horizonAngle;
+  }
+
+  /**
+   * Refine or coarsen a tile for the camera's distance (local units)
+   */
+  updateTile(tile, cameraPosition) {
+    const distance = Math.max(cameraPosition.distanceTo(tile.center) - tile.boundingRadius, 0);
+    const hidden = this.isBeyondHorizon(tile, cameraPosition);
+
+    if (tile.children) {
+      if (hidden || distance > MERGE_DISTANCE * tile.edge) {
+        this.mergeTile(tile);
+      } else {
+        tile.children.forEach(child => this.updateTile(child, cameraPosition));
+      }
+    } else if (!hidden && distance < SPLIT_DISTANCE * tile.edge && tile.level < this.maxLevel && this.splitsLeft > 0) {
+      this.splitsLeft--;
+      this.splitTile(tile);
+    }
+  }
+
+  /**
+   * Show the tiles and refine them for a camera position in the surface's local frame
+   */
+  update(cameraPosition) {
+    if (!this.active) {
+      this.active = true;
+      this.group.visible = true;
+      this.roots.forEach(root => { root.mesh.visible = true; });
+    }
+
+    this.splitsLeft = MAX_SPLITS_PER_UPDATE;
+    this.roots.forEach(root => this.updateTile(root, cameraPosition));
+  }
+
+  /**
+   * Hide the tiles and release everything below the root tiles
+   */
+  deactivate() {
+    if (!this.active) return;
+
+    this.active = false;
+    this.group.visible = false;
+    this.roots.forEach(root => this.mergeTile(root));
+  }
+
+  /**
+   * Every material the tiles currently use
+   */
+  getMaterials() {
+    const materials = [this.baseMaterial];
+    this.textures.forEach(entry => {
+      if (entry.material) materials.push(entry.material);
+    });
+    return materials;
+  }
+
+  /**
+   * Number of tiles being drawn
+   */
+  getVisibleTileCount() {
+    const countLeaves = tile => (tile.children ? tile.children.reduce((sum, child) => sum + countLeaves(child), 0) : 1);
+    return this.active ? this.roots.reduce((sum, root) => sum + countLeaves(root), 0) : 0;
+  }
+
+  /**
+   * Dispose of all tiles, images and materials
+   */
+  dispose() {
+    this.roots.forEach(root => this.disposeTile(root));
+    this.textures.forEach(entry => {
+      if (entry.material) entry.material.dispose();
+      if (entry.texture) entry.texture.dispose();
+    });
+    this.textures.clear();
+    this.baseMaterial.dispose();
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * RingMaterial - Planetary rings drawn from a radial opacity and colour profile
+ * Ring particles are lit with the single-scattering (Lommel-Seeliger) law for a thin layer,
+ * so the rings glow in reflected light on the Sun's side and show only the light they let
+ * through from the other side. The planet's shadow is cast across them analytically.
+ */
+
+import * as THREE from 'three';
+
+// Texels across the profile; bands narrower than one texel keep their share of opacity
+const PROFILE_RESOLUTION = 2048;
+
+// Largest normal opacity a band can have before its optical depth runs off to infinity
+const MAX_OPACITY = 0.999;
+
+const VERTEX_SHADER = /* glsl */ `
+varying vec3 vWorldPosition;
+varying vec3 vRingNormal;
+varying float vRingRadius;
+
+void main() {
+  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  vWorldPosition = worldPosition.xyz;
+  vRingNormal = normalize(mat3(modelMatrix) * vec3(0.0, 1.0, 0.0));
+  vRingRadius = length(position.xz);
+  gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
+`;
+
+const FRAGMENT_SHADER = /* glsl */ `
+#include <common>
+#include <lights_pars_begin>
+
+uniform sampler2D ringProfile;
+uniform float innerRadius;
+uniform float outerRadius;
+uniform vec3 planetCenter;
+uniform float planetRadius;
+
+varying vec3 vWorldPosition;
+varying vec3 vRingNormal;
+varying float vRingRadius;
+
+void main() {
+  float u = (vRingRadius - innerRadius) / (outerRadius - innerRadius);
+  if (u < 0.0 || u > 1.0) discard;
+
+  vec4 profile = texture2D(ringProfile, vec2(u, 0.5));
+  if (profile.a <= 0.0) discard;
+
+  // Normal optical depth, and the cosines of the view and Sun directions to the ring plane
+  float depth = -log(1.0 - min(profile.a, ${MAX_OPACITY.toFixed(3)}));
+  vec3 toCamera = normalize(cameraPosition - vWorldPosition);
+  vec3 toSun = normalize(-vWorldPosition);
+  float viewSide = dot(vRingNormal, toCamera);
+  float sunSide = dot(vRingNormal, toSun);
+  float mu = max(abs(viewSide), 0.01);
+  float mu0 = max(abs(sunSide), 0.01);
+
+  // Lommel-Seeliger single scattering, normalised so a thick ring lit and seen face-on is 1
+  float scattering;
+  if (viewSide * sunSide > 0.0) {
+    scattering = 2.0 * mu0 / (mu0 + mu) * (1.0 - exp(-depth * (1.0 / mu0 + 1.0 / mu)));
+  } else if (abs(mu - mu0) < 1e-3) {
+    scattering = 2.0 * depth / mu * exp(-depth / mu);
+  } else {
+    scattering = 2.0 * mu0 / (mu - mu0) * (exp(-depth / mu) - exp(-depth / mu0));
+  }
+
+  // The planet's shadow
+  vec3 offset = vWorldPosition - planetCenter;
+  float b = dot(offset, toSun);
+  float c = dot(offset, offset) - planetRadius * planetRadius;
+  if (b < 0.0 && b * b > c) scattering = 0.0;
+
+  vec3 sunIrradiance = vec3(0.0);
+  #if NUM_POINT_LIGHTS > 0
+    sunIrradiance = pointLights[0].color;
+  #endif
+
+  vec3 albedo = profile.rgb;
+  vec3 color = albedo * RECIPROCAL_PI * (sunIrradiance * scattering + ambientLightColor * profile.a);
+
+  // Grazing views look through more ring material
+  gl_FragColor = vec4(color, 1.0 - exp(-depth / mu));
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Build a radial profile texture from ring bands
+ * Bands give inner and outer radii (any unit, matching innerRadius and outerRadius), a colour
+ * and an opacity, which may be a pair to vary linearly from the inner to the outer edge.
+ * The gaps between bands are empty.
+ */
+export function createRingProfileTexture(bands, innerRadius, outerRadius) {
+  const data = new Uint8Array(PROFILE_RESOLUTION * 4);
+  const opacity = new Float32Array(PROFILE_RESOLUTION);
+  const red = new Float32Array(PROFILE_RESOLUTION);
+  const green = new Float32Array(PROFILE_RESOLUTION);
+  const blue = new Float32Array(PROFILE_RESOLUTION);
+  const texelWidth = (outerRadius - innerRadius) / PROFILE_RESOLUTION;
+  const color = new THREE.Color();
+
+  bands.forEach((band) => {
+    const [innerOpacity, outerOpacity] = Array.isArray(band.opacity) ? band.opacity : [band.opacity, band.opacity];
+    color.setHex(band.color);
+    const firstTexel = Math.max(0, Math.floor((band.inner - innerRadius) / texelWidth));
+    const lastTexel = Math.min(PROFILE_RESOLUTION - 1, Math.floor((band.outer - innerRadius) / texelWidth));
+
+    for (let i = firstTexel; i <= lastTexel; i++) {
+      const texelInner = innerRadius + i * texelWidth;
+      const coverage = (Math.min(band.outer, texelInner + texelWidth) - Math.max(band.inner, texelInner)) / texelWidth;
+      if (coverage <= 0) continue;
+
+      const along = ((texelInner + texelWidth / 2) - band.inner) / (band.outer - band.inner);
+      const bandOpacity = THREE.MathUtils.clamp(innerOpacity + (outerOpacity - innerOpacity) * along, 0, 1);
+      const weight = bandOpacity * coverage;
+
+      // Colour is averaged by how much each band blocks within the texel
+      opacity[i] += weight;
+      red[i] += color.r * weight;
+      green[i] += color.g * weight;
+      blue[i] += color.b * weight;
+    }
+  });
+
+  // Colours are mixed in linear light and stored as sRGB bytes
+  const srgb = {};
+  for (let i = 0; i < PROFILE_RESOLUTION; i++) {
+    if (opacity[i] > 0) {
+      color.setRGB(red[i] / opacity[i], green[i] / opacity[i], blue[i] / opacity[i]).getRGB(srgb, THREE.SRGBColorSpace);
+      data[i * 4] = Math.round(srgb.r * 255);
+      data[i * 4 + 1] = Math.round(srgb.g * 255);
+      data[i * 4 + 2] = Math.round(srgb.b * 255);
+      data[i * 4 + 3] = Math.round(Math.min(opacity[i], 1) * 255);
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, PROFILE_RESOLUTION, 1, THREE.RGBAFormat);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Create the ring material for a profile spanning innerRadius to outerRadius (local units)
+ */
+export function createRingMaterial(profile, innerRadius, outerRadius) {
+  const material = new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.merge([
+      THREE.UniformsLib.lights,
+      {
+        ringProfile: { value: null },
+        innerRadius: { value: innerRadius },
+        outerRadius: { value: outerRadius },
+        planetCenter: { value: new THREE.Vector3() },
+        planetRadius: { value: 1 }
+      }
+    ]),
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: FRAGMENT_SHADER,
+    lights: true,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    // Premultiplied: the rings' light is added, the background dimmed by their opacity
+    blending: THREE.CustomBlending,
+    blendSrc: THREE.OneFactor,
+    blendDst: THREE.OneMinusSrcAlphaFactor
+  });
+
+  // Merging uniforms clones their values, so the shared profile is set afterwards
+  material.uniforms.ringProfile.value = profile;
+  return material;
+}
+
+/**
+ * Place the planet's shadow for the ring's current position and scale
+ */
+export function updateRingMaterial(rings, planetRadius) {
+  const { uniforms } = rings.material;
+  uniforms.planetCenter.value.setFromMatrixPosition(rings.matrixWorld);
+  uniforms.planetRadius.value = planetRadius * rings.matrixWorld.getMaxScaleOnAxis();
+}
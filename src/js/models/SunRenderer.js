@@ -0,0 +1,323 @@
+/**
+ * SunRenderer - Animated photosphere, corona and lens flare for the Sun
+ * The surface shader boils with granulation and darkens towards the limb, redder light
+ * surviving longest. A corona sprite glows around the disc and fades as the disc fills the
+ * view, and an optional lens flare follows the Sun across the screen. Through the telescope
+ * a solar filter dims the disc so its detail shows instead of washing out.
+ */
+
+import * as THREE from 'three';
+import { GradientNoise } from '../utils/GradientNoise.js';
+import { seedFromString } from '../utils/SeededRandom.js';
+import { LensFlare } from './LensFlare.js';
+
+// Surface brightness for each mode, and behind the telescope's solar filter
+const SURFACE_INTENSITY = { realistic: 6.0, exploration: 4.0, artistic: 5.0 };
+const FILTERED_INTENSITY = 1.2;
+
+// Corona size (times the texture's reach of CORONA_EXTENT radii) and strength per mode
+const CORONA_EXTENT = 6;
+const CORONA_PROFILES = {
+  realistic: { scale: 1.0, intensity: 0.6 },
+  exploration: { scale: 1.5, intensity: 1.0 },
+  artistic: { scale: 2.5, intensity: 1.6 }
+};
+
+// The corona and flare fade as the disc grows between these radii on screen (pixels)
+const GLARE_FADE_START = 80;
+const GLARE_FADE_END = 400;
+const GLARE_MIN_FADE = 0.25;
+
+// The flare fades out as the Sun's projected centre moves between these distances from the
+// middle of the view (normalized device coordinates)
+const FLARE_EDGE_START = 0.9;
+const FLARE_EDGE_END = 1.2;
+
+// Granulation cells across the unit sphere, and how fast they evolve (per second)
+const GRANULE_FREQUENCY = 120;
+const SUPERGRANULE_FREQUENCY = 18;
+const GRANULE_SPEED = 0.05;
+
+const cameraWorldPosition = new THREE.Vector3();
+const sunWorldPosition = new THREE.Vector3();
+const sunScreenPosition = new THREE.Vector3();
+
+const VERTEX_SHADER = /* glsl */ `
+varying vec3 vDirection;
+varying vec3 vViewNormal;
+varying vec3 vViewPosition;
+
+void main() {
+  vDirection = normalize(position);
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  vViewPosition = -mvPosition.xyz;
+  vViewNormal = normalize(normalMatrix * normal);
+  gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const FRAGMENT_SHADER = /* glsl */ `
+uniform float time;
+uniform float intensity;
+uniform vec3 limbDarkening;
+
+varying vec3 vDirection;
+varying vec3 vViewNormal;
+varying vec3 vViewPosition;
+
+// 3D simplex noise (Ashima Arts / Stefan Gustavson, MIT licence)
+vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 permute(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+float snoise(vec3 v) {
+  const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+  const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+  vec3 i = floor(v + dot(v, C.yyy));
+  vec3 x0 = v - i + dot(i, C.xxx);
+  vec3 g = step(x0.yzx, x0.xyz);
+  vec3 l = 1.0 - g;
+  vec3 i1 = min(g.xyz, l.zxy);
+  vec3 i2 = max(g.xyz, l.zxy);
+  vec3 x1 = x0 - i1 + C.xxx;
+  vec3 x2 = x0 - i2 + C.yyy;
+  vec3 x3 = x0 - D.yyy;
+
+  i = mod289(i);
+  vec4 p = permute(permute(permute(
+      i.z + vec4(0.0, i1.z, i2.z, 1.0))
+    + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+    + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+  float n_ = 0.142857142857;
+  vec3 ns = n_ * D.wyz - D.xzx;
+  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+  vec4 x_ = floor(j * ns.z);
+  vec4 y_ = floor(j - 7.0 * x_);
+  vec4 x = x_ * ns.x + ns.yyyy;
+  vec4 y = y_ * ns.x + ns.yyyy;
+  vec4 h = 1.0 - abs(x) - abs(y);
+  vec4 b0 = vec4(x.xy, y.xy);
+  vec4 b1 = vec4(x.zw, y.zw);
+  vec4 s0 = floor(b0) * 2.0 + 1.0;
+  vec4 s1 = floor(b1) * 2.0 + 1.0;
+  vec4 sh = -step(h, vec4(0.0));
+  vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+  vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+  vec3 p0 = vec3(a0.xy, h.x);
+  vec3 p1 = vec3(a0.zw, h.y);
+  vec3 p2 = vec3(a1.xy, h.z);
+  vec3 p3 = vec3(a1.zw, h.w);
+
+  vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+  p0 *= norm.x;
+  p1 *= norm.y;
+  p2 *= norm.z;
+  p3 *= norm.w;
+
+  vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+  m = m * m;
+  return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+}
+
+// Bright granules parted by dark intergranular lanes, where the noise crosses zero
+float granules(vec3 p, float t) {
+  float lanes = 0.6 * abs(snoise(p + vec3(0.0, 0.0, t))) + 0.4 * abs(snoise(p * 2.1 - vec3(t, 0.0, 0.0)));
+  return smoothstep(0.0, 0.35, lanes);
+}
+
+void main() {
+  // Cells smaller than a pixel would only shimmer, so they fade to their mean brightness
+  float pixelSize = length(fwidth(vDirection));
+  float granuleDetail = 1.0 - smoothstep(0.3, 1.0, pixelSize * ${GRANULE_FREQUENCY.toFixed(1)});
+  float supergranuleDetail = 1.0 - smoothstep(0.3, 1.0, pixelSize * ${SUPERGRANULE_FREQUENCY.toFixed(1)});
+
+  float granulation = mix(0.75, granules(vDirection * ${GRANULE_FREQUENCY.toFixed(1)}, time), granuleDetail);
+  float network = mix(0.5, snoise(vDirection * ${SUPERGRANULE_FREQUENCY.toFixed(1)} + vec3(time * 0.1)) * 0.5 + 0.5, supergranuleDetail);
+  float brightness = (0.7 + 0.4 * granulation) * (0.92 + 0.08 * network);
+
+  // Linear limb darkening law, strongest in blue light
+  float mu = max(dot(normalize(vViewNormal), normalize(vViewPosition)), 0.0);
+  vec3 limb = 1.0 - limbDarkening * (1.0 - mu);
+
+  gl_FragColor = vec4(vec3(1.0, 0.92, 0.8) * limb * brightness * intensity, 1.0);
+
+  #include <tonemapping_fragment>
+  #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Radial glow with faint streamers, bright at the disc's edge (alpha carries the glow)
+ */
+function createCoronaTexture(size = 256) {
+  const noise = new GradientNoise(seedFromString('corona'));
+  const data = new Uint8Array(size * size * 4);
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      const x = ((column + 0.5) / size) * 2 - 1;
+      const y = ((row + 0.5) / size) * 2 - 1;
+      const r = Math.max(Math.hypot(x, y) * CORONA_EXTENT, 1);
+      const angle = Math.atan2(y, x);
+
+      const streamers = 0.5 + 2.5 * Math.max(0, noise.fractal(Math.cos(angle) * 4, Math.sin(angle) * 4, 0.5, 3));
+      const falloff = (0.6 * r ** -4 + 0.4 * streamers * r ** -2) * (1 - THREE.MathUtils.smoothstep(r, CORONA_EXTENT * 0.6, CORONA_EXTENT));
+
+      const index = (row * size + column) * 4;
+      data[index] = 255;
+      data[index + 1] = 240;
+      data[index + 2] = 220;
+      data[index + 3] = Math.round(Math.min(falloff, 1) * 255);
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+export class SunRenderer {
+  /**
+   * radius: the Sun's sphere radius in scene units
+   */
+  constructor(radius) {
+    this.radius = radius;
+    this.mode = 'exploration';
+    this.solarFilter = false;
+    this.lensFlareEnabled = true;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        time: { value: 0 },
+        intensity: { value: SURFACE_INTENSITY.exploration },
+        limbDarkening: { value: new THREE.Vector3(0.5, 0.6, 0.75) }
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER
+    });
+
+    // Glow and flare sit beside the sphere so they do not turn with it
+    this.group = new THREE.Group();
+
+    this.corona = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: createCoronaTexture(),
+      blending: THREE.AdditiveBlending,
+      transparent: true,
+      depthWrite: false
+    }));
+    this.corona.userData = { type: 'sunCorona' };
+    this.group.add(this.corona);
+
+    // Ghosts strung along the line from the Sun through the centre of the view
+    this.lensFlare = new LensFlare();
+    this.group.add(this.lensFlare.group);
+
+    this.setMode(this.mode);
+  }
+
+  /**
+   * Set surface brightness and corona size for a visualization mode
+   */
+  setMode(mode) {
+    this.mode = CORONA_PROFILES[mode] ? mode : 'exploration';
+    this.corona.scale.setScalar(2 * this.radius * CORONA_EXTENT * CORONA_PROFILES[this.mode].scale);
+    this.applyVisibility();
+  }
+
+  /**
+   * Look at the Sun through a solar filter: a dimmed disc with no corona or flare
+   */
+  setSolarFilter(enabled) {
+    if (this.solarFilter === enabled) return;
+
+    this.solarFilter = enabled;
+    this.applyVisibility();
+  }
+
+  /**
+   * Show or hide the lens flare
+   */
+  setLensFlareEnabled(enabled) {
+    if (this.lensFlareEnabled === enabled) return;
+
+    this.lensFlareEnabled = enabled;
+    this.applyVisibility();
+  }
+
+  applyVisibility() {
+    this.material.uniforms.intensity.value = this.solarFilter ? FILTERED_INTENSITY : SURFACE_INTENSITY[this.mode];
+    this.corona.visible = !this.solarFilter;
+    this.lensFlare.setVisible(this.lensFlareEnabled && !this.solarFilter);
+  }
+
+  /**
+   * Advance the granulation (real seconds, so it neither freezes nor races with time warp)
+   */
+  update(deltaTime) {
+    this.material.uniforms.time.value += deltaTime * GRANULE_SPEED;
+  }
+
+  /**
+   * Whether the lens flare can show for a camera: switched on, no solar filter, and the Sun
+   * in front of the camera and close enough to the view to cast ghosts
+   */
+  isFlareInView(camera) {
+    if (!this.lensFlareEnabled || this.solarFilter) return false;
+
+    camera.updateMatrixWorld();
+    this.group.getWorldPosition(sunWorldPosition);
+    sunScreenPosition.copy(sunWorldPosition).project(camera);
+
+    const edge = Math.max(Math.abs(sunScreenPosition.x), Math.abs(sunScreenPosition.y));
+    return sunScreenPosition.z < 1 && edge < FLARE_EDGE_END;
+  }
+
+  /**
+   * Fit the glare to the camera: the corona and flare fade as the disc grows on screen, and
+   * the flare follows the Sun's place in the view
+   * visibility: fraction of the disc not hidden behind other bodies (0 to 1)
+   */
+  updateView(renderer, camera, visibility = 1) {
+    camera.updateMatrixWorld();
+    this.group.getWorldPosition(sunWorldPosition);
+    camera.getWorldPosition(cameraWorldPosition);
+
+    const worldRadius = this.radius * this.group.matrixWorld.getMaxScaleOnAxis();
+    const distance = Math.max(cameraWorldPosition.distanceTo(sunWorldPosition), worldRadius);
+    const viewHeight = renderer.domElement.height;
+    const pixelRadius = (worldRadius / (distance * Math.tan(THREE.MathUtils.degToRad(camera.fov || 60) / 2))) * (viewHeight / 2);
+    const fade = Math.max(GLARE_MIN_FADE, 1 - THREE.MathUtils.smoothstep(pixelRadius, GLARE_FADE_START, GLARE_FADE_END));
+
+    this.corona.material.color.setScalar(CORONA_PROFILES[this.mode].intensity * fade);
+
+    // The flare dims as the Sun is covered or nears the edge of the view, and vanishes behind it
+    sunScreenPosition.copy(sunWorldPosition).project(camera);
+    const edge = Math.max(Math.abs(sunScreenPosition.x), Math.abs(sunScreenPosition.y));
+    const strength = sunScreenPosition.z < 1
+      ? fade * visibility * (1 - THREE.MathUtils.smoothstep(edge, FLARE_EDGE_START, FLARE_EDGE_END))
+      : 0;
+
+    const visible = this.lensFlareEnabled && !this.solarFilter && strength > 0;
+    this.lensFlare.setVisible(visible);
+    if (visible) {
+      this.lensFlare.update(camera, sunScreenPosition, viewHeight, strength);
+    }
+  }
+
+  /**
+   * Dispose of the shader, corona and flare
+   */
+  dispose() {
+    this.material.dispose();
+    this.corona.material.map.dispose();
+    this.corona.material.dispose();
+    this.lensFlare.dispose();
+  }
+}
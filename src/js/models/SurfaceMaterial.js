@@ -0,0 +1,180 @@
+/**
+ * SurfaceMaterial - Sun-lit physically based materials for planets and moons
+ * Built on MeshStandardMaterial; an ocean mask makes water glossy where land stays matte,
+ * a night-lights map glows only on the side turned away from the Sun, and a ringed planet
+ * is shaded where sunlight passes through its rings.
+ */
+
+import * as THREE from 'three';
+
+// Matte regolith, cloud tops and land; water is much smoother
+const SURFACE_ROUGHNESS = 0.95;
+const OCEAN_ROUGHNESS = 0.3;
+
+// Night lights fade in across the terminator, from this cosine of the Sun's zenith angle
+// down to full strength below it
+const NIGHT_FADE_DARK = -0.15;
+const NIGHT_FADE_LIGHT = 0.05;
+
+// The Sun sits at the scene origin
+const SUN_POSITION = new THREE.Vector3(0, 0, 0);
+
+const OCEAN_ROUGHNESS_CHUNK = /* glsl */ `
+#include <roughnessmap_fragment>
+#ifdef USE_OCEAN_MAP
+  roughnessFactor = mix(roughnessFactor, ${OCEAN_ROUGHNESS.toFixed(2)}, texture2D(oceanMap, vSurfaceUv).r);
+#endif
+`;
+
+// Sunlight through the rings is dimmed by their optical depth along the slanted path
+const RING_SHADOW_CHUNK = /* glsl */ `
+#include <lights_fragment_end>
+#ifdef USE_RING_SHADOW
+  vec3 surfacePosition = -vViewPosition;
+  vec3 toSun = normalize(sunViewPosition - surfacePosition);
+  float slant = dot(toSun, ringNormal);
+  float distanceToPlane = dot(ringCenter - surfacePosition, ringNormal) / slant;
+  float ringRadius = length(surfacePosition + toSun * distanceToPlane - ringCenter);
+  float ringCoordinate = (ringRadius - ringInnerRadius) / (ringOuterRadius - ringInnerRadius);
+  if (abs(slant) > 1e-4 && distanceToPlane > 0.0 && ringCoordinate >= 0.0 && ringCoordinate <= 1.0) {
+    float ringOpacity = min(texture2D(ringProfile, vec2(ringCoordinate, 0.5)).a, 0.999);
+    float ringTransmission = pow(1.0 - ringOpacity, 1.0 / abs(slant));
+    reflectedLight.directDiffuse *= ringTransmission;
+    reflectedLight.directSpecular *= ringTransmission;
+  }
+#endif
+`;
+
+const NIGHT_LIGHTS_CHUNK = /* glsl */ `
+#include <emissivemap_fragment>
+#ifdef USE_NIGHT_MAP
+  float sunElevation = dot(normal, normalize(sunViewPosition + vViewPosition));
+  totalEmissiveRadiance += nightIntensity * texture2D(nightMap, vSurfaceUv).rgb
+    * (1.0 - smoothstep(${NIGHT_FADE_DARK.toFixed(2)}, ${NIGHT_FADE_LIGHT.toFixed(2)}, sunElevation));
+#endif
+`;
+
+/**
+ * Create a lit surface material
+ * Options: map, color, normalMap, bumpMap, bumpScale, emissive, emissiveIntensity,
+ * oceanMap (white where the surface is water) and nightMap (city lights); the ocean and
+ * night maps use the same equirectangular UVs as the body's sphere.
+ */
+export function createSurfaceMaterial(options = {}) {
+  const { oceanMap = null, nightMap = null, ...standardOptions } = options;
+
+  const material = new THREE.MeshStandardMaterial({
+    roughness: SURFACE_ROUGHNESS,
+    metalness: 0,
+    ...standardOptions
+  });
+
+  material.userData.sunViewPosition = new THREE.Vector3();
+  material.userData.nightIntensity = { value: 1 };
+  material.userData.oceanMap = oceanMap;
+  material.userData.nightMap = nightMap;
+
+  // Filled in by setRingShadow for ringed planets
+  material.userData.rings = null;
+  material.userData.ringUniforms = {
+    ringProfile: { value: null },
+    ringCenter: { value: new THREE.Vector3() },
+    ringNormal: { value: new THREE.Vector3(0, 1, 0) },
+    ringInnerRadius: { value: 0 },
+    ringOuterRadius: { value: 1 }
+  };
+
+  material.defines = {
+    ...(oceanMap ? { USE_OCEAN_MAP: '' } : {}),
+    ...(nightMap ? { USE_NIGHT_MAP: '' } : {})
+  };
+
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.oceanMap = { value: oceanMap };
+    shader.uniforms.nightMap = { value: nightMap };
+    shader.uniforms.nightIntensity = material.userData.nightIntensity;
+    shader.uniforms.sunViewPosition = { value: material.userData.sunViewPosition };
+    Object.assign(shader.uniforms, material.userData.ringUniforms);
+
+    // The ocean and night maps follow the body's own UVs even when map uses a second set
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>
+varying vec2 vSurfaceUv;`)
+      .replace('#include <uv_vertex>', `#include <uv_vertex>
+vSurfaceUv = uv;`);
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+varying vec2 vSurfaceUv;
+uniform sampler2D oceanMap;
+uniform sampler2D nightMap;
+uniform float nightIntensity;
+uniform vec3 sunViewPosition;
+uniform sampler2D ringProfile;
+uniform vec3 ringCenter;
+uniform vec3 ringNormal;
+uniform float ringInnerRadius;
+uniform float ringOuterRadius;`)
+      .replace('#include <roughnessmap_fragment>', OCEAN_ROUGHNESS_CHUNK)
+      .replace('#include <emissivemap_fragment>', NIGHT_LIGHTS_CHUNK)
+      .replace('#include <lights_fragment_end>', RING_SHADOW_CHUNK);
+  };
+
+  return material;
+}
+
+/**
+ * Point the night side away from the Sun, and place any rings, as seen by the camera about
+ * to render
+ */
+export function updateSurfaceMaterial(material, camera) {
+  if (material.userData.sunViewPosition) {
+    material.userData.sunViewPosition.copy(SUN_POSITION).applyMatrix4(camera.matrixWorldInverse);
+  }
+
+  const { rings, ringUniforms } = material.userData;
+  if (rings) {
+    const scale = rings.matrixWorld.getMaxScaleOnAxis();
+    ringUniforms.ringCenter.value.setFromMatrixPosition(rings.matrixWorld).applyMatrix4(camera.matrixWorldInverse);
+    ringUniforms.ringNormal.value.set(0, 1, 0).transformDirection(rings.matrixWorld).transformDirection(camera.matrixWorldInverse);
+    ringUniforms.ringInnerRadius.value = rings.userData.innerRadius * scale;
+    ringUniforms.ringOuterRadius.value = rings.userData.outerRadius * scale;
+  }
+}
+
+/**
+ * Shade the planet where its rings block the Sun
+ * The rings lie in their local XZ plane, with radii in rings.userData and the profile the
+ * ring material samples.
+ */
+export function setRingShadow(material, rings, profile) {
+  if (!material.userData.ringUniforms) return;
+
+  material.userData.rings = rings;
+  material.userData.ringUniforms.ringProfile.value = profile;
+  material.defines = { ...material.defines, USE_RING_SHADOW: '' };
+  material.needsUpdate = true;
+}
+
+/**
+ * Set how brightly night lights glow (0 hides them)
+ */
+export function setNightLightIntensity(material, intensity) {
+  if (material.userData.nightIntensity) {
+    material.userData.nightIntensity.value = intensity;
+  }
+}
+
+/**
+ * Dispose of a surface material and every texture it holds
+ */
+export function disposeSurfaceMaterial(material) {
+  ['map', 'normalMap', 'bumpMap', 'emissiveMap'].forEach((key) => {
+    if (material[key]) material[key].dispose();
+  });
+
+  if (material.userData.oceanMap) material.userData.oceanMap.dispose();
+  if (material.userData.nightMap) material.userData.nightMap.dispose();
+
+  material.dispose();
+}
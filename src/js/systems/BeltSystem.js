@@ -0,0 +1,378 @@
+/**
+ * BeltSystem - Renders the main asteroid belt and the Kuiper belt as particles
+ * Every particle has its own sampled Keplerian elements; Kepler's equation is solved
+ * in the vertex shader so tens of thousands of objects follow the simulation clock
+ */
+
+import * as THREE from 'three';
+import { BELT_DATA, getScaledBeltData } from '../data/SolarSystemData.js';
+import { getDaysSinceJ2000 } from '../utils/AstronomicalCalculations.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+const DAYS_PER_YEAR = 365.25;
+
+// Fraction of particles drawn at each level of detail
+const LOD_FRACTIONS = {
+  high: 1.0,
+  medium: 0.5,
+  low: 0.25
+};
+
+const BELT_VERTEX_SHADER = `
+  uniform float uDays;
+  uniform float uDistanceScale;
+  uniform float uParticleSize;
+  uniform float uViewportScale;
+
+  attribute vec4 elementsA; // semi-major axis (AU), eccentricity, inclination, ascending node (rad)
+  attribute vec4 elementsB; // argument of perihelion, mean anomaly at J2000 (rad), mean motion (rad/day), size
+  attribute vec3 tint;
+
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    float a = elementsA.x;
+    float e = elementsA.y;
+
+    // Solve Kepler's equation (belt orbits are only mildly eccentric)
+    float M = mod(elementsB.y + elementsB.z * uDays, 6.28318530718);
+    float E = M + e * sin(M);
+    for (int k = 0; k < 5; k++) {
+      E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+    }
+
+    // Position in the orbital plane
+    float xv = a * (cos(E) - e);
+    float yv = a * sqrt(1.0 - e * e) * sin(E);
+
+    // Rotate to ecliptic coordinates
+    float cw = cos(elementsB.x);
+    float sw = sin(elementsB.x);
+    float ci = cos(elementsA.z);
+    float si = sin(elementsA.z);
+    float cn = cos(elementsA.w);
+    float sn = sin(elementsA.w);
+
+    float xp = xv * cw - yv * sw;
+    float yp = xv * sw + yv * cw;
+    vec3 ecliptic = vec3(xp * cn - yp * ci * sn, xp * sn + yp * ci * cn, yp * si);
+
+    // Ecliptic Z is the scene's vertical axis
+    vec3 scenePosition = vec3(ecliptic.x, ecliptic.z, ecliptic.y) * uDistanceScale;
+    vec4 mvPosition = modelViewMatrix * vec4(scenePosition, 1.0);
+
+    // Size attenuation; particles smaller than a pixel fade instead of shrinking
+    float size = uParticleSize * elementsB.w * uViewportScale / -mvPosition.z;
+    vAlpha = clamp(size, 0.0, 1.0);
+    vColor = tint;
+
+    gl_PointSize = clamp(size, 1.0, 4.0);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const BELT_FRAGMENT_SHADER = `
+  uniform float uOpacity;
+
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    // Round particles
+    vec2 offset = gl_PointCoord - vec2(0.5);
+    if (dot(offset, offset) > 0.25) discard;
+
+    gl_FragColor = vec4(vColor, vAlpha * uOpacity);
+  }
+`;
+
+export class BeltSystem {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Belt particle objects by belt name
+    this.belts = new Map();
+
+    // Settings
+    this.currentMode = 'exploration';
+    this.density = 1.0; // Fraction of particles drawn (0-1)
+    this.levelOfDetail = 'high';
+    this.isVisible = true;
+    this.viewportHeight = 800;
+  }
+
+  /**
+   * Create all belts for a visualization mode
+   */
+  create(mode = 'exploration') {
+    this.currentMode = mode;
+
+    Object.keys(BELT_DATA).forEach((beltName) => {
+      const beltData = getScaledBeltData(beltName, mode);
+      const points = this.createBelt(beltData);
+      points.visible = this.isVisible;
+
+      this.belts.set(beltName, points);
+      this.scene.add(points);
+    });
+
+    this.updateDrawRange();
+
+    console.log(`🪨 Created ${this.belts.size} small-body belts`);
+  }
+
+  /**
+   * Create the particle system for a single belt
+   */
+  createBelt(beltData) {
+    const count = beltData.count;
+    const random = new SeededRandom(beltData.seed);
+
+    const positions = new Float32Array(count * 3);
+    const elementsA = new Float32Array(count * 4);
+    const elementsB = new Float32Array(count * 4);
+    const tints = new Float32Array(count * 3);
+    const colors = beltData.colors.map(color => new THREE.Color(color));
+
+    for (let index = 0; index < count; index++) {
+      const population = this.pickPopulation(beltData.populations, random);
+      const elements = this.sampleElements(population, beltData.gaps, random);
+
+      elementsA.set([
+        elements.semiMajorAxis,
+        elements.eccentricity,
+        elements.inclination,
+        elements.longitudeOfAscendingNode
+      ], index * 4);
+
+      elementsB.set([
+        elements.argumentOfPerihelion,
+        elements.meanAnomaly,
+        elements.meanMotion,
+        elements.size
+      ], index * 4);
+
+      // Slight brightness variation around the belt's surface colours
+      const color = colors[Math.floor(random.next() * colors.length)];
+      const brightness = random.range(0.8, 1.2);
+      tints.set([color.r * brightness, color.g * brightness, color.b * brightness], index * 3);
+    }
+
+    // Particles are generated in random order, so any prefix of the buffer is an even
+    // sample of every population - density and LOD only shrink the draw range.
+    // Positions stay at the origin; the vertex shader computes the real ones.
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('elementsA', new THREE.BufferAttribute(elementsA, 4));
+    geometry.setAttribute('elementsB', new THREE.BufferAttribute(elementsB, 4));
+    geometry.setAttribute('tint', new THREE.BufferAttribute(tints, 3));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uDays: { value: 0 },
+        uDistanceScale: { value: beltData.distanceScale },
+        uParticleSize: { value: beltData.particleSize },
+        uViewportScale: { value: this.viewportHeight / 2 },
+        uOpacity: { value: 0.8 }
+      },
+      vertexShader: BELT_VERTEX_SHADER,
+      fragmentShader: BELT_FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false; // Positions are computed on the GPU
+    points.userData = { type: 'belt', name: beltData.name, count };
+
+    return points;
+  }
+
+  /**
+   * Pick a population at random, weighted by its fraction of the belt
+   */
+  pickPopulation(populations, random) {
+    let remaining = random.next();
+    for (const population of populations) {
+      remaining -= population.fraction;
+      if (remaining < 0) return population;
+    }
+    return populations[populations.length - 1];
+  }
+
+  /**
+   * Sample Keplerian elements for one belt particle (angles in radians)
+   */
+  sampleElements(population, gaps, random) {
+    // Semi-major axis, rejecting samples that fall in resonance gaps
+    let semiMajorAxis;
+    do {
+      semiMajorAxis = random.range(population.semiMajorAxis.min, population.semiMajorAxis.max);
+    } while (gaps.some(gap => Math.abs(semiMajorAxis - gap.center) < gap.width / 2));
+
+    const eccentricityConfig = population.eccentricity;
+    const eccentricity = THREE.MathUtils.clamp(
+      random.gaussian(eccentricityConfig.mean, eccentricityConfig.sigma),
+      0,
+      eccentricityConfig.max
+    );
+
+    // Kepler's third law: period in years = a^1.5
+    const periodDays = Math.pow(semiMajorAxis, 1.5) * DAYS_PER_YEAR;
+
+    return {
+      semiMajorAxis,
+      eccentricity,
+      inclination: THREE.MathUtils.degToRad(random.rayleigh(population.inclinationSigma)),
+      longitudeOfAscendingNode: random.range(0, 2 * Math.PI),
+      argumentOfPerihelion: random.range(0, 2 * Math.PI),
+      meanAnomaly: random.range(0, 2 * Math.PI),
+      meanMotion: (2 * Math.PI) / periodDays,
+      size: random.range(0.5, 1.5)
+    };
+  }
+
+  /**
+   * Advance all belts to the simulated date
+   */
+  update(date, cameraPosition = null) {
+    if (!this.isVisible) return;
+
+    const days = getDaysSinceJ2000(date);
+    this.belts.forEach((points) => {
+      points.material.uniforms.uDays.value = days;
+    });
+
+    if (cameraPosition) {
+      this.updateLevelOfDetail(cameraPosition);
+    }
+  }
+
+  /**
+   * Rescale belts for a new visualization mode
+   */
+  setMode(mode) {
+    this.currentMode = mode;
+
+    this.belts.forEach((points, beltName) => {
+      const beltData = getScaledBeltData(beltName, mode);
+      points.material.uniforms.uDistanceScale.value = beltData.distanceScale;
+      points.material.uniforms.uParticleSize.value = beltData.particleSize;
+    });
+  }
+
+  /**
+   * Reduce the number of drawn particles when the camera is far from the belts
+   */
+  updateLevelOfDetail(cameraPosition) {
+    const outerRadius = this.getOuterRadius();
+    const distanceToCenter = cameraPosition.length();
+
+    let newLOD = 'high';
+    if (distanceToCenter > outerRadius * 4) {
+      newLOD = 'low';
+    } else if (distanceToCenter > outerRadius * 2) {
+      newLOD = 'medium';
+    }
+
+    if (newLOD !== this.levelOfDetail) {
+      this.levelOfDetail = newLOD;
+      this.updateDrawRange();
+    }
+  }
+
+  /**
+   * Get the outermost belt edge in scene units for the current mode
+   */
+  getOuterRadius() {
+    let outerRadius = 0;
+    this.belts.forEach((points, beltName) => {
+      const beltData = getScaledBeltData(beltName, this.currentMode);
+      beltData.populations.forEach((population) => {
+        outerRadius = Math.max(outerRadius, population.semiMajorAxis.max * beltData.distanceScale);
+      });
+    });
+    return outerRadius;
+  }
+
+  /**
+   * Apply density and level of detail to every belt's draw range
+   */
+  updateDrawRange() {
+    const fraction = this.density * LOD_FRACTIONS[this.levelOfDetail];
+
+    this.belts.forEach((points) => {
+      const drawCount = Math.floor(points.userData.count * fraction);
+      points.geometry.setDrawRange(0, drawCount);
+    });
+  }
+
+  /**
+   * Set the fraction of belt particles drawn (0-1)
+   */
+  setDensity(density) {
+    this.density = THREE.MathUtils.clamp(density, 0, 1);
+    this.updateDrawRange();
+  }
+
+  /**
+   * Get the fraction of belt particles drawn
+   */
+  getDensity() {
+    return this.density;
+  }
+
+  /**
+   * Get the number of particles currently drawn across all belts
+   */
+  getDrawnCount() {
+    let total = 0;
+    this.belts.forEach((points) => {
+      total += points.geometry.drawRange.count;
+    });
+    return total;
+  }
+
+  /**
+   * Update point size attenuation for the viewport height in device pixels (call on resize)
+   */
+  setViewportHeight(height) {
+    this.viewportHeight = height;
+    this.belts.forEach((points) => {
+      points.material.uniforms.uViewportScale.value = height / 2;
+    });
+  }
+
+  /**
+   * Set belt visibility
+   */
+  setVisible(visible) {
+    this.isVisible = visible;
+    this.belts.forEach((points) => {
+      points.visible = visible;
+    });
+  }
+
+  /**
+   * Toggle belt visibility
+   */
+  toggleVisible() {
+    this.setVisible(!this.isVisible);
+    return this.isVisible;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    this.belts.forEach((points) => {
+      this.scene.remove(points);
+      points.geometry.dispose();
+      points.material.dispose();
+    });
+    this.belts.clear();
+
+    console.log('🧹 Disposed small-body belts');
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * ConstellationOverlay - Constellation stick figures and names drawn on the celestial sphere
+ * Shares the starfield's J2000 ecliptic frame so lines join the catalog stars exactly
+ */
+
+import * as THREE from 'three';
+import { BRIGHT_STARS } from '../data/StarCatalog.js';
+import { CONSTELLATIONS } from '../data/ConstellationData.js';
+import { equatorialToEcliptic } from '../utils/AstronomicalCalculations.js';
+
+// Just inside the starfield sphere so lines never cover the stars they join
+const OVERLAY_RADIUS = 49000;
+
+// Screen-relative label height for sprites drawn without size attenuation
+const LABEL_SCALE = 0.035;
+
+export class ConstellationOverlay {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Everything is parented to one group that follows the camera
+    this.group = new THREE.Group();
+    this.lines = null;
+    this.labelGroup = new THREE.Group();
+
+    // Settings
+    this.linesVisible = false;
+    this.labelsVisible = false;
+  }
+
+  /**
+   * Create figure lines and labels for every constellation
+   */
+  create() {
+    const starDirections = new Map();
+    BRIGHT_STARS.forEach(([designation, , rightAscension, declination]) => {
+      starDirections.set(designation, this.toSceneDirection(equatorialToEcliptic(rightAscension, declination)));
+    });
+
+    const positions = [];
+
+    Object.entries(CONSTELLATIONS).forEach(([abbreviation, constellation]) => {
+      const figureStars = new Set();
+
+      constellation.lines.forEach((polyline) => {
+        for (let index = 1; index < polyline.length; index++) {
+          const start = starDirections.get(polyline[index - 1]);
+          const end = starDirections.get(polyline[index]);
+
+          if (!start || !end) {
+            console.warn(`⚠️ ${abbreviation} figure references an unknown star`);
+            continue;
+          }
+
+          positions.push(
+            start.x * OVERLAY_RADIUS, start.y * OVERLAY_RADIUS, start.z * OVERLAY_RADIUS,
+            end.x * OVERLAY_RADIUS, end.y * OVERLAY_RADIUS, end.z * OVERLAY_RADIUS
+          );
+        }
+
+        polyline.forEach(designation => figureStars.add(designation));
+      });
+
+      this.labelGroup.add(this.createLabel(abbreviation, constellation.name, figureStars, starDirections));
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+    const material = new THREE.LineBasicMaterial({
+      color: 0x4a6fa5,
+      transparent: true,
+      opacity: 0.45,
+      depthWrite: false
+    });
+
+    this.lines = new THREE.LineSegments(geometry, material);
+    this.lines.frustumCulled = false;
+    this.lines.renderOrder = -1; // Draw with the sky, behind everything else
+    this.lines.userData = { type: 'constellationLines' };
+
+    this.group.add(this.lines);
+    this.group.add(this.labelGroup);
+    this.scene.add(this.group);
+
+    this.setLinesVisible(this.linesVisible);
+    this.setLabelsVisible(this.labelsVisible);
+
+    console.log(`🌠 Created ${Object.keys(CONSTELLATIONS).length} constellation figures`);
+  }
+
+  /**
+   * Map an ecliptic direction to scene axes (ecliptic Z is the scene's vertical axis)
+   */
+  toSceneDirection(direction) {
+    return new THREE.Vector3(direction.x, direction.z, direction.y);
+  }
+
+  /**
+   * Create a name label at the centre of a constellation's figure
+   */
+  createLabel(abbreviation, name, figureStars, starDirections) {
+    const center = new THREE.Vector3();
+    figureStars.forEach((designation) => {
+      center.add(starDirections.get(designation));
+    });
+    center.normalize().multiplyScalar(OVERLAY_RADIUS);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+
+    const context = canvas.getContext('2d');
+    context.font = '24px Arial';
+    context.fillStyle = '#7f9fcf';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(name.toUpperCase(), canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      opacity: 0.7,
+      depthWrite: false,
+      sizeAttenuation: false
+    });
+
+    const label = new THREE.Sprite(material);
+    label.position.copy(center);
+    label.scale.set(LABEL_SCALE * 4, LABEL_SCALE, 1);
+    label.userData = { type: 'constellationLabel', abbreviation };
+
+    return label;
+  }
+
+  /**
+   * Keep the overlay centred on the camera, like the starfield
+   */
+  update(cameraPosition) {
+    if (this.linesVisible || this.labelsVisible) {
+      this.group.position.copy(cameraPosition);
+    }
+  }
+
+  /**
+   * Show or hide the stick figures
+   */
+  setLinesVisible(visible) {
+    this.linesVisible = visible;
+    if (this.lines) {
+      this.lines.visible = visible;
+    }
+  }
+
+  /**
+   * Show or hide the constellation names
+   */
+  setLabelsVisible(visible) {
+    this.labelsVisible = visible;
+    this.labelGroup.visible = visible;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.lines) {
+      this.lines.geometry.dispose();
+      this.lines.material.dispose();
+      this.lines = null;
+    }
+
+    this.labelGroup.children.forEach((label) => {
+      label.material.map.dispose();
+      label.material.dispose();
+    });
+    this.labelGroup.clear();
+
+    this.scene.remove(this.group);
+
+    console.log('🧹 Disposed constellation overlay');
+  }
+}
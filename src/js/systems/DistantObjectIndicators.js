@@ -65,6 +65,7 @@ export class DistantObjectIndicators {
     
     celestialBodies.forEach((body, name) => {
       if (name === 'sun') return; // Skip sun
+      if (body.isMoon && body.isMoon()) return; // Moons are covered by their parent's indicator
       
       this.updateBodyIndicator(body, name);
     });
@@ -0,0 +1,264 @@
+/**
+ * EclipseSystem - Shadow cones of the Moon and Earth, and the track of a solar eclipse
+ * Bodies are drawn far larger than their distances, so each cone is fitted to the scene:
+ * it leaves the casting body's disk and reaches the other body with the real shadow radii
+ * and offset measured in that body's radius.
+ */
+
+import * as THREE from 'three';
+import { getBodyData } from '../data/SolarSystemData.js';
+import { calculateSolarEclipseGeometry, calculateLunarEclipseGeometry } from '../utils/EclipseCalculations.js';
+import { getBodyFrame } from '../utils/ObserverCalculations.js';
+
+// Shadow radii of the Moon's shadow are given in Earth equatorial radii
+const EARTH_EQUATORIAL_RADIUS = 6378.137; // km
+
+// How far the cones run past the body they fall on, in that body's radii
+const MOON_SHADOW_OVERSHOOT = 2;
+const EARTH_SHADOW_OVERSHOOT = 3;
+
+// The track floats just above the surface so it is not hidden inside the globe
+const TRACK_HEIGHT = 1.01;
+
+const CONE_SEGMENTS = 48;
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+export class EclipseSystem {
+  constructor(scene, sceneManager) {
+    this.scene = scene;
+    this.sceneManager = sceneManager;
+
+    // Shadow cones, hidden until toggled on
+    this.shadowGroup = new THREE.Group();
+    this.moonUmbra = null;
+    this.moonPenumbra = null;
+    this.earthUmbra = null;
+    this.earthPenumbra = null;
+
+    // Central line of the selected solar eclipse, carried with Earth
+    this.trackGroup = new THREE.Group();
+    this.trackLine = null;
+    this.trackPoints = [];
+
+    // Settings
+    this.shadowsVisible = false;
+
+    this.create();
+  }
+
+  /**
+   * Create the shadow cones and the (empty) track line
+   */
+  create() {
+    this.moonUmbra = this.createCone(0xffaa44, 0.35);
+    this.moonPenumbra = this.createCone(0x88aaff, 0.12);
+    this.earthUmbra = this.createCone(0xcc4422, 0.3);
+    this.earthPenumbra = this.createCone(0x88aaff, 0.1);
+
+    this.shadowGroup.add(this.moonUmbra, this.moonPenumbra, this.earthUmbra, this.earthPenumbra);
+    this.shadowGroup.visible = this.shadowsVisible;
+    this.scene.add(this.shadowGroup);
+
+    this.trackLine = new THREE.Line(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0xffcc33, transparent: true, opacity: 0.9, depthWrite: false })
+    );
+    this.trackLine.frustumCulled = false;
+    this.trackLine.userData = { type: 'eclipseTrack' };
+    this.trackGroup.add(this.trackLine);
+    this.trackGroup.visible = false;
+  }
+
+  /**
+   * Create an open-ended cone of unit radius and height; its ends are resized in setCone
+   */
+  createCone(color, opacity) {
+    const geometry = new THREE.CylinderGeometry(1, 1, 1, CONE_SEGMENTS, 1, true);
+    geometry.userData.basePositions = geometry.attributes.position.array.slice();
+
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+
+    const cone = new THREE.Mesh(geometry, material);
+    cone.frustumCulled = false;
+    cone.userData = { type: 'eclipseShadow' };
+    return cone;
+  }
+
+  /**
+   * Stretch a cone between two points with a radius at each end
+   * A negative end radius crosses the axis, drawing the vertex and antumbra beyond it.
+   */
+  setCone(cone, start, startRadius, end, endRadius) {
+    const direction = new THREE.Vector3().subVectors(end, start);
+    const length = direction.length();
+    if (length === 0) return;
+
+    const basePositions = cone.geometry.userData.basePositions;
+    const positions = cone.geometry.attributes.position.array;
+
+    // Cylinder vertices run from y = -0.5 (start) to y = 0.5 (end)
+    for (let i = 0; i < positions.length; i += 3) {
+      const along = basePositions[i + 1] + 0.5;
+      const radius = startRadius + (endRadius - startRadius) * along;
+      positions[i] = basePositions[i] * radius;
+      positions[i + 1] = basePositions[i + 1] * length;
+      positions[i + 2] = basePositions[i + 2] * radius;
+    }
+    cone.geometry.attributes.position.needsUpdate = true;
+
+    cone.position.addVectors(start, end).multiplyScalar(0.5);
+    cone.quaternion.setFromUnitVectors(Y_AXIS, direction.divideScalar(length));
+  }
+
+  /**
+   * Map an ecliptic vector to scene axes (ecliptic Z is the scene's vertical axis)
+   */
+  toScene(vector) {
+    return new THREE.Vector3(vector.x, vector.z, vector.y);
+  }
+
+  /**
+   * Drawn radius of a body, including any visibility scaling of its mesh
+   */
+  getSceneRadius(body) {
+    return body.getRadius() * (body.mesh ? body.mesh.scale.x : 1);
+  }
+
+  /**
+   * Fit the cones and turn the track with Earth for the simulated date
+   */
+  update(date = null) {
+    const earth = this.sceneManager.getCelestialBody('earth');
+    const moon = this.sceneManager.getCelestialBody('moon');
+    if (!earth || !moon) return;
+
+    // Bodies are recreated when the visualization mode changes
+    if (this.trackGroup.parent !== earth.getObject3D()) {
+      earth.getObject3D().add(this.trackGroup);
+    }
+
+    if (this.trackGroup.visible) {
+      this.updateTrack(earth, date);
+    }
+
+    if (this.shadowsVisible) {
+      this.updateShadows(earth, moon, date);
+    }
+  }
+
+  /**
+   * Fit the Moon's shadow to Earth and Earth's shadow to the Moon
+   */
+  updateShadows(earth, moon, date) {
+    const earthPosition = earth.getPosition();
+    const moonPosition = moon.getPosition();
+    const earthRadius = this.getSceneRadius(earth);
+    const moonRadius = this.getSceneRadius(moon);
+
+    // The Moon's shadow crosses the fundamental plane through Earth's centre, and only
+    // points towards Earth while the Moon is on the Sun's side
+    const solar = calculateSolarEclipseGeometry(date);
+    this.moonUmbra.visible = this.moonPenumbra.visible = solar.planeDistance > 0;
+    const planePoint = earthPosition.clone()
+      .addScaledVector(this.toScene(solar.axisOffset), earthRadius / EARTH_EQUATORIAL_RADIUS);
+    this.setConeBeyond(this.moonUmbra, moonPosition, moonRadius, planePoint, solar.umbraRadius * earthRadius, MOON_SHADOW_OVERSHOOT * earthRadius);
+    this.setConeBeyond(this.moonPenumbra, moonPosition, moonRadius, planePoint, solar.penumbraRadius * earthRadius, MOON_SHADOW_OVERSHOOT * earthRadius);
+
+    // Earth's shadow is centred off the Moon by its real offset in lunar radii
+    const lunar = calculateLunarEclipseGeometry(date);
+    this.earthUmbra.visible = this.earthPenumbra.visible = lunar.separation < Math.PI / 2;
+    const shadowCenter = moonPosition.clone()
+      .addScaledVector(this.toScene(lunar.axisOffset), -moonRadius / getBodyData('moon').radius);
+    const radiusScale = moonRadius / lunar.moonRadius;
+    this.setConeBeyond(this.earthUmbra, earthPosition, earthRadius, shadowCenter, lunar.umbraRadius * radiusScale, EARTH_SHADOW_OVERSHOOT * moonRadius);
+    this.setConeBeyond(this.earthPenumbra, earthPosition, earthRadius, shadowCenter, lunar.penumbraRadius * radiusScale, EARTH_SHADOW_OVERSHOOT * moonRadius);
+  }
+
+  /**
+   * Set a cone through a target point with a given radius there, continuing past it
+   */
+  setConeBeyond(cone, start, startRadius, target, targetRadius, overshoot) {
+    const span = start.distanceTo(target);
+    if (span === 0) return;
+
+    const extension = 1 + overshoot / span;
+    const end = start.clone().lerp(target, extension);
+    this.setCone(cone, start, startRadius, end, startRadius + (targetRadius - startRadius) * extension);
+  }
+
+  /**
+   * Turn the track group to Earth's body-fixed axes for the date, and size it with the globe
+   */
+  updateTrack(earth, date) {
+    this.trackGroup.scale.setScalar(earth.mesh ? earth.mesh.scale.x : 1);
+
+    const { pole, primeMeridian, ninetyEast } = getBodyFrame('earth', date);
+
+    // Scene axes mirror the ecliptic frame; this ordering keeps the basis a rotation
+    const basis = new THREE.Matrix4().makeBasis(this.toScene(primeMeridian), this.toScene(pole), this.toScene(ninetyEast));
+    this.trackGroup.quaternion.setFromRotationMatrix(basis);
+  }
+
+  /**
+   * Show the central line of a solar eclipse, or clear it with null
+   */
+  setTrack(eclipse) {
+    this.trackPoints = eclipse && eclipse.track ? eclipse.track : [];
+
+    const earth = this.sceneManager.getCelestialBody('earth');
+    const radius = (earth ? earth.getRadius() : 1) * TRACK_HEIGHT;
+    const positions = [];
+
+    this.trackPoints.forEach(({ latitude, longitude }) => {
+      const latitudeRad = THREE.MathUtils.degToRad(latitude);
+      const longitudeRad = THREE.MathUtils.degToRad(longitude);
+
+      // Body-fixed axes (prime meridian, pole, 90° east) in the track group's frame
+      positions.push(
+        radius * Math.cos(latitudeRad) * Math.cos(longitudeRad),
+        radius * Math.sin(latitudeRad),
+        radius * Math.cos(latitudeRad) * Math.sin(longitudeRad)
+      );
+    });
+
+    this.trackLine.geometry.dispose();
+    this.trackLine.geometry = new THREE.BufferGeometry();
+    this.trackLine.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.trackGroup.visible = this.trackPoints.length > 1;
+
+    if (this.trackGroup.visible) {
+      console.log(`🌑 Showing eclipse track with ${this.trackPoints.length} points`);
+    }
+  }
+
+  /**
+   * Show or hide the shadow cones
+   */
+  setShadowsVisible(visible) {
+    this.shadowsVisible = visible;
+    this.shadowGroup.visible = visible;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    [this.moonUmbra, this.moonPenumbra, this.earthUmbra, this.earthPenumbra, this.trackLine].forEach((object) => {
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+
+    this.scene.remove(this.shadowGroup);
+    if (this.trackGroup.parent) {
+      this.trackGroup.parent.remove(this.trackGroup);
+    }
+
+    console.log('🧹 Disposed eclipse system');
+  }
+}
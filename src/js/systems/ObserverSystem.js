@@ -0,0 +1,374 @@
+/**
+ * ObserverSystem - Stand on the surface of a body and look at its sky
+ * The horizon turns with the body's rotation, and other bodies appear as points and
+ * discs at their apparent magnitude and angular size as seen from that spot
+ */
+
+import * as THREE from 'three';
+import { SOLAR_SYSTEM_DATA, MOONS_DATA, getBodyData } from '../data/SolarSystemData.js';
+import { getSurfaceFrame, calculateSkyFromSurface, toHorizontalCoordinates } from '../utils/ObserverCalculations.js';
+
+// Camera layer for things drawn while observing; every body, orbit and belt stays on layer 0
+export const OBSERVER_LAYER = 1;
+
+// Distances of the sky objects from the camera (inside the starfield sphere)
+const SKY_DISTANCE = 40000;
+const GROUND_RADIUS = 45000;
+
+// Point size in pixels of a magnitude 0 body, matching the starfield
+const ZERO_MAGNITUDE_SIZE = 4;
+const MAX_POINT_SIZE = 12;
+
+// Bodies fainter than this are drawn without a name
+const LABEL_MAGNITUDE_LIMIT = 6.5;
+const LABEL_SCALE = 0.03;
+
+// Eye height above the surface in body radii
+const EYE_HEIGHT = 0.01;
+
+const CARDINAL_POINTS = [
+  ['N', new THREE.Vector3(0, 0, -1)],
+  ['S', new THREE.Vector3(0, 0, 1)],
+  // Scene axes mirror the ecliptic frame, so east lies on local -X
+  ['E', new THREE.Vector3(-1, 0, 0)],
+  ['W', new THREE.Vector3(1, 0, 0)]
+];
+
+export class ObserverSystem {
+  constructor(camera, sceneManager, navigationControls) {
+    this.camera = camera;
+    this.sceneManager = sceneManager;
+    this.navigationControls = navigationControls;
+
+    // Observer state
+    this.isActive = false;
+    this.bodyName = null;
+    this.latitude = 0;
+    this.longitude = 0;
+
+    // Latest horizon frame (ecliptic vectors) and sky positions
+    this.frame = null;
+    this.sky = [];
+    this.frameQuaternion = new THREE.Quaternion();
+
+    // Sky objects follow the camera; the horizon also turns with the local frame
+    this.skyGroup = new THREE.Group();
+    this.horizonGroup = new THREE.Group();
+    this.skyObjects = new Map();
+    this.ground = null;
+    this.discTexture = null;
+
+    this.createSkyObjects();
+    this.createHorizon();
+    this.showWithObserverCamera();
+  }
+
+  /**
+   * Create a point sprite and name label for every built-in body
+   */
+  createSkyObjects() {
+    this.discTexture = this.createDiscTexture();
+
+    [...Object.keys(SOLAR_SYSTEM_DATA), ...Object.keys(MOONS_DATA)].forEach((name) => {
+      const material = new THREE.SpriteMaterial({
+        map: this.discTexture,
+        color: getBodyData(name).color,
+        transparent: true,
+        depthWrite: false,
+        sizeAttenuation: false
+      });
+
+      const sprite = new THREE.Sprite(material);
+      sprite.userData = { type: 'observerSky', name };
+
+      const label = this.createLabel(name.charAt(0).toUpperCase() + name.slice(1), '#cfd8e6');
+      label.center.set(-0.08, 0.5); // Just right of the point
+
+      this.skyGroup.add(sprite);
+      this.skyGroup.add(label);
+      this.skyObjects.set(name, { sprite, label });
+    });
+
+    this.skyGroup.visible = false;
+    this.sceneManager.scene.add(this.skyGroup);
+  }
+
+  /**
+   * Create the soft round texture shared by all sky points
+   */
+  createDiscTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.8, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 64, 64);
+
+    return new THREE.CanvasTexture(canvas);
+  }
+
+  /**
+   * Create a text sprite of constant screen size
+   */
+  createLabel(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+
+    const context = canvas.getContext('2d');
+    context.font = '28px Arial';
+    context.fillStyle = color;
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    context.fillText(text, 8, canvas.height / 2);
+
+    const material = new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthWrite: false,
+      sizeAttenuation: false
+    });
+
+    const label = new THREE.Sprite(material);
+    label.scale.set(LABEL_SCALE * 4, LABEL_SCALE, 1);
+    return label;
+  }
+
+  /**
+   * Create the ground, horizon line and cardinal point labels in local horizon axes
+   * (Y up, Z towards south)
+   */
+  createHorizon() {
+    const groundGeometry = new THREE.SphereGeometry(GROUND_RADIUS, 48, 12, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2);
+    const groundMaterial = new THREE.MeshBasicMaterial({ color: 0x202020, side: THREE.BackSide });
+    this.ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    this.horizonGroup.add(this.ground);
+
+    const ringPoints = [];
+    for (let index = 0; index < 128; index++) {
+      const angle = (index / 128) * Math.PI * 2;
+      ringPoints.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)).multiplyScalar(GROUND_RADIUS * 0.99));
+    }
+    const ring = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints(ringPoints),
+      new THREE.LineBasicMaterial({ color: 0x6a7a8c, transparent: true, opacity: 0.8 })
+    );
+    this.horizonGroup.add(ring);
+
+    CARDINAL_POINTS.forEach(([letter, direction]) => {
+      const label = this.createLabel(letter, '#ffcc66');
+      label.center.set(0.05, 0); // Sit on the horizon line
+      label.position.copy(direction).multiplyScalar(GROUND_RADIUS * 0.98);
+      this.horizonGroup.add(label);
+    });
+
+    this.horizonGroup.visible = false;
+    this.sceneManager.scene.add(this.horizonGroup);
+  }
+
+  /**
+   * Put the observer overlay, stars and constellations on the observer camera layer
+   */
+  showWithObserverCamera() {
+    [this.skyGroup, this.horizonGroup].forEach(group => group.traverse(object => object.layers.set(OBSERVER_LAYER)));
+
+    if (this.sceneManager.starField && this.sceneManager.starField.points) {
+      this.sceneManager.starField.points.layers.enable(OBSERVER_LAYER);
+    }
+
+    if (this.sceneManager.constellationOverlay) {
+      this.sceneManager.constellationOverlay.group.traverse(object => object.layers.enable(OBSERVER_LAYER));
+    }
+  }
+
+  /**
+   * Stand on a body's surface at a planetocentric latitude and east longitude (degrees)
+   */
+  enter(bodyName, latitude = 0, longitude = 0) {
+    const data = getBodyData(bodyName);
+    const body = this.sceneManager.getCelestialBody(bodyName);
+    if (!data || !body || data.type === 'star') {
+      console.warn(`⚠️ Cannot stand on ${bodyName}`);
+      return false;
+    }
+
+    const travelSystem = this.sceneManager.getPlanetTravelSystem();
+    if (travelSystem && travelSystem.isTransitioning) {
+      travelSystem.cancelTransition();
+    }
+
+    this.bodyName = bodyName;
+    this.latitude = Math.max(-90, Math.min(90, latitude));
+    this.longitude = ((longitude % 360) + 540) % 360 - 180;
+
+    this.ground.material.color.setHex(data.color).multiplyScalar(0.25);
+
+    if (!this.isActive) {
+      this.isActive = true;
+      this.camera.layers.set(OBSERVER_LAYER);
+      this.skyGroup.visible = true;
+      this.horizonGroup.visible = true;
+      this.navigationControls.setMovementLocked(true);
+
+      // Face south, a little above the horizon
+      this.navigationControls.euler.set(15 * Math.PI / 180, Math.PI, 0);
+    }
+
+    this.update(this.sceneManager.getSimulationDate());
+
+    console.log(`🧍 Standing on ${bodyName} at ${this.latitude.toFixed(2)}°, ${this.longitude.toFixed(2)}°`);
+    return true;
+  }
+
+  /**
+   * Leave the surface and hover above the spot looking down at the body
+   */
+  exit() {
+    if (!this.isActive) return;
+
+    const body = this.sceneManager.getCelestialBody(this.bodyName);
+
+    this.isActive = false;
+    this.camera.layers.set(0);
+    this.skyGroup.visible = false;
+    this.horizonGroup.visible = false;
+
+    this.navigationControls.setReferenceFrame(null);
+    this.navigationControls.setMovementLocked(false);
+
+    if (body && this.frame) {
+      const bodyPosition = body.getPosition();
+      this.camera.position.copy(bodyPosition).addScaledVector(this.toScene(this.frame.up), body.getRadius() * 3);
+      this.camera.lookAt(bodyPosition);
+    }
+    this.navigationControls.syncEulerWithCamera();
+
+    console.log(`🚀 Left the surface of ${this.bodyName}`);
+    this.frame = null;
+    this.sky = [];
+  }
+
+  /**
+   * Map an ecliptic vector to scene axes (ecliptic Z is the scene's vertical axis)
+   */
+  toScene(vector) {
+    return new THREE.Vector3(vector.x, vector.z, vector.y);
+  }
+
+  /**
+   * Turn the horizon with the body and move every sky object for the current date
+   */
+  update(date = null) {
+    if (!this.isActive) return;
+
+    const body = this.sceneManager.getCelestialBody(this.bodyName);
+    if (!body) {
+      this.exit();
+      return;
+    }
+
+    this.frame = getSurfaceFrame(this.bodyName, this.latitude, this.longitude, date);
+    this.sky = calculateSkyFromSurface(this.bodyName, this.latitude, this.longitude, [...this.skyObjects.keys()], date);
+
+    // Local horizon axes in the scene: Y up, Z towards south
+    const up = this.toScene(this.frame.up);
+    const south = this.toScene(this.frame.north).negate();
+    const side = new THREE.Vector3().crossVectors(up, south);
+    this.frameQuaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(side, up, south));
+
+    this.navigationControls.setReferenceFrame(this.frameQuaternion);
+    this.navigationControls.applyRotation();
+
+    this.camera.position.copy(body.getPosition()).addScaledVector(up, body.getRadius() * (1 + EYE_HEIGHT));
+    this.camera.updateMatrixWorld();
+
+    this.skyGroup.position.copy(this.camera.position);
+    this.horizonGroup.position.copy(this.camera.position);
+    this.horizonGroup.quaternion.copy(this.frameQuaternion);
+
+    this.updateSkyObjects();
+  }
+
+  /**
+   * Size sky points by angular diameter, or by brightness when too small to resolve
+   */
+  updateSkyObjects() {
+    const viewportHeight = this.sceneManager.container.clientHeight || 1;
+    const radiansPerPixel = (2 * Math.tan((this.camera.fov * Math.PI / 180) / 2)) / viewportHeight;
+
+    this.skyObjects.forEach(({ sprite, label }) => {
+      sprite.visible = false;
+      label.visible = false;
+    });
+
+    this.sky.forEach((target) => {
+      const { sprite, label } = this.skyObjects.get(target.name);
+      if (target.altitude < 0) return;
+
+      const discSize = (2 * Math.tan((target.angularDiameter * Math.PI / 180) / 2)) / radiansPerPixel;
+      const pointSize = ZERO_MAGNITUDE_SIZE * Math.pow(10, -0.2 * target.apparentMagnitude);
+      const size = Math.max(discSize, Math.min(pointSize, MAX_POINT_SIZE), 1);
+
+      const position = this.toScene(target.direction).multiplyScalar(SKY_DISTANCE);
+      sprite.position.copy(position);
+      sprite.scale.setScalar(size * radiansPerPixel);
+      sprite.material.opacity = Math.max(0.15, Math.min(1, Math.max(pointSize, discSize)));
+      sprite.visible = true;
+
+      if (target.apparentMagnitude < LABEL_MAGNITUDE_LIMIT) {
+        label.position.copy(position);
+        label.visible = true;
+      }
+    });
+  }
+
+  /**
+   * Where the observer stands and looks, and the bodies above the horizon by brightness
+   */
+  getStatus() {
+    if (!this.isActive || !this.frame) {
+      return { isActive: false };
+    }
+
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+    const view = toHorizontalCoordinates({ x: forward.x, y: forward.z, z: forward.y }, this.frame);
+
+    return {
+      isActive: true,
+      bodyName: this.bodyName,
+      latitude: this.latitude,
+      longitude: this.longitude,
+      viewAzimuth: view.azimuth,
+      viewAltitude: view.altitude,
+      visibleBodies: this.sky
+        .filter(target => target.altitude >= 0)
+        .sort((a, b) => a.apparentMagnitude - b.apparentMagnitude)
+    };
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    this.exit();
+
+    [this.skyGroup, this.horizonGroup].forEach((group) => {
+      this.sceneManager.scene.remove(group);
+      group.traverse((object) => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+          if (object.material.map && object.material.map !== this.discTexture) object.material.map.dispose();
+          object.material.dispose();
+        }
+      });
+    });
+
+    this.discTexture.dispose();
+    this.skyObjects.clear();
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * PostProcessing - Bloom, antialiasing, vignette and film grain over the rendered scene
+ * The scene is drawn into half-float buffers so the Sun and other emitters keep their HDR
+ * brightness for the bloom; tone mapping and sRGB output follow, then antialiasing and a
+ * final lens pass. Each visualization mode has its own profile, and the whole pipeline can be
+ * switched off for GPUs that cannot keep up (it starts off on software renderers).
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { FXAAPass } from 'three/addons/postprocessing/FXAAPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+
+// Effects for each visualization mode. Bloom threshold is linear scene brightness, so at 1
+// only emitters brighter than a fully lit white surface glow; antialiasing is 'fxaa' or 'smaa'.
+const POST_PROCESSING_PROFILES = {
+  realistic: { bloom: { strength: 0.4, radius: 0.2, threshold: 1.0 }, antialias: 'smaa', vignette: 0, grain: 0 },
+  exploration: { bloom: { strength: 0.7, radius: 0.4, threshold: 1.0 }, antialias: 'fxaa', vignette: 0.25, grain: 0.02 },
+  artistic: { bloom: { strength: 1.2, radius: 0.6, threshold: 0.8 }, antialias: 'smaa', vignette: 0.45, grain: 0.05 }
+};
+
+// Renderers that draw on the CPU, where full-screen passes cost too much to start with
+const SOFTWARE_RENDERERS = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+
+const LensShader = {
+  name: 'LensShader',
+
+  uniforms: {
+    tDiffuse: { value: null },
+    vignette: { value: 0 },
+    grain: { value: 0 },
+    time: { value: 0 }
+  },
+
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform float vignette;
+    uniform float grain;
+    uniform float time;
+
+    varying vec2 vUv;
+
+    float random(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+
+      // Darken towards the corners (0 at the centre, 1 in the corners)
+      vec2 offset = vUv - 0.5;
+      color.rgb *= 1.0 - vignette * smoothstep(0.3, 1.0, 2.0 * dot(offset, offset));
+
+      // Grain shows most in the mid-tones, as on film, and leaves black space black
+      float luminance = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+      float noise = random(vUv + fract(time)) - 0.5;
+      color.rgb += grain * noise * 4.0 * luminance * (1.0 - luminance);
+
+      gl_FragColor = color;
+    }
+  `
+};
+
+/**
+ * Whether the WebGL context is drawn by a software rasterizer
+ */
+function isSoftwareRenderer(renderer) {
+  const gl = renderer.getContext();
+  const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+  const name = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+  return SOFTWARE_RENDERERS.test(String(name));
+}
+
+export class PostProcessing {
+  constructor(renderer, scene, camera) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+
+    this.mode = 'exploration';
+    this.enabled = !isSoftwareRenderer(renderer);
+
+    const size = renderer.getSize(new THREE.Vector2());
+
+    this.composer = new EffectComposer(renderer);
+    this.composer.setPixelRatio(renderer.getPixelRatio());
+    this.composer.setSize(size.x, size.y);
+
+    this.renderPass = new RenderPass(scene, camera);
+    this.bloomPass = new UnrealBloomPass(size.clone(), 0, 0, 1);
+    this.outputPass = new OutputPass();
+    this.fxaaPass = new FXAAPass();
+    this.smaaPass = new SMAAPass();
+    this.lensPass = new ShaderPass(LensShader);
+
+    [this.renderPass, this.bloomPass, this.outputPass, this.fxaaPass, this.smaaPass, this.lensPass]
+      .forEach(pass => this.composer.addPass(pass));
+
+    this.setMode(this.mode);
+
+    if (!this.enabled) {
+      console.log('🐢 Software renderer detected, post-processing disabled');
+    }
+  }
+
+  /**
+   * Apply a visualization mode's bloom, antialiasing and lens effects
+   */
+  setMode(mode) {
+    this.mode = POST_PROCESSING_PROFILES[mode] ? mode : 'exploration';
+    const profile = POST_PROCESSING_PROFILES[this.mode];
+
+    this.bloomPass.strength = profile.bloom.strength;
+    this.bloomPass.radius = profile.bloom.radius;
+    this.bloomPass.threshold = profile.bloom.threshold;
+
+    this.fxaaPass.enabled = profile.antialias === 'fxaa';
+    this.smaaPass.enabled = profile.antialias === 'smaa';
+
+    this.lensPass.uniforms.vignette.value = profile.vignette;
+    this.lensPass.uniforms.grain.value = profile.grain;
+    this.lensPass.enabled = profile.vignette > 0 || profile.grain > 0;
+  }
+
+  /**
+   * Switch the pipeline on or off (off renders the scene directly)
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Resize the buffers to the canvas (CSS pixels)
+   */
+  setSize(width, height) {
+    this.composer.setPixelRatio(this.renderer.getPixelRatio());
+    this.composer.setSize(width, height);
+  }
+
+  /**
+   * Render a frame; deltaTime (seconds) animates the grain
+   */
+  render(deltaTime = 0) {
+    if (!this.enabled) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    this.lensPass.uniforms.time.value += deltaTime;
+    this.composer.render(deltaTime);
+  }
+
+  /**
+   * Dispose of the passes and their buffers
+   */
+  dispose() {
+    [this.renderPass, this.bloomPass, this.outputPass, this.fxaaPass, this.smaaPass, this.lensPass]
+      .forEach(pass => pass.dispose());
+    this.composer.dispose();
+  }
+}
@@ -4,8 +4,28 @@
 
 import * as THREE from 'three';
 import { CelestialBody } from '../models/CelestialBody.js';
-import { SOLAR_SYSTEM_DATA, MOONS_DATA, getScaledData } from '../data/SolarSystemData.js';
+import { SOLAR_SYSTEM_DATA, MOONS_DATA, getScaledData, getImportedBodyNames, findMatchingBody, registerBodyData, getDistanceScale } from '../data/SolarSystemData.js';
+import { parseSmallBodyFile } from '../utils/SmallBodyImporter.js';
+import { getEphemerisBackend, setEphemerisBackend } from '../utils/Ephemeris.js';
+import { getPositionMode, setPositionMode } from '../utils/AstronomicalCalculations.js';
 import { PlanetTravelSystem } from './PlanetTravelSystem.js';
+import { ObserverSystem } from './ObserverSystem.js';
+import { SimulationClock } from './SimulationClock.js';
+import { BeltSystem } from './BeltSystem.js';
+import { StarField } from './StarField.js';
+import { ConstellationOverlay } from './ConstellationOverlay.js';
+import { EclipseSystem } from './EclipseSystem.js';
+import { PostProcessing } from './PostProcessing.js';
+import { calculateDiskOverlap } from '../models/LensFlare.js';
+
+// Light levels for each visualization mode. Surfaces are physically based, so a Sun
+// intensity of π renders a surface at its full albedo when lit face-on; ambient light
+// decides how much of the night side can still be seen.
+const LIGHTING_PROFILES = {
+  realistic: { ambient: 0.2, sun: Math.PI, exposure: 0.8 },
+  exploration: { ambient: 4.0, sun: Math.PI, exposure: 1.0 },
+  artistic: { ambient: 6.0, sun: Math.PI * 1.2, exposure: 1.2 }
+};
 
 export class SceneManager {
   constructor(container) {
@@ -23,13 +43,24 @@ export class SceneManager {
     // Scene objects
     this.celestialBodies = new Map();
     this.starField = null;
+    this.constellationOverlay = null;
+
+    // Asteroid and Kuiper belt particles
+    this.beltSystem = null;
+
+    // Eclipse shadow cones and tracks
+    this.eclipseSystem = null;
 
     // Systems
     this.planetTravelSystem = null;
+    this.observerSystem = null;
 
     // Settings
     this.currentMode = 'exploration'; // 'realistic', 'exploration', or 'artistic'
-    this.timeScale = 1.0;
+    this.lensFlareEnabled = true; // Lens flare around the Sun when it is on screen
+
+    // Simulation clock driving orbital positions and rotation
+    this.simulationClock = new SimulationClock();
 
     // Telescope system for realistic mode
     this.telescopeSystem = null;
@@ -37,8 +68,8 @@ export class SceneManager {
     // Distant object indicators
     this.distantObjectIndicators = null;
 
-    // Performance
-    this.renderTarget = null;
+    // Bloom, antialiasing, vignette and grain over the rendered scene
+    this.postProcessing = null;
   }
 
   /**
@@ -48,8 +79,12 @@ export class SceneManager {
     this.createScene();
     this.createCamera();
     this.createRenderer();
+    this.createPostProcessing();
     this.createLighting();
     await this.createStarField();
+    this.createConstellations();
+    this.createBelts();
+    this.eclipseSystem = new EclipseSystem(this.scene, this);
     this.initializeIndicatorSystems();
 
     console.log('✅ SceneManager initialized');
@@ -78,6 +113,18 @@ export class SceneManager {
     console.log('✅ Planet travel system initialized');
   }
 
+  /**
+   * Initialize the surface observer system (called after navigation controls are ready)
+   */
+  initializeObserverSystem(navigationControls) {
+    this.observerSystem = new ObserverSystem(
+      this.camera,
+      this,
+      navigationControls
+    );
+    console.log('✅ Observer system initialized');
+  }
+
   /**
    * Create the Three.js scene
    */
@@ -139,16 +186,24 @@ export class SceneManager {
     this.container.appendChild(this.renderer.domElement);
   }
 
+  /**
+   * Create the post-processing pipeline for the current mode
+   */
+  createPostProcessing() {
+    this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera);
+    this.postProcessing.setMode(this.currentMode);
+  }
+
   /**
    * Create lighting system
    */
   createLighting() {
-    // Ambient light for general illumination (increased for debugging)
-    this.ambientLight = new THREE.AmbientLight(0x404040, 0.6);
+    // Ambient light keeps night sides faintly visible
+    this.ambientLight = new THREE.AmbientLight(0x404040);
     this.scene.add(this.ambientLight);
 
-    // Sun light (point light at origin)
-    this.sunLight = new THREE.PointLight(0xffffff, 2, 0);
+    // Sun light (point light at origin); scene distances are scaled, so no falloff
+    this.sunLight = new THREE.PointLight(0xffffff, 1, 0, 0);
     this.sunLight.position.set(0, 0, 0);
     this.sunLight.castShadow = true;
 
@@ -157,57 +212,49 @@ export class SceneManager {
     this.sunLight.shadow.mapSize.height = 2048;
     this.sunLight.shadow.camera.near = 0.1;
     this.sunLight.shadow.camera.far = 1000;
+    this.sunLight.shadow.bias = -0.0005;
 
     this.scene.add(this.sunLight);
+
+    this.applyLightingProfile(this.currentMode);
+  }
+
+  /**
+   * Set ambient, Sun and exposure levels for a visualization mode
+   */
+  applyLightingProfile(mode) {
+    const profile = LIGHTING_PROFILES[mode] || LIGHTING_PROFILES.exploration;
+
+    this.ambientLight.intensity = profile.ambient;
+    this.sunLight.intensity = profile.sun;
+    this.renderer.toneMappingExposure = profile.exposure;
   }
 
   /**
-   * Create a starfield background
+   * Create the background starfield from the bright-star catalog
    */
   async createStarField() {
-    const starCount = 10000;
-    const starGeometry = new THREE.BufferGeometry();
-    const starPositions = new Float32Array(starCount * 3);
-    const starColors = new Float32Array(starCount * 3);
-
-    // Generate random star positions and colors
-    for (let i = 0; i < starCount; i++) {
-      const i3 = i * 3;
-
-      // Random position on a sphere
-      const radius = 50000;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(Math.random() * 2 - 1);
-
-      starPositions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-      starPositions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-      starPositions[i3 + 2] = radius * Math.cos(phi);
-
-      // Random star color (bluish to reddish)
-      const temperature = Math.random();
-      starColors[i3] = 0.5 + temperature * 0.5; // Red
-      starColors[i3 + 1] = 0.5 + temperature * 0.3; // Green
-      starColors[i3 + 2] = 0.8 + temperature * 0.2; // Blue
-    }
-
-    starGeometry.setAttribute(
-      'position',
-      new THREE.BufferAttribute(starPositions, 3)
-    );
-    starGeometry.setAttribute(
-      'color',
-      new THREE.BufferAttribute(starColors, 3)
-    );
+    this.starField = new StarField(this.scene);
+    this.starField.setPixelRatio(this.renderer.getPixelRatio());
+    this.starField.create();
+  }
 
-    const starMaterial = new THREE.PointsMaterial({
-      size: 2,
-      vertexColors: true,
-      transparent: true,
-      opacity: 0.8,
-    });
+  /**
+   * Create the constellation figure and name overlay (hidden until toggled on)
+   */
+  createConstellations() {
+    this.constellationOverlay = new ConstellationOverlay(this.scene);
+    this.constellationOverlay.create();
+  }
 
-    this.starField = new THREE.Points(starGeometry, starMaterial);
-    this.scene.add(this.starField);
+  /**
+   * Create the asteroid and Kuiper belts
+   */
+  createBelts() {
+    this.beltSystem = new BeltSystem(this.scene);
+    this.beltSystem.setViewportHeight(this.container.clientHeight * this.renderer.getPixelRatio());
+    this.beltSystem.create(this.currentMode);
+    this.beltSystem.update(this.simulationClock.getDate());
   }
 
   /**
@@ -219,8 +266,8 @@ export class SceneManager {
     // Clear existing bodies
     this.celestialBodies.clear();
 
-    // Create all planets and the sun
-    const bodyNames = Object.keys(SOLAR_SYSTEM_DATA);
+    // Create all planets, the sun and any imported small bodies
+    const bodyNames = [...Object.keys(SOLAR_SYSTEM_DATA), ...getImportedBodyNames()];
     const loadPromises = [];
 
     for (const bodyName of bodyNames) {
@@ -234,7 +281,7 @@ export class SceneManager {
       this.scene.add(celestialBody.getObject3D());
 
       // Add creation promise
-      loadPromises.push(celestialBody.create());
+      loadPromises.push(celestialBody.create(this.simulationClock.getDate()));
     }
 
     // Create major moons
@@ -243,19 +290,19 @@ export class SceneManager {
       const moonData = getScaledData(moonName, this.currentMode);
       const moon = new CelestialBody(moonName, moonData);
 
-      // Store the moon
+      // Store the moon (added to its parent's group once created)
       this.celestialBodies.set(moonName, moon);
 
-      // Add to parent planet's group (for now, add to scene)
-      this.scene.add(moon.getObject3D());
-
       // Add creation promise
-      loadPromises.push(moon.create());
+      loadPromises.push(moon.create(this.simulationClock.getDate()));
     }
 
     // Wait for all bodies to be created
     await Promise.all(loadPromises);
 
+    // Attach moons to their parent bodies so they orbit with them
+    this.attachMoonsToParents();
+
     // Add orbit lines to the scene
     this.addOrbitLinesToScene();
 
@@ -266,23 +313,64 @@ export class SceneManager {
    * Update the scene
    */
   update(deltaTime) {
+    // Advance simulated time
+    this.simulationClock.update(deltaTime);
+    const simulationDate = this.simulationClock.getDate();
+
+    // Apparent positions lag each body by the light travel time to the camera
+    const lightTimeObserver = getPositionMode() === 'apparent' ? this.getCameraHeliocentricPosition() : null;
+
     // Update celestial body animations
     this.celestialBodies.forEach((body) => {
       if (body.update) {
-        body.update(deltaTime, this.timeScale);
+        body.updateLightTime(lightTimeObserver, simulationDate);
+        body.update(deltaTime, simulationDate);
       }
     });
 
+    // Move belt particles along their orbits
+    if (this.beltSystem) {
+      this.beltSystem.update(simulationDate, this.camera.position);
+    }
+
+    // Fit eclipse shadows to the Sun, Earth and Moon
+    if (this.eclipseSystem) {
+      this.eclipseSystem.update(simulationDate);
+    }
+
+    // Keep a surface observer standing on their body as it moves and turns
+    if (this.observerSystem) {
+      this.observerSystem.update(simulationDate);
+    }
+
     // Update planet travel system
     if (this.planetTravelSystem) {
       this.planetTravelSystem.update(deltaTime);
     }
 
+    // Refine surface tiles of the bodies the camera is close to
+    this.celestialBodies.forEach((body) => {
+      if (body.updateSurfaceDetail) {
+        body.updateSurfaceDetail(this.camera);
+      }
+    });
+
     // Update telescope system
     if (this.telescopeSystem) {
       this.telescopeSystem.updateTracking();
     }
 
+    // Through the telescope the Sun is seen with a solar filter, so its disc is not washed out
+    const sun = this.celestialBodies.get('sun');
+    if (sun && sun.sunRenderer) {
+      sun.sunRenderer.setSolarFilter(Boolean(this.telescopeSystem && this.telescopeSystem.isTelescopeMode));
+      sun.sunRenderer.setLensFlareEnabled(this.lensFlareEnabled);
+
+      // Only look for bodies in front of the Sun when its flare can show
+      const visibility = sun.sunRenderer.isFlareInView(this.camera) ? this.getSunVisibility(sun) : 0;
+      sun.sunRenderer.updateView(this.renderer, this.camera, visibility);
+    }
+
     // Update distant object indicators
     if (this.distantObjectIndicators) {
       this.distantObjectIndicators.updateIndicators(this.celestialBodies, this.currentMode);
@@ -292,17 +380,58 @@ export class SceneManager {
     // Update orbit lines performance optimization
     this.updateOrbitLinesPerformance();
 
-    // Subtle starfield rotation
+    // Keep the starfield centred on the camera
     if (this.starField) {
-      this.starField.rotation.y += deltaTime * 0.001;
+      this.starField.update(this.camera.position);
+    }
+
+    if (this.constellationOverlay) {
+      this.constellationOverlay.update(this.camera.position);
     }
   }
 
   /**
-   * Render the scene
+   * The camera's heliocentric J2000 ecliptic position in AU (the scene swaps Y and Z)
+   */
+  getCameraHeliocentricPosition() {
+    const distanceScale = getDistanceScale(this.currentMode);
+    const { x, y, z } = this.camera.position;
+    return { x: x / distanceScale, y: z / distanceScale, z: y / distanceScale };
+  }
+
+  /**
+   * Fraction of the Sun's disk, as seen from the camera, that no nearer body covers
+   */
+  getSunVisibility(sun) {
+    const toSun = sun.getPosition().sub(this.camera.position);
+    const sunDistance = toSun.length();
+    const sunRadius = Math.asin(Math.min(sun.getRadius() / sunDistance, 1));
+
+    let covered = 0;
+    this.celestialBodies.forEach((body) => {
+      if (body === sun || !body.mesh) return;
+
+      const offset = body.getPosition().sub(this.camera.position);
+      const distance = offset.length();
+      if (distance >= sunDistance) return;
+
+      const radius = Math.asin(Math.min(body.getRadius() / distance, 1));
+      covered += calculateDiskOverlap(sunRadius, radius, offset.angleTo(toSun));
+    });
+
+    return Math.max(0, 1 - covered);
+  }
+
+  /**
+   * Render the scene, through the post-processing pipeline when it is enabled
+   * deltaTime is real seconds since the last frame
    */
-  render() {
-    this.renderer.render(this.scene, this.camera);
+  render(deltaTime = 0) {
+    if (this.postProcessing) {
+      this.postProcessing.render(deltaTime);
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
   }
 
   /**
@@ -318,6 +447,15 @@ export class SceneManager {
 
     // Update renderer
     this.renderer.setSize(width, height);
+
+    if (this.postProcessing) {
+      this.postProcessing.setSize(width, height);
+    }
+
+    // Keep belt particle sizes consistent with the new viewport
+    if (this.beltSystem) {
+      this.beltSystem.setViewportHeight(height * this.renderer.getPixelRatio());
+    }
   }
 
   /**
@@ -331,53 +469,57 @@ export class SceneManager {
 
     // Update lighting based on mode
     switch (mode) {
-      case 'realistic':
-        // True astronomical mode - minimal lighting
-        this.ambientLight.intensity = 0.1;
-        this.sunLight.intensity = 3.0;
-        this.renderer.toneMappingExposure = 0.8;
-
-        // Initialize telescope system if not already created
-        if (!this.telescopeSystem) {
-          const { TelescopeSystem } = await import('./TelescopeSystem.js');
-          this.telescopeSystem = new TelescopeSystem(this.camera, this.scene);
-        }
-        break;
+    case 'realistic':
+      // True astronomical mode - minimal lighting
+      this.applyLightingProfile(mode);
+
+      // Initialize telescope system if not already created
+      if (!this.telescopeSystem) {
+        const { TelescopeSystem } = await import('./TelescopeSystem.js');
+        this.telescopeSystem = new TelescopeSystem(this.camera, this.scene);
+      }
+      break;
 
-      case 'exploration':
-        // Balanced mode for navigation
-        this.ambientLight.intensity = 0.3;
-        this.sunLight.intensity = 2.0;
-        this.renderer.toneMappingExposure = 1.0;
-
-        // Disable telescope if active
-        if (this.telescopeSystem && this.telescopeSystem.isTelescopeMode) {
-          this.telescopeSystem.toggleTelescopeMode();
-        }
-        break;
+    case 'exploration':
+      // Balanced mode for navigation
+      this.applyLightingProfile(mode);
 
-      case 'artistic':
-        // Enhanced visuals for beauty
-        this.ambientLight.intensity = 0.5;
-        this.sunLight.intensity = 1.5;
-        this.renderer.toneMappingExposure = 1.2;
-
-        // Disable telescope if active
-        if (this.telescopeSystem && this.telescopeSystem.isTelescopeMode) {
-          this.telescopeSystem.toggleTelescopeMode();
-        }
-        break;
+      // Disable telescope if active
+      if (this.telescopeSystem && this.telescopeSystem.isTelescopeMode) {
+        this.telescopeSystem.toggleTelescopeMode();
+      }
+      break;
 
-      default:
-        console.warn(`Unknown visualization mode: ${mode}`);
-        this.currentMode = previousMode;
-        return;
+    case 'artistic':
+      // Enhanced visuals for beauty
+      this.applyLightingProfile(mode);
+
+      // Disable telescope if active
+      if (this.telescopeSystem && this.telescopeSystem.isTelescopeMode) {
+        this.telescopeSystem.toggleTelescopeMode();
+      }
+      break;
+
+    default:
+      console.warn(`Unknown visualization mode: ${mode}`);
+      this.currentMode = previousMode;
+      return;
+    }
+
+    // Bloom, antialiasing and film effects for the mode
+    if (this.postProcessing) {
+      this.postProcessing.setMode(mode);
     }
 
     // Reload solar system with new scaling
     console.log(`🎨 Switching from ${previousMode} to ${mode} mode - reloading solar system...`);
     await this.reloadSolarSystem();
 
+    // Rescale belts to the new distances
+    if (this.beltSystem) {
+      this.beltSystem.setMode(mode);
+    }
+
     // Update celestial body modes
     this.celestialBodies.forEach((body) => {
       if (body.setMode) {
@@ -414,22 +556,99 @@ export class SceneManager {
     // Dispose of existing bodies and their orbit lines
     this.celestialBodies.forEach((body) => {
       // Remove orbit line from scene
+      // (moon orbit lines live in their parent's group, so detach from any parent)
       const orbitLine = body.getOrbitLine();
       if (orbitLine && orbitLine.getObject3D()) {
-        this.scene.remove(orbitLine.getObject3D());
+        orbitLine.getObject3D().removeFromParent();
       }
 
       if (body.dispose) {
         body.dispose();
       }
-      // Remove from scene
-      this.scene.remove(body.getObject3D());
+      // Remove from scene (or from the parent group for moons)
+      body.getObject3D().removeFromParent();
     });
 
     // Reload with current mode
     await this.loadSolarSystem();
   }
 
+  /**
+   * Create a single heliocentric body at runtime and add it to the scene
+   */
+  async addCelestialBody(bodyName) {
+    const bodyData = getScaledData(bodyName, this.currentMode);
+    if (!bodyData) {
+      console.warn(`⚠️ No data registered for ${bodyName}`);
+      return null;
+    }
+
+    const orbitLinesVisible = this.areOrbitLinesVisible();
+    const celestialBody = new CelestialBody(bodyName, bodyData);
+    await celestialBody.create(this.simulationClock.getDate());
+
+    celestialBody.setMode(this.currentMode);
+    celestialBody.setOrbitLineVisible(orbitLinesVisible);
+
+    this.celestialBodies.set(bodyName, celestialBody);
+    this.scene.add(celestialBody.getObject3D());
+
+    const orbitLine = celestialBody.getOrbitLine();
+    if (orbitLine && orbitLine.getObject3D()) {
+      this.scene.add(orbitLine.getObject3D());
+    }
+
+    return celestialBody;
+  }
+
+  /**
+   * Import small bodies from MPCORB or JPL SBDB (JSON/CSV) text and add them to the scene
+   * Returns the names of the bodies that were added
+   */
+  async importSmallBodies(text, fileName = '', maxBodies = 200) {
+    const parsedBodies = parseSmallBodyFile(text, fileName);
+
+    if (parsedBodies.length > maxBodies) {
+      console.warn(`⚠️ ${fileName} has ${parsedBodies.length} orbits, importing the first ${maxBodies}`);
+    }
+
+    const importedNames = [];
+    for (const bodyData of parsedBodies.slice(0, maxBodies)) {
+      const bodyName = bodyData.key;
+
+      // Replace a previous import of the same body, whichever name it came in under
+      const previousName = findMatchingBody(bodyName, bodyData);
+      if (previousName && getImportedBodyNames().includes(previousName)) {
+        this.removeCelestialBody(previousName);
+      }
+
+      if (!registerBodyData(bodyName, bodyData)) continue;
+
+      await this.addCelestialBody(bodyName);
+      importedNames.push(bodyName);
+    }
+
+    console.log(`📥 Imported ${importedNames.length} small bodies from ${fileName || 'file'}`);
+    return importedNames;
+  }
+
+  /**
+   * Remove a celestial body and its orbit line from the scene
+   */
+  removeCelestialBody(bodyName) {
+    const body = this.celestialBodies.get(bodyName);
+    if (!body) return;
+
+    const orbitLine = body.getOrbitLine();
+    if (orbitLine && orbitLine.getObject3D()) {
+      orbitLine.getObject3D().removeFromParent();
+    }
+
+    body.dispose();
+    body.getObject3D().removeFromParent();
+    this.celestialBodies.delete(bodyName);
+  }
+
   /**
    * Get celestial body by name
    */
@@ -444,11 +663,33 @@ export class SceneManager {
     return Array.from(this.celestialBodies.values());
   }
 
+  /**
+   * Attach each moon to its parent body's group
+   */
+  attachMoonsToParents() {
+    this.celestialBodies.forEach((body) => {
+      if (!body.isMoon()) return;
+
+      const parentBody = this.celestialBodies.get(body.parentName);
+      if (!parentBody) {
+        console.warn(`🌙 Parent body '${body.parentName}' not found for ${body.name}`);
+        this.scene.add(body.getObject3D());
+        return;
+      }
+
+      body.setParentBody(parentBody);
+      console.log(`🌙 Attached ${body.name} to ${parentBody.name}`);
+    });
+  }
+
   /**
    * Add orbit lines to the scene
    */
   addOrbitLinesToScene() {
     this.celestialBodies.forEach((body) => {
+      // Moon orbit lines are drawn around their parent instead
+      if (body.isMoon()) return;
+
       const orbitLine = body.getOrbitLine();
       if (orbitLine && orbitLine.getObject3D()) {
         this.scene.add(orbitLine.getObject3D());
@@ -568,6 +809,163 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Get the simulation clock
+   */
+  getSimulationClock() {
+    return this.simulationClock;
+  }
+
+  /**
+   * Get the current simulated date
+   */
+  getSimulationDate() {
+    return this.simulationClock.getDate();
+  }
+
+  /**
+   * Jump the whole solar system to a specific date
+   */
+  setDate(date) {
+    if (!this.simulationClock.setDate(date)) {
+      return false;
+    }
+
+    const simulationDate = this.simulationClock.getDate();
+
+    // Reposition every body immediately instead of waiting for the next frame
+    this.celestialBodies.forEach((body) => {
+      body.updateOrbitalPosition(simulationDate);
+      body.updateVisibility();
+    });
+
+    if (this.beltSystem) {
+      this.beltSystem.update(simulationDate);
+    }
+
+    // Refresh indicators for the new layout
+    if (this.distantObjectIndicators) {
+      this.distantObjectIndicators.updateIndicators(this.celestialBodies, this.currentMode);
+      this.distantObjectIndicators.updatePositions();
+    }
+
+    console.log(`📅 Solar system set to ${simulationDate.toISOString()}`);
+    return true;
+  }
+
+  /**
+   * Get the name of the ephemeris backend positioning the planets
+   */
+  getEphemeris() {
+    return getEphemerisBackend().name;
+  }
+
+  /**
+   * Switch the ephemeris backend and reposition every body for the current date
+   */
+  setEphemeris(name) {
+    if (!setEphemerisBackend(name)) {
+      return false;
+    }
+
+    const simulationDate = this.simulationClock.getDate();
+
+    this.celestialBodies.forEach((body) => {
+      body.updateOrbitalPosition(simulationDate);
+      body.updateVisibility();
+    });
+
+    if (this.distantObjectIndicators) {
+      this.distantObjectIndicators.updatePositions();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the position mode ('geometric' or 'apparent')
+   */
+  getPositionMode() {
+    return getPositionMode();
+  }
+
+  /**
+   * Switch between geometric and apparent positions and redraw every body accordingly
+   */
+  setPositionMode(mode) {
+    if (!setPositionMode(mode)) {
+      return false;
+    }
+
+    const simulationDate = this.simulationClock.getDate();
+    const lightTimeObserver = mode === 'apparent' ? this.getCameraHeliocentricPosition() : null;
+
+    this.celestialBodies.forEach((body) => {
+      body.updateLightTime(lightTimeObserver, simulationDate);
+      body.updateOrbitalPosition(simulationDate);
+      body.updateVisibility();
+    });
+
+    if (this.distantObjectIndicators) {
+      this.distantObjectIndicators.updatePositions();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the asteroid and Kuiper belt system
+   */
+  getBeltSystem() {
+    return this.beltSystem;
+  }
+
+  /**
+   * Show or hide the lens flare around the Sun
+   */
+  setLensFlareEnabled(enabled) {
+    this.lensFlareEnabled = enabled;
+    console.log(`☀️ ${enabled ? 'Enabled' : 'Disabled'} lens flare`);
+  }
+
+  /**
+   * Whether the lens flare around the Sun is shown
+   */
+  isLensFlareEnabled() {
+    return this.lensFlareEnabled;
+  }
+
+  /**
+   * Switch bloom, antialiasing, vignette and grain on or off (off suits low-end GPUs)
+   */
+  setPostProcessingEnabled(enabled) {
+    if (!this.postProcessing) return;
+
+    this.postProcessing.setEnabled(enabled);
+    console.log(`🎞️ ${enabled ? 'Enabled' : 'Disabled'} post-processing`);
+  }
+
+  /**
+   * Whether the post-processing pipeline is in use
+   */
+  isPostProcessingEnabled() {
+    return Boolean(this.postProcessing && this.postProcessing.isEnabled());
+  }
+
+  /**
+   * Get the eclipse shadow and track system
+   */
+  getEclipseSystem() {
+    return this.eclipseSystem;
+  }
+
+  /**
+   * Get the constellation overlay
+   */
+  getConstellationOverlay() {
+    return this.constellationOverlay;
+  }
+
   /**
    * Get planet travel system
    */
@@ -575,6 +973,13 @@ export class SceneManager {
     return this.planetTravelSystem;
   }
 
+  /**
+   * Get the surface observer system
+   */
+  getObserverSystem() {
+    return this.observerSystem;
+  }
+
   /**
    * Get telescope system
    */
@@ -608,6 +1013,11 @@ export class SceneManager {
       return false;
     }
 
+    // Travel starts from orbit, not from a surface
+    if (this.observerSystem && this.observerSystem.isActive) {
+      this.observerSystem.exit();
+    }
+
     return await this.planetTravelSystem.travelTo(bodyName, speed);
   }
 
@@ -624,8 +1034,32 @@ export class SceneManager {
 
     // Dispose of starfield
     if (this.starField) {
-      this.starField.geometry.dispose();
-      this.starField.material.dispose();
+      this.starField.dispose();
+    }
+
+    // Dispose of constellation overlay
+    if (this.constellationOverlay) {
+      this.constellationOverlay.dispose();
+    }
+
+    // Dispose of belts
+    if (this.beltSystem) {
+      this.beltSystem.dispose();
+    }
+
+    // Dispose of eclipse shadows
+    if (this.eclipseSystem) {
+      this.eclipseSystem.dispose();
+    }
+
+    // Dispose of the surface observer overlay
+    if (this.observerSystem) {
+      this.observerSystem.dispose();
+    }
+
+    // Dispose of the post-processing buffers
+    if (this.postProcessing) {
+      this.postProcessing.dispose();
     }
 
     // Dispose of renderer
@@ -0,0 +1,232 @@
+/**
+ * SimulationClock - Central simulated time source for the solar system
+ * Tracks the current simulated date and advances it by a time warp factor
+ */
+
+// Supported simulation date range (orbital elements degrade far from J2000)
+const MIN_SIMULATION_DATE = new Date('1800-01-01T00:00:00Z');
+const MAX_SIMULATION_DATE = new Date('2200-12-31T23:59:59Z');
+
+// Time warp presets in simulated seconds per real second
+const TIME_WARP_LEVELS = [
+  1, // Real time
+  10,
+  60, // 1 minute per second
+  600,
+  3600, // 1 hour per second
+  21600,
+  86400, // 1 day per second
+  604800, // 1 week per second
+  2629800, // 1 month per second
+  7889400, // 3 months per second
+  31557600, // 1 year per second
+  315576000 // 10 years per second
+];
+
+export class SimulationClock {
+  constructor(startDate = new Date()) {
+    // Simulated time in milliseconds since the Unix epoch
+    this.currentTime = startDate.getTime();
+
+    // Playback state
+    this.isPaused = false;
+    this.direction = 1; // 1 = forward, -1 = reverse
+    this.warpLevels = TIME_WARP_LEVELS;
+    this.warpIndex = 0;
+
+    // Allowed date range, and the edge ('start' or 'end') the clock last stopped at
+    this.minDate = MIN_SIMULATION_DATE;
+    this.maxDate = MAX_SIMULATION_DATE;
+    this.rangeLimitReached = null;
+  }
+
+  /**
+   * Advance the simulated time by a real-time delta (seconds)
+   */
+  update(deltaTime) {
+    if (this.isPaused) return;
+
+    const nextTime = this.currentTime + deltaTime * 1000 * this.getTimeScale();
+
+    // Pause at the edges of the supported range instead of running past them
+    if (nextTime < this.minDate.getTime()) {
+      this.stopAtRangeLimit('start', this.minDate);
+    } else if (nextTime > this.maxDate.getTime()) {
+      this.stopAtRangeLimit('end', this.maxDate);
+    } else {
+      this.currentTime = nextTime;
+    }
+  }
+
+  /**
+   * Pause at one edge of the supported range
+   */
+  stopAtRangeLimit(edge, date) {
+    this.currentTime = date.getTime();
+    this.rangeLimitReached = edge;
+    this.pause();
+  }
+
+  /**
+   * Get and clear the edge of the date range ('start' or 'end') the clock has stopped at
+   * since the last call, or null
+   */
+  takeRangeLimitReached() {
+    const edge = this.rangeLimitReached;
+    this.rangeLimitReached = null;
+    return edge;
+  }
+
+  /**
+   * Get the current simulated date
+   */
+  getDate() {
+    return new Date(this.currentTime);
+  }
+
+  /**
+   * Jump to a specific date
+   */
+  setDate(date) {
+    const time = date instanceof Date ? date.getTime() : new Date(date).getTime();
+    if (Number.isNaN(time)) {
+      console.warn(`⏱️ Ignoring invalid simulation date: ${date}`);
+      return false;
+    }
+
+    if (!this.isDateInRange(time)) {
+      console.warn(`⏱️ Simulation date ${new Date(time).toISOString()} is outside the supported range`);
+      return false;
+    }
+
+    this.currentTime = time;
+    return true;
+  }
+
+  /**
+   * Check if a date (or timestamp) is within the supported range
+   */
+  isDateInRange(date) {
+    const time = date instanceof Date ? date.getTime() : date;
+    return time >= this.minDate.getTime() && time <= this.maxDate.getTime();
+  }
+
+  /**
+   * Get the supported date range
+   */
+  getDateRange() {
+    return { min: this.minDate, max: this.maxDate };
+  }
+
+  /**
+   * Reset the simulation to the real current date
+   */
+  resetToNow() {
+    return this.setDate(new Date());
+  }
+
+  /**
+   * Get the signed time scale (simulated seconds per real second)
+   * Returns 0 while paused so rotation and orbital motion stop together
+   */
+  getTimeScale() {
+    if (this.isPaused) return 0;
+    return this.warpLevels[this.warpIndex] * this.direction;
+  }
+
+  /**
+   * Get the unsigned time warp factor regardless of pause state
+   */
+  getTimeWarp() {
+    return this.warpLevels[this.warpIndex];
+  }
+
+  /**
+   * Set the time warp to the nearest preset level
+   */
+  setTimeWarp(warp) {
+    const target = Math.abs(warp);
+    let closestIndex = 0;
+
+    this.warpLevels.forEach((level, index) => {
+      if (Math.abs(level - target) < Math.abs(this.warpLevels[closestIndex] - target)) {
+        closestIndex = index;
+      }
+    });
+
+    this.warpIndex = closestIndex;
+    if (warp < 0) {
+      this.direction = -1;
+    } else if (warp > 0) {
+      this.direction = 1;
+    }
+
+    return this.getTimeWarp();
+  }
+
+  /**
+   * Step up to the next faster time warp
+   */
+  increaseTimeWarp() {
+    this.warpIndex = Math.min(this.warpLevels.length - 1, this.warpIndex + 1);
+    return this.getTimeWarp();
+  }
+
+  /**
+   * Step down to the next slower time warp
+   */
+  decreaseTimeWarp() {
+    this.warpIndex = Math.max(0, this.warpIndex - 1);
+    return this.getTimeWarp();
+  }
+
+  /**
+   * Resume the simulation
+   */
+  play() {
+    this.isPaused = false;
+  }
+
+  /**
+   * Pause the simulation
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Toggle between play and pause
+   */
+  togglePause() {
+    this.isPaused = !this.isPaused;
+    return this.isPaused;
+  }
+
+  /**
+   * Reverse the direction of time
+   */
+  reverse() {
+    this.direction *= -1;
+    return this.direction;
+  }
+
+  /**
+   * Check if time is running backwards
+   */
+  isReversed() {
+    return this.direction < 0;
+  }
+
+  /**
+   * Get clock status information
+   */
+  getStatus() {
+    return {
+      date: this.getDate(),
+      isPaused: this.isPaused,
+      isReversed: this.isReversed(),
+      timeWarp: this.getTimeWarp(),
+      timeScale: this.getTimeScale()
+    };
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * StarField - Background sky built from the bright-star catalog
+ * Stars sit at their J2000 positions on a sphere centred on the camera, sized by
+ * visual magnitude and coloured by B-V index
+ */
+
+import * as THREE from 'three';
+import { BRIGHT_STARS } from '../data/StarCatalog.js';
+import { equatorialToEcliptic } from '../utils/AstronomicalCalculations.js';
+
+const STAR_SPHERE_RADIUS = 50000;
+
+// Point size in pixels of a magnitude 0 star
+const ZERO_MAGNITUDE_SIZE = 4.0;
+
+const STAR_VERTEX_SHADER = `
+  uniform float uPixelRatio;
+  uniform float uZeroMagnitudeSize;
+
+  attribute float magnitude;
+  attribute vec3 starColor;
+
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    // Diameter follows the square root of flux, so 5 magnitudes is a factor of 10 in size
+    float size = uZeroMagnitudeSize * pow(10.0, -0.2 * magnitude) * uPixelRatio;
+
+    // Stars smaller than a pixel fade instead of shrinking
+    vAlpha = clamp(size / uPixelRatio, 0.15, 1.0);
+    vColor = starColor;
+
+    gl_PointSize = max(size, uPixelRatio);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const STAR_FRAGMENT_SHADER = `
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    // Soft round star disc
+    float distanceFromCenter = length(gl_PointCoord - vec2(0.5)) * 2.0;
+    if (distanceFromCenter > 1.0) discard;
+
+    float falloff = 1.0 - smoothstep(0.3, 1.0, distanceFromCenter);
+    gl_FragColor = vec4(vColor, vAlpha * falloff);
+  }
+`;
+
+/**
+ * Estimate effective temperature (K) from the B-V colour index (Ballesteros 2012)
+ */
+function bvToTemperature(bv) {
+  return 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+}
+
+/**
+ * Approximate the colour of a black body at the given temperature (K)
+ */
+function temperatureToColor(temperature) {
+  const t = temperature / 100;
+
+  let red;
+  let green;
+  let blue;
+
+  if (t <= 66) {
+    red = 255;
+    green = 99.4708025861 * Math.log(t) - 161.1195681661;
+  } else {
+    red = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    green = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  }
+
+  if (t >= 66) {
+    blue = 255;
+  } else if (t <= 19) {
+    blue = 0;
+  } else {
+    blue = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  }
+
+  return new THREE.Color(
+    THREE.MathUtils.clamp(red, 0, 255) / 255,
+    THREE.MathUtils.clamp(green, 0, 255) / 255,
+    THREE.MathUtils.clamp(blue, 0, 255) / 255
+  );
+}
+
+export class StarField {
+  constructor(scene) {
+    this.scene = scene;
+    this.points = null;
+
+    // Settings
+    this.pixelRatio = 1;
+    this.isVisible = true;
+  }
+
+  /**
+   * Create the star points from the catalog
+   */
+  create() {
+    const count = BRIGHT_STARS.length;
+    const positions = new Float32Array(count * 3);
+    const magnitudes = new Float32Array(count);
+    const colors = new Float32Array(count * 3);
+
+    BRIGHT_STARS.forEach(([, , rightAscension, declination, magnitude, colorIndex], index) => {
+      const direction = equatorialToEcliptic(rightAscension, declination);
+
+      // Ecliptic Z is the scene's vertical axis
+      positions.set([
+        direction.x * STAR_SPHERE_RADIUS,
+        direction.z * STAR_SPHERE_RADIUS,
+        direction.y * STAR_SPHERE_RADIUS
+      ], index * 3);
+
+      magnitudes[index] = magnitude;
+
+      // Blend towards white; pure black-body colours look oversaturated on screen
+      const color = temperatureToColor(bvToTemperature(colorIndex)).lerp(new THREE.Color(1, 1, 1), 0.25);
+      colors.set([color.r, color.g, color.b], index * 3);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('magnitude', new THREE.BufferAttribute(magnitudes, 1));
+    geometry.setAttribute('starColor', new THREE.BufferAttribute(colors, 3));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        uPixelRatio: { value: this.pixelRatio },
+        uZeroMagnitudeSize: { value: ZERO_MAGNITUDE_SIZE }
+      },
+      vertexShader: STAR_VERTEX_SHADER,
+      fragmentShader: STAR_FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.points = new THREE.Points(geometry, material);
+    this.points.renderOrder = -1; // Draw the sky behind everything else
+    this.points.frustumCulled = false;
+    this.points.visible = this.isVisible;
+    this.points.userData = { type: 'starField', count };
+
+    this.scene.add(this.points);
+
+    console.log(`✨ Created starfield with ${count} catalog stars`);
+  }
+
+  /**
+   * Keep the sky centred on the camera so stars behave as if infinitely distant
+   */
+  update(cameraPosition) {
+    if (this.points) {
+      this.points.position.copy(cameraPosition);
+    }
+  }
+
+  /**
+   * Update star sizes for the renderer's device pixel ratio
+   */
+  setPixelRatio(pixelRatio) {
+    this.pixelRatio = pixelRatio;
+    if (this.points) {
+      this.points.material.uniforms.uPixelRatio.value = pixelRatio;
+    }
+  }
+
+  /**
+   * Set starfield visibility
+   */
+  setVisible(visible) {
+    this.isVisible = visible;
+    if (this.points) {
+      this.points.visible = visible;
+    }
+  }
+
+  /**
+   * Get the number of catalog stars drawn
+   */
+  getStarCount() {
+    return this.points ? this.points.userData.count : 0;
+  }
+
+  /**
+   * Dispose of all resources
+   */
+  dispose() {
+    if (this.points) {
+      this.scene.remove(this.points);
+      this.points.geometry.dispose();
+      this.points.material.dispose();
+      this.points = null;
+    }
+  }
+}
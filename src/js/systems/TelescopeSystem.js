@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { OBSERVER_LAYER } from './ObserverSystem.js';
 
 export class TelescopeSystem {
   constructor(camera, scene) {
@@ -58,6 +59,7 @@ export class TelescopeSystem {
     crosshairGeometry.setAttribute('position', new THREE.BufferAttribute(crosshairVertices, 3));
     this.crosshairs = new THREE.LineSegments(crosshairGeometry, crosshairMaterial);
     this.crosshairs.visible = false;
+    this.crosshairs.layers.enable(OBSERVER_LAYER); // Also usable from a planet's surface
     
     // Position crosshairs in front of camera
     this.crosshairs.position.set(0, 0, -1);
@@ -2,6 +2,17 @@
  * UIManager - Manages user interface interactions and updates
  */
 
+import {
+  calculateGeocentricEquatorial,
+  calculateSkyFromSurface,
+  calculateRiseTransitSet
+} from '../utils/ObserverCalculations.js';
+import { findPlanetaryEvents } from '../utils/EventFinder.js';
+import { findEclipses } from '../utils/EclipseCalculations.js';
+
+// Rise, transit and set are searched a day ahead, so results are reused until an event passes
+const RISE_SET_CACHE_HOURS = 12;
+
 export class UIManager {
   constructor(sceneManager, navigationControls) {
     this.sceneManager = sceneManager;
@@ -12,7 +23,40 @@ export class UIManager {
     this.speedSlider = null;
     this.speedValue = null;
     this.orbitLinesToggle = null;
+    this.constellationLinesToggle = null;
+    this.constellationLabelsToggle = null;
+    this.beltsToggle = null;
+    this.beltDensitySlider = null;
+    this.beltDensityValue = null;
+    this.lensFlareToggle = null;
+    this.postProcessingToggle = null;
+    this.simulationDate = null;
+    this.timeWarpValue = null;
+    this.timePlayPause = null;
+    this.timeReverse = null;
+    this.timeSlower = null;
+    this.timeFaster = null;
+    this.datePicker = null;
+    this.dateJump = null;
+    this.dateNow = null;
+    this.ephemerisSelect = null;
+    this.positionModeSelect = null;
+    this.observerBody = null;
+    this.observerLatitude = null;
+    this.observerLongitude = null;
+    this.observerToggle = null;
+    this.siteLatitude = null;
+    this.siteLongitude = null;
     this.planetButtons = null;
+    this.importFile = null;
+    this.importedButtons = null;
+    this.eventsSpan = null;
+    this.eventsFind = null;
+    this.eventsList = null;
+    this.eclipsesSpan = null;
+    this.eclipsesFind = null;
+    this.eclipsesList = null;
+    this.eclipseShadowsToggle = null;
     this.helpToggle = null;
     this.helpPanel = null;
     this.infoPanel = null;
@@ -24,6 +68,11 @@ export class UIManager {
     this.isHelpVisible = false;
     this.selectedPlanet = null;
     this.debugMode = false;
+    this.observerPanelTimer = 0;
+    this.infoPanelTimer = 0;
+    this.riseSetCache = null;
+    this.foundEvents = [];
+    this.foundEclipses = [];
 
     // Mode cycle order
     this.modeOrder = ['exploration', 'realistic', 'artistic'];
@@ -32,7 +81,30 @@ export class UIManager {
     this.onModeToggle = this.onModeToggle.bind(this);
     this.onSpeedChange = this.onSpeedChange.bind(this);
     this.onOrbitLinesToggle = this.onOrbitLinesToggle.bind(this);
+    this.onConstellationLinesToggle = this.onConstellationLinesToggle.bind(this);
+    this.onConstellationLabelsToggle = this.onConstellationLabelsToggle.bind(this);
+    this.onBeltsToggle = this.onBeltsToggle.bind(this);
+    this.onBeltDensityChange = this.onBeltDensityChange.bind(this);
+    this.onLensFlareToggle = this.onLensFlareToggle.bind(this);
+    this.onPostProcessingToggle = this.onPostProcessingToggle.bind(this);
+    this.onTimePlayPause = this.onTimePlayPause.bind(this);
+    this.onTimeReverse = this.onTimeReverse.bind(this);
+    this.onTimeSlower = this.onTimeSlower.bind(this);
+    this.onTimeFaster = this.onTimeFaster.bind(this);
+    this.onDateJump = this.onDateJump.bind(this);
+    this.onDateNow = this.onDateNow.bind(this);
+    this.onEphemerisChange = this.onEphemerisChange.bind(this);
+    this.onPositionModeChange = this.onPositionModeChange.bind(this);
+    this.onObserverToggle = this.onObserverToggle.bind(this);
+    this.onObserverLocationChange = this.onObserverLocationChange.bind(this);
+    this.onSiteChange = this.onSiteChange.bind(this);
     this.onPlanetSelect = this.onPlanetSelect.bind(this);
+    this.onEventsFind = this.onEventsFind.bind(this);
+    this.onEventSelect = this.onEventSelect.bind(this);
+    this.onEclipsesFind = this.onEclipsesFind.bind(this);
+    this.onEclipseSelect = this.onEclipseSelect.bind(this);
+    this.onEclipseShadowsToggle = this.onEclipseShadowsToggle.bind(this);
+    this.onImportFile = this.onImportFile.bind(this);
     this.onHelpToggle = this.onHelpToggle.bind(this);
   }
 
@@ -61,9 +133,64 @@ export class UIManager {
     // Orbit lines toggle
     this.orbitLinesToggle = document.getElementById('orbit-lines-toggle');
 
+    // Constellation toggles
+    this.constellationLinesToggle = document.getElementById('constellation-lines-toggle');
+    this.constellationLabelsToggle = document.getElementById('constellation-labels-toggle');
+
+    // Asteroid belt controls
+    this.beltsToggle = document.getElementById('belts-toggle');
+    this.beltDensitySlider = document.getElementById('belt-density-slider');
+    this.beltDensityValue = document.getElementById('belt-density-value');
+
+    // Sun glare and post-processing
+    this.lensFlareToggle = document.getElementById('lens-flare-toggle');
+    this.postProcessingToggle = document.getElementById('post-processing-toggle');
+
+    // Simulation time controls
+    this.simulationDate = document.getElementById('simulation-date');
+    this.timeWarpValue = document.getElementById('time-warp-value');
+    this.timePlayPause = document.getElementById('time-play-pause');
+    this.timeReverse = document.getElementById('time-reverse');
+    this.timeSlower = document.getElementById('time-slower');
+    this.timeFaster = document.getElementById('time-faster');
+
+    // Date picker
+    this.datePicker = document.getElementById('date-picker');
+    this.dateJump = document.getElementById('date-jump');
+    this.dateNow = document.getElementById('date-now');
+
+    // Ephemeris backend
+    this.ephemerisSelect = document.getElementById('ephemeris-select');
+    this.positionModeSelect = document.getElementById('position-mode-select');
+
+    // Surface observer
+    this.observerBody = document.getElementById('observer-body');
+    this.observerLatitude = document.getElementById('observer-latitude');
+    this.observerLongitude = document.getElementById('observer-longitude');
+    this.observerToggle = document.getElementById('observer-toggle');
+
+    // Ground observing site on Earth
+    this.siteLatitude = document.getElementById('site-latitude');
+    this.siteLongitude = document.getElementById('site-longitude');
+
     // Planet buttons
     this.planetButtons = document.querySelectorAll('.planet-button');
 
+    // Small-body import
+    this.importFile = document.getElementById('import-file');
+    this.importedButtons = document.getElementById('imported-buttons');
+
+    // Planetary events
+    this.eventsSpan = document.getElementById('events-span');
+    this.eventsFind = document.getElementById('events-find');
+    this.eventsList = document.getElementById('events-list');
+
+    // Eclipses
+    this.eclipsesSpan = document.getElementById('eclipses-span');
+    this.eclipsesFind = document.getElementById('eclipses-find');
+    this.eclipsesList = document.getElementById('eclipses-list');
+    this.eclipseShadowsToggle = document.getElementById('eclipse-shadows-toggle');
+
     // Help panel
     this.helpToggle = document.getElementById('help-toggle');
     this.helpPanel = document.getElementById('help-panel');
@@ -79,6 +206,37 @@ export class UIManager {
       this.speedSlider,
       this.speedValue,
       this.orbitLinesToggle,
+      this.constellationLinesToggle,
+      this.constellationLabelsToggle,
+      this.beltsToggle,
+      this.beltDensitySlider,
+      this.beltDensityValue,
+      this.lensFlareToggle,
+      this.postProcessingToggle,
+      this.simulationDate,
+      this.timeWarpValue,
+      this.timePlayPause,
+      this.timeReverse,
+      this.timeSlower,
+      this.timeFaster,
+      this.datePicker,
+      this.dateJump,
+      this.dateNow,
+      this.ephemerisSelect,
+      this.positionModeSelect,
+      this.observerBody,
+      this.observerLatitude,
+      this.observerLongitude,
+      this.observerToggle,
+      this.siteLatitude,
+      this.siteLongitude,
+      this.eventsSpan,
+      this.eventsFind,
+      this.eventsList,
+      this.eclipsesSpan,
+      this.eclipsesFind,
+      this.eclipsesList,
+      this.eclipseShadowsToggle,
       this.helpToggle,
       this.helpPanel,
       this.infoPanel,
@@ -111,11 +269,121 @@ export class UIManager {
       this.orbitLinesToggle.addEventListener('change', this.onOrbitLinesToggle);
     }
 
+    // Constellation toggles
+    if (this.constellationLinesToggle) {
+      this.constellationLinesToggle.addEventListener('change', this.onConstellationLinesToggle);
+    }
+
+    if (this.constellationLabelsToggle) {
+      this.constellationLabelsToggle.addEventListener('change', this.onConstellationLabelsToggle);
+    }
+
+    // Asteroid belt controls
+    if (this.beltsToggle) {
+      this.beltsToggle.addEventListener('change', this.onBeltsToggle);
+    }
+
+    if (this.beltDensitySlider) {
+      this.beltDensitySlider.addEventListener('input', this.onBeltDensityChange);
+    }
+
+    // Sun glare and post-processing
+    if (this.lensFlareToggle) {
+      this.lensFlareToggle.addEventListener('change', this.onLensFlareToggle);
+    }
+
+    if (this.postProcessingToggle) {
+      this.postProcessingToggle.checked = this.sceneManager.isPostProcessingEnabled();
+      this.postProcessingToggle.addEventListener('change', this.onPostProcessingToggle);
+    }
+
+    // Simulation time controls
+    if (this.timePlayPause) {
+      this.timePlayPause.addEventListener('click', this.onTimePlayPause);
+    }
+
+    if (this.timeReverse) {
+      this.timeReverse.addEventListener('click', this.onTimeReverse);
+    }
+
+    if (this.timeSlower) {
+      this.timeSlower.addEventListener('click', this.onTimeSlower);
+    }
+
+    if (this.timeFaster) {
+      this.timeFaster.addEventListener('click', this.onTimeFaster);
+    }
+
+    // Date picker
+    if (this.dateJump) {
+      this.dateJump.addEventListener('click', this.onDateJump);
+    }
+
+    if (this.dateNow) {
+      this.dateNow.addEventListener('click', this.onDateNow);
+    }
+
+    // Ephemeris backend
+    if (this.ephemerisSelect) {
+      this.ephemerisSelect.value = this.sceneManager.getEphemeris();
+      this.ephemerisSelect.addEventListener('change', this.onEphemerisChange);
+    }
+
+    if (this.positionModeSelect) {
+      this.positionModeSelect.value = this.sceneManager.getPositionMode();
+      this.positionModeSelect.addEventListener('change', this.onPositionModeChange);
+    }
+
+    // Surface observer
+    if (this.observerToggle) {
+      this.observerToggle.addEventListener('click', this.onObserverToggle);
+    }
+
+    [this.observerBody, this.observerLatitude, this.observerLongitude].forEach(element => {
+      if (element) {
+        element.addEventListener('change', this.onObserverLocationChange);
+      }
+    });
+
+    // Ground observing site
+    [this.siteLatitude, this.siteLongitude].forEach(element => {
+      if (element) {
+        element.addEventListener('change', this.onSiteChange);
+      }
+    });
+
     // Planet buttons
     this.planetButtons.forEach(button => {
       button.addEventListener('click', this.onPlanetSelect);
     });
 
+    // Small-body import
+    if (this.importFile) {
+      this.importFile.addEventListener('change', this.onImportFile);
+    }
+
+    // Planetary events
+    if (this.eventsFind) {
+      this.eventsFind.addEventListener('click', this.onEventsFind);
+    }
+
+    if (this.eventsList) {
+      this.eventsList.addEventListener('click', this.onEventSelect);
+    }
+
+    // Eclipses
+    if (this.eclipsesFind) {
+      this.eclipsesFind.addEventListener('click', this.onEclipsesFind);
+    }
+
+    if (this.eclipsesList) {
+      this.eclipsesList.addEventListener('click', this.onEclipseSelect);
+    }
+
+    if (this.eclipseShadowsToggle) {
+      this.eclipseShadowsToggle.addEventListener('change', this.onEclipseShadowsToggle);
+    }
+
     // Help toggle
     if (this.helpToggle) {
       this.helpToggle.addEventListener('click', this.onHelpToggle);
@@ -207,6 +475,374 @@ export class UIManager {
     );
   }
 
+  /**
+   * Handle constellation lines toggle
+   */
+  onConstellationLinesToggle() {
+    const overlay = this.sceneManager.getConstellationOverlay();
+    if (!overlay || !this.constellationLinesToggle) return;
+
+    const isVisible = this.constellationLinesToggle.checked;
+    overlay.setLinesVisible(isVisible);
+
+    console.log(`🌠 Constellation lines ${isVisible ? 'enabled' : 'disabled'}`);
+    this.showNotification(`Constellation lines ${isVisible ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Handle constellation names toggle
+   */
+  onConstellationLabelsToggle() {
+    const overlay = this.sceneManager.getConstellationOverlay();
+    if (!overlay || !this.constellationLabelsToggle) return;
+
+    const isVisible = this.constellationLabelsToggle.checked;
+    overlay.setLabelsVisible(isVisible);
+
+    console.log(`🌠 Constellation names ${isVisible ? 'enabled' : 'disabled'}`);
+    this.showNotification(`Constellation names ${isVisible ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Toggle constellation lines from the keyboard
+   */
+  toggleConstellationLines() {
+    if (!this.constellationLinesToggle) return;
+
+    this.constellationLinesToggle.checked = !this.constellationLinesToggle.checked;
+    this.onConstellationLinesToggle();
+  }
+
+  /**
+   * Toggle constellation names from the keyboard
+   */
+  toggleConstellationLabels() {
+    if (!this.constellationLabelsToggle) return;
+
+    this.constellationLabelsToggle.checked = !this.constellationLabelsToggle.checked;
+    this.onConstellationLabelsToggle();
+  }
+
+  /**
+   * Handle asteroid belt visibility toggle
+   */
+  onBeltsToggle() {
+    const beltSystem = this.sceneManager.getBeltSystem();
+    if (!beltSystem || !this.beltsToggle) return;
+
+    const isVisible = this.beltsToggle.checked;
+    beltSystem.setVisible(isVisible);
+
+    console.log(`🪨 Asteroid belts ${isVisible ? 'enabled' : 'disabled'}`);
+    this.showNotification(`Asteroid belts ${isVisible ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Toggle asteroid belts from the keyboard
+   */
+  toggleBelts() {
+    if (!this.beltsToggle) return;
+
+    this.beltsToggle.checked = !this.beltsToggle.checked;
+    this.onBeltsToggle();
+  }
+
+  /**
+   * Handle lens flare toggle
+   */
+  onLensFlareToggle() {
+    if (!this.lensFlareToggle) return;
+
+    const isEnabled = this.lensFlareToggle.checked;
+    this.sceneManager.setLensFlareEnabled(isEnabled);
+
+    this.showNotification(`Lens flare ${isEnabled ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Handle post-processing toggle
+   */
+  onPostProcessingToggle() {
+    if (!this.postProcessingToggle) return;
+
+    const isEnabled = this.postProcessingToggle.checked;
+    this.sceneManager.setPostProcessingEnabled(isEnabled);
+
+    this.showNotification(`Post-processing ${isEnabled ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Handle asteroid belt density change
+   */
+  onBeltDensityChange() {
+    const beltSystem = this.sceneManager.getBeltSystem();
+    if (!beltSystem || !this.beltDensitySlider) return;
+
+    const density = parseFloat(this.beltDensitySlider.value);
+    beltSystem.setDensity(density);
+
+    if (this.beltDensityValue) {
+      this.beltDensityValue.textContent = `${Math.round(density * 100)}%`;
+    }
+  }
+
+  /**
+   * Handle simulation play/pause
+   */
+  onTimePlayPause() {
+    const clock = this.sceneManager.getSimulationClock();
+    const isPaused = clock.togglePause();
+
+    this.updateTimeControls();
+    this.showNotification(`Simulation ${isPaused ? 'paused' : 'resumed'}`, 'info');
+  }
+
+  /**
+   * Handle simulation time reversal
+   */
+  onTimeReverse() {
+    const clock = this.sceneManager.getSimulationClock();
+    clock.reverse();
+
+    this.updateTimeControls();
+    this.showNotification(
+      `Time running ${clock.isReversed() ? 'backwards' : 'forwards'}`,
+      'info'
+    );
+  }
+
+  /**
+   * Handle slower time warp
+   */
+  onTimeSlower() {
+    const warp = this.sceneManager.getSimulationClock().decreaseTimeWarp();
+
+    this.updateTimeControls();
+    console.log(`⏱️ Time warp: ${this.formatTimeWarp(warp)}`);
+  }
+
+  /**
+   * Handle faster time warp
+   */
+  onTimeFaster() {
+    const warp = this.sceneManager.getSimulationClock().increaseTimeWarp();
+
+    this.updateTimeControls();
+    console.log(`⏱️ Time warp: ${this.formatTimeWarp(warp)}`);
+  }
+
+  /**
+   * Handle jump to the date chosen in the date picker
+   */
+  onDateJump() {
+    if (!this.datePicker || !this.datePicker.value) {
+      this.showNotification('Choose a date to jump to', 'warning');
+      return;
+    }
+
+    // The picker value has no timezone; interpret it as UTC to match the readout
+    const date = new Date(`${this.datePicker.value}Z`);
+    this.jumpToDate(date);
+  }
+
+  /**
+   * Handle jump back to the real current date
+   */
+  onDateNow() {
+    this.jumpToDate(new Date());
+  }
+
+  /**
+   * Handle ephemeris backend selection
+   */
+  onEphemerisChange() {
+    if (!this.ephemerisSelect) return;
+
+    if (!this.sceneManager.setEphemeris(this.ephemerisSelect.value)) {
+      this.ephemerisSelect.value = this.sceneManager.getEphemeris();
+      return;
+    }
+
+    if (this.selectedPlanet) {
+      this.updateInfoPanel(this.selectedPlanet);
+    }
+
+    const label = this.ephemerisSelect.options[this.ephemerisSelect.selectedIndex].text;
+    this.showNotification(`Planet positions: ${label}`, 'info');
+  }
+
+  /**
+   * Handle switching between geometric and apparent positions
+   */
+  onPositionModeChange() {
+    if (!this.positionModeSelect) return;
+
+    if (!this.sceneManager.setPositionMode(this.positionModeSelect.value)) {
+      this.positionModeSelect.value = this.sceneManager.getPositionMode();
+      return;
+    }
+
+    if (this.selectedPlanet) {
+      this.updateInfoPanel(this.selectedPlanet);
+    }
+
+    const label = this.positionModeSelect.options[this.positionModeSelect.selectedIndex].text;
+    this.showNotification(`Positions: ${label}`, 'info');
+  }
+
+  /**
+   * Handle standing on or leaving the selected body's surface
+   */
+  onObserverToggle() {
+    const observerSystem = this.sceneManager.getObserverSystem();
+    if (!observerSystem) return;
+
+    if (observerSystem.isActive) {
+      observerSystem.exit();
+      this.updateObserverToggle();
+      this.resetInfoPanel();
+      this.showNotification('Back in orbit', 'info');
+      return;
+    }
+
+    this.enterObserverLocation();
+  }
+
+  /**
+   * Move the observer when the body or coordinates change while standing on a surface
+   */
+  onObserverLocationChange() {
+    const observerSystem = this.sceneManager.getObserverSystem();
+    if (observerSystem && observerSystem.isActive) {
+      this.enterObserverLocation();
+    }
+  }
+
+  /**
+   * Stand on the body and at the coordinates chosen in the surface view controls
+   */
+  enterObserverLocation() {
+    const observerSystem = this.sceneManager.getObserverSystem();
+    if (!observerSystem || !this.observerBody) return;
+
+    const bodyName = this.observerBody.value;
+    const latitude = parseFloat(this.observerLatitude && this.observerLatitude.value) || 0;
+    const longitude = parseFloat(this.observerLongitude && this.observerLongitude.value) || 0;
+
+    if (!observerSystem.enter(bodyName, latitude, longitude)) {
+      this.showNotification(`Cannot stand on ${bodyName}`, 'error');
+      return;
+    }
+
+    this.selectedPlanet = null;
+    this.observerPanelTimer = 0;
+    this.updateObserverToggle();
+    this.updateObserverPanel();
+    this.showNotification(`Standing on ${bodyName}. Drag to look around, L to leave.`, 'info');
+  }
+
+  /**
+   * Refresh the sky position readout when the observing site changes
+   */
+  onSiteChange() {
+    if (this.selectedPlanet) {
+      this.updateInfoPanel(this.selectedPlanet);
+    }
+  }
+
+  /**
+   * Get the observing site on Earth as latitude and east longitude (degrees)
+   */
+  getObservingSite() {
+    const latitude = parseFloat(this.siteLatitude && this.siteLatitude.value);
+    const longitude = parseFloat(this.siteLongitude && this.siteLongitude.value);
+
+    return {
+      latitude: Number.isFinite(latitude) ? Math.max(-90, Math.min(90, latitude)) : 0,
+      longitude: Number.isFinite(longitude) ? longitude : 0
+    };
+  }
+
+  /**
+   * Sync the surface view button with the observer state
+   */
+  updateObserverToggle() {
+    const observerSystem = this.sceneManager.getObserverSystem();
+    if (!this.observerToggle || !observerSystem) return;
+
+    this.observerToggle.textContent = observerSystem.isActive ? '🚀 Leave Surface' : '🧍 Stand on Surface';
+    this.observerToggle.classList.toggle('active', observerSystem.isActive);
+  }
+
+  /**
+   * Show the observer's location, view direction and the brightest bodies in their sky
+   */
+  updateObserverPanel() {
+    const observerSystem = this.sceneManager.getObserverSystem();
+    if (!observerSystem || !this.currentTarget || !this.targetInfo) return;
+
+    const status = observerSystem.getStatus();
+    if (!status.isActive) return;
+
+    const bodyLabel = status.bodyName.charAt(0).toUpperCase() + status.bodyName.slice(1);
+
+    const rows = status.visibleBodies.slice(0, 8).map(target => {
+      const name = target.name.charAt(0).toUpperCase() + target.name.slice(1);
+      return `<p class="info-detail">✨ ${name}: ${target.apparentMagnitude.toFixed(1)} mag, ` +
+        `alt ${target.altitude.toFixed(1)}° az ${target.azimuth.toFixed(1)}°, ${this.formatAngle(target.angularDiameter)}</p>`;
+    });
+
+    this.currentTarget.textContent = `🧍 On ${bodyLabel}`;
+    this.targetInfo.innerHTML = `
+      <p class="info-detail">📍 ${this.formatSite(status.latitude, status.longitude)}</p>
+      <p class="info-detail">🧭 Looking at az ${status.viewAzimuth.toFixed(1)}°, alt ${status.viewAltitude.toFixed(1)}°</p>
+      ${rows.length > 0 ? rows.join('') : '<p class="info-detail">Nothing else above the horizon</p>'}
+    `;
+  }
+
+  /**
+   * Format an angular size given in degrees
+   */
+  formatAngle(degrees) {
+    if (degrees >= 1) return `${degrees.toFixed(2)}°`;
+    if (degrees * 60 >= 1) return `${(degrees * 60).toFixed(1)}′`;
+    return `${(degrees * 3600).toFixed(1)}″`;
+  }
+
+  /**
+   * Return the info panel to its free-exploration state
+   */
+  resetInfoPanel() {
+    if (!this.currentTarget || !this.targetInfo) return;
+
+    this.currentTarget.textContent = 'Free Exploration';
+    this.targetInfo.innerHTML = '<p>Use WASD to move, QE for up/down, mouse to look around</p>';
+  }
+
+  /**
+   * Jump the scene to a date and refresh dependent UI
+   */
+  jumpToDate(date) {
+    if (!this.sceneManager.setDate(date)) {
+      const { min, max } = this.sceneManager.getSimulationClock().getDateRange();
+      this.showNotification(
+        `Date must be between ${min.getUTCFullYear()} and ${max.getUTCFullYear()}`,
+        'error'
+      );
+      return false;
+    }
+
+    this.updateSimulationDate();
+    this.updateDatePicker();
+
+    if (this.selectedPlanet) {
+      this.updateInfoPanel(this.selectedPlanet);
+    }
+
+    this.showNotification(`Jumped to ${this.formatDate(date)}`, 'success');
+    return true;
+  }
+
   /**
    * Handle planet selection
    */
@@ -242,7 +878,9 @@ export class UIManager {
       const speed = this.speedSlider ? parseFloat(this.speedSlider.value) : 1.0;
 
       try {
-        await this.sceneManager.travelTo(planetName, speed);
+        const travel = this.sceneManager.travelTo(planetName, speed);
+        this.updateObserverToggle(); // Travel leaves the surface
+        await travel;
         this.showNotification(`Arrived at ${planetName}`, 'success');
         console.log(`✅ Successfully arrived at ${planetName}`);
       } catch (error) {
@@ -326,32 +964,72 @@ export class UIManager {
     }
 
     switch (event.key.toLowerCase()) {
-      case 't':
-        // Toggle telescope mode
-        event.preventDefault();
-        this.toggleTelescopeMode();
-        break;
-      case 'm':
-        // Toggle visualization mode
-        event.preventDefault();
-        this.onModeToggle();
-        break;
-      case 'o':
-        // Toggle orbit lines
-        event.preventDefault();
-        this.toggleOrbitLines();
-        break;
-      case '+':
-      case '=':
-        // Zoom in telescope
-        event.preventDefault();
-        this.telescopeZoomIn();
-        break;
-      case '-':
-        // Zoom out telescope
-        event.preventDefault();
-        this.telescopeZoomOut();
-        break;
+    case 't':
+      // Toggle telescope mode
+      event.preventDefault();
+      this.toggleTelescopeMode();
+      break;
+    case 'm':
+      // Toggle visualization mode
+      event.preventDefault();
+      this.onModeToggle();
+      break;
+    case 'o':
+      // Toggle orbit lines
+      event.preventDefault();
+      this.toggleOrbitLines();
+      break;
+    case 'c':
+      // Toggle constellation lines
+      event.preventDefault();
+      this.toggleConstellationLines();
+      break;
+    case 'n':
+      // Toggle constellation names
+      event.preventDefault();
+      this.toggleConstellationLabels();
+      break;
+    case 'b':
+      // Toggle asteroid belts
+      event.preventDefault();
+      this.toggleBelts();
+      break;
+    case 'p':
+      // Play/pause simulation time
+      event.preventDefault();
+      this.onTimePlayPause();
+      break;
+    case 'r':
+      // Reverse simulation time
+      event.preventDefault();
+      this.onTimeReverse();
+      break;
+    case '[':
+      // Slow down simulation time
+      event.preventDefault();
+      this.onTimeSlower();
+      break;
+    case ']':
+      // Speed up simulation time
+      event.preventDefault();
+      this.onTimeFaster();
+      break;
+    case '+':
+    case '=':
+      // Zoom in telescope
+      event.preventDefault();
+      this.telescopeZoomIn();
+      break;
+    case '-':
+      // Zoom out telescope
+      event.preventDefault();
+      this.telescopeZoomOut();
+      break;
+    case 'l':
+      // Stand on or leave the selected body's surface
+      event.preventDefault();
+      this.onObserverToggle();
+      break;
     }
   }
 
@@ -450,20 +1128,552 @@ export class UIManager {
         name: 'Neptune',
         info: 'The windiest planet with speeds up to 2,100 km/h. Deep blue color.',
       },
+      ceres: {
+        name: 'Ceres',
+        info: 'The largest object in the asteroid belt and the only dwarf planet in the inner solar system.',
+      },
+      pluto: {
+        name: 'Pluto',
+        info: 'A dwarf planet in the Kuiper belt with a nitrogen-ice heart-shaped plain and five moons.',
+      },
+      haumea: {
+        name: 'Haumea',
+        info: 'An elongated dwarf planet spinning once every four hours, with its own ring.',
+      },
+      makemake: {
+        name: 'Makemake',
+        info: 'A reddish Kuiper belt dwarf planet covered in methane ice.',
+      },
+      eris: {
+        name: 'Eris',
+        info: 'The most massive known dwarf planet, on a steeply inclined orbit reaching almost 100 AU.',
+      },
+      halley: {
+        name: 'Halley\'s Comet',
+        info: 'The most famous periodic comet, returning every 76 years on a retrograde orbit. Next perihelion in 2061.',
+      },
+      encke: {
+        name: 'Comet Encke',
+        info: 'The comet with the shortest known period, looping inside Jupiter\'s orbit every 3.3 years.',
+      },
+      haleBopp: {
+        name: 'Comet Hale-Bopp',
+        info: 'The Great Comet of 1997, visible to the naked eye for a record 18 months. Returns in about 2,500 years.',
+      },
+      moon: {
+        name: 'The Moon',
+        info: 'Earth\'s only natural satellite. Tidally locked, always showing the same face to Earth.',
+      },
+      phobos: {
+        name: 'Phobos',
+        info: 'Mars\'s larger moon. Orbits so close that it rises in the west and will one day break apart.',
+      },
+      deimos: {
+        name: 'Deimos',
+        info: 'Mars\'s smaller, outer moon. A tiny, smooth-surfaced captured asteroid.',
+      },
+      io: {
+        name: 'Io',
+        info: 'The most volcanically active body in the solar system, heated by Jupiter\'s tides.',
+      },
+      europa: {
+        name: 'Europa',
+        info: 'An icy Galilean moon hiding a global saltwater ocean beneath its cracked crust.',
+      },
+      ganymede: {
+        name: 'Ganymede',
+        info: 'The largest moon in the solar system - bigger than Mercury, with its own magnetic field.',
+      },
+      callisto: {
+        name: 'Callisto',
+        info: 'The most heavily cratered object known. Orbits outside Jupiter\'s main radiation belts.',
+      },
+      enceladus: {
+        name: 'Enceladus',
+        info: 'A bright icy moon venting water plumes from its south pole into Saturn\'s E ring.',
+      },
+      rhea: {
+        name: 'Rhea',
+        info: 'Saturn\'s second-largest moon. A cold, airless ball of ice and rock.',
+      },
+      titan: {
+        name: 'Titan',
+        info: 'Saturn\'s largest moon, with a thick nitrogen atmosphere and lakes of liquid methane.',
+      },
+      iapetus: {
+        name: 'Iapetus',
+        info: 'A two-toned moon with one dark and one bright hemisphere, on an inclined orbit.',
+      },
+      miranda: {
+        name: 'Miranda',
+        info: 'Uranus\'s innermost major moon, with giant cliffs and a patchwork surface.',
+      },
+      ariel: {
+        name: 'Ariel',
+        info: 'The brightest of Uranus\'s moons, crossed by long rift valleys.',
+      },
+      titania: {
+        name: 'Titania',
+        info: 'The largest moon of Uranus, marked by huge canyons and fault systems.',
+      },
+      oberon: {
+        name: 'Oberon',
+        info: 'The outermost major moon of Uranus. Old, dark and heavily cratered.',
+      },
+      triton: {
+        name: 'Triton',
+        info: 'Neptune\'s largest moon orbits backwards - likely a captured Kuiper belt object with nitrogen geysers.',
+      },
     };
 
-    const data = planetData[planetName];
+    const data = planetData[planetName] || this.getImportedBodyInfo(planetName);
     if (data) {
       this.currentTarget.textContent = data.name;
-      this.targetInfo.innerHTML = `<p>${data.info}</p>`;
+      this.targetInfo.innerHTML = `<p>${data.info}</p>${this.getPositionInfoHTML(planetName)}`;
     }
   }
 
+  /**
+   * Build info panel text for a body imported at runtime
+   */
+  getImportedBodyInfo(bodyName) {
+    const body = this.sceneManager.getCelestialBody(bodyName);
+    if (!body || !body.config.source) return null;
+
+    return {
+      name: body.config.displayName || bodyName,
+      info: `Orbit imported from ${body.config.source} for ${body.config.designation}.`,
+    };
+  }
+
+  /**
+   * Handle a small-body orbit file chosen in the import control
+   */
+  async onImportFile() {
+    const file = this.importFile && this.importFile.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const importedNames = await this.sceneManager.importSmallBodies(text, file.name);
+
+      // A body imported again under another designation replaces the earlier one
+      if (this.importedButtons) {
+        this.importedButtons.querySelectorAll('[data-planet]').forEach((button) => {
+          if (!this.sceneManager.getCelestialBody(button.dataset.planet)) button.remove();
+        });
+        this.planetButtons = document.querySelectorAll('.planet-button');
+      }
+
+      importedNames.forEach(bodyName => this.addImportedBodyButton(bodyName));
+
+      this.showNotification(
+        `Imported ${importedNames.length} ${importedNames.length === 1 ? 'body' : 'bodies'} from ${file.name}`,
+        importedNames.length > 0 ? 'success' : 'warning'
+      );
+    } catch (error) {
+      console.error('Failed to import small bodies:', error);
+      this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+    } finally {
+      // Allow the same file to be imported again
+      this.importFile.value = '';
+    }
+  }
+
+  /**
+   * Add a travel button for an imported body
+   */
+  addImportedBodyButton(bodyName) {
+    if (!this.importedButtons) return;
+    if (this.importedButtons.querySelector(`[data-planet="${bodyName}"]`)) return;
+
+    const body = this.sceneManager.getCelestialBody(bodyName);
+    const button = document.createElement('button');
+    button.dataset.planet = bodyName;
+    button.className = 'planet-button imported';
+    button.textContent = `${body.type === 'comet' ? '☄️' : '🪨'} ${body.config.displayName || bodyName}`;
+    button.addEventListener('click', this.onPlanetSelect);
+
+    this.importedButtons.appendChild(button);
+    this.planetButtons = document.querySelectorAll('.planet-button');
+  }
+
+  /**
+   * Search for planetary events from the simulated date over the chosen span
+   */
+  onEventsFind() {
+    if (!this.eventsFind || !this.eventsList) return;
+
+    const months = this.eventsSpan ? parseInt(this.eventsSpan.value, 10) : 12;
+    const startDate = this.sceneManager.getSimulationDate();
+    const endDate = new Date(startDate);
+    endDate.setUTCMonth(endDate.getUTCMonth() + months);
+
+    this.eventsFind.disabled = true;
+    this.eventsFind.textContent = 'Searching…';
+
+    // Let the button repaint before the search blocks the main thread
+    setTimeout(() => {
+      try {
+        this.foundEvents = findPlanetaryEvents(startDate, endDate);
+        this.renderEventsList();
+        this.showNotification(`Found ${this.foundEvents.length} events in the next ${months} months`, 'info');
+      } catch (error) {
+        console.error('Event search failed:', error);
+        this.showNotification('Could not search for events', 'error');
+      } finally {
+        this.eventsFind.disabled = false;
+        this.eventsFind.textContent = '🔎 Find Events';
+      }
+    }, 0);
+  }
+
+  /**
+   * Fill an events list with one button per event
+   */
+  renderEventsList(list = this.eventsList, events = this.foundEvents) {
+    list.replaceChildren();
+
+    if (events.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'info-detail';
+      empty.textContent = 'No events in this span';
+      list.appendChild(empty);
+      return;
+    }
+
+    events.forEach((event, index) => {
+      const button = document.createElement('button');
+      button.className = 'event-item';
+      button.dataset.eventIndex = index;
+
+      const date = document.createElement('span');
+      date.className = 'event-date';
+      date.textContent = event.date.toISOString().slice(0, 16).replace('T', ' ');
+
+      button.append(date, event.description);
+      list.appendChild(button);
+    });
+  }
+
+  /**
+   * Jump the scene to a clicked event and show its main body
+   */
+  onEventSelect(domEvent) {
+    const button = domEvent.target.closest('.event-item');
+    if (!button) return;
+
+    const event = this.foundEvents[parseInt(button.dataset.eventIndex, 10)];
+    if (!event || !this.jumpToDate(event.date)) return;
+
+    this.selectedPlanet = event.bodies[0];
+    this.updateInfoPanel(this.selectedPlanet);
+  }
+
+  /**
+   * Search for solar and lunar eclipses from the simulated date over the chosen span
+   */
+  onEclipsesFind() {
+    if (!this.eclipsesFind || !this.eclipsesList) return;
+
+    const months = this.eclipsesSpan ? parseInt(this.eclipsesSpan.value, 10) : 36;
+    const startDate = this.sceneManager.getSimulationDate();
+    const endDate = new Date(startDate);
+    endDate.setUTCMonth(endDate.getUTCMonth() + months);
+
+    this.eclipsesFind.disabled = true;
+    this.eclipsesFind.textContent = 'Searching…';
+
+    // Let the button repaint before the search blocks the main thread
+    setTimeout(() => {
+      try {
+        this.foundEclipses = findEclipses(startDate, endDate);
+        this.renderEventsList(this.eclipsesList, this.foundEclipses);
+        this.showNotification(`Found ${this.foundEclipses.length} eclipses in the next ${months} months`, 'info');
+      } catch (error) {
+        console.error('Eclipse search failed:', error);
+        this.showNotification('Could not search for eclipses', 'error');
+      } finally {
+        this.eclipsesFind.disabled = false;
+        this.eclipsesFind.textContent = '🌑 Find Eclipses';
+      }
+    }, 0);
+  }
+
+  /**
+   * Jump the scene to greatest eclipse, show its shadows and, for a solar eclipse, its track
+   */
+  onEclipseSelect(domEvent) {
+    const button = domEvent.target.closest('.event-item');
+    if (!button) return;
+
+    const eclipse = this.foundEclipses[parseInt(button.dataset.eventIndex, 10)];
+    if (!eclipse || !this.jumpToDate(eclipse.date)) return;
+
+    const eclipseSystem = this.sceneManager.getEclipseSystem();
+    if (eclipseSystem) {
+      eclipseSystem.setTrack(eclipse.type === 'solar' ? eclipse : null);
+      eclipseSystem.setShadowsVisible(true);
+    }
+
+    if (this.eclipseShadowsToggle) {
+      this.eclipseShadowsToggle.checked = true;
+    }
+
+    // The Moon shows a lunar eclipse; Earth carries a solar eclipse's shadow
+    this.selectedPlanet = eclipse.type === 'lunar' ? 'moon' : 'earth';
+    this.updateInfoPanel(this.selectedPlanet);
+  }
+
+  /**
+   * Handle eclipse shadow toggle
+   */
+  onEclipseShadowsToggle() {
+    const eclipseSystem = this.sceneManager.getEclipseSystem();
+    if (!eclipseSystem || !this.eclipseShadowsToggle) return;
+
+    const isVisible = this.eclipseShadowsToggle.checked;
+    eclipseSystem.setShadowsVisible(isVisible);
+
+    console.log(`🌑 Eclipse shadows ${isVisible ? 'enabled' : 'disabled'}`);
+    this.showNotification(`Eclipse shadows ${isVisible ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  /**
+   * Sync the date picker with the simulated date
+   */
+  updateDatePicker() {
+    if (!this.datePicker) return;
+
+    this.datePicker.value = this.sceneManager.getSimulationDate().toISOString().slice(0, 16);
+  }
+
+  /**
+   * Format a date for display in UTC
+   */
+  formatDate(date) {
+    return `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+  }
+
+  /**
+   * Update simulation time control buttons and warp display
+   */
+  updateTimeControls() {
+    const clock = this.sceneManager.getSimulationClock();
+
+    if (this.timePlayPause) {
+      this.timePlayPause.textContent = clock.isPaused ? '▶' : '⏸';
+      this.timePlayPause.classList.toggle('active', clock.isPaused);
+    }
+
+    if (this.timeReverse) {
+      this.timeReverse.classList.toggle('active', clock.isReversed());
+    }
+
+    if (this.timeWarpValue) {
+      const sign = clock.isReversed() ? '-' : '';
+      this.timeWarpValue.textContent = `${sign}${this.formatTimeWarp(clock.getTimeWarp())}`;
+    }
+  }
+
+  /**
+   * Update the simulated date display
+   */
+  updateSimulationDate() {
+    if (!this.simulationDate) return;
+
+    const text = this.formatDate(this.sceneManager.getSimulationDate());
+
+    if (this.simulationDate.textContent !== text) {
+      this.simulationDate.textContent = text;
+    }
+  }
+
+  /**
+   * Format a time warp factor for display
+   */
+  formatTimeWarp(warp) {
+    const units = [
+      { seconds: 31557600, label: 'yr' },
+      { seconds: 2629800, label: 'mo' },
+      { seconds: 604800, label: 'wk' },
+      { seconds: 86400, label: 'day' },
+      { seconds: 3600, label: 'hr' },
+      { seconds: 60, label: 'min' }
+    ];
+
+    const unit = units.find(u => warp >= u.seconds);
+    if (!unit) {
+      return `${warp}x`;
+    }
+
+    const amount = Math.round((warp / unit.seconds) * 10) / 10;
+    return `${amount} ${unit.label}/s`;
+  }
+
+  /**
+   * Build the position readout for a body at the simulated date
+   */
+  getPositionInfoHTML(bodyName) {
+    const body = this.sceneManager.getCelestialBody(bodyName);
+    if (!body) return '';
+
+    const skyHTML = this.getSkyPositionHTML(bodyName);
+    if (bodyName === 'sun') return skyHTML;
+
+    const info = body.getAstronomicalInfo();
+    const typeHTML = this.getBodyTypeHTML(body);
+
+    if (body.isMoon()) {
+      const parentName = body.parentName.charAt(0).toUpperCase() + body.parentName.slice(1);
+      return `
+      <p class="info-detail">📅 ${this.formatDate(this.sceneManager.getSimulationDate())}</p>
+      <p class="info-detail">🪐 ${Math.round(info.distanceFromParent).toLocaleString()} km from ${parentName}</p>
+      <p class="info-detail">💨 ${info.orbitalVelocity.toFixed(2)} km/s orbital velocity</p>
+    ${skyHTML}`;
+    }
+
+    return `${typeHTML}
+      <p class="info-detail">📅 ${this.formatDate(this.sceneManager.getSimulationDate())}</p>
+      <p class="info-detail">☀️ ${info.distanceFromSun.toFixed(3)} AU from the Sun</p>
+      <p class="info-detail">💨 ${info.orbitalVelocity.toFixed(2)} km/s orbital velocity</p>
+    ${skyHTML}`;
+  }
+
+  /**
+   * Build the readout of where a body is in the sky from the observing site on Earth
+   */
+  getSkyPositionHTML(bodyName) {
+    if (bodyName === 'earth') return '';
+
+    const date = this.sceneManager.getSimulationDate();
+    const { latitude, longitude } = this.getObservingSite();
+
+    const equatorial = calculateGeocentricEquatorial(bodyName, date);
+    const [horizontal] = calculateSkyFromSurface('earth', latitude, longitude, [bodyName], date);
+    if (!horizontal) return '';
+
+    const events = this.getRiseTransitSet(bodyName, latitude, longitude, date);
+    const equinox = equatorial.equinox === 'date' ? 'apparent, of date' : 'J2000';
+
+    let eventsText;
+    if (events.neverRises) {
+      eventsText = 'Below the horizon all day';
+    } else if (events.isCircumpolar) {
+      eventsText = `Above the horizon all day, transits ${this.formatEventTime(events.transit)}`;
+    } else {
+      eventsText = `Rises ${this.formatEventTime(events.rise)}, transits ${this.formatEventTime(events.transit)}, ` +
+        `sets ${this.formatEventTime(events.set)}`;
+    }
+
+    return `
+      <p class="info-detail">🌐 RA ${this.formatRightAscension(equatorial.rightAscension)}, Dec ${this.formatDeclination(equatorial.declination)} (${equinox})</p>
+      <p class="info-detail">🔭 Alt ${horizontal.altitude.toFixed(1)}°, Az ${horizontal.azimuth.toFixed(1)}° from ${this.formatSite(latitude, longitude)}</p>
+      <p class="info-detail">🌅 ${eventsText}</p>
+      <p class="info-detail">✨ ${this.formatBrightness(bodyName, horizontal)}</p>
+    `;
+  }
+
+  /**
+   * Format a body's magnitude, phase and elongation as seen from Earth
+   */
+  formatBrightness(bodyName, target) {
+    const magnitude = `Mag ${target.apparentMagnitude.toFixed(1)}`;
+    if (bodyName === 'sun') return magnitude;
+
+    return `${magnitude}, ${Math.round(target.illuminatedFraction * 100)}% lit (phase ${target.phaseAngle.toFixed(0)}°), ` +
+      `${target.elongation.toFixed(0)}° from the Sun`;
+  }
+
+  /**
+   * Get the next rise, transit and set, reusing the last search until an event has passed
+   */
+  getRiseTransitSet(bodyName, latitude, longitude, date) {
+    const key = `${bodyName}|${latitude}|${longitude}|${this.sceneManager.getPositionMode()}`;
+    const time = date.getTime();
+    const cache = this.riseSetCache;
+
+    if (cache && cache.key === key && time >= cache.startTime) {
+      const upcoming = [cache.events.rise, cache.events.transit, cache.events.set]
+        .filter(Boolean)
+        .map(event => event.getTime());
+      const expiry = upcoming.length > 0 ? Math.min(...upcoming) : cache.startTime + RISE_SET_CACHE_HOURS * 3600000;
+
+      if (time < expiry) {
+        return cache.events;
+      }
+    }
+
+    const events = calculateRiseTransitSet(bodyName, latitude, longitude, date);
+    this.riseSetCache = { key, startTime: time, events };
+    return events;
+  }
+
+  /**
+   * Format right ascension in hours as 00h 00m 00.0s
+   */
+  formatRightAscension(hours) {
+    const totalSeconds = Math.round(hours * 36000) / 10;
+    const h = Math.floor(totalSeconds / 3600) % 24;
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = (totalSeconds % 60).toFixed(1);
+
+    return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m ${s.padStart(4, '0')}s`;
+  }
+
+  /**
+   * Format declination in degrees as ±00° 00′ 00″
+   */
+  formatDeclination(degrees) {
+    const totalSeconds = Math.round(Math.abs(degrees) * 3600);
+    const d = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+
+    return `${degrees < 0 ? '−' : '+'}${String(d).padStart(2, '0')}° ${String(m).padStart(2, '0')}′ ${String(s).padStart(2, '0')}″`;
+  }
+
+  /**
+   * Format a latitude and east longitude for display
+   */
+  formatSite(latitude, longitude) {
+    return `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, ` +
+      `${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+  }
+
+  /**
+   * Format a rise, transit or set time in UTC, or a dash when it does not happen
+   */
+  formatEventTime(date) {
+    if (!date) return '—';
+    return `${date.toISOString().slice(5, 16).replace('T', ' ')} UTC`;
+  }
+
+  /**
+   * Build the classification line for dwarf planets, asteroids and comets
+   */
+  getBodyTypeHTML(body) {
+    const typeLabels = {
+      'dwarf-planet': '🪨 Dwarf planet',
+      asteroid: '🪨 Asteroid',
+      comet: '☄️ Comet'
+    };
+
+    const label = typeLabels[body.type];
+    if (!label) return '';
+
+    const designation = body.config.designation ? ` (${body.config.designation})` : '';
+    return `<p class="info-detail">${label}${designation}</p>`;
+  }
+
   /**
    * Update UI elements
    */
   updateUI() {
     this.updateModeToggle();
+    this.updateTimeControls();
+    this.updateSimulationDate();
+    this.updateDatePicker();
 
     // Set initial speed value
     if (this.speedSlider && this.speedValue) {
@@ -475,9 +1685,37 @@ export class UIManager {
   /**
    * Update method called from main loop
    */
-  update(_deltaTime) {
-    // Update travel progress if traveling
+  update(deltaTime) {
+    // Keep the simulated date readout in sync with the clock
+    this.updateSimulationDate();
+
+    // The clock pauses itself at the edges of its date range
+    const rangeLimit = this.sceneManager.getSimulationClock().takeRangeLimitReached();
+    if (rangeLimit) {
+      this.updateTimeControls();
+      this.showNotification(`Simulation paused at the ${rangeLimit} of the supported date range`, 'warning');
+    }
+
     const travelSystem = this.sceneManager.getPlanetTravelSystem();
+
+    // Refresh the surface observer readout a few times a second
+    const observerSystem = this.sceneManager.getObserverSystem();
+    if (observerSystem && observerSystem.isActive) {
+      this.observerPanelTimer += deltaTime;
+      if (this.observerPanelTimer >= 0.25) {
+        this.observerPanelTimer = 0;
+        this.updateObserverPanel();
+      }
+    } else if (this.selectedPlanet && !(travelSystem && travelSystem.isTransitioning)) {
+      // Keep the selected body's sky position moving with the clock
+      this.infoPanelTimer += deltaTime;
+      if (this.infoPanelTimer >= 1) {
+        this.infoPanelTimer = 0;
+        this.updateInfoPanel(this.selectedPlanet);
+      }
+    }
+
+    // Update travel progress if traveling
     if (travelSystem && travelSystem.isTransitioning) {
       const progress = travelSystem.getTransitionProgress();
       const target = travelSystem.getCurrentTarget();
@@ -539,6 +1777,90 @@ export class UIManager {
       this.speedSlider.removeEventListener('input', this.onSpeedChange);
     }
 
+    if (this.constellationLinesToggle) {
+      this.constellationLinesToggle.removeEventListener('change', this.onConstellationLinesToggle);
+    }
+
+    if (this.constellationLabelsToggle) {
+      this.constellationLabelsToggle.removeEventListener('change', this.onConstellationLabelsToggle);
+    }
+
+    if (this.beltsToggle) {
+      this.beltsToggle.removeEventListener('change', this.onBeltsToggle);
+    }
+
+    if (this.lensFlareToggle) {
+      this.lensFlareToggle.removeEventListener('change', this.onLensFlareToggle);
+    }
+
+    if (this.postProcessingToggle) {
+      this.postProcessingToggle.removeEventListener('change', this.onPostProcessingToggle);
+    }
+
+    if (this.importFile) {
+      this.importFile.removeEventListener('change', this.onImportFile);
+    }
+
+    if (this.eventsFind) {
+      this.eventsFind.removeEventListener('click', this.onEventsFind);
+    }
+
+    if (this.eventsList) {
+      this.eventsList.removeEventListener('click', this.onEventSelect);
+    }
+
+    if (this.ephemerisSelect) {
+      this.ephemerisSelect.removeEventListener('change', this.onEphemerisChange);
+    }
+
+    if (this.positionModeSelect) {
+      this.positionModeSelect.removeEventListener('change', this.onPositionModeChange);
+    }
+
+    if (this.observerToggle) {
+      this.observerToggle.removeEventListener('click', this.onObserverToggle);
+    }
+
+    [this.observerBody, this.observerLatitude, this.observerLongitude].forEach(element => {
+      if (element) {
+        element.removeEventListener('change', this.onObserverLocationChange);
+      }
+    });
+
+    [this.siteLatitude, this.siteLongitude].forEach(element => {
+      if (element) {
+        element.removeEventListener('change', this.onSiteChange);
+      }
+    });
+
+    if (this.beltDensitySlider) {
+      this.beltDensitySlider.removeEventListener('input', this.onBeltDensityChange);
+    }
+
+    if (this.timePlayPause) {
+      this.timePlayPause.removeEventListener('click', this.onTimePlayPause);
+    }
+
+    if (this.timeReverse) {
+      this.timeReverse.removeEventListener('click', this.onTimeReverse);
+    }
+
+    if (this.timeSlower) {
+      this.timeSlower.removeEventListener('click', this.onTimeSlower);
+    }
+
+    if (this.timeFaster) {
+      this.timeFaster.removeEventListener('click', this.onTimeFaster);
+    }
+
+    if (this.dateJump) {
+      this.dateJump.removeEventListener('click', this.onDateJump);
+    }
+
+    if (this.dateNow) {
+      this.dateNow.removeEventListener('click', this.onDateNow);
+    }
+
     this.planetButtons.forEach(button => {
       button.removeEventListener('click', this.onPlanetSelect);
     });
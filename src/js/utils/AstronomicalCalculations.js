@@ -3,12 +3,31 @@
  * Implements real-time planetary position calculations based on current date/time
  */
 
+import {
+  hasPlanetMagnitudeModel,
+  calculatePlanetReducedMagnitude,
+  calculateReducedMagnitudeHG
+} from './PlanetaryMagnitudes.js';
+import { calculateBodyPosition } from './Ephemeris.js';
+
 // Astronomical constants
 const AU_TO_KM = 149597870.7; // 1 AU in kilometers
 const J2000_EPOCH = 2451545.0; // Julian date for J2000.0 epoch
 const SECONDS_PER_DAY = 86400;
 const DEGREES_TO_RADIANS = Math.PI / 180;
 const RADIANS_TO_DEGREES = 180 / Math.PI;
+const GRAVITATIONAL_CONSTANT = 6.6743e-20; // km³/(kg·s²)
+const OBLIQUITY_J2000 = 23.4392911; // Mean obliquity of the ecliptic at J2000.0 (degrees)
+const SUN_MAGNITUDE_AT_1_AU = -26.74; // Apparent visual magnitude of the Sun from 1 AU
+const SPEED_OF_LIGHT = 173.1446326846693; // AU per day
+const MILLISECONDS_PER_DAY = SECONDS_PER_DAY * 1000;
+const ARCSECONDS_TO_DEGREES = 1 / 3600;
+const DEFAULT_ABSOLUTE_MAGNITUDE = 10.0; // For bodies with no catalogued H
+
+// How positions are reported to an observer: instantaneous ('geometric'), or as actually
+// seen, with light travel time and aberration ('apparent')
+const POSITION_MODES = ['geometric', 'apparent'];
+let positionMode = 'geometric';
 
 /**
  * Get current Julian Date
@@ -47,11 +66,12 @@ export function calculateMeanAnomaly(orbitalElements, date = null) {
 
 /**
  * Solve Kepler's equation for eccentric anomaly
- * Uses iterative method for better accuracy
+ * Newton iteration to 1e-12 rad; a looser default left arcsecond-level errors
  */
-export function solveKeplersEquation(meanAnomaly, eccentricity, tolerance = 1e-6, maxIterations = 20) {
+export function solveKeplersEquation(meanAnomaly, eccentricity, tolerance = 1e-12, maxIterations = 50) {
   const meanAnomalyRad = meanAnomaly * DEGREES_TO_RADIANS;
-  let eccentricAnomaly = meanAnomalyRad;
+  // Starting at E = π keeps Newton's method convergent for near-parabolic comet orbits
+  let eccentricAnomaly = eccentricity > 0.8 ? Math.PI : meanAnomalyRad;
   
   for (let i = 0; i < maxIterations; i++) {
     const delta = eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly) - meanAnomalyRad;
@@ -146,6 +166,159 @@ export function calculateHeliocentricPosition(orbitalElements, date = null) {
   };
 }
 
+/**
+ * Convert equatorial coordinates (right ascension in hours, declination in degrees)
+ * to a unit vector in the J2000 ecliptic frame used for orbital positions
+ */
+export function equatorialToEcliptic(rightAscension, declination) {
+  const raRad = rightAscension * 15 * DEGREES_TO_RADIANS;
+  const decRad = declination * DEGREES_TO_RADIANS;
+  const obliquityRad = OBLIQUITY_J2000 * DEGREES_TO_RADIANS;
+
+  // Equatorial unit vector
+  const xEquatorial = Math.cos(decRad) * Math.cos(raRad);
+  const yEquatorial = Math.cos(decRad) * Math.sin(raRad);
+  const zEquatorial = Math.sin(decRad);
+
+  // Rotate about the vernal equinox direction by the obliquity
+  return {
+    x: xEquatorial,
+    y: yEquatorial * Math.cos(obliquityRad) + zEquatorial * Math.sin(obliquityRad),
+    z: -yEquatorial * Math.sin(obliquityRad) + zEquatorial * Math.cos(obliquityRad)
+  };
+}
+
+/**
+ * Convert an ecliptic vector to equatorial coordinates (J2000 unless another obliquity is given)
+ * Returns right ascension in hours (0-24), declination in degrees and the vector's length
+ */
+export function eclipticToEquatorial(position, obliquity = OBLIQUITY_J2000) {
+  const obliquityRad = obliquity * DEGREES_TO_RADIANS;
+
+  // Rotate back about the vernal equinox direction by the obliquity
+  const x = position.x;
+  const y = position.y * Math.cos(obliquityRad) - position.z * Math.sin(obliquityRad);
+  const z = position.y * Math.sin(obliquityRad) + position.z * Math.cos(obliquityRad);
+
+  const distance = Math.sqrt(x * x + y * y + z * z);
+  const rightAscension = Math.atan2(y, x) * RADIANS_TO_DEGREES / 15;
+
+  return {
+    rightAscension: rightAscension < 0 ? rightAscension + 24 : rightAscension,
+    declination: Math.asin(z / distance) * RADIANS_TO_DEGREES,
+    distance: distance
+  };
+}
+
+/**
+ * Mean obliquity of the ecliptic of date in degrees (Meeus, Astronomical Algorithms, eq. 22.2)
+ */
+export function calculateMeanObliquity(date = null) {
+  const T = getDaysSinceJ2000(date) / 36525;
+  return OBLIQUITY_J2000 + (-46.8150 * T - 0.00059 * T * T + 0.001813 * T * T * T) * ARCSECONDS_TO_DEGREES;
+}
+
+/**
+ * Nutation in longitude and in obliquity in degrees, good to about 0.5"
+ * (the leading terms in Meeus, Astronomical Algorithms, chapter 22)
+ */
+export function calculateNutation(date = null) {
+  const T = getDaysSinceJ2000(date) / 36525;
+
+  // Longitude of the Moon's ascending node and mean longitudes of the Sun and Moon
+  const node = (125.04452 - 1934.136261 * T) * DEGREES_TO_RADIANS;
+  const sunLongitude = (280.4665 + 36000.7698 * T) * DEGREES_TO_RADIANS;
+  const moonLongitude = (218.3165 + 481267.8813 * T) * DEGREES_TO_RADIANS;
+
+  const longitude = -17.20 * Math.sin(node) - 1.32 * Math.sin(2 * sunLongitude) -
+    0.23 * Math.sin(2 * moonLongitude) + 0.21 * Math.sin(2 * node);
+  const obliquity = 9.20 * Math.cos(node) + 0.57 * Math.cos(2 * sunLongitude) +
+    0.10 * Math.cos(2 * moonLongitude) - 0.09 * Math.cos(2 * node);
+
+  return {
+    longitude: longitude * ARCSECONDS_TO_DEGREES,
+    obliquity: obliquity * ARCSECONDS_TO_DEGREES
+  };
+}
+
+/**
+ * Get the position mode ('geometric' or 'apparent')
+ */
+export function getPositionMode() {
+  return positionMode;
+}
+
+/**
+ * Choose between instantaneous geometric positions and apparent positions corrected
+ * for light travel time and aberration
+ */
+export function setPositionMode(mode) {
+  if (!POSITION_MODES.includes(mode)) {
+    console.warn(`⚠️ Unknown position mode: ${mode}`);
+    return false;
+  }
+
+  positionMode = mode;
+  console.log(`💡 Position mode set to ${mode}`);
+  return true;
+}
+
+/**
+ * Light travel time in days over a distance in AU
+ */
+export function calculateLightTime(distance) {
+  return distance / SPEED_OF_LIGHT;
+}
+
+/**
+ * Find where a body was when the light now reaching the observer left it
+ * positionAt(date) gives the body's heliocentric position (AU); iterates until the light
+ * time settles. Returns that position, the light time in days and the distance it covered.
+ */
+export function correctForLightTime(positionAt, observerPos, date = null, tolerance = 1e-9, maxIterations = 5) {
+  const time = date ? date.getTime() : Date.now();
+
+  let position = positionAt(new Date(time));
+  let distance = calculateDistance(position, observerPos);
+  let lightTime = 0;
+
+  for (let i = 0; i < maxIterations; i++) {
+    const previousLightTime = lightTime;
+    lightTime = calculateLightTime(distance);
+
+    if (Math.abs(lightTime - previousLightTime) < tolerance) {
+      break;
+    }
+
+    position = positionAt(new Date(time - lightTime * MILLISECONDS_PER_DAY));
+    distance = calculateDistance(position, observerPos);
+  }
+
+  return { position, lightTime, distance };
+}
+
+/**
+ * Shift a unit direction by the aberration of light for an observer moving at a
+ * velocity in AU per day (relativistic form, Explanatory Supplement eq. 3.252-3)
+ */
+export function applyAberration(direction, observerVelocity) {
+  const V = {
+    x: observerVelocity.x / SPEED_OF_LIGHT,
+    y: observerVelocity.y / SPEED_OF_LIGHT,
+    z: observerVelocity.z / SPEED_OF_LIGHT
+  };
+  const inverseLorentz = Math.sqrt(1 - (V.x * V.x + V.y * V.y + V.z * V.z));
+  const projection = direction.x * V.x + direction.y * V.y + direction.z * V.z;
+  const velocityFactor = 1 + projection / (1 + inverseLorentz);
+  const denominator = 1 + projection;
+
+  return {
+    x: (inverseLorentz * direction.x + velocityFactor * V.x) / denominator,
+    y: (inverseLorentz * direction.y + velocityFactor * V.y) / denominator,
+    z: (inverseLorentz * direction.z + velocityFactor * V.z) / denominator
+  };
+}
+
 /**
  * Calculate distance between two celestial bodies
  */
@@ -170,75 +343,155 @@ export function calculateOrbitalVelocity(orbitalElements, currentDistance) {
   return Math.sqrt(Math.max(0, velocitySquared)); // km/s
 }
 
+/**
+ * Get orbital velocity of a moon around its parent body
+ * Moon elements use km, so the distance here is in km as well
+ */
+export function calculateSatelliteVelocity(orbitalElements, currentDistanceKm, parentMass) {
+  const gm = GRAVITATIONAL_CONSTANT * parentMass; // km³/s²
+
+  // Vis-viva equation: v² = GM(2/r - 1/a)
+  const velocitySquared = gm * (2 / currentDistanceKm - 1 / orbitalElements.semiMajorAxis);
+  return Math.sqrt(Math.max(0, velocitySquared)); // km/s
+}
+
 /**
  * Calculate phase angle (for moon phases, planet phases)
+ * The Sun-body-observer angle in degrees: 0 when fully lit, 180 when seen from behind
  */
 export function calculatePhaseAngle(bodyPos, observerPos, sunPos = { x: 0, y: 0, z: 0 }) {
-  // Vectors from observer to body and observer to sun
-  const toBody = {
-    x: bodyPos.x - observerPos.x,
-    y: bodyPos.y - observerPos.y,
-    z: bodyPos.z - observerPos.z
+  // Vectors from the body to the observer and to the sun
+  const toObserver = {
+    x: observerPos.x - bodyPos.x,
+    y: observerPos.y - bodyPos.y,
+    z: observerPos.z - bodyPos.z
   };
   
   const toSun = {
-    x: sunPos.x - observerPos.x,
-    y: sunPos.y - observerPos.y,
-    z: sunPos.z - observerPos.z
+    x: sunPos.x - bodyPos.x,
+    y: sunPos.y - bodyPos.y,
+    z: sunPos.z - bodyPos.z
   };
   
   // Calculate angle between vectors
-  const dotProduct = toBody.x * toSun.x + toBody.y * toSun.y + toBody.z * toSun.z;
-  const magnitudeBody = Math.sqrt(toBody.x * toBody.x + toBody.y * toBody.y + toBody.z * toBody.z);
+  const dotProduct = toObserver.x * toSun.x + toObserver.y * toSun.y + toObserver.z * toSun.z;
+  const magnitudeObserver = Math.sqrt(toObserver.x * toObserver.x + toObserver.y * toObserver.y + toObserver.z * toObserver.z);
   const magnitudeSun = Math.sqrt(toSun.x * toSun.x + toSun.y * toSun.y + toSun.z * toSun.z);
   
-  const cosPhase = dotProduct / (magnitudeBody * magnitudeSun);
+  const cosPhase = dotProduct / (magnitudeObserver * magnitudeSun);
   return Math.acos(Math.max(-1, Math.min(1, cosPhase))) * RADIANS_TO_DEGREES;
 }
 
+/**
+ * Calculate elongation: the angle at the observer between the Sun and the body (degrees)
+ */
+export function calculateElongation(bodyPos, observerPos, sunPos = { x: 0, y: 0, z: 0 }) {
+  return calculatePhaseAngle(observerPos, bodyPos, sunPos);
+}
+
+/**
+ * Planetocentric latitudes (degrees) of the points directly below the observer and the Sun,
+ * measured from a body's equator; null for bodies without a north pole
+ */
+export function calculateSubLatitudes(bodyData, bodyPos, observerPos, sunPos = { x: 0, y: 0, z: 0 }) {
+  if (!bodyData.northPole) return null;
+
+  const pole = equatorialToEcliptic(bodyData.northPole.rightAscension / 15, bodyData.northPole.declination);
+  const latitudeOf = (point) => {
+    const offset = { x: point.x - bodyPos.x, y: point.y - bodyPos.y, z: point.z - bodyPos.z };
+    const sine = (offset.x * pole.x + offset.y * pole.y + offset.z * pole.z) / calculateDistance(point, bodyPos);
+    return Math.asin(Math.max(-1, Math.min(1, sine))) * RADIANS_TO_DEGREES;
+  };
+
+  return {
+    observer: latitudeOf(observerPos),
+    sun: latitudeOf(sunPos)
+  };
+}
+
+/**
+ * Effective tilt of Saturn's rings (degrees): the geometric mean of the sub-observer and
+ * sub-solar latitudes, or zero when the observer sees the unlit face
+ */
+export function calculateRingTilt(subLatitudes) {
+  if (!subLatitudes || subLatitudes.observer * subLatitudes.sun <= 0) return 0;
+  return Math.sqrt(subLatitudes.observer * subLatitudes.sun);
+}
+
 /**
  * Calculate apparent magnitude of a planet as seen from another location
- * Based on distance and intrinsic brightness
+ * Based on distance and intrinsic brightness, with the body placed by the active ephemeris
+ * backend; in apparent mode the body is seen where it was when its light set out
  */
-export function calculateApparentMagnitude(bodyData, observerPos, sunPos = { x: 0, y: 0, z: 0 }) {
-  const bodyPos = calculateHeliocentricPosition(bodyData);
+export function calculateApparentMagnitude(bodyData, observerPos, sunPos = { x: 0, y: 0, z: 0 }, date = null) {
+  const positionAt = time => calculateBodyPosition(bodyData.name, bodyData, time);
+  const bodyPos = positionMode === 'apparent'
+    ? correctForLightTime(positionAt, observerPos, date).position
+    : positionAt(date);
+  return calculateMagnitudeAtPosition(bodyData, bodyPos, observerPos, sunPos, date);
+}
 
+/**
+ * Calculate apparent magnitude for a body at a known heliocentric position (AU)
+ * Used for moons and ephemeris positions, which the body's own elements cannot give
+ * Planets use the Mallama & Hilton models; everything else its H and G.
+ */
+export function calculateMagnitudeAtPosition(bodyData, bodyPos, observerPos, sunPos = { x: 0, y: 0, z: 0 }, date = null) {
   // Distance from observer to planet (AU)
   const distanceToObserver = calculateDistance(bodyPos, observerPos);
 
   // Distance from sun to planet (AU)
-  const distanceFromSun = bodyPos.distance;
+  const distanceFromSun = calculateDistance(bodyPos, sunPos);
 
-  // Phase angle (illumination)
-  const phaseAngle = calculatePhaseAngle(bodyPos, observerPos, sunPos);
+  // The Sun shines by its own light: only the distance to the observer matters
+  if (bodyData.type === 'star') {
+    const apparentMag = SUN_MAGNITUDE_AT_1_AU + 5 * Math.log10(distanceToObserver);
 
-  // Base magnitudes for planets at 1 AU from both Sun and Earth
-  const baseMagnitudes = {
-    mercury: -0.42,
-    venus: -4.40,
-    mars: -2.94,
-    jupiter: -2.94,
-    saturn: -0.55,
-    uranus: 5.68,
-    neptune: 7.84
-  };
-
-  const baseMag = baseMagnitudes[bodyData.name] || 10.0;
+    return {
+      apparentMagnitude: apparentMag,
+      distanceToObserver: distanceToObserver,
+      distanceFromSun: 0,
+      phaseAngle: 0,
+      illuminatedFraction: 1,
+      elongation: 0,
+      isVisible: true,
+      isEasilyVisible: true,
+      isBrightPlanet: true
+    };
+  }
 
-  // Calculate apparent magnitude using inverse square law
-  // Magnitude increases (dimmer) with distance squared
-  const distanceMagnitude = 5 * Math.log10(distanceToObserver * distanceFromSun);
+  // Phase angle (illumination) and the lit fraction of the disc
+  const phaseAngle = calculatePhaseAngle(bodyPos, observerPos, sunPos);
+  const illuminatedFraction = (1 + Math.cos(phaseAngle * DEGREES_TO_RADIANS)) / 2;
 
-  // Phase correction (simplified)
-  const phaseCorrection = phaseAngle > 90 ? (phaseAngle - 90) / 90 * 2 : 0;
+  // Magnitude at 1 AU from both the Sun and the observer, at this phase angle
+  let reducedMag;
+  if (hasPlanetMagnitudeModel(bodyData.name)) {
+    const subLatitudes = calculateSubLatitudes(bodyData, bodyPos, observerPos, sunPos);
+    reducedMag = calculatePlanetReducedMagnitude(bodyData.name, phaseAngle, {
+      ringTilt: calculateRingTilt(subLatitudes),
+      subLatitude: subLatitudes ? (Math.abs(subLatitudes.observer) + Math.abs(subLatitudes.sun)) / 2 : 0,
+      date
+    });
+  } else {
+    // Small bodies and moons carry their absolute magnitude (H) and slope parameter (G)
+    reducedMag = calculateReducedMagnitudeHG(
+      bodyData.absoluteMagnitude ?? DEFAULT_ABSOLUTE_MAGNITUDE,
+      phaseAngle,
+      bodyData.slopeParameter ?? undefined
+    );
+  }
 
-  const apparentMag = baseMag + distanceMagnitude + phaseCorrection;
+  // Magnitude increases (dimmer) with distance squared
+  const apparentMag = reducedMag + 5 * Math.log10(distanceToObserver * distanceFromSun);
 
   return {
     apparentMagnitude: apparentMag,
     distanceToObserver: distanceToObserver,
     distanceFromSun: distanceFromSun,
     phaseAngle: phaseAngle,
+    illuminatedFraction: illuminatedFraction,
+    elongation: calculateElongation(bodyPos, observerPos, sunPos),
     isVisible: apparentMag < 6.5, // Naked eye limit
     isEasilyVisible: apparentMag < 4.0, // Easily visible
     isBrightPlanet: apparentMag < 1.0 // Bright planet
@@ -248,9 +501,8 @@ export function calculateApparentMagnitude(bodyData, observerPos, sunPos = { x:
 /**
  * Calculate visibility and apparent size from observer position
  */
-export function calculateVisibilityFromPosition(bodyData, observerPos, mode = 'realistic') {
-  const visibility = calculateApparentMagnitude(bodyData, observerPos);
-  const bodyPos = calculateHeliocentricPosition(bodyData);
+export function calculateVisibilityFromPosition(bodyData, observerPos, mode = 'realistic', date = null) {
+  const visibility = calculateApparentMagnitude(bodyData, observerPos, undefined, date);
 
   // Calculate apparent angular size (in arcseconds)
   const physicalRadius = bodyData.radius || 1000; // km
@@ -297,9 +549,10 @@ export function calculateVisibilityFromPosition(bodyData, observerPos, mode = 'r
 
 /**
  * Get current astronomical information for display
+ * Pass a position from an ephemeris backend to use it instead of the fixed elements
  */
-export function calculateAstronomicalInfo(bodyName, orbitalElements, date = null) {
-  const position = calculateHeliocentricPosition(orbitalElements, date);
+export function calculateAstronomicalInfo(bodyName, orbitalElements, date = null, knownPosition = null) {
+  const position = knownPosition || calculateHeliocentricPosition(orbitalElements, date);
   const velocity = calculateOrbitalVelocity(orbitalElements, position.distance);
 
   return {
@@ -313,3 +566,23 @@ export function calculateAstronomicalInfo(bodyName, orbitalElements, date = null
     eccentricAnomaly: position.eccentricAnomaly
   };
 }
+
+/**
+ * Get current astronomical information for a moon relative to its parent
+ * Pass a position from the lunar theory to use it instead of the fixed elements
+ */
+export function calculateSatelliteInfo(bodyName, orbitalElements, parentMass, date = null, knownPosition = null) {
+  const position = knownPosition || calculateHeliocentricPosition(orbitalElements, date);
+  const velocity = calculateSatelliteVelocity(orbitalElements, position.distance, parentMass);
+
+  return {
+    name: bodyName,
+    date: date || new Date(),
+    position: position,
+    distanceFromParent: position.distance, // km
+    orbitalVelocity: velocity,
+    meanAnomaly: position.meanAnomaly,
+    trueAnomaly: position.trueAnomaly,
+    eccentricAnomaly: position.eccentricAnomaly
+  };
+}
@@ -3,7 +3,14 @@
  * Compare our calculations with known astronomical data and ephemeris
  */
 
-import { calculateHeliocentricPosition, calculateAstronomicalInfo } from './AstronomicalCalculations.js';
+import {
+  calculateHeliocentricPosition,
+  calculateAstronomicalInfo,
+  getPositionMode,
+  setPositionMode
+} from './AstronomicalCalculations.js';
+import { calculateBodyPosition, getEphemerisBackends } from './Ephemeris.js';
+import { calculateGeocentricEquatorial } from './ObserverCalculations.js';
 import { SOLAR_SYSTEM_DATA } from '../data/SolarSystemData.js';
 
 /**
@@ -179,6 +186,132 @@ export function testCurrentDateCalculations() {
   });
 }
 
+/**
+ * Dates spanning the JPL table ranges, where fixed J2000 elements drift the most
+ */
+const EPHEMERIS_COMPARISON_DATES = [
+  new Date('1800-01-01T00:00:00Z'),
+  new Date('1900-01-01T00:00:00Z'),
+  new Date('2000-01-01T12:00:00Z'),
+  new Date('2025-01-01T00:00:00Z'),
+  new Date('2100-01-01T00:00:00Z'),
+  new Date('2200-01-01T00:00:00Z')
+];
+
+const EPHEMERIS_COMPARISON_PLANETS = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+
+/**
+ * Compare every ephemeris backend against a reference backend
+ * Reports heliocentric direction error (arcminutes) and distance error (AU)
+ */
+export function compareEphemerisBackends(referenceName = 'vsop87', dates = EPHEMERIS_COMPARISON_DATES) {
+  console.log(`\n🪐 Comparing Ephemeris Backends against ${referenceName}...\n`);
+
+  const backends = getEphemerisBackends().filter(backend => backend.name !== referenceName);
+  const results = [];
+
+  dates.forEach(date => {
+    console.log(`${date.toISOString().slice(0, 10)}:`);
+
+    EPHEMERIS_COMPARISON_PLANETS.forEach(planetName => {
+      const planetData = SOLAR_SYSTEM_DATA[planetName];
+      const reference = calculateBodyPosition(planetName, planetData, date, referenceName);
+
+      const errors = backends.map(backend => {
+        const position = calculateBodyPosition(planetName, planetData, date, backend.name);
+
+        const cosAngle = (reference.x * position.x + reference.y * position.y + reference.z * position.z) /
+          (reference.distance * position.distance);
+        const angularError = Math.acos(Math.max(-1, Math.min(1, cosAngle))) * 180 / Math.PI * 60;
+        const distanceError = Math.abs(position.distance - reference.distance);
+
+        results.push({ date, planet: planetName, backend: backend.name, angularError, distanceError });
+        return `${backend.name} ${angularError.toFixed(2)}' / ${distanceError.toFixed(4)} AU`;
+      });
+
+      console.log(`   ${planetName.padEnd(8)}: ${errors.join('  |  ')}`);
+    });
+    console.log('');
+  });
+
+  // Worst case per backend
+  const summary = {};
+  backends.forEach(backend => {
+    const backendResults = results.filter(result => result.backend === backend.name);
+    summary[backend.name] = {
+      maxAngularError: Math.max(...backendResults.map(result => result.angularError)),
+      maxDistanceError: Math.max(...backendResults.map(result => result.distanceError))
+    };
+    console.log(`📊 ${backend.label}: max ${summary[backend.name].maxAngularError.toFixed(2)}' direction, ` +
+      `${summary[backend.name].maxDistanceError.toFixed(4)} AU distance`);
+  });
+
+  console.log('✅ Ephemeris comparison complete\n');
+
+  return { reference: referenceName, results, summary };
+}
+
+/**
+ * Published apparent geocentric places (true equator and equinox of date)
+ * Dates are Dynamical Time; right ascension in hours, declination in degrees
+ */
+const ALMANAC_POSITIONS = [
+  {
+    // Meeus, Astronomical Algorithms, example 25.b
+    body: 'sun',
+    date: new Date('1992-10-13T00:00:00Z'),
+    rightAscension: 13 + 13 / 60 + 30.749 / 3600,
+    declination: -(7 + 47 / 60 + 1.74 / 3600)
+  },
+  {
+    // Meeus, Astronomical Algorithms, example 33.a
+    body: 'venus',
+    date: new Date('1992-12-20T00:00:00Z'),
+    rightAscension: 21 + 4 / 60 + 41.454 / 3600,
+    declination: -(18 + 53 / 60 + 16.84 / 3600)
+  }
+];
+
+/**
+ * Compare geometric and apparent geocentric positions with almanac values
+ * Reports the angular error (arcseconds) of each position mode
+ */
+export function compareApparentPositions(references = ALMANAC_POSITIONS) {
+  console.log('\n💡 Comparing Geometric and Apparent Positions with Almanac Values...\n');
+
+  const previousMode = getPositionMode();
+  const results = [];
+
+  references.forEach(reference => {
+    const errors = ['geometric', 'apparent'].map(mode => {
+      setPositionMode(mode);
+      const position = calculateGeocentricEquatorial(reference.body, reference.date);
+
+      const rightAscensionError = (position.rightAscension - reference.rightAscension) * 15 *
+        Math.cos(reference.declination * Math.PI / 180);
+      const declinationError = position.declination - reference.declination;
+      const angularError = Math.hypot(rightAscensionError, declinationError) * 3600;
+
+      results.push({ body: reference.body, date: reference.date, mode, angularError });
+      return `${mode} ${angularError.toFixed(2)}"`;
+    });
+
+    console.log(`   ${reference.body.padEnd(8)} ${reference.date.toISOString().slice(0, 10)}: ${errors.join('  |  ')}`);
+  });
+
+  setPositionMode(previousMode);
+
+  const summary = {};
+  ['geometric', 'apparent'].forEach(mode => {
+    summary[mode] = Math.max(...results.filter(result => result.mode === mode).map(result => result.angularError));
+    console.log(`📊 ${mode}: max ${summary[mode].toFixed(2)}" from the almanac`);
+  });
+
+  console.log('✅ Apparent position comparison complete\n');
+
+  return { results, summary };
+}
+
 /**
  * Comprehensive validation suite
  */
@@ -194,6 +327,8 @@ export function runAstronomicalValidation() {
   testCurrentDateCalculations();
   testAstronomicalDistances();
   testVisibilityFromPlanets();
+  const ephemerisResults = compareEphemerisBackends();
+  const apparentPositionResults = compareApparentPositions();
   
   const endTime = performance.now();
   const duration = (endTime - startTime).toFixed(2);
@@ -203,6 +338,8 @@ export function runAstronomicalValidation() {
   
   return {
     orbitalMechanics: orbitalResults,
+    ephemerisComparison: ephemerisResults,
+    apparentPositions: apparentPositionResults,
     duration: duration
   };
 }
@@ -0,0 +1,461 @@
+/**
+ * EclipseCalculations - Solar and lunar eclipses from Sun, Earth and Moon geometry
+ * Solar eclipses follow the axis of the Moon's shadow across the fundamental plane through
+ * Earth's centre (as in Besselian elements); lunar eclipses compare the Moon's disk with the
+ * umbra and penumbra of Earth's shadow. Positions are geometric and dates are treated as TT.
+ */
+
+import { calculateLightTime } from './AstronomicalCalculations.js';
+import { getBodyPosition, getNorthPole, toPlanetocentricCoordinates } from './ObserverCalculations.js';
+import { getBodyData } from '../data/SolarSystemData.js';
+
+const AU_TO_KM = 149597870.7;
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+const MILLISECONDS_PER_MINUTE = 60000;
+const MILLISECONDS_PER_HOUR = 3600000;
+const MILLISECONDS_PER_DAY = 86400000;
+
+export const ECLIPSE_TYPES = ['solar', 'lunar'];
+
+// Gamma and the Moon's shadow radii are measured in Earth equatorial radii
+const EARTH_EQUATORIAL_RADIUS = 6378.137; // km
+
+// Earth's flattening shrinks the disk the Moon's shadow has to reach (Meeus, chapter 54)
+const EARTH_DISK_RADIUS = 0.9972;
+
+// Earth's shadow: the Moon's parallax is reduced to a mean latitude, and the atmosphere
+// adds 1/85 to Earth's radius (Danjon's rule, as used for published magnitudes)
+const MEAN_PARALLAX_FACTOR = 0.998340;
+const ATMOSPHERE_ENLARGEMENT = 1 + 1 / 85;
+
+// New and full moons are found from daily samples, then narrowed down to a second
+const SYZYGY_STEP_DAYS = 1;
+const REFINE_TOLERANCE_MS = 1000;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// Greatest eclipse lies within hours of the syzygy, and no phase lasts longer than this
+const MAXIMUM_SEARCH_HOURS = 6;
+const CONTACT_SEARCH_HOURS = 5;
+
+// Spacing of the points along a central eclipse's track
+const TRACK_STEP_MINUTES = 2;
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function scale(a, factor) {
+  return { x: a.x * factor, y: a.y * factor, z: a.z * factor };
+}
+
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function length(a) {
+  return Math.sqrt(dot(a, a));
+}
+
+/**
+ * Angle between two vectors (radians)
+ */
+function angleBetween(a, b) {
+  const cross = {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+  return Math.atan2(length(cross), dot(a, b));
+}
+
+/**
+ * Wrap an angle into -180 to 180 degrees
+ */
+function wrapAngle(degrees) {
+  const wrapped = ((degrees + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+}
+
+/**
+ * Positions of the Sun and Moon relative to Earth's centre (km) for a shadow falling on one
+ * of them at a date: the body casting it is taken where it was when the sunlight passed it,
+ * the light time between Earth and Moon earlier (worth about 40 seconds of eclipse timing)
+ */
+function getShadowPositions(date, caster) {
+  let earth = getBodyPosition('earth', date);
+  let moon = getBodyPosition('moon', date);
+
+  const delay = calculateLightTime(length(subtract(moon, earth))) * MILLISECONDS_PER_DAY;
+  const castDate = new Date(date.getTime() - delay);
+  if (caster === 'moon') {
+    moon = getBodyPosition('moon', castDate);
+  } else {
+    earth = getBodyPosition('earth', castDate);
+  }
+
+  return {
+    sun: scale(subtract(getBodyPosition('sun', date), earth), AU_TO_KM),
+    moon: scale(subtract(moon, earth), AU_TO_KM)
+  };
+}
+
+/**
+ * Distance of a point from Earth's centre across a shadow axis, in Earth radii,
+ * positive north of the centre
+ */
+function getSignedAxisDistance(offset, date) {
+  const distance = length(offset) / EARTH_EQUATORIAL_RADIUS;
+  return dot(offset, getNorthPole('earth', date)) < 0 ? -distance : distance;
+}
+
+/**
+ * Narrow down the time (ms) at which a function of time changes sign
+ */
+function findRoot(valueAt, startTime, endTime) {
+  const startsPositive = valueAt(startTime) >= 0;
+  let low = startTime;
+  let high = endTime;
+
+  while (high - low > REFINE_TOLERANCE_MS) {
+    const middle = (low + high) / 2;
+    if ((valueAt(middle) >= 0) === startsPositive) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Narrow down the time (ms) at which a function of time is smallest (golden-section search)
+ */
+function findMinimum(valueAt, startTime, endTime) {
+  let low = startTime;
+  let high = endTime;
+  let left = high - GOLDEN_RATIO * (high - low);
+  let right = low + GOLDEN_RATIO * (high - low);
+  let leftValue = valueAt(left);
+  let rightValue = valueAt(right);
+
+  while (high - low > REFINE_TOLERANCE_MS) {
+    if (leftValue < rightValue) {
+      high = right;
+      right = left;
+      rightValue = leftValue;
+      left = high - GOLDEN_RATIO * (high - low);
+      leftValue = valueAt(left);
+    } else {
+      low = left;
+      left = right;
+      leftValue = rightValue;
+      right = low + GOLDEN_RATIO * (high - low);
+      rightValue = valueAt(right);
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Times a phase begins and ends around greatest eclipse: where a function that is
+ * negative during the phase changes sign. Returns null if the phase never happens.
+ */
+function findPhase(valueAt, maximumTime) {
+  if (valueAt(maximumTime) >= 0) return null;
+
+  const searchMilliseconds = CONTACT_SEARCH_HOURS * MILLISECONDS_PER_HOUR;
+  return {
+    start: new Date(findRoot(valueAt, maximumTime - searchMilliseconds, maximumTime)),
+    end: new Date(findRoot(valueAt, maximumTime, maximumTime + searchMilliseconds))
+  };
+}
+
+/**
+ * Geometry of the Moon's shadow for a date
+ * Returns the shadow axis (unit vector from the Sun through the Moon), the Moon's position
+ * (km from Earth's centre), the point where the axis crosses the fundamental plane (km from
+ * Earth's centre), gamma (that point's distance in Earth radii, positive to the north) and
+ * the penumbra and umbra radii on the plane (Earth radii; a negative umbra is the antumbra
+ * of an annular eclipse).
+ */
+export function calculateSolarEclipseGeometry(date) {
+  const { sun, moon } = getShadowPositions(date, 'moon');
+  const sunRadius = getBodyData('sun').radius;
+  const moonRadius = getBodyData('moon').radius;
+
+  const sunToMoon = subtract(moon, sun);
+  const separation = length(sunToMoon);
+  const axis = scale(sunToMoon, 1 / separation);
+
+  // Distance from the Moon along the axis to the fundamental plane through Earth's centre
+  const planeDistance = -dot(moon, axis);
+  const closestPoint = add(moon, scale(axis, planeDistance));
+
+  const penumbraSlope = (sunRadius + moonRadius) / separation;
+  const umbraSlope = (sunRadius - moonRadius) / separation;
+
+  return {
+    axis,
+    moon,
+    planeDistance,
+    penumbraSlope,
+    umbraSlope,
+    axisOffset: closestPoint,
+    gamma: getSignedAxisDistance(closestPoint, date),
+    penumbraRadius: (moonRadius + planeDistance * penumbraSlope) / EARTH_EQUATORIAL_RADIUS,
+    umbraRadius: (moonRadius - planeDistance * umbraSlope) / EARTH_EQUATORIAL_RADIUS
+  };
+}
+
+/**
+ * Geometry of Earth's shadow at the Moon for a date
+ * Returns the angular radii (radians) of the umbra, penumbra and the Moon's disk seen from
+ * Earth's centre, the Moon's angular distance from the shadow's centre, its offset from the
+ * shadow axis (km) and gamma (that offset in Earth radii, positive to the north).
+ */
+export function calculateLunarEclipseGeometry(date) {
+  const { sun, moon } = getShadowPositions(date, 'earth');
+  const sunDistance = length(sun);
+  const moonDistance = length(moon);
+
+  const moonParallax = ATMOSPHERE_ENLARGEMENT * MEAN_PARALLAX_FACTOR * Math.asin(EARTH_EQUATORIAL_RADIUS / moonDistance);
+  const sunParallax = Math.asin(EARTH_EQUATORIAL_RADIUS / sunDistance);
+  const sunSemidiameter = Math.asin(getBodyData('sun').radius / sunDistance);
+
+  const antisolar = scale(sun, -1 / sunDistance);
+  const moonOffset = subtract(moon, scale(antisolar, dot(moon, antisolar)));
+
+  return {
+    umbraRadius: moonParallax + sunParallax - sunSemidiameter,
+    penumbraRadius: moonParallax + sunParallax + sunSemidiameter,
+    moonRadius: Math.asin(getBodyData('moon').radius / moonDistance),
+    separation: angleBetween(moon, antisolar),
+    axisOffset: moonOffset,
+    gamma: getSignedAxisDistance(moonOffset, date)
+  };
+}
+
+/**
+ * Where the axis of the Moon's shadow meets Earth's surface (planetocentric degrees),
+ * or null when it misses
+ */
+function getShadowAxisPoint(geometry, date) {
+  const alongAxis = dot(geometry.moon, geometry.axis);
+  const discriminant = alongAxis * alongAxis - dot(geometry.moon, geometry.moon) + EARTH_EQUATORIAL_RADIUS * EARTH_EQUATORIAL_RADIUS;
+  if (discriminant < 0) return null;
+
+  const surfacePoint = add(geometry.moon, scale(geometry.axis, -alongAxis - Math.sqrt(discriminant)));
+  return toPlanetocentricCoordinates('earth', surfacePoint, date);
+}
+
+/**
+ * Longitude of the Moon east of the Sun (degrees, -180 to 180)
+ */
+function getMoonElongation(time) {
+  const date = new Date(time);
+  const earth = getBodyPosition('earth', date);
+  const sun = subtract(getBodyPosition('sun', date), earth);
+  const moon = subtract(getBodyPosition('moon', date), earth);
+  return wrapAngle((Math.atan2(moon.y, moon.x) - Math.atan2(sun.y, sun.x)) * RADIANS_TO_DEGREES);
+}
+
+/**
+ * Times (ms) of new moons (phase 0) or full moons (phase 180) between two times
+ */
+function findSyzygies(phase, startTime, endTime) {
+  const stepMilliseconds = SYZYGY_STEP_DAYS * MILLISECONDS_PER_DAY;
+  const offsetAt = time => wrapAngle(getMoonElongation(time) - phase);
+  const times = [];
+
+  let before = offsetAt(startTime);
+  for (let time = startTime + stepMilliseconds; time < endTime + stepMilliseconds; time += stepMilliseconds) {
+    const after = offsetAt(time);
+
+    // Skip the jump from +180° to -180° half a month away
+    if (Math.abs(before) < 90 && Math.abs(after) < 90 && (before < 0) !== (after < 0)) {
+      times.push(findRoot(offsetAt, time - stepMilliseconds, time));
+    }
+    before = after;
+  }
+
+  return times;
+}
+
+/**
+ * Solar eclipse around a new moon, or null if the penumbra misses Earth
+ */
+function findSolarEclipse(newMoonTime) {
+  const searchMilliseconds = MAXIMUM_SEARCH_HOURS * MILLISECONDS_PER_HOUR;
+  const distanceAt = time => Math.abs(calculateSolarEclipseGeometry(new Date(time)).gamma);
+  const maximumTime = findMinimum(distanceAt, newMoonTime - searchMilliseconds, newMoonTime + searchMilliseconds);
+
+  const date = new Date(maximumTime);
+  const geometry = calculateSolarEclipseGeometry(date);
+  const distance = Math.abs(geometry.gamma);
+
+  const partial = findPhase(
+    time => {
+      const shadow = calculateSolarEclipseGeometry(new Date(time));
+      return Math.abs(shadow.gamma) - (EARTH_DISK_RADIUS + shadow.penumbraRadius);
+    },
+    maximumTime
+  );
+  if (!partial) return null;
+
+  const central = distance < EARTH_DISK_RADIUS;
+  let kind = 'partial';
+  let magnitude = (EARTH_DISK_RADIUS + geometry.penumbraRadius - distance) / (geometry.penumbraRadius - geometry.umbraRadius);
+
+  if (central) {
+    // Shadow radii where the axis meets the ground, closer to the Moon than the fundamental plane
+    const surfaceDistance = geometry.planeDistance - Math.sqrt(1 - distance * distance) * EARTH_EQUATORIAL_RADIUS;
+    const moonRadius = getBodyData('moon').radius;
+    const umbra = moonRadius - surfaceDistance * geometry.umbraSlope;
+    const penumbra = moonRadius + surfaceDistance * geometry.penumbraSlope;
+
+    magnitude = (penumbra + umbra) / (penumbra - umbra);
+    if (umbra < 0) {
+      kind = 'annular';
+    } else {
+      // Total where the shadow first touches down but annular on the fundamental plane
+      kind = geometry.umbraRadius < 0 ? 'hybrid' : 'total';
+    }
+  } else if (distance < EARTH_DISK_RADIUS + Math.abs(geometry.umbraRadius)) {
+    // The edge of the umbra or antumbra grazes a polar region
+    kind = geometry.umbraRadius > 0 ? 'total' : 'annular';
+  }
+
+  const centralPhase = central
+    ? findPhase(time => Math.abs(calculateSolarEclipseGeometry(new Date(time)).gamma) - EARTH_DISK_RADIUS, maximumTime)
+    : null;
+
+  const track = [];
+  if (centralPhase) {
+    const startTime = centralPhase.start.getTime();
+    const endTime = centralPhase.end.getTime();
+    const stepMilliseconds = TRACK_STEP_MINUTES * MILLISECONDS_PER_MINUTE;
+
+    for (let time = startTime; time < endTime + stepMilliseconds; time += stepMilliseconds) {
+      const pointDate = new Date(Math.min(time, endTime));
+      const point = getShadowAxisPoint(calculateSolarEclipseGeometry(pointDate), pointDate);
+      if (point) {
+        track.push({ date: pointDate, ...point });
+      }
+    }
+  }
+
+  const kindName = kind.charAt(0).toUpperCase() + kind.slice(1);
+
+  return {
+    type: 'solar',
+    kind,
+    date,
+    bodies: ['sun', 'moon'],
+    magnitude,
+    gamma: geometry.gamma,
+    contacts: {
+      start: partial.start,
+      end: partial.end,
+      centralStart: centralPhase ? centralPhase.start : null,
+      centralEnd: centralPhase ? centralPhase.end : null
+    },
+    greatestEclipse: central ? getShadowAxisPoint(geometry, date) : null,
+    track,
+    description: `${kindName} solar eclipse (magnitude ${magnitude.toFixed(3)})`
+  };
+}
+
+/**
+ * Lunar eclipse around a full moon, or null if the Moon misses the penumbra
+ */
+function findLunarEclipse(fullMoonTime) {
+  const searchMilliseconds = MAXIMUM_SEARCH_HOURS * MILLISECONDS_PER_HOUR;
+  const separationAt = time => calculateLunarEclipseGeometry(new Date(time)).separation;
+  const maximumTime = findMinimum(separationAt, fullMoonTime - searchMilliseconds, fullMoonTime + searchMilliseconds);
+
+  const date = new Date(maximumTime);
+  const geometry = calculateLunarEclipseGeometry(date);
+
+  // Contacts of the Moon's limb with the edges of the penumbra and umbra
+  const phaseAt = (shadowRadius, limbOffset) => time => {
+    const shadow = calculateLunarEclipseGeometry(new Date(time));
+    return shadow.separation - (shadow[shadowRadius] + limbOffset * shadow.moonRadius);
+  };
+
+  const penumbral = findPhase(phaseAt('penumbraRadius', 1), maximumTime);
+  if (!penumbral) return null;
+
+  const partial = findPhase(phaseAt('umbraRadius', 1), maximumTime);
+  const total = findPhase(phaseAt('umbraRadius', -1), maximumTime);
+
+  const diameter = 2 * geometry.moonRadius;
+  const umbralMagnitude = (geometry.umbraRadius + geometry.moonRadius - geometry.separation) / diameter;
+  const penumbralMagnitude = (geometry.penumbraRadius + geometry.moonRadius - geometry.separation) / diameter;
+
+  let kind = 'penumbral';
+  if (total) {
+    kind = 'total';
+  } else if (partial) {
+    kind = 'partial';
+  }
+
+  const description = kind === 'penumbral'
+    ? `Penumbral lunar eclipse (penumbral magnitude ${penumbralMagnitude.toFixed(3)})`
+    : `${kind === 'total' ? 'Total' : 'Partial'} lunar eclipse (umbral magnitude ${umbralMagnitude.toFixed(3)})`;
+
+  return {
+    type: 'lunar',
+    kind,
+    date,
+    bodies: ['moon'],
+    magnitude: kind === 'penumbral' ? penumbralMagnitude : umbralMagnitude,
+    umbralMagnitude,
+    penumbralMagnitude,
+    gamma: geometry.gamma,
+    contacts: {
+      start: penumbral.start,
+      end: penumbral.end,
+      partialStart: partial ? partial.start : null,
+      partialEnd: partial ? partial.end : null,
+      totalStart: total ? total.start : null,
+      totalEnd: total ? total.end : null
+    },
+    description
+  };
+}
+
+/**
+ * Find solar and lunar eclipses whose greatest eclipse falls between two dates, sorted by date
+ * Options: types (from ECLIPSE_TYPES). Each eclipse has a type, kind (total, annular, hybrid,
+ * partial or penumbral), the date of greatest eclipse, magnitude, gamma, contact times and a
+ * description; solar eclipses add the central track and lunar eclipses both magnitudes.
+ */
+export function findEclipses(startDate, endDate, options = {}) {
+  const types = options.types || ECLIPSE_TYPES;
+
+  const startTime = startDate.getTime();
+  const endTime = endDate.getTime();
+  if (!(endTime > startTime)) return [];
+
+  // Syzygies just outside the range can still have their greatest eclipse inside it
+  const searchStart = startTime - MAXIMUM_SEARCH_HOURS * MILLISECONDS_PER_HOUR;
+  const searchEnd = endTime + MAXIMUM_SEARCH_HOURS * MILLISECONDS_PER_HOUR;
+  const eclipses = [];
+
+  if (types.includes('solar')) {
+    findSyzygies(0, searchStart, searchEnd).forEach(time => eclipses.push(findSolarEclipse(time)));
+  }
+  if (types.includes('lunar')) {
+    findSyzygies(180, searchStart, searchEnd).forEach(time => eclipses.push(findLunarEclipse(time)));
+  }
+
+  return eclipses
+    .filter(eclipse => eclipse && eclipse.date.getTime() >= startTime && eclipse.date.getTime() <= endTime)
+    .sort((a, b) => a.date - b.date);
+}
@@ -0,0 +1,437 @@
+/**
+ * Ephemeris - Pluggable planetary position backends
+ * Every backend returns heliocentric positions in AU on the J2000 mean ecliptic,
+ * the same frame as calculateHeliocentricPosition. Bodies a backend does not
+ * cover fall back to their fixed J2000 Keplerian elements.
+ * The Moon follows a truncated lunar theory; other moons keep their Keplerian elements.
+ */
+
+import {
+  getDaysSinceJ2000,
+  solveKeplersEquation,
+  calculateTrueAnomaly,
+  transformToEcliptic,
+  calculateHeliocentricPosition
+} from './AstronomicalCalculations.js';
+import {
+  JPL_ELEMENTS_1800_2050,
+  JPL_ELEMENTS_3000BC_3000AD,
+  JPL_MEAN_ANOMALY_TERMS,
+  VSOP87_TERMS,
+  ELP_LONGITUDE_TERMS,
+  ELP_DISTANCE_TERMS,
+  ELP_LATITUDE_TERMS
+} from '../data/EphemerisData.js';
+
+const DAYS_PER_JULIAN_CENTURY = 36525;
+const MILLISECONDS_PER_DAY = 86400000;
+const DEGREES_TO_RADIANS = Math.PI / 180;
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+const ARCSECONDS_TO_RADIANS = DEGREES_TO_RADIANS / 3600;
+const TWO_PI = 2 * Math.PI;
+
+// JPL Table 1 covers 1800-2050 AD, in Julian centuries from J2000
+const JPL_TABLE_1_RANGE = { start: -2.0, end: 0.5 };
+
+// The Sun's GM from the Gaussian gravitational constant (AU³/day²), and the half-step
+// (days) of the central difference giving velocities for osculating elements
+const SUN_GM = 0.01720209895 ** 2;
+const OSCULATING_STEP_DAYS = 0.1;
+
+/**
+ * Julian centuries since J2000.0 (TT and UTC are not distinguished)
+ */
+function getCenturiesSinceJ2000(date) {
+  return getDaysSinceJ2000(date) / DAYS_PER_JULIAN_CENTURY;
+}
+
+/**
+ * Keplerian elements (degrees, AU) of the orbit through a heliocentric position (AU) with a
+ * velocity (AU/day), both on the J2000 ecliptic
+ */
+function calculateOsculatingElements(position, velocity) {
+  const { x, y, z } = position;
+  const { x: vx, y: vy, z: vz } = velocity;
+  const radius = Math.hypot(x, y, z);
+
+  // Angular momentum fixes the plane, the eccentricity vector points to perihelion
+  const hx = y * vz - z * vy;
+  const hy = z * vx - x * vz;
+  const hz = x * vy - y * vx;
+  const h = Math.hypot(hx, hy, hz);
+
+  const ex = (vy * hz - vz * hy) / SUN_GM - x / radius;
+  const ey = (vz * hx - vx * hz) / SUN_GM - y / radius;
+  const ez = (vx * hy - vy * hx) / SUN_GM - z / radius;
+
+  const inclination = Math.acos(hz / h);
+  const node = Math.atan2(hx, -hy);
+
+  // Perihelion measured in the orbital plane from the ascending node (stays defined as
+  // the inclination goes to zero, unlike the node itself)
+  const alongNode = ex * Math.cos(node) + ey * Math.sin(node);
+  const acrossNode = (ey * Math.cos(node) - ex * Math.sin(node)) * Math.cos(inclination) + ez * Math.sin(inclination);
+  const argumentOfPerihelion = Math.atan2(acrossNode, alongNode);
+
+  return {
+    semiMajorAxis: 1 / (2 / radius - (vx * vx + vy * vy + vz * vz) / SUN_GM),
+    eccentricity: Math.hypot(ex, ey, ez),
+    inclination: inclination * RADIANS_TO_DEGREES,
+    longitudeOfAscendingNode: node * RADIANS_TO_DEGREES,
+    longitudeOfPerihelion: (node + argumentOfPerihelion) * RADIANS_TO_DEGREES
+  };
+}
+
+/**
+ * Sum a VSOP87 series: Σ τⁿ Σ A·cos(B + C·τ), scaled from units of 1e-8
+ */
+function evaluateVSOP87Series(series, tau) {
+  let total = 0;
+  let tauPower = 1;
+
+  series.forEach((terms) => {
+    let sum = 0;
+    terms.forEach(([amplitude, phase, frequency]) => {
+      sum += amplitude * Math.cos(phase + frequency * tau);
+    });
+    total += sum * tauPower;
+    tauPower *= tau;
+  });
+
+  return total * 1e-8;
+}
+
+/**
+ * Precess ecliptic longitude and latitude (radians) between the mean ecliptics and
+ * equinoxes of two epochs, given in Julian centuries since J2000.0
+ * (Meeus, Astronomical Algorithms, eq. 21.5)
+ */
+export function precessEcliptic(longitude, latitude, fromCenturies, toCenturies) {
+  const T = fromCenturies;
+  const t = toCenturies - fromCenturies;
+
+  const eta = ((47.0029 - 0.06603 * T + 0.000598 * T * T) * t +
+    (-0.03302 + 0.000598 * T) * t * t + 0.000060 * t * t * t) * ARCSECONDS_TO_RADIANS;
+  const pi = 174.876384 * DEGREES_TO_RADIANS +
+    ((3289.4789 * T + 0.60622 * T * T) - (869.8089 + 0.50491 * T) * t + 0.03536 * t * t) * ARCSECONDS_TO_RADIANS;
+  const p = ((5029.0966 + 2.22226 * T - 0.000042 * T * T) * t +
+    (1.11113 - 0.000042 * T) * t * t - 0.000006 * t * t * t) * ARCSECONDS_TO_RADIANS;
+
+  const a = Math.cos(eta) * Math.cos(latitude) * Math.sin(pi - longitude) - Math.sin(eta) * Math.sin(latitude);
+  const b = Math.cos(latitude) * Math.cos(pi - longitude);
+  const c = Math.cos(eta) * Math.sin(latitude) + Math.sin(eta) * Math.cos(latitude) * Math.sin(pi - longitude);
+
+  return {
+    longitude: p + pi - Math.atan2(a, b),
+    latitude: Math.asin(Math.max(-1, Math.min(1, c)))
+  };
+}
+
+/**
+ * Evaluate a polynomial in T (Julian centuries) with coefficients in degrees
+ */
+function evaluateDegreePolynomial(T, coefficients) {
+  return coefficients.reduceRight((sum, coefficient) => sum * T + coefficient, 0) * DEGREES_TO_RADIANS;
+}
+
+/**
+ * Sum lunar series terms [D, M, M′, F, coefficient] as sines or cosines of their arguments
+ * Terms involving the Sun's mean anomaly shrink with the decreasing eccentricity of Earth's orbit.
+ */
+function sumLunarTerms(terms, args, trigonometric) {
+  return terms.reduce((sum, [d, m, mPrime, f, coefficient]) => {
+    const argument = d * args.D + m * args.M + mPrime * args.MPrime + f * args.F;
+    const eccentricityFactor = Math.pow(args.E, Math.abs(m));
+    return sum + coefficient * eccentricityFactor * trigonometric(argument);
+  }, 0);
+}
+
+/**
+ * Geocentric position of the Moon on the mean ecliptic and equinox of date
+ * (truncated ELP-2000/82, Meeus, Astronomical Algorithms, chapter 47)
+ * Returns longitude and latitude in degrees and distance in km; accurate to about 10″.
+ */
+export function calculateLunarPosition(date = null) {
+  const T = getCenturiesSinceJ2000(date);
+
+  const LPrime = evaluateDegreePolynomial(T, [218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000]);
+  const args = {
+    D: evaluateDegreePolynomial(T, [297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000]),
+    M: evaluateDegreePolynomial(T, [357.5291092, 35999.0502909, -0.0001536, 1 / 24490000]),
+    MPrime: evaluateDegreePolynomial(T, [134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000]),
+    F: evaluateDegreePolynomial(T, [93.2720950, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000]),
+    E: 1 - 0.002516 * T - 0.0000074 * T * T
+  };
+
+  // Perturbations by Venus and Jupiter, and from the flattening of the Earth
+  const A1 = evaluateDegreePolynomial(T, [119.75, 131.849]);
+  const A2 = evaluateDegreePolynomial(T, [53.09, 479264.290]);
+  const A3 = evaluateDegreePolynomial(T, [313.45, 481266.484]);
+
+  const sumLongitude = sumLunarTerms(ELP_LONGITUDE_TERMS, args, Math.sin)
+    + 3958 * Math.sin(A1) + 1962 * Math.sin(LPrime - args.F) + 318 * Math.sin(A2);
+  const sumDistance = sumLunarTerms(ELP_DISTANCE_TERMS, args, Math.cos);
+  const sumLatitude = sumLunarTerms(ELP_LATITUDE_TERMS, args, Math.sin)
+    - 2235 * Math.sin(LPrime) + 382 * Math.sin(A3)
+    + 175 * Math.sin(A1 - args.F) + 175 * Math.sin(A1 + args.F)
+    + 127 * Math.sin(LPrime - args.MPrime) - 115 * Math.sin(LPrime + args.MPrime);
+
+  const longitude = (LPrime * RADIANS_TO_DEGREES + sumLongitude / 1e6) % 360;
+
+  return {
+    longitude: longitude < 0 ? longitude + 360 : longitude,
+    latitude: sumLatitude / 1e6,
+    distance: 385000.56 + sumDistance / 1000
+  };
+}
+
+/**
+ * Fixed J2000 elements propagated with a constant mean motion (the original model)
+ */
+export class KeplerianEphemeris {
+  constructor() {
+    this.name = 'keplerian';
+    this.label = 'Keplerian (J2000 elements)';
+  }
+
+  supports() {
+    return true;
+  }
+
+  getHeliocentricPosition(bodyName, orbitalElements, date = null) {
+    return calculateHeliocentricPosition(orbitalElements, date);
+  }
+
+  getOrbitalElements(bodyName, orbitalElements) {
+    return orbitalElements;
+  }
+}
+
+/**
+ * JPL "Keplerian Elements for Approximate Positions of the Major Planets"
+ * Elements drift linearly per century; the long-range table adds mean anomaly
+ * corrections for the outer planets
+ */
+export class JPLApproximateEphemeris {
+  constructor() {
+    this.name = 'jpl';
+    this.label = 'JPL approximate (elements + rates)';
+  }
+
+  supports(bodyName) {
+    return bodyName in JPL_ELEMENTS_1800_2050;
+  }
+
+  /**
+   * Osculating-style elements for a date (angles in degrees, semi-major axis in AU)
+   */
+  getElements(bodyName, date = null) {
+    const T = getCenturiesSinceJ2000(date);
+    const useTable1 = T >= JPL_TABLE_1_RANGE.start && T <= JPL_TABLE_1_RANGE.end;
+    const table = useTable1 ? JPL_ELEMENTS_1800_2050 : JPL_ELEMENTS_3000BC_3000AD;
+
+    const elements = {};
+    Object.entries(table[bodyName]).forEach(([element, [value, rate]]) => {
+      elements[element] = value + rate * T;
+    });
+
+    let meanAnomaly = elements.meanLongitude - elements.longitudeOfPerihelion;
+
+    const extraTerms = useTable1 ? null : JPL_MEAN_ANOMALY_TERMS[bodyName];
+    if (extraTerms) {
+      const argument = extraTerms.f * T * DEGREES_TO_RADIANS;
+      meanAnomaly += extraTerms.b * T * T + extraTerms.c * Math.cos(argument) + extraTerms.s * Math.sin(argument);
+    }
+
+    elements.meanAnomaly = ((meanAnomaly % 360) + 360) % 360;
+    return elements;
+  }
+
+  getOrbitalElements(bodyName, orbitalElements, date = null) {
+    return { ...orbitalElements, ...this.getElements(bodyName, date) };
+  }
+
+  getHeliocentricPosition(bodyName, orbitalElements, date = null) {
+    const elements = this.getElements(bodyName, date);
+
+    const eccentricAnomaly = solveKeplersEquation(elements.meanAnomaly, elements.eccentricity);
+    const trueAnomaly = calculateTrueAnomaly(eccentricAnomaly, elements.eccentricity);
+    const distance = elements.semiMajorAxis * (1 - elements.eccentricity * Math.cos(eccentricAnomaly));
+
+    const eclipticPos = transformToEcliptic({
+      x: distance * Math.cos(trueAnomaly),
+      y: distance * Math.sin(trueAnomaly)
+    }, elements);
+
+    return {
+      ...eclipticPos,
+      distance,
+      trueAnomaly: trueAnomaly * RADIANS_TO_DEGREES,
+      eccentricAnomaly: eccentricAnomaly * RADIANS_TO_DEGREES,
+      meanAnomaly: elements.meanAnomaly
+    };
+  }
+}
+
+/**
+ * Truncated VSOP87D planetary theory (Mercury to Neptune)
+ * Series positions are of date, so they are precessed back to J2000
+ */
+export class VSOP87Ephemeris {
+  constructor() {
+    this.name = 'vsop87';
+    this.label = 'VSOP87 (truncated)';
+  }
+
+  supports(bodyName) {
+    return bodyName in VSOP87_TERMS;
+  }
+
+  /**
+   * Heliocentric longitude and latitude (radians) and radius (AU), of date
+   */
+  getSphericalPosition(bodyName, date = null) {
+    const terms = VSOP87_TERMS[bodyName];
+    const tau = getCenturiesSinceJ2000(date) / 10; // Julian millennia
+
+    const longitude = evaluateVSOP87Series(terms.L, tau) % TWO_PI;
+
+    return {
+      longitude: longitude < 0 ? longitude + TWO_PI : longitude,
+      latitude: evaluateVSOP87Series(terms.B, tau),
+      radius: evaluateVSOP87Series(terms.R, tau)
+    };
+  }
+
+  getHeliocentricPosition(bodyName, orbitalElements, date = null) {
+    const spherical = this.getSphericalPosition(bodyName, date);
+    const { longitude, latitude } = precessEcliptic(
+      spherical.longitude,
+      spherical.latitude,
+      getCenturiesSinceJ2000(date),
+      0
+    );
+
+    // Anomalies have no meaning in a series theory; keep the Keplerian ones for display
+    return {
+      ...calculateHeliocentricPosition(orbitalElements, date),
+      x: spherical.radius * Math.cos(latitude) * Math.cos(longitude),
+      y: spherical.radius * Math.cos(latitude) * Math.sin(longitude),
+      z: spherical.radius * Math.sin(latitude),
+      distance: spherical.radius
+    };
+  }
+
+  /**
+   * Osculating elements for a date, from the series position and velocity (a series theory
+   * has no elements of its own); the ellipse passes through the planet on that date
+   */
+  getOrbitalElements(bodyName, orbitalElements, date = null) {
+    const time = date ? date.getTime() : Date.now();
+    const step = OSCULATING_STEP_DAYS * MILLISECONDS_PER_DAY;
+
+    const position = this.getHeliocentricPosition(bodyName, orbitalElements, new Date(time));
+    const before = this.getHeliocentricPosition(bodyName, orbitalElements, new Date(time - step));
+    const after = this.getHeliocentricPosition(bodyName, orbitalElements, new Date(time + step));
+    const velocity = {
+      x: (after.x - before.x) / (2 * OSCULATING_STEP_DAYS),
+      y: (after.y - before.y) / (2 * OSCULATING_STEP_DAYS),
+      z: (after.z - before.z) / (2 * OSCULATING_STEP_DAYS)
+    };
+
+    return { ...orbitalElements, ...calculateOsculatingElements(position, velocity) };
+  }
+}
+
+const EPHEMERIS_BACKENDS = {
+  keplerian: new KeplerianEphemeris(),
+  jpl: new JPLApproximateEphemeris(),
+  vsop87: new VSOP87Ephemeris()
+};
+
+let activeBackendName = 'vsop87';
+
+/**
+ * Get all registered backends
+ */
+export function getEphemerisBackends() {
+  return Object.values(EPHEMERIS_BACKENDS);
+}
+
+/**
+ * Get the backend currently used for planet positions
+ */
+export function getEphemerisBackend() {
+  return EPHEMERIS_BACKENDS[activeBackendName];
+}
+
+/**
+ * Select the backend used for planet positions
+ */
+export function setEphemerisBackend(name) {
+  if (!EPHEMERIS_BACKENDS[name]) {
+    console.warn(`⚠️ Unknown ephemeris backend: ${name}`);
+    return false;
+  }
+
+  activeBackendName = name;
+  console.log(`🪐 Ephemeris backend set to ${EPHEMERIS_BACKENDS[name].label}`);
+  return true;
+}
+
+/**
+ * Heliocentric J2000 ecliptic position (AU) of a Sun-orbiting body
+ * Uses the active backend unless another is named, falling back to the body's elements
+ */
+export function calculateBodyPosition(bodyName, orbitalElements, date = null, backendName = activeBackendName) {
+  const backend = EPHEMERIS_BACKENDS[backendName];
+
+  if (backend && backend.supports(bodyName)) {
+    return backend.getHeliocentricPosition(bodyName, orbitalElements, date);
+  }
+
+  return calculateHeliocentricPosition(orbitalElements, date);
+}
+
+/**
+ * J2000 ecliptic orbital elements of a Sun-orbiting body for a date, as the active backend
+ * (unless another is named) sees its orbit; bodies it does not cover keep their own
+ */
+export function calculateOrbitalElements(bodyName, orbitalElements, date = null, backendName = activeBackendName) {
+  const backend = EPHEMERIS_BACKENDS[backendName];
+
+  if (backend && backend.supports(bodyName)) {
+    return backend.getOrbitalElements(bodyName, orbitalElements, date);
+  }
+
+  return orbitalElements;
+}
+
+/**
+ * J2000 ecliptic position of a moon relative to its parent (km)
+ * The Moon comes from the lunar theory, precessed back to J2000; other moons from their
+ * fixed elements, in the reference plane those are given in
+ */
+export function calculateSatellitePosition(bodyName, orbitalElements, date = null) {
+  const keplerian = calculateHeliocentricPosition(orbitalElements, date);
+  if (bodyName !== 'moon') {
+    return keplerian;
+  }
+
+  const lunar = calculateLunarPosition(date);
+  const { longitude, latitude } = precessEcliptic(
+    lunar.longitude * DEGREES_TO_RADIANS,
+    lunar.latitude * DEGREES_TO_RADIANS,
+    getCenturiesSinceJ2000(date),
+    0
+  );
+
+  // Anomalies have no meaning in a series theory; keep the Keplerian ones for display
+  return {
+    ...keplerian,
+    x: lunar.distance * Math.cos(latitude) * Math.cos(longitude),
+    y: lunar.distance * Math.cos(latitude) * Math.sin(longitude),
+    z: lunar.distance * Math.sin(latitude),
+    distance: lunar.distance
+  };
+}
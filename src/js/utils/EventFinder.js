@@ -0,0 +1,322 @@
+/**
+ * EventFinder - Search a date range for planetary events seen from Earth
+ * Finds conjunctions with the Sun, oppositions, greatest elongations of Mercury and Venus,
+ * close approaches between planets and the stations that begin and end retrograde motion.
+ * Positions come from the active ephemeris; angles are geocentric and geometric.
+ */
+
+import { getBodyPosition } from './ObserverCalculations.js';
+
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+const MILLISECONDS_PER_DAY = 86400000;
+
+const EVENT_PLANETS = ['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+const INFERIOR_PLANETS = ['mercury', 'venus'];
+
+export const EVENT_TYPES = ['conjunction', 'opposition', 'greatest-elongation', 'close-approach', 'station'];
+
+// Planets are sampled daily, then each event is narrowed down to about a minute
+const DEFAULT_STEP_DAYS = 1;
+const REFINE_TOLERANCE_MS = 60000;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+// Pairs of planets closer than this (degrees) count as a close approach
+const DEFAULT_MAX_SEPARATION = 3;
+
+/**
+ * Position of a body relative to Earth (AU)
+ */
+function getGeocentricPosition(bodyName, time) {
+  const date = new Date(time);
+  const body = getBodyPosition(bodyName, date);
+  const earth = getBodyPosition('earth', date);
+  return { x: body.x - earth.x, y: body.y - earth.y, z: body.z - earth.z };
+}
+
+/**
+ * Ecliptic longitude of a vector (degrees)
+ */
+function getLongitude(vector) {
+  return Math.atan2(vector.y, vector.x) * RADIANS_TO_DEGREES;
+}
+
+/**
+ * Wrap an angle into -180 to 180 degrees
+ */
+function wrapAngle(degrees) {
+  const wrapped = ((degrees + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 ? 180 : wrapped;
+}
+
+/**
+ * Angle between two vectors (degrees)
+ */
+function angleBetween(a, b) {
+  const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+  const cross = Math.hypot(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+  return Math.atan2(cross, dot) * RADIANS_TO_DEGREES;
+}
+
+/**
+ * Planet's longitude east of the Sun (degrees, -180 to 180)
+ */
+function getLongitudeFromSun(planetName, time) {
+  return wrapAngle(getLongitude(getGeocentricPosition(planetName, time)) - getLongitude(getGeocentricPosition('sun', time)));
+}
+
+/**
+ * Narrow down the time (ms) at which a function of time changes sign
+ */
+function findRoot(valueAt, startTime, endTime) {
+  const startsPositive = valueAt(startTime) >= 0;
+  let low = startTime;
+  let high = endTime;
+
+  while (high - low > REFINE_TOLERANCE_MS) {
+    const middle = (low + high) / 2;
+    if ((valueAt(middle) >= 0) === startsPositive) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Narrow down the time (ms) at which a function of time is smallest (golden-section search)
+ */
+function findMinimum(valueAt, startTime, endTime) {
+  let low = startTime;
+  let high = endTime;
+  let left = high - GOLDEN_RATIO * (high - low);
+  let right = low + GOLDEN_RATIO * (high - low);
+  let leftValue = valueAt(left);
+  let rightValue = valueAt(right);
+
+  while (high - low > REFINE_TOLERANCE_MS) {
+    if (leftValue < rightValue) {
+      high = right;
+      right = left;
+      rightValue = leftValue;
+      left = high - GOLDEN_RATIO * (high - low);
+      leftValue = valueAt(left);
+    } else {
+      low = left;
+      left = right;
+      leftValue = rightValue;
+      right = low + GOLDEN_RATIO * (high - low);
+      rightValue = valueAt(right);
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Capitalize a body name for event descriptions
+ */
+function formatName(bodyName) {
+  return bodyName.charAt(0).toUpperCase() + bodyName.slice(1);
+}
+
+/**
+ * Sample the geocentric positions of the Sun and planets over a range of times
+ */
+function samplePositions(planets, startTime, endTime, stepMilliseconds) {
+  const samples = [];
+
+  for (let time = startTime; time <= endTime + stepMilliseconds / 2; time += stepMilliseconds) {
+    const earth = getBodyPosition('earth', new Date(time));
+    const positions = {};
+
+    ['sun', ...planets].forEach(bodyName => {
+      const body = getBodyPosition(bodyName, new Date(time));
+      positions[bodyName] = { x: body.x - earth.x, y: body.y - earth.y, z: body.z - earth.z };
+    });
+
+    samples.push({ time, positions });
+  }
+
+  return samples;
+}
+
+/**
+ * Conjunctions with the Sun and oppositions: the planet's longitude passes the Sun's
+ * or the point opposite it
+ */
+function findSunAlignments(planetName, samples, events) {
+  const isInferior = INFERIOR_PLANETS.includes(planetName);
+  const offsetAt = sample => wrapAngle(getLongitude(sample.positions[planetName]) - getLongitude(sample.positions.sun));
+
+  for (let i = 1; i < samples.length; i++) {
+    const before = offsetAt(samples[i - 1]);
+    const after = offsetAt(samples[i]);
+
+    // Crossing 0° is a conjunction; crossing ±180° is an opposition
+    if (Math.abs(before) < 90 && Math.abs(after) < 90 && (before < 0) !== (after < 0)) {
+      const time = findRoot(t => getLongitudeFromSun(planetName, t), samples[i - 1].time, samples[i].time);
+      const planet = getGeocentricPosition(planetName, time);
+      const sun = getGeocentricPosition('sun', time);
+      const kind = Math.hypot(planet.x, planet.y, planet.z) < Math.hypot(sun.x, sun.y, sun.z) ? 'inferior' : 'superior';
+
+      events.push({
+        type: 'conjunction',
+        date: new Date(time),
+        bodies: [planetName, 'sun'],
+        kind,
+        elongation: angleBetween(planet, sun),
+        description: isInferior
+          ? `${formatName(planetName)} at ${kind} conjunction with the Sun`
+          : `${formatName(planetName)} in conjunction with the Sun`
+      });
+    }
+
+    if (!isInferior && Math.abs(before) > 90 && Math.abs(after) > 90 && (before < 0) !== (after < 0)) {
+      const time = findRoot(t => wrapAngle(getLongitudeFromSun(planetName, t) - 180), samples[i - 1].time, samples[i].time);
+
+      events.push({
+        type: 'opposition',
+        date: new Date(time),
+        bodies: [planetName],
+        elongation: angleBetween(getGeocentricPosition(planetName, time), getGeocentricPosition('sun', time)),
+        description: `${formatName(planetName)} at opposition`
+      });
+    }
+  }
+}
+
+/**
+ * Greatest elongations of an inferior planet: its angle from the Sun peaks
+ */
+function findGreatestElongations(planetName, samples, events) {
+  const elongationAt = sample => angleBetween(sample.positions[planetName], sample.positions.sun);
+
+  for (let i = 1; i < samples.length - 1; i++) {
+    const elongation = elongationAt(samples[i]);
+    if (elongation <= elongationAt(samples[i - 1]) || elongation < elongationAt(samples[i + 1])) continue;
+
+    const time = findMinimum(
+      t => -angleBetween(getGeocentricPosition(planetName, t), getGeocentricPosition('sun', t)),
+      samples[i - 1].time,
+      samples[i + 1].time
+    );
+    const direction = getLongitudeFromSun(planetName, time) > 0 ? 'east' : 'west';
+    const greatest = angleBetween(getGeocentricPosition(planetName, time), getGeocentricPosition('sun', time));
+
+    events.push({
+      type: 'greatest-elongation',
+      date: new Date(time),
+      bodies: [planetName],
+      direction,
+      elongation: greatest,
+      description: `${formatName(planetName)} at greatest ${direction}ern elongation (${greatest.toFixed(1)}°)`
+    });
+  }
+}
+
+/**
+ * Close approaches between two planets: their separation reaches a minimum below a limit
+ */
+function findCloseApproaches(firstName, secondName, samples, maxSeparation, events) {
+  const separationAt = sample => angleBetween(sample.positions[firstName], sample.positions[secondName]);
+  const separationAtTime = t => angleBetween(getGeocentricPosition(firstName, t), getGeocentricPosition(secondName, t));
+
+  for (let i = 1; i < samples.length - 1; i++) {
+    const separation = separationAt(samples[i]);
+    if (separation >= separationAt(samples[i - 1]) || separation > separationAt(samples[i + 1])) continue;
+    if (separation > maxSeparation + 1) continue;
+
+    const time = findMinimum(separationAtTime, samples[i - 1].time, samples[i + 1].time);
+    const closest = separationAtTime(time);
+    if (closest > maxSeparation) continue;
+
+    events.push({
+      type: 'close-approach',
+      date: new Date(time),
+      bodies: [firstName, secondName],
+      separation: closest,
+      description: `${formatName(firstName)} ${closest.toFixed(1)}° from ${formatName(secondName)}`
+    });
+  }
+}
+
+/**
+ * Stations: the planet's longitude stops advancing (turning retrograde) or retreating
+ * (turning direct)
+ */
+function findStations(planetName, samples, events) {
+  const motion = [];
+  for (let i = 1; i < samples.length; i++) {
+    motion.push(wrapAngle(getLongitude(samples[i].positions[planetName]) - getLongitude(samples[i - 1].positions[planetName])));
+  }
+
+  for (let i = 1; i < motion.length; i++) {
+    if ((motion[i - 1] < 0) === (motion[i] < 0)) continue;
+
+    // Longitude peaks when the planet turns retrograde and bottoms out when it turns direct
+    const turnsRetrograde = motion[i - 1] > 0;
+    const reference = getLongitude(samples[i].positions[planetName]);
+    const sign = turnsRetrograde ? -1 : 1;
+    const time = findMinimum(
+      t => sign * wrapAngle(getLongitude(getGeocentricPosition(planetName, t)) - reference),
+      samples[i - 1].time,
+      samples[i + 1].time
+    );
+
+    events.push({
+      type: 'station',
+      date: new Date(time),
+      bodies: [planetName],
+      motion: turnsRetrograde ? 'retrograde' : 'direct',
+      description: `${formatName(planetName)} stationary, turning ${turnsRetrograde ? 'retrograde' : 'direct'}`
+    });
+  }
+}
+
+/**
+ * Find planetary events between two dates, sorted by date
+ * Options: planets (names), types (from EVENT_TYPES), maxSeparation for close approaches
+ * (degrees) and stepDays between samples. Each event has a type, date, the bodies involved,
+ * a description and, depending on its type, elongation, separation, kind, direction or motion.
+ */
+export function findPlanetaryEvents(startDate, endDate, options = {}) {
+  const planets = options.planets || EVENT_PLANETS;
+  const types = options.types || EVENT_TYPES;
+  const maxSeparation = options.maxSeparation ?? DEFAULT_MAX_SEPARATION;
+  const stepMilliseconds = (options.stepDays || DEFAULT_STEP_DAYS) * MILLISECONDS_PER_DAY;
+
+  const startTime = startDate.getTime();
+  const endTime = endDate.getTime();
+  if (!(endTime > startTime)) return [];
+
+  // One extra sample either side lets extrema at the ends of the range be recognized
+  const samples = samplePositions(planets, startTime - stepMilliseconds, endTime + stepMilliseconds, stepMilliseconds);
+  const events = [];
+
+  planets.forEach(planetName => {
+    if (types.includes('conjunction') || types.includes('opposition')) {
+      findSunAlignments(planetName, samples, events);
+    }
+    if (types.includes('greatest-elongation') && INFERIOR_PLANETS.includes(planetName)) {
+      findGreatestElongations(planetName, samples, events);
+    }
+    if (types.includes('station')) {
+      findStations(planetName, samples, events);
+    }
+  });
+
+  if (types.includes('close-approach')) {
+    planets.forEach((firstName, index) => {
+      planets.slice(index + 1).forEach(secondName => {
+        findCloseApproaches(firstName, secondName, samples, maxSeparation, events);
+      });
+    });
+  }
+
+  return events
+    .filter(event => types.includes(event.type))
+    .filter(event => event.date.getTime() >= startTime && event.date.getTime() <= endTime)
+    .sort((a, b) => a.date - b.date);
+}
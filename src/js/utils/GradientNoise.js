@@ -0,0 +1,106 @@
+/**
+ * GradientNoise - Seeded 3D gradient (improved Perlin) noise and fractal sums of it
+ * Sampling on the unit sphere gives seamless patterns with no poles or wrap-around seams.
+ */
+
+import { SeededRandom } from './SeededRandom.js';
+
+// Gradients towards the edges of a cube (Perlin 2002)
+const GRADIENTS = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export class GradientNoise {
+  constructor(seed = 1) {
+    const random = new SeededRandom(seed);
+
+    // Shuffled lattice permutation, doubled to avoid wrapping indices
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    this.permutation = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.permutation[i] = permutation[i & 255];
+    }
+  }
+
+  /**
+   * Dot product of a lattice corner's gradient with the offset from that corner
+   */
+  gradient(hash, x, y, z) {
+    const [gx, gy, gz] = GRADIENTS[hash % 12];
+    return gx * x + gy * y + gz * z;
+  }
+
+  /**
+   * Noise at a point, roughly in [-1, 1] and 0 at lattice points
+   */
+  noise(x, y, z) {
+    const p = this.permutation;
+    const floorX = Math.floor(x);
+    const floorY = Math.floor(y);
+    const floorZ = Math.floor(z);
+    const X = floorX & 255;
+    const Y = floorY & 255;
+    const Z = floorZ & 255;
+    x -= floorX;
+    y -= floorY;
+    z -= floorZ;
+
+    const u = fade(x);
+    const v = fade(y);
+    const w = fade(z);
+
+    const A = p[X] + Y;
+    const AA = p[A] + Z;
+    const AB = p[A + 1] + Z;
+    const B = p[X + 1] + Y;
+    const BA = p[B] + Z;
+    const BB = p[B + 1] + Z;
+
+    return lerp(
+      lerp(
+        lerp(this.gradient(p[AA], x, y, z), this.gradient(p[BA], x - 1, y, z), u),
+        lerp(this.gradient(p[AB], x, y - 1, z), this.gradient(p[BB], x - 1, y - 1, z), u),
+        v
+      ),
+      lerp(
+        lerp(this.gradient(p[AA + 1], x, y, z - 1), this.gradient(p[BA + 1], x - 1, y, z - 1), u),
+        lerp(this.gradient(p[AB + 1], x, y - 1, z - 1), this.gradient(p[BB + 1], x - 1, y - 1, z - 1), u),
+        v
+      ),
+      w
+    );
+  }
+
+  /**
+   * Fractal (fBm) sum of octaves, normalised back to roughly [-1, 1]
+   */
+  fractal(x, y, z, octaves = 5, lacunarity = 2, gain = 0.5) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      sum += amplitude * this.noise(x * frequency, y * frequency, z * frequency);
+      total += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+
+    return sum / total;
+  }
+}
@@ -0,0 +1,479 @@
+/**
+ * ObserverCalculations - The sky as seen by an observer standing on a body's surface
+ * Vectors are plain { x, y, z } objects in the J2000 ecliptic frame, positions in AU
+ * In apparent position mode, targets are corrected for light travel time and aberration.
+ */
+
+import {
+  getDaysSinceJ2000,
+  equatorialToEcliptic,
+  eclipticToEquatorial,
+  calculateMagnitudeAtPosition,
+  calculateMeanObliquity,
+  calculateNutation,
+  correctForLightTime,
+  applyAberration,
+  getPositionMode
+} from './AstronomicalCalculations.js';
+import { calculateBodyPosition, calculateSatellitePosition, precessEcliptic } from './Ephemeris.js';
+import { getBodyData } from '../data/SolarSystemData.js';
+
+const AU_TO_KM = 149597870.7;
+const DEGREES_TO_RADIANS = Math.PI / 180;
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+
+const ECLIPTIC_NORTH = { x: 0, y: 0, z: 1 };
+
+// Atmospheric refraction lifts a body at the horizon by about 34 arcminutes
+const HORIZON_REFRACTION = 34 / 60;
+
+// Rise, transit and set are searched for over a little more than a lunar day
+const EVENT_SEARCH_HOURS = 26;
+const EVENT_SEARCH_STEP_HOURS = 1 / 6;
+const EVENT_BISECTION_STEPS = 20;
+const MILLISECONDS_PER_HOUR = 3600000;
+
+// Velocities are central differences over an hour either side of the date
+const VELOCITY_STEP_HOURS = 1;
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+function scale(a, factor) {
+  return { x: a.x * factor, y: a.y * factor, z: a.z * factor };
+}
+
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function normalize(a) {
+  const length = Math.sqrt(dot(a, a));
+  return length > 0 ? scale(a, 1 / length) : { x: 0, y: 0, z: 0 };
+}
+
+/**
+ * Turn a vector about the ecliptic pole by an angle in degrees
+ */
+function rotateAboutEclipticPole(vector, angleDegrees) {
+  const angle = angleDegrees * DEGREES_TO_RADIANS;
+  return {
+    x: vector.x * Math.cos(angle) - vector.y * Math.sin(angle),
+    y: vector.x * Math.sin(angle) + vector.y * Math.cos(angle),
+    z: vector.z
+  };
+}
+
+/**
+ * Angle (degrees) the equinox of date has moved back along the ecliptic since J2000
+ */
+function getPrecessionAngle(data, date) {
+  return data && data.precessionRate ? data.precessionRate * getDaysSinceJ2000(date) / 36525 : 0;
+}
+
+/**
+ * Heliocentric J2000 ecliptic position (AU) of any body, including the Sun and moons
+ */
+export function getBodyPosition(bodyName, date = null) {
+  const data = getBodyData(bodyName);
+  if (!data || data.semiMajorAxis === 0) {
+    return { x: 0, y: 0, z: 0 };
+  }
+
+  if (!data.parent) {
+    const position = calculateBodyPosition(bodyName, data, date);
+    return { x: position.x, y: position.y, z: position.z };
+  }
+
+  // Moon positions are relative to the parent, in km
+  const offset = fromReferencePlane(data, calculateSatellitePosition(bodyName, data, date), date);
+  return add(getBodyPosition(data.parent, date), scale(offset, 1 / AU_TO_KM));
+}
+
+/**
+ * Heliocentric velocity (AU per day) of any body, from its positions an hour either side
+ */
+export function getBodyVelocity(bodyName, date = null) {
+  const time = date ? date.getTime() : Date.now();
+  const step = VELOCITY_STEP_HOURS * MILLISECONDS_PER_HOUR;
+  const before = getBodyPosition(bodyName, new Date(time - step));
+  const after = getBodyPosition(bodyName, new Date(time + step));
+
+  return scale(subtract(after, before), 24 / (2 * VELOCITY_STEP_HOURS));
+}
+
+/**
+ * Velocity an observer on a body carries into the aberration of light,
+ * or null when positions are geometric
+ */
+function getObserverVelocity(bodyName, date) {
+  return getPositionMode() === 'apparent' ? getBodyVelocity(bodyName, date) : null;
+}
+
+/**
+ * Where a body is seen from an observer's position (AU)
+ * In apparent mode the body is taken where it was when its light left, and the direction
+ * is shifted by aberration for an observer moving at observerVelocity (AU per day).
+ * Returns the body's (retarded) position, the offset from the observer to where it appears,
+ * the distance light travelled (AU) and the light time (days).
+ */
+export function calculateObservedPosition(bodyName, observerPosition, observerVelocity = null, date = null) {
+  if (getPositionMode() !== 'apparent') {
+    const position = getBodyPosition(bodyName, date);
+    const offset = subtract(position, observerPosition);
+    return { position, offset, distance: Math.sqrt(dot(offset, offset)), lightTime: 0 };
+  }
+
+  const { position, lightTime, distance } = correctForLightTime(
+    time => getBodyPosition(bodyName, time),
+    observerPosition,
+    date
+  );
+
+  let direction = normalize(subtract(position, observerPosition));
+  if (observerVelocity) {
+    direction = applyAberration(direction, observerVelocity);
+  }
+
+  return { position, offset: scale(direction, distance), distance, lightTime };
+}
+
+/**
+ * Unit vector along a body's north pole (the pole on the north side of the ecliptic
+ * for bodies listed with a negative, retrograde rotation period)
+ * Bodies with a precession rate (Earth) have their pole of date; others keep a fixed pole.
+ */
+export function getNorthPole(bodyName, date = null) {
+  const data = getBodyData(bodyName);
+  if (!data) return ECLIPTIC_NORTH;
+
+  if (data.northPole) {
+    const pole = equatorialToEcliptic(data.northPole.rightAscension / 15, data.northPole.declination);
+    return rotateAboutEclipticPole(pole, -getPrecessionAngle(data, date));
+  }
+
+  // Without a measured pole, tilt the orbit normal by the axial tilt about the line of nodes
+  const node = (data.longitudeOfAscendingNode || 0) * DEGREES_TO_RADIANS;
+  const tilt = ((data.inclination || 0) + (data.axialTilt || 0)) * DEGREES_TO_RADIANS;
+  let pole = {
+    x: Math.sin(tilt) * Math.sin(node),
+    y: -Math.sin(tilt) * Math.cos(node),
+    z: Math.cos(tilt)
+  };
+
+  if (data.parent) {
+    pole = fromReferencePlane(data, pole, date);
+  }
+
+  // A tilt beyond 90° paired with a negative period describes the same spin twice
+  return data.axialTilt > 90 ? scale(pole, -1) : pole;
+}
+
+/**
+ * Rotation angle of a body's prime meridian (degrees) for a date, from its rotation period
+ */
+export function getRotationAngle(bodyName, date = null) {
+  const data = getBodyData(bodyName);
+  if (!data || !data.rotationPeriod) return 0;
+
+  const rotations = (getDaysSinceJ2000(date) * 24) / data.rotationPeriod;
+  const angle = ((data.primeMeridian || 0) + 360 * (rotations % 1)) % 360;
+  return angle < 0 ? angle + 360 : angle;
+}
+
+/**
+ * Axes of a body's equatorial frame for a date: unit vectors towards the ascending node of
+ * its equator on the J2000 equator (IAU), or on the ecliptic for bodies without a measured
+ * pole, 90° further along the equator, and along its north pole
+ */
+export function getEquatorialFrame(bodyName, date = null) {
+  const data = getBodyData(bodyName);
+  const pole = getNorthPole(bodyName, date);
+
+  let node;
+  if (data && data.northPole) {
+    node = equatorialToEcliptic((data.northPole.rightAscension + 90) / 15, 0);
+    node = rotateAboutEclipticPole(node, -getPrecessionAngle(data, date));
+  } else {
+    node = cross(ECLIPTIC_NORTH, pole);
+    node = dot(node, node) > 1e-12 ? normalize(node) : { x: 1, y: 0, z: 0 };
+  }
+
+  return { node, ninetyDegrees: cross(pole, node), pole };
+}
+
+/**
+ * Turn a vector given in the plane a moon's elements are referred to into the J2000
+ * ecliptic frame: equator-referenced moons use their parent's equatorial frame, whose x axis
+ * is the equator's ascending node; other vectors are already ecliptic
+ */
+export function fromReferencePlane(moonData, vector, date = null) {
+  if (!moonData || !moonData.parent || moonData.referencePlane !== 'equator') {
+    return vector;
+  }
+
+  const { node, ninetyDegrees, pole } = getEquatorialFrame(moonData.parent, date);
+  return add(add(scale(node, vector.x), scale(ninetyDegrees, vector.y)), scale(pole, vector.z));
+}
+
+/**
+ * Body-fixed axes of a rotating body for a date: unit vectors along its north pole,
+ * towards its prime meridian on the equator and towards 90° east longitude
+ */
+export function getBodyFrame(bodyName, date = null) {
+  // Prime meridians are counted from the ascending node of the body's equator
+  const { node, ninetyDegrees, pole } = getEquatorialFrame(bodyName, date);
+
+  const rotationAngle = getRotationAngle(bodyName, date) * DEGREES_TO_RADIANS;
+  const primeMeridian = add(
+    scale(node, Math.cos(rotationAngle)),
+    scale(ninetyDegrees, Math.sin(rotationAngle))
+  );
+
+  return { pole, primeMeridian, ninetyEast: cross(pole, primeMeridian) };
+}
+
+/**
+ * Planetocentric latitude and east longitude (degrees, -180 to 180) of the point
+ * below a body-centred vector
+ */
+export function toPlanetocentricCoordinates(bodyName, vector, date = null) {
+  const { pole, primeMeridian, ninetyEast } = getBodyFrame(bodyName, date);
+  const unit = normalize(vector);
+
+  return {
+    latitude: Math.asin(Math.max(-1, Math.min(1, dot(unit, pole)))) * RADIANS_TO_DEGREES,
+    longitude: Math.atan2(dot(unit, ninetyEast), dot(unit, primeMeridian)) * RADIANS_TO_DEGREES
+  };
+}
+
+/**
+ * Local horizon frame for a point on a body's surface
+ * Latitude is planetocentric and longitude is measured east from the prime meridian (degrees).
+ * Returns the observer's heliocentric position (AU) and the up, north and east unit vectors.
+ */
+export function getSurfaceFrame(bodyName, latitude, longitude, date = null) {
+  const data = getBodyData(bodyName);
+  const { pole, primeMeridian, ninetyEast } = getBodyFrame(bodyName, date);
+
+  const latitudeRad = latitude * DEGREES_TO_RADIANS;
+  const longitudeRad = longitude * DEGREES_TO_RADIANS;
+
+  const up = add(
+    scale(add(scale(primeMeridian, Math.cos(longitudeRad)), scale(ninetyEast, Math.sin(longitudeRad))), Math.cos(latitudeRad)),
+    scale(pole, Math.sin(latitudeRad))
+  );
+  const east = add(scale(primeMeridian, -Math.sin(longitudeRad)), scale(ninetyEast, Math.cos(longitudeRad)));
+  const north = cross(up, east);
+
+  const radiusAU = ((data && data.radius) || 0) / AU_TO_KM;
+
+  return {
+    position: add(getBodyPosition(bodyName, date), scale(up, radiusAU)),
+    up,
+    north,
+    east
+  };
+}
+
+/**
+ * Altitude above the horizon and azimuth east of north (degrees) of a direction
+ */
+export function toHorizontalCoordinates(direction, frame) {
+  const unit = normalize(direction);
+  const azimuth = Math.atan2(dot(unit, frame.east), dot(unit, frame.north)) * RADIANS_TO_DEGREES;
+
+  return {
+    altitude: Math.asin(Math.max(-1, Math.min(1, dot(unit, frame.up)))) * RADIANS_TO_DEGREES,
+    azimuth: azimuth < 0 ? azimuth + 360 : azimuth
+  };
+}
+
+/**
+ * Where each target appears from a point on the observer body's surface
+ * Returns direction (unit vector), distance (AU), altitude, azimuth, apparent magnitude,
+ * phase angle, illuminated fraction, elongation and angular diameter (degrees) for every target
+ */
+export function calculateSkyFromSurface(observerName, latitude, longitude, targetNames, date = null) {
+  const frame = getSurfaceFrame(observerName, latitude, longitude, date);
+  const observerVelocity = getObserverVelocity(observerName, date);
+
+  return targetNames
+    .filter(name => name !== observerName && getBodyData(name))
+    .map(name => {
+      const data = getBodyData(name);
+      const { position, offset, distance } = calculateObservedPosition(name, frame.position, observerVelocity, date);
+      const direction = scale(offset, 1 / distance);
+
+      const brightness = calculateMagnitudeAtPosition({ ...data, name }, position, frame.position, undefined, date);
+      const angularRadius = Math.asin(Math.min(1, (data.radius || 0) / (distance * AU_TO_KM)));
+
+      return {
+        name,
+        direction,
+        distance,
+        ...toHorizontalCoordinates(direction, frame),
+        apparentMagnitude: brightness.apparentMagnitude,
+        phaseAngle: brightness.phaseAngle,
+        illuminatedFraction: brightness.illuminatedFraction,
+        elongation: brightness.elongation,
+        angularDiameter: 2 * angularRadius * RADIANS_TO_DEGREES
+      };
+    });
+}
+
+/**
+ * Geocentric right ascension (hours), declination (degrees) and distance (AU) of a body
+ * Geometric positions are referred to the J2000 equator and equinox; apparent positions
+ * to the true equator and equinox of date, as almanacs list them. equinox says which.
+ */
+export function calculateGeocentricEquatorial(bodyName, date = null) {
+  const { offset } = calculateObservedPosition(
+    bodyName,
+    getBodyPosition('earth', date),
+    getObserverVelocity('earth', date),
+    date
+  );
+
+  if (getPositionMode() !== 'apparent') {
+    return { ...eclipticToEquatorial(offset), equinox: 'J2000' };
+  }
+
+  // Precess to the mean ecliptic and equinox of date, then add nutation in longitude
+  const distance = Math.sqrt(dot(offset, offset));
+  const nutation = calculateNutation(date);
+  const { longitude, latitude } = precessEcliptic(
+    Math.atan2(offset.y, offset.x),
+    Math.asin(offset.z / distance),
+    0,
+    getDaysSinceJ2000(date) / 36525
+  );
+  const trueLongitude = longitude + nutation.longitude * DEGREES_TO_RADIANS;
+  const ofDate = {
+    x: distance * Math.cos(latitude) * Math.cos(trueLongitude),
+    y: distance * Math.cos(latitude) * Math.sin(trueLongitude),
+    z: distance * Math.sin(latitude)
+  };
+
+  return {
+    ...eclipticToEquatorial(ofDate, calculateMeanObliquity(date) + nutation.obliquity),
+    equinox: 'date'
+  };
+}
+
+/**
+ * Where a body stands in the sky of an observer on Earth, with parallax
+ * Besides altitude and azimuth, reports the body's angular radius (degrees) and how far
+ * east of the meridian it lies, which is positive before it transits
+ */
+function getTopocentricGeometry(bodyName, latitude, longitude, date) {
+  const frame = getSurfaceFrame('earth', latitude, longitude, date);
+  const { offset, distance } = calculateObservedPosition(
+    bodyName,
+    frame.position,
+    getObserverVelocity('earth', date),
+    date
+  );
+  const data = getBodyData(bodyName);
+
+  return {
+    ...toHorizontalCoordinates(offset, frame),
+    distance,
+    eastOfMeridian: dot(offset, frame.east) / distance,
+    angularRadius: Math.asin(Math.min(1, ((data && data.radius) || 0) / (distance * AU_TO_KM))) * RADIANS_TO_DEGREES
+  };
+}
+
+/**
+ * Topocentric altitude and azimuth (degrees) and distance (AU) of a body
+ * from a latitude and east longitude on Earth (degrees)
+ */
+export function calculateTopocentricHorizontal(bodyName, latitude, longitude, date = null) {
+  const { altitude, azimuth, distance } = getTopocentricGeometry(bodyName, latitude, longitude, date);
+  return { altitude, azimuth, distance };
+}
+
+/**
+ * Narrow down the time (ms) at which a function of time changes sign between two samples
+ */
+function findCrossing(valueAt, startTime, endTime) {
+  const startsPositive = valueAt(startTime) >= 0;
+  let low = startTime;
+  let high = endTime;
+
+  for (let step = 0; step < EVENT_BISECTION_STEPS; step++) {
+    const middle = (low + high) / 2;
+    if ((valueAt(middle) >= 0) === startsPositive) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Next rise, transit and set of a body for an observer on Earth after a date
+ * Rising and setting use the upper limb with standard refraction. Each event is a Date,
+ * or null when it does not happen within the next day (circumpolar or never rising).
+ */
+export function calculateRiseTransitSet(bodyName, latitude, longitude, date = null) {
+  const startTime = date ? date.getTime() : Date.now();
+  const geometryAt = time => getTopocentricGeometry(bodyName, latitude, longitude, new Date(time));
+  const heightAt = (time) => {
+    const geometry = geometryAt(time);
+    return geometry.altitude + HORIZON_REFRACTION + geometry.angularRadius;
+  };
+
+  const events = { rise: null, transit: null, set: null };
+  let wasUp = false;
+  let wasDown = false;
+
+  let previousTime = startTime;
+  let previousHeight = heightAt(startTime);
+  let previousEast = geometryAt(startTime).eastOfMeridian;
+  const stepMilliseconds = EVENT_SEARCH_STEP_HOURS * MILLISECONDS_PER_HOUR;
+
+  for (let time = startTime + stepMilliseconds; time <= startTime + EVENT_SEARCH_HOURS * MILLISECONDS_PER_HOUR; time += stepMilliseconds) {
+    const height = heightAt(time);
+    const east = geometryAt(time).eastOfMeridian;
+
+    wasUp = wasUp || previousHeight >= 0;
+    wasDown = wasDown || previousHeight < 0;
+
+    if (!events.rise && previousHeight < 0 && height >= 0) {
+      events.rise = new Date(findCrossing(heightAt, previousTime, time));
+    }
+    if (!events.set && previousHeight >= 0 && height < 0) {
+      events.set = new Date(findCrossing(heightAt, previousTime, time));
+    }
+    if (!events.transit && previousEast > 0 && east <= 0) {
+      events.transit = new Date(findCrossing(t => geometryAt(t).eastOfMeridian, previousTime, time));
+    }
+
+    previousTime = time;
+    previousHeight = height;
+    previousEast = east;
+  }
+
+  return {
+    ...events,
+    transitAltitude: events.transit ? geometryAt(events.transit.getTime()).altitude : null,
+    isCircumpolar: !events.rise && !events.set && wasUp && !wasDown,
+    neverRises: !events.rise && !events.set && wasDown && !wasUp
+  };
+}
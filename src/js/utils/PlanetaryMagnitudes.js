@@ -0,0 +1,114 @@
+/**
+ * PlanetaryMagnitudes - Visual magnitudes of the planets and small bodies
+ * Planets follow Mallama & Hilton (2018), "Computing apparent planetary magnitudes for
+ * The Astronomical Almanac"; asteroids, dwarf planets and moons use the IAU H, G system.
+ * Functions here return V(1, α), the magnitude at 1 AU from both the Sun and the observer.
+ */
+
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+// Default slope parameter of the H, G system
+const DEFAULT_SLOPE_PARAMETER = 0.15;
+
+// Saturn's rings are only fitted for phase angles and ring tilts seen from Earth
+const SATURN_RING_MAX_PHASE = 6.5;
+const SATURN_RING_MAX_TILT = 27;
+
+/**
+ * Evaluate a0 + a1·x + a2·x² + ...
+ */
+function polynomial(x, coefficients) {
+  return coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+}
+
+/**
+ * Neptune brightened between 1980 and 2000
+ */
+function getNeptuneBaseMagnitude(date) {
+  const year = date ? date.getUTCFullYear() + date.getUTCMonth() / 12 : 2000;
+  if (year <= 1980) return -6.89;
+  if (year >= 2000) return -7.00;
+  return -6.89 - 0.0054 * (year - 1980);
+}
+
+/**
+ * Reduced magnitude models per planet, as functions of the phase angle (degrees)
+ * Geometry holds the ring tilt for Saturn and the mean sub-latitude for Uranus (degrees).
+ * Phase angles beyond a model's fitted range are clamped to it.
+ */
+const PLANET_MAGNITUDE_MODELS = {
+  mercury: (phaseAngle) => polynomial(Math.min(phaseAngle, 173), [
+    -0.613, 6.328e-2, -1.6336e-3, 3.3644e-5, -3.4265e-7, 1.6893e-9, -3.0334e-12
+  ]),
+
+  venus: (phaseAngle) => {
+    const alpha = Math.min(phaseAngle, 179);
+    return alpha <= 163.7
+      ? polynomial(alpha, [-4.384, -1.044e-3, 3.687e-4, -2.814e-6, 8.938e-9])
+      : polynomial(alpha, [236.05828, -2.81914, 8.39034e-3]);
+  },
+
+  earth: (phaseAngle) => polynomial(Math.min(phaseAngle, 170), [-3.99, -1.060e-3, 2.054e-4]),
+
+  // Without the rotational and orbital longitude corrections (±0.1 mag)
+  mars: (phaseAngle) => {
+    const alpha = Math.min(phaseAngle, 120);
+    return alpha <= 50
+      ? polynomial(alpha, [-1.601, 0.02267, -0.0001302])
+      : polynomial(alpha, [-0.367, -0.02573, 0.0003445]);
+  },
+
+  jupiter: (phaseAngle) => {
+    const alpha = Math.min(phaseAngle, 130);
+    if (alpha <= 12) {
+      return polynomial(alpha, [-9.395, -3.7e-4, 6.16e-4]);
+    }
+    return -9.428 - 2.5 * Math.log10(polynomial(alpha / 180, [1.0, -1.507, -0.363, -0.062, 2.809, -1.876]));
+  },
+
+  // Globe and rings together where Earth-based photometry covers them, else the globe alone
+  saturn: (phaseAngle, { ringTilt = 0 } = {}) => {
+    if (phaseAngle <= SATURN_RING_MAX_PHASE && ringTilt <= SATURN_RING_MAX_TILT) {
+      const sinTilt = Math.sin(ringTilt * DEGREES_TO_RADIANS);
+      return -8.914 - 1.825 * sinTilt + 0.026 * phaseAngle - 0.378 * sinTilt * Math.exp(-2.25 * phaseAngle);
+    }
+    return polynomial(Math.min(phaseAngle, 150), [-8.94, 2.446e-4, 2.672e-4, -1.505e-6, 4.767e-9]);
+  },
+
+  uranus: (phaseAngle, { subLatitude = 0 } = {}) => {
+    return -7.110 - 8.4e-4 * subLatitude + polynomial(Math.min(phaseAngle, 154), [0, 6.587e-3, 1.045e-4]);
+  },
+
+  neptune: (phaseAngle, { date = null } = {}) => {
+    return getNeptuneBaseMagnitude(date) + polynomial(Math.min(phaseAngle, 133), [0, 7.944e-3, 9.617e-5]);
+  }
+};
+
+/**
+ * Check if a body has a published planetary magnitude model
+ */
+export function hasPlanetMagnitudeModel(bodyName) {
+  return bodyName in PLANET_MAGNITUDE_MODELS;
+}
+
+/**
+ * Reduced magnitude V(1, α) of a planet (Mallama & Hilton 2018)
+ * Geometry may carry ringTilt (Saturn), subLatitude (Uranus) and date (Neptune).
+ * Returns null for bodies without a model.
+ */
+export function calculatePlanetReducedMagnitude(bodyName, phaseAngle, geometry = {}) {
+  const model = PLANET_MAGNITUDE_MODELS[bodyName];
+  return model ? model(phaseAngle, geometry) : null;
+}
+
+/**
+ * Reduced magnitude V(1, α) from an absolute magnitude H and slope parameter G
+ * (IAU H, G system, Bowell et al. 1989)
+ */
+export function calculateReducedMagnitudeHG(absoluteMagnitude, phaseAngle, slopeParameter = DEFAULT_SLOPE_PARAMETER) {
+  const halfTangent = Math.tan(Math.min(phaseAngle, 179) * DEGREES_TO_RADIANS / 2);
+  const phi1 = Math.exp(-3.33 * Math.pow(halfTangent, 0.63));
+  const phi2 = Math.exp(-1.87 * Math.pow(halfTangent, 1.22));
+
+  return absoluteMagnitude - 2.5 * Math.log10((1 - slopeParameter) * phi1 + slopeParameter * phi2);
+}
@@ -0,0 +1,141 @@
+/**
+ * ProceduralTextures - Seeded equirectangular surface maps for bodies without a texture
+ * Every pixel is coloured from noise sampled on the unit sphere, so maps wrap without seams
+ * or pinched poles, and each body is seeded by its name so it looks the same on every load.
+ * Nothing here touches the DOM, so maps can be built in a Web Worker (see TextureWorker.js).
+ */
+
+import { GradientNoise } from './GradientNoise.js';
+import { seedFromString } from './SeededRandom.js';
+import { createProceduralTerrain, directionFromLatLon } from './TerrainGenerator.js';
+
+// Bodies larger than this (km) are taken to be giant planets with banded cloud tops
+const GIANT_RADIUS = 15000;
+
+// Bodies brighter than this (mean of the colour's channels, 0 to 1) are taken to be icy
+const ICY_BRIGHTNESS = 0.7;
+
+// Crater population for rocky bodies without a terrain configuration, scaled by radius
+const DEFAULT_CRATERS = { count: 400, minRadius: 0.01, maxRadius: 0.12 };
+
+/**
+ * Surface style for a body: banded, rocky, icy, cloudy or stellar
+ * A textureStyle in the body's data wins; otherwise the style follows its type, size and colour.
+ */
+export function getSurfaceStyle(data) {
+  if (data?.textureStyle) return data.textureStyle;
+  if (data?.type === 'star') return 'stellar';
+  if (data?.radius > GIANT_RADIUS) return 'banded';
+
+  const color = data?.color ?? 0x888888;
+  const brightness = (((color >> 16) & 255) + ((color >> 8) & 255) + (color & 255)) / (3 * 255);
+  return brightness >= ICY_BRIGHTNESS ? 'icy' : 'rocky';
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+function unpackColor(color) {
+  return [(color >> 16) & 255, (color >> 8) & 255, color & 255];
+}
+
+/**
+ * Shade of a surface style at a direction on the unit sphere, 0 (dark) to 1 (light)
+ */
+function createShader(style, noise, options) {
+  switch (style) {
+  case 'banded':
+    // Zonal bands whose edges are stirred by turbulence
+    return (x, y, z) => {
+      const latitude = y + 0.06 * noise.fractal(x * 3, y * 3, z * 3, 4);
+      const band = noise.fractal(0.37, latitude * 7, 0.71, 3);
+      const streaks = noise.fractal(x * 12, y * 48, z * 12, 3);
+      return (0.5 + 1.4 * band + 0.12 * streaks) * (1 - 0.35 * y ** 4);
+    };
+
+  case 'icy':
+    // Bright ice crossed by dark ridges and fractures (lineae)
+    return (x, y, z) => {
+      const frost = noise.fractal(x * 3, y * 3, z * 3, 4);
+      const ridges = 1 - Math.abs(noise.fractal(x * 5 + 11, y * 5, z * 5, 3));
+      const cracks = 1 - Math.abs(noise.fractal(x * 14, y * 14 + 23, z * 14, 2));
+      return 0.78 + 0.2 * frost
+          - 0.45 * smoothstep(0.93, 0.99, ridges)
+          - 0.25 * smoothstep(0.95, 0.995, cracks);
+    };
+
+  case 'cloudy':
+    // Swirling cloud decks, warped by their own noise, with faint zonal banding
+    return (x, y, z) => {
+      const warp = 1.5 * noise.fractal(x * 2, y * 2, z * 2, 3);
+      const clouds = noise.fractal(x * 3 + warp, y * 5 + warp, z * 3 - warp, 5);
+      return 0.55 + 0.7 * clouds + 0.1 * Math.sin(y * 14 + warp);
+    };
+
+  case 'stellar':
+    // Granulation: bright cells parted by darker lanes
+    return (x, y, z) => {
+      const cells = 1 - Math.abs(noise.fractal(x * 40, y * 40, z * 40, 3));
+      return 0.45 + 0.55 * cells;
+    };
+
+  default: {
+    // Rocky: broad albedo patches, dark crater floors and bright rims and ejecta
+    const radiusKm = options.radiusKm || 1000;
+    const craters = {
+      count: DEFAULT_CRATERS.count,
+      minRadius: DEFAULT_CRATERS.minRadius * radiusKm,
+      maxRadius: DEFAULT_CRATERS.maxRadius * radiusKm
+    };
+
+    // The terrain's own fine relief is left to its normal map
+    const terrain = createProceduralTerrain(options.name, { craters, ...options.terrain, roughness: 0 }, radiusKm);
+    const reliefScale = radiusKm * 0.002;
+
+    return (x, y, z) => {
+      const patches = noise.fractal(x * 2, y * 2, z * 2, 5);
+      const grain = noise.fractal(x * 30, y * 30, z * 30, 2);
+      const relief = Math.max(-0.35, Math.min(0.35, (0.5 * terrain.heightAt(x, y, z)) / reliefScale));
+      return 0.55 + 0.9 * patches + 0.08 * grain + relief;
+    };
+  }
+  }
+}
+
+/**
+ * RGBA pixels of a procedural surface map, equirectangular with row 0 at the south pole as
+ * DataTextures are uploaded
+ * options: name (seed), style, palette ({ dark, mid, light } as 0xRRGGBB), width, height
+ * (defaults to width / 2), radiusKm and terrain (rocky bodies share the terrain's craters)
+ */
+export function generateSurfacePixels(options) {
+  const { name, style, palette, width } = options;
+  const height = options.height || width / 2;
+  const noise = new GradientNoise(seedFromString(name));
+  const shade = createShader(style, noise, options);
+
+  const dark = unpackColor(palette.dark);
+  const mid = unpackColor(palette.mid);
+  const light = unpackColor(palette.light);
+  const pixels = new Uint8Array(width * height * 4);
+
+  for (let row = 0; row < height; row++) {
+    const latitude = ((row + 0.5) / height) * 180 - 90;
+    for (let column = 0; column < width; column++) {
+      const [x, y, z] = directionFromLatLon(latitude, ((column + 0.5) / width) * 360 - 180);
+      const t = Math.min(Math.max(shade(x, y, z), 0), 1);
+
+      // Dark to mid over the lower half of the shade, mid to light over the upper half
+      const [from, to, blend] = t < 0.5 ? [dark, mid, t * 2] : [mid, light, t * 2 - 1];
+      const index = (row * width + column) * 4;
+      pixels[index] = Math.round(from[0] + (to[0] - from[0]) * blend);
+      pixels[index + 1] = Math.round(from[1] + (to[1] - from[1]) * blend);
+      pixels[index + 2] = Math.round(from[2] + (to[2] - from[2]) * blend);
+      pixels[index + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
@@ -0,0 +1,56 @@
+/**
+ * SeededRandom - Small deterministic pseudo-random number generator (mulberry32)
+ * Used wherever generated content must look the same on every load
+ */
+
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Next random number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random number in [min, max)
+   */
+  range(min, max) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Normally distributed random number (Box-Muller)
+   */
+  gaussian(mean = 0, sigma = 1) {
+    const u = 1 - this.next(); // Avoid log(0)
+    const v = this.next();
+    return mean + sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Rayleigh distributed random number (typical for small-body inclinations)
+   */
+  rayleigh(sigma) {
+    return sigma * Math.sqrt(-2 * Math.log(1 - this.next()));
+  }
+}
+
+/**
+ * Seed derived from a string (FNV-1a hash), so each body can have its own repeatable stream
+ */
+export function seedFromString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
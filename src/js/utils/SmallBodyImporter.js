@@ -0,0 +1,405 @@
+/**
+ * SmallBodyImporter - Parse small-body orbital elements from standard catalogue formats
+ * Supports Minor Planet Center MPCORB one-line records and JPL Small-Body Database
+ * (SBDB) JSON and CSV exports, converting them to the element shape used by
+ * calculateHeliocentricPosition (J2000 mean longitude, AU, degrees, days)
+ */
+
+const J2000_EPOCH = 2451545.0; // Julian date for J2000.0 epoch
+const MJD_OFFSET = 2400000.5; // Julian date of Modified Julian Date zero
+const GAUSSIAN_GRAVITATIONAL_CONSTANT = 0.01720209895; // rad/day (gives AU-based mean motion)
+const DEFAULT_ALBEDO = 0.14; // Typical asteroid geometric albedo when none is known
+const DEFAULT_DENSITY = 2000; // kg/m³ for mass estimates
+const DEFAULT_COMET_RADIUS = 2; // km
+const DEFAULT_ROTATION_PERIOD = 8; // hours
+
+/**
+ * Parse a small-body file, detecting the format from its name and contents
+ */
+export function parseSmallBodyFile(text, fileName = '') {
+  const format = detectFormat(text, fileName);
+
+  switch (format) {
+  case 'mpcorb':
+    return parseMPCORB(text);
+  case 'sbdb-json':
+    return parseSBDBJSON(text);
+  case 'sbdb-csv':
+    return parseSBDBCSV(text);
+  default:
+    throw new Error(`Unrecognised small-body file format: ${fileName || 'unnamed file'}`);
+  }
+}
+
+/**
+ * Detect the file format ('mpcorb', 'sbdb-json' or 'sbdb-csv')
+ */
+export function detectFormat(text, fileName = '') {
+  const trimmed = text.trim();
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return 'sbdb-json';
+  }
+
+  if (extension === 'csv') {
+    return 'sbdb-csv';
+  }
+
+  // MPCORB records have the orbital elements in fixed columns
+  const firstRecord = trimmed.split(/\r?\n/).find(line => isMPCORBRecord(line));
+  if (firstRecord) {
+    return 'mpcorb';
+  }
+
+  // Fall back to CSV when the first line looks like a header
+  const header = trimmed.split(/\r?\n/)[0] || '';
+  if (header.includes(',') && /\be\b/.test(header)) {
+    return 'sbdb-csv';
+  }
+
+  return null;
+}
+
+/**
+ * Parse Minor Planet Center MPCORB one-line records (header lines are skipped)
+ */
+export function parseMPCORB(text) {
+  const bodies = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!isMPCORBRecord(line)) return;
+
+    const packedDesignation = line.slice(0, 7).trim();
+    const readableDesignation = line.slice(166, 194).trim();
+    const absoluteMagnitude = parseOptionalFloat(line.slice(8, 13));
+    const slopeParameter = parseOptionalFloat(line.slice(14, 19));
+
+    const elements = {
+      epoch: unpackEpoch(line.slice(20, 25).trim()),
+      meanAnomaly: parseFloat(line.slice(26, 35)),
+      argumentOfPerihelion: parseFloat(line.slice(37, 46)),
+      longitudeOfAscendingNode: parseFloat(line.slice(48, 57)),
+      inclination: parseFloat(line.slice(59, 68)),
+      eccentricity: parseFloat(line.slice(70, 79)),
+      meanMotion: parseFloat(line.slice(80, 91)),
+      semiMajorAxis: parseFloat(line.slice(92, 103))
+    };
+
+    bodies.push(createBodyData({
+      designation: readableDesignation || packedDesignation,
+      type: 'asteroid',
+      absoluteMagnitude,
+      slopeParameter,
+      source: 'MPCORB'
+    }, elements));
+  });
+
+  return bodies.filter(Boolean);
+}
+
+/**
+ * Check whether a line is an MPCORB orbit record
+ */
+function isMPCORBRecord(line) {
+  if (line.length < 103) return false;
+
+  // Epoch is packed (e.g. K2555) and the element columns are numeric
+  return /^[I-L]\d{2}[1-9A-C][1-9A-V]$/.test(line.slice(20, 25)) &&
+    !isNaN(parseFloat(line.slice(70, 79))) &&
+    !isNaN(parseFloat(line.slice(92, 103)));
+}
+
+/**
+ * Unpack an MPC packed epoch (e.g. K2555 → 2025-05-05) to a Julian date
+ */
+export function unpackEpoch(packed) {
+  const centuries = { I: 1800, J: 1900, K: 2000, L: 2100 };
+  const year = centuries[packed[0]] + parseInt(packed.slice(1, 3), 10);
+  const month = unpackDigit(packed[3]);
+  const day = unpackDigit(packed[4]);
+
+  return Date.UTC(year, month - 1, day) / 86400000 + 2440587.5;
+}
+
+/**
+ * Unpack a single MPC packed digit (1-9, then A=10 ... V=31)
+ */
+function unpackDigit(character) {
+  if (/\d/.test(character)) {
+    return parseInt(character, 10);
+  }
+  return character.charCodeAt(0) - 'A'.charCodeAt(0) + 10;
+}
+
+/**
+ * Parse JPL SBDB JSON (single-object API responses, query API results or arrays)
+ */
+export function parseSBDBJSON(input) {
+  const json = typeof input === 'string' ? JSON.parse(input) : input;
+
+  // Array of objects or responses
+  if (Array.isArray(json)) {
+    return json.flatMap(item => parseSBDBJSON(item));
+  }
+
+  // SBDB query API: { fields: [...], data: [[...], ...] }
+  if (Array.isArray(json.fields) && Array.isArray(json.data)) {
+    return json.data
+      .map(row => createBodyFromRecord(Object.fromEntries(json.fields.map((field, i) => [field, row[i]]))))
+      .filter(Boolean);
+  }
+
+  // SBDB single-object API: { object: {...}, orbit: { elements: [...] }, phys_par: [...] }
+  if (json.orbit && Array.isArray(json.orbit.elements)) {
+    const record = {
+      full_name: json.object?.fullname || json.object?.des,
+      kind: json.object?.kind,
+      epoch: json.orbit.epoch
+    };
+
+    json.orbit.elements.forEach((element) => {
+      record[element.name] = element.value;
+    });
+
+    (json.phys_par || []).forEach((parameter) => {
+      record[parameter.name] = parameter.value;
+    });
+
+    const body = createBodyFromRecord(record);
+    return body ? [body] : [];
+  }
+
+  // Flat record with SBDB field names
+  const body = createBodyFromRecord(json);
+  return body ? [body] : [];
+}
+
+/**
+ * Parse a JPL SBDB CSV export (first line holds the SBDB field names)
+ */
+export function parseSBDBCSV(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(parseCSVLine);
+  if (rows.length < 2) return [];
+
+  const header = rows[0].map(field => field.trim());
+
+  return rows.slice(1)
+    .map(row => createBodyFromRecord(Object.fromEntries(header.map((field, i) => [field, row[i]]))))
+    .filter(Boolean);
+}
+
+/**
+ * Split one CSV line, honouring quoted fields
+ */
+function parseCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i];
+
+    if (inQuotes) {
+      if (character === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      inQuotes = true;
+    } else if (character === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Build body data from a record using SBDB field names
+ */
+function createBodyFromRecord(record) {
+  const designation = String(record.full_name || record.name || record.pdes || record.des || '').trim();
+  const eccentricity = parseOptionalFloat(record.e);
+  const perihelionDistance = parseOptionalFloat(record.q);
+
+  // Semi-major axis, derived from perihelion distance for comet-style records
+  let semiMajorAxis = parseOptionalFloat(record.a);
+  if (semiMajorAxis === null && perihelionDistance !== null && eccentricity !== null && eccentricity < 1) {
+    semiMajorAxis = perihelionDistance / (1 - eccentricity);
+  }
+
+  // Epoch as Julian date (SBDB also exports Modified Julian Dates)
+  let epoch = parseOptionalFloat(record.epoch);
+  if (epoch === null && record.epoch_mjd !== undefined) {
+    epoch = parseOptionalFloat(record.epoch_mjd) + MJD_OFFSET;
+  }
+
+  const elements = {
+    epoch,
+    semiMajorAxis,
+    eccentricity,
+    inclination: parseOptionalFloat(record.i),
+    longitudeOfAscendingNode: parseOptionalFloat(record.om),
+    argumentOfPerihelion: parseOptionalFloat(record.w),
+    meanAnomaly: parseOptionalFloat(record.ma),
+    meanMotion: parseOptionalFloat(record.n),
+    orbitalPeriod: parseOptionalFloat(record.per),
+    timeOfPerihelion: parseOptionalFloat(record.tp)
+  };
+
+  return createBodyData({
+    designation,
+    type: getTypeFromRecord(record, designation),
+    absoluteMagnitude: parseOptionalFloat(record.H),
+    slopeParameter: parseOptionalFloat(record.G),
+    diameter: parseOptionalFloat(record.diameter),
+    albedo: parseOptionalFloat(record.albedo),
+    rotationPeriod: parseOptionalFloat(record.rot_per),
+    source: 'JPL SBDB'
+  }, elements);
+}
+
+/**
+ * Classify a record as 'comet' or 'asteroid'
+ */
+function getTypeFromRecord(record, designation) {
+  if (record.kind) {
+    return String(record.kind).startsWith('c') ? 'comet' : 'asteroid';
+  }
+
+  // Comet designations: 1P/Halley, C/1995 O1, P/2010 A2, 73P-B ...
+  return /(^|\s|\()(\d*[PCDXI](-[A-Z]+)?\/|\d+P\b)/.test(designation) ? 'comet' : 'asteroid';
+}
+
+/**
+ * Convert parsed elements to the element shape used by calculateHeliocentricPosition
+ * Returns null (with a warning) when the orbit cannot be represented
+ */
+function createBodyData(info, elements) {
+  const { designation } = info;
+  const { semiMajorAxis, eccentricity } = elements;
+
+  const required = ['semiMajorAxis', 'eccentricity', 'inclination', 'longitudeOfAscendingNode', 'argumentOfPerihelion', 'epoch'];
+  const missing = required.filter(key => elements[key] === null || Number.isNaN(elements[key]));
+  if (!designation || missing.length > 0) {
+    console.warn(`⚠️ Skipping ${designation || 'unnamed record'}: missing ${missing.join(', ') || 'designation'}`);
+    return null;
+  }
+
+  if (eccentricity >= 1 || semiMajorAxis <= 0) {
+    console.warn(`⚠️ Skipping ${designation}: open (parabolic or hyperbolic) orbits are not supported`);
+    return null;
+  }
+
+  // Mean motion (deg/day) and period (days)
+  let meanMotion = elements.meanMotion;
+  if (meanMotion === null || Number.isNaN(meanMotion)) {
+    meanMotion = elements.orbitalPeriod
+      ? 360 / elements.orbitalPeriod
+      : GAUSSIAN_GRAVITATIONAL_CONSTANT * (180 / Math.PI) / Math.pow(semiMajorAxis, 1.5);
+  }
+  const orbitalPeriod = 360 / meanMotion;
+
+  // Mean anomaly at the element epoch (from the time of perihelion if needed)
+  let meanAnomaly = elements.meanAnomaly;
+  if ((meanAnomaly === null || Number.isNaN(meanAnomaly)) && elements.timeOfPerihelion !== null) {
+    meanAnomaly = meanMotion * (elements.epoch - elements.timeOfPerihelion);
+  }
+  if (meanAnomaly === null || Number.isNaN(meanAnomaly)) {
+    console.warn(`⚠️ Skipping ${designation}: missing mean anomaly or time of perihelion`);
+    return null;
+  }
+
+  // Propagate the mean anomaly back to J2000 to match the built-in elements
+  const meanAnomalyJ2000 = meanAnomaly - meanMotion * (elements.epoch - J2000_EPOCH);
+  const longitudeOfPerihelion = normalizeDegrees(elements.longitudeOfAscendingNode + elements.argumentOfPerihelion);
+  const meanLongitude = normalizeDegrees(longitudeOfPerihelion + meanAnomalyJ2000);
+
+  const radius = estimateRadius(info);
+  const isComet = info.type === 'comet';
+
+  return {
+    key: createBodyKey(designation),
+    type: info.type,
+    designation,
+    displayName: designation.replace(/^\((\d+)\)\s*/, '$1 '),
+    source: info.source,
+
+    // Physical properties (estimated when the catalogue has none)
+    radius, // km
+    mass: (4 / 3) * Math.PI * Math.pow(radius * 1000, 3) * DEFAULT_DENSITY, // kg
+    rotationPeriod: info.rotationPeriod || DEFAULT_ROTATION_PERIOD, // hours
+    axialTilt: 0,
+    absoluteMagnitude: info.absoluteMagnitude,
+    slopeParameter: info.slopeParameter ?? null, // G of the H, G magnitude system
+
+    // Visual properties
+    color: isComet ? 0x8a8a8a : 0x8a8070,
+    emissive: 0x000000,
+    emissiveIntensity: 0,
+
+    // Orbital elements (J2000 mean longitude)
+    semiMajorAxis, // AU
+    orbitalPeriod, // days
+    eccentricity,
+    inclination: elements.inclination,
+    longitudeOfAscendingNode: elements.longitudeOfAscendingNode,
+    longitudeOfPerihelion,
+    meanLongitude
+  };
+}
+
+/**
+ * Estimate a radius (km) from the catalogue diameter or absolute magnitude
+ */
+function estimateRadius(info) {
+  if (info.diameter) {
+    return info.diameter / 2;
+  }
+
+  if (info.absoluteMagnitude !== null && info.absoluteMagnitude !== undefined && info.type !== 'comet') {
+    // D = 1329 km / sqrt(albedo) × 10^(-H/5)
+    const albedo = info.albedo || DEFAULT_ALBEDO;
+    return (1329 / Math.sqrt(albedo)) * Math.pow(10, -info.absoluteMagnitude / 5) / 2;
+  }
+
+  return DEFAULT_COMET_RADIUS;
+}
+
+/**
+ * Create a body key from a designation, e.g. "(433) Eros" → "433-eros"
+ */
+export function createBodyKey(designation) {
+  return designation
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Parse a number, returning null for empty or missing values
+ */
+function parseOptionalFloat(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Normalize an angle to 0-360 degrees
+ */
+function normalizeDegrees(angle) {
+  return ((angle % 360) + 360) % 360;
+}
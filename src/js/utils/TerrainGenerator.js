@@ -0,0 +1,314 @@
+/**
+ * TerrainGenerator - Surface relief for rocky bodies, in km above the mean radius
+ * Terrain is either read from an equirectangular heightmap (DEM) or built procedurally from
+ * noise, a seeded crater population and named landmarks, so a body looks the same on every
+ * load. Directions are unit vectors in the body's mesh frame (north +Y, longitude 0 at +X,
+ * east towards -Z), matching the UVs of THREE.SphereGeometry.
+ */
+
+import * as THREE from 'three';
+import { GradientNoise } from './GradientNoise.js';
+import { SeededRandom, seedFromString } from './SeededRandom.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Fractal relief: noise frequency over the unit sphere and number of octaves
+const ROUGHNESS_FREQUENCY = 4;
+const ROUGHNESS_OCTAVES = 6;
+
+// Ejecta blankets reach this many crater radii from the centre
+const EJECTA_EXTENT = 2;
+
+// Craters wider than this (km) collapse into shallow, flat-floored complex craters
+const COMPLEX_DIAMETER = 15;
+
+// Craters are bucketed on a latitude/longitude grid (degrees per cell) for quick lookup
+const CELL_SIZE = 5;
+const CELL_ROWS = 180 / CELL_SIZE;
+const CELL_COLUMNS = 360 / CELL_SIZE;
+
+/**
+ * Unit direction of a latitude and east longitude (degrees) in the mesh frame
+ */
+export function directionFromLatLon(latitude, longitude) {
+  const lat = latitude * DEG_TO_RAD;
+  const lon = longitude * DEG_TO_RAD;
+  return [Math.cos(lat) * Math.cos(lon), Math.sin(lat), -Math.cos(lat) * Math.sin(lon)];
+}
+
+/**
+ * Bowl depth and rim height (km) for a crater diameter, after Pike's lunar crater morphometry
+ */
+export function getCraterShape(diameter) {
+  return {
+    depth: Math.min(0.2 * diameter, 1.044 * diameter ** 0.301),
+    rimHeight: Math.min(0.036 * diameter ** 1.014, 0.236 * diameter ** 0.399)
+  };
+}
+
+/**
+ * Height of a crater at s crater radii from its centre
+ * A parabolic bowl rises to the rim, complex craters keep a flat floor, and the ejecta
+ * blanket thins with the cube of distance.
+ */
+function craterProfile(s, crater) {
+  if (s < 1) {
+    const wall = Math.max(0, (s - crater.floor) / (1 - crater.floor));
+    return -crater.depth + (crater.depth + crater.rimHeight) * wall * wall;
+  }
+
+  const falloff = EJECTA_EXTENT ** -3;
+  return crater.rimHeight * Math.max(0, (s ** -3 - falloff) / (1 - falloff));
+}
+
+/**
+ * Height of a shield volcano at s radii from its summit, with a summit caldera
+ */
+function volcanoProfile(s, feature, distanceKm) {
+  if (s >= 1) return 0;
+
+  let height = feature.height * (1 - s ** 1.5);
+  if (feature.calderaRadius && distanceKm < feature.calderaRadius) {
+    height -= feature.calderaDepth * (1 - (distanceKm / feature.calderaRadius) ** 4);
+  }
+  return height;
+}
+
+/**
+ * Height of an impact basin: a broad depression ringed by a low rim
+ */
+function basinProfile(s, feature) {
+  const rimHeight = feature.rimHeight ?? feature.depth * 0.15;
+  const rim = rimHeight * Math.exp(-(((s - 1) / 0.15) ** 2));
+  return s < 1 ? rim - feature.depth * 0.5 * (1 + Math.cos(Math.PI * s)) : rim;
+}
+
+function createCrater(direction, radius, options = {}) {
+  const diameter = radius * 2;
+  const shape = getCraterShape(diameter);
+  return {
+    direction,
+    radius,
+    depth: options.depth ?? shape.depth,
+    rimHeight: options.rimHeight ?? shape.rimHeight,
+    floor: THREE.MathUtils.clamp((diameter - COMPLEX_DIAMETER) / (4 * COMPLEX_DIAMETER), 0, 0.5)
+  };
+}
+
+/**
+ * Random crater population, with sizes following the cumulative N(>r) ∝ r^-2 law
+ */
+function generateCraters(random, { count = 0, minRadius = 5, maxRadius = 100 }) {
+  const craters = [];
+  const sizeRange = 1 - (minRadius / maxRadius) ** 2;
+
+  for (let i = 0; i < count; i++) {
+    const z = random.range(-1, 1);
+    const theta = random.range(0, 2 * Math.PI);
+    const ring = Math.sqrt(1 - z * z);
+    const radius = minRadius / Math.sqrt(1 - random.next() * sizeRange);
+    craters.push(createCrater([ring * Math.cos(theta), z, ring * Math.sin(theta)], radius));
+  }
+
+  return craters;
+}
+
+/**
+ * Grid cells (indices) that a circle of angular radius (radians) about a direction touches
+ */
+function getCells(direction, angularRadius) {
+  const latitude = Math.asin(THREE.MathUtils.clamp(direction[1], -1, 1));
+  const longitude = Math.atan2(-direction[2], direction[0]);
+  const reach = angularRadius / DEG_TO_RAD;
+  const lat = latitude / DEG_TO_RAD;
+
+  const firstRow = Math.max(0, Math.floor((lat - reach + 90) / CELL_SIZE));
+  const lastRow = Math.min(CELL_ROWS - 1, Math.floor((lat + reach + 90) / CELL_SIZE));
+
+  // Near the poles a small circle spans every longitude
+  const widestLatitude = Math.min(90, Math.abs(lat) + reach);
+  const lonReach = widestLatitude >= 90 - CELL_SIZE ? 180 : reach / Math.cos(widestLatitude * DEG_TO_RAD);
+  const lon = longitude / DEG_TO_RAD;
+  const firstColumn = Math.floor((lon - lonReach + 180) / CELL_SIZE);
+  const lastColumn = Math.min(firstColumn + CELL_COLUMNS - 1, Math.floor((lon + lonReach + 180) / CELL_SIZE));
+
+  const cells = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      cells.push(row * CELL_COLUMNS + (((column % CELL_COLUMNS) + CELL_COLUMNS) % CELL_COLUMNS));
+    }
+  }
+  return cells;
+}
+
+/**
+ * Procedural terrain for a body from its terrain configuration
+ * config: roughness (km amplitude of fractal relief), craters ({ count, minRadius,
+ * maxRadius } in km) and features (named craters, volcanoes and basins at a latitude and
+ * east longitude, with radius, height or depth in km). Seeded by the body's name.
+ */
+export function createProceduralTerrain(bodyName, config, radiusKm) {
+  const seed = seedFromString(bodyName);
+  const noise = new GradientNoise(seed);
+  const random = new SeededRandom(seed);
+  const roughness = config.roughness || 0;
+
+  const craters = config.craters ? generateCraters(random, config.craters) : [];
+  const features = [];
+
+  (config.features || []).forEach((feature) => {
+    const direction = directionFromLatLon(feature.latitude, feature.longitude);
+    if (feature.type === 'crater') {
+      craters.push(createCrater(direction, feature.radius, feature));
+    } else {
+      features.push({ ...feature, direction });
+    }
+  });
+
+  // Bucket craters by the cells their ejecta reach
+  const cells = Array.from({ length: CELL_ROWS * CELL_COLUMNS }, () => []);
+  craters.forEach((crater) => {
+    const angularRadius = (crater.radius * EJECTA_EXTENT) / radiusKm;
+    crater.cosReach = Math.cos(angularRadius);
+    getCells(crater.direction, angularRadius).forEach(cell => cells[cell].push(crater));
+  });
+
+  const heightAt = (x, y, z) => {
+    let height = roughness * noise.fractal(x * ROUGHNESS_FREQUENCY, y * ROUGHNESS_FREQUENCY, z * ROUGHNESS_FREQUENCY, ROUGHNESS_OCTAVES);
+
+    const row = Math.min(CELL_ROWS - 1, Math.floor((Math.asin(THREE.MathUtils.clamp(y, -1, 1)) / DEG_TO_RAD + 90) / CELL_SIZE));
+    const column = Math.min(CELL_COLUMNS - 1, Math.floor((Math.atan2(-z, x) / DEG_TO_RAD + 180) / CELL_SIZE));
+    cells[row * CELL_COLUMNS + column].forEach((crater) => {
+      const [cx, cy, cz] = crater.direction;
+      const cosAngle = x * cx + y * cy + z * cz;
+      if (cosAngle <= crater.cosReach) return;
+      height += craterProfile((Math.acos(Math.min(cosAngle, 1)) * radiusKm) / crater.radius, crater);
+    });
+
+    features.forEach((feature) => {
+      const [fx, fy, fz] = feature.direction;
+      const distanceKm = Math.acos(THREE.MathUtils.clamp(x * fx + y * fy + z * fz, -1, 1)) * radiusKm;
+      const s = distanceKm / feature.radius;
+      if (feature.type === 'volcano') {
+        height += volcanoProfile(s, feature, distanceKm);
+      } else if (feature.type === 'basin') {
+        height += basinProfile(s, feature);
+      }
+    });
+
+    return height;
+  };
+
+  return { heightAt, craterCount: craters.length };
+}
+
+/**
+ * Terrain sampled from an equirectangular grid of heights (km), row 0 at the north pole
+ */
+export function createHeightmapTerrain(heights, width, height) {
+  const sample = (column, row) => heights[row * width + (((column % width) + width) % width)];
+
+  const heightAt = (x, y, z) => {
+    // Pixel centres sit half a pixel in from the edges; longitude wraps, latitude clamps
+    const u = Math.atan2(-z, x) / (2 * Math.PI) + 0.5;
+    const v = 0.5 - Math.asin(THREE.MathUtils.clamp(y, -1, 1)) / Math.PI;
+    const px = u * width - 0.5;
+    const py = THREE.MathUtils.clamp(v * height - 0.5, 0, height - 1);
+    const column = Math.floor(px);
+    const row = Math.min(Math.floor(py), height - 2);
+    const fx = px - column;
+    const fy = py - row;
+
+    const top = sample(column, row) * (1 - fx) + sample(column + 1, row) * fx;
+    const bottom = sample(column, row + 1) * (1 - fx) + sample(column + 1, row + 1) * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+
+  return { heightAt };
+}
+
+/**
+ * Load a greyscale heightmap image, black at minHeight and white at maxHeight (km)
+ * Only 8 bits of the image are read, since browsers decode images to 8-bit canvases.
+ */
+export function loadHeightmapTerrain(url, minHeight, maxHeight) {
+  return new Promise((resolve, reject) => {
+    new THREE.ImageLoader().load(
+      url,
+      (image) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        const pixels = ctx.getImageData(0, 0, image.width, image.height).data;
+
+        const heights = new Float32Array(image.width * image.height);
+        for (let i = 0; i < heights.length; i++) {
+          heights[i] = minHeight + (maxHeight - minHeight) * (pixels[i * 4] / 255);
+        }
+        resolve(createHeightmapTerrain(heights, image.width, image.height));
+      },
+      undefined,
+      reject
+    );
+  });
+}
+
+/**
+ * Tangent-space normal map pixels (RGBA) for a terrain, equirectangular with row 0 at the
+ * south pole as DataTextures are uploaded; red points east and green north
+ */
+export function createTerrainNormalData(terrain, radiusKm, width = 1024, height = 512) {
+  const heights = new Float32Array(width * height);
+  for (let row = 0; row < height; row++) {
+    const [, y] = directionFromLatLon(((row + 0.5) / height) * 180 - 90, 0);
+    const ring = Math.sqrt(1 - y * y);
+    for (let column = 0; column < width; column++) {
+      const lon = (((column + 0.5) / width) * 360 - 180) * DEG_TO_RAD;
+      heights[row * width + column] = terrain.heightAt(ring * Math.cos(lon), y, -ring * Math.sin(lon));
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  const northStep = (Math.PI * radiusKm) / height;
+  const normal = new THREE.Vector3();
+
+  for (let row = 0; row < height; row++) {
+    const latitude = (((row + 0.5) / height) * 180 - 90) * DEG_TO_RAD;
+    const eastStep = Math.max((2 * Math.PI * radiusKm * Math.cos(latitude)) / width, northStep * 0.01);
+    const north = Math.min(row + 1, height - 1);
+    const south = Math.max(row - 1, 0);
+
+    for (let column = 0; column < width; column++) {
+      const east = (column + 1) % width;
+      const west = (column - 1 + width) % width;
+      const slopeEast = (heights[row * width + east] - heights[row * width + west]) / (2 * eastStep);
+      const slopeNorth = (heights[north * width + column] - heights[south * width + column]) / ((north - south) * northStep);
+
+      normal.set(-slopeEast, -slopeNorth, 1).normalize();
+      const index = (row * width + column) * 4;
+      data[index] = Math.round((normal.x * 0.5 + 0.5) * 255);
+      data[index + 1] = Math.round((normal.y * 0.5 + 0.5) * 255);
+      data[index + 2] = Math.round((normal.z * 0.5 + 0.5) * 255);
+      data[index + 3] = 255;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Normal map texture for a terrain, wrapped around the body's sphere
+ */
+export function createTerrainNormalMap(terrain, radiusKm, width = 1024, height = 512) {
+  const texture = new THREE.DataTexture(createTerrainNormalData(terrain, radiusKm, width, height), width, height, THREE.RGBAFormat);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.anisotropy = 4;
+  texture.needsUpdate = true;
+  return texture;
+}
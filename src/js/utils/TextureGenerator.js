@@ -1,46 +1,108 @@
 /**
  * TextureGenerator - Creates procedural textures as fallbacks
+ * Surface maps are generated in a Web Worker where one is available, so bodies without a
+ * texture do not stall loading.
  */
 
 import * as THREE from 'three';
+import { getBodyData } from '../data/SolarSystemData.js';
+import { generateSurfacePixels, getSurfaceStyle } from './ProceduralTextures.js';
+
+// Shared worker and the requests waiting on it
+let textureWorker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Start the texture worker, or return null where workers are unavailable or fail to start
+ */
+function getTextureWorker() {
+  if (textureWorker || typeof Worker === 'undefined') return textureWorker;
+
+  try {
+    textureWorker = new Worker(new URL('./TextureWorker.js', import.meta.url), { type: 'module' });
+    textureWorker.onmessage = (event) => {
+      const { id, pixels, error } = event.data;
+      const request = pendingRequests.get(id);
+      pendingRequests.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(pixels);
+      }
+    };
+    textureWorker.onerror = (event) => {
+      console.warn('⚠️ Texture worker failed, generating textures on the main thread:', event.message);
+      textureWorker = null;
+      pendingRequests.forEach(request => request.reject(new Error('Texture worker failed')));
+      pendingRequests.clear();
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not start texture worker:', error);
+    textureWorker = null;
+  }
+
+  return textureWorker;
+}
 
 export class TextureGenerator {
   /**
-   * Create a procedural planet texture
+   * Create a procedural equirectangular surface texture for a body
+   * The style (banded, rocky, icy, cloudy or stellar) and palette come from the body's data.
    */
-  static createPlanetTexture(planetName, size = 512) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    // Create gradient based on planet
+  static async createPlanetTexture(planetName, width = 512) {
+    const data = getBodyData(planetName);
     const colors = this.getPlanetColors(planetName);
-    
-    // Create base gradient
-    const gradient = ctx.createRadialGradient(
-      size / 2, size / 2, 0,
-      size / 2, size / 2, size / 2
-    );
-    
-    gradient.addColorStop(0, colors.center);
-    gradient.addColorStop(0.7, colors.middle);
-    gradient.addColorStop(1, colors.edge);
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, size, size);
-    
-    // Add some noise/texture
-    this.addNoise(ctx, size, planetName);
-    
-    // Create Three.js texture
-    const texture = new THREE.CanvasTexture(canvas);
+    const options = {
+      name: planetName,
+      style: getSurfaceStyle(data),
+      palette: {
+        dark: parseInt(colors.edge.slice(1), 16),
+        mid: parseInt(colors.middle.slice(1), 16),
+        light: parseInt(colors.center.slice(1), 16)
+      },
+      width,
+      height: width / 2,
+      radiusKm: data?.radius,
+      terrain: data?.terrain
+    };
+
+    let pixels;
+    try {
+      pixels = await this.generateInWorker(options);
+    } catch (error) {
+      console.warn(`⚠️ Generating ${planetName} texture on the main thread:`, error.message);
+      pixels = generateSurfacePixels(options);
+    }
+
+    const texture = new THREE.DataTexture(pixels, width, width / 2, THREE.RGBAFormat);
     texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-    
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.anisotropy = 4;
+    texture.needsUpdate = true;
+
     return texture;
   }
 
+  /**
+   * Generate surface pixels in the texture worker
+   */
+  static generateInWorker(options) {
+    const worker = getTextureWorker();
+    if (!worker) {
+      return Promise.reject(new Error('Web Workers are unavailable'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = nextRequestId++;
+      pendingRequests.set(id, { resolve, reject });
+      worker.postMessage({ id, options });
+    });
+  }
+
   /**
    * Get color scheme for each planet
    */
@@ -95,27 +157,139 @@ export class TextureGenerator {
         center: '#cccccc',
         middle: '#aaaaaa',
         edge: '#888888'
+      },
+      phobos: {
+        center: '#9e9284',
+        middle: '#8a7f73',
+        edge: '#675f56'
+      },
+      deimos: {
+        center: '#bbb1a1',
+        middle: '#a39a8c',
+        edge: '#7a7369'
+      },
+      io: {
+        center: '#fff279',
+        middle: '#e8d36a',
+        edge: '#ae9e4f'
+      },
+      europa: {
+        center: '#ebd4b1',
+        middle: '#cdb99a',
+        edge: '#998a73'
+      },
+      ganymede: {
+        center: '#b3a596',
+        middle: '#9c9083',
+        edge: '#756c62'
+      },
+      callisto: {
+        center: '#7e7164',
+        middle: '#6e6357',
+        edge: '#524a41'
+      },
+      enceladus: {
+        center: '#ffffff',
+        middle: '#f4f6f8',
+        edge: '#b7b8ba'
+      },
+      rhea: {
+        center: '#e5e1d9',
+        middle: '#c8c4bd',
+        edge: '#96938d'
+      },
+      titan: {
+        center: '#f9bd5e',
+        middle: '#d9a552',
+        edge: '#a27b3d'
+      },
+      iapetus: {
+        center: '#b29f84',
+        middle: '#9b8b73',
+        edge: '#746856'
+      },
+      miranda: {
+        center: '#d0d0ca',
+        middle: '#b5b5b0',
+        edge: '#878784'
+      },
+      ariel: {
+        center: '#e1dfd9',
+        middle: '#c4c2bd',
+        edge: '#93918d'
+      },
+      titania: {
+        center: '#cac1b5',
+        middle: '#b0a89e',
+        edge: '#847e76'
+      },
+      oberon: {
+        center: '#b5aa9e',
+        middle: '#9e948a',
+        edge: '#766f67'
+      },
+      triton: {
+        center: '#f6e7dd',
+        middle: '#d6c9c1',
+        edge: '#a09690'
+      },
+      pluto: {
+        center: '#f0dcc0',
+        middle: '#d9c4a8',
+        edge: '#a8876a'
+      },
+      ceres: {
+        center: '#b5b1ab',
+        middle: '#9e9a94',
+        edge: '#75726d'
+      },
+      eris: {
+        center: '#ffffff',
+        middle: '#e8e8e8',
+        edge: '#b8b8b8'
+      },
+      haumea: {
+        center: '#f4f4f4',
+        middle: '#dddddd',
+        edge: '#aaaaaa'
+      },
+      makemake: {
+        center: '#e0a77e',
+        middle: '#c8926b',
+        edge: '#946a4d'
+      },
+      halley: {
+        center: '#6e6e6e',
+        middle: '#555555',
+        edge: '#3a3a3a'
+      },
+      encke: {
+        center: '#707070',
+        middle: '#575757',
+        edge: '#3c3c3c'
+      },
+      haleBopp: {
+        center: '#787878',
+        middle: '#5c5c5c',
+        edge: '#404040'
       }
     };
 
-    return colorSchemes[planetName] || colorSchemes.moon;
+    return colorSchemes[planetName] || this.getColorsFromBody(planetName);
   }
 
   /**
-   * Add noise/texture patterns
+   * Color scheme around a body's own colour, for bodies without a scheme of their own
    */
-  static addNoise(ctx, size, _planetName) {
-    const imageData = ctx.getImageData(0, 0, size, size);
-    const data = imageData.data;
-
-    for (let i = 0; i < data.length; i += 4) {
-      const noise = (Math.random() - 0.5) * 30;
-      data[i] = Math.max(0, Math.min(255, data[i] + noise));     // R
-      data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise)); // G
-      data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise)); // B
-    }
+  static getColorsFromBody(planetName) {
+    const color = new THREE.Color(getBodyData(planetName)?.color ?? 0xaaaaaa);
+    const toHex = scale => `#${color.clone().multiplyScalar(scale).getHexString()}`;
 
-    ctx.putImageData(imageData, 0, 0);
+    return {
+      center: `#${color.clone().lerp(new THREE.Color(0xffffff), 0.2).getHexString()}`,
+      middle: toHex(1),
+      edge: toHex(0.75)
+    };
   }
 
   /**
@@ -151,34 +325,4 @@ export class TextureGenerator {
 
     return texture;
   }
-
-  /**
-   * Create a simple normal map
-   */
-  static createNormalMap(size = 512) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    // Create a simple normal map (mostly flat with some variation)
-    const imageData = ctx.createImageData(size, size);
-    const data = imageData.data;
-
-    for (let i = 0; i < data.length; i += 4) {
-      // Normal map: R = X, G = Y, B = Z (pointing outward)
-      data[i] = 128 + (Math.random() - 0.5) * 20;     // X (red)
-      data[i + 1] = 128 + (Math.random() - 0.5) * 20; // Y (green)
-      data[i + 2] = 255;                               // Z (blue) - pointing out
-      data[i + 3] = 255;                               // Alpha
-    }
-
-    ctx.putImageData(imageData, 0, 0);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-
-    return texture;
-  }
 }
@@ -0,0 +1,18 @@
+/**
+ * TextureWorker - Builds procedural surface maps off the main thread
+ * Receives { id, options } for generateSurfacePixels and replies with { id, pixels }, handing
+ * the pixel buffer over rather than copying it.
+ */
+
+import { generateSurfacePixels } from './ProceduralTextures.js';
+
+self.onmessage = (event) => {
+  const { id, options } = event.data;
+
+  try {
+    const pixels = generateSurfacePixels(options);
+    self.postMessage({ id, pixels }, [pixels.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
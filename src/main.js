@@ -146,6 +146,7 @@ class SolarSystemApp {
 
     // Initialize planet travel system
     this.sceneManager.initializeTravelSystem(this.navigationControls);
+    this.sceneManager.initializeObserverSystem(this.navigationControls);
 
     this.loadingManager.updateProgress(80, 'Initializing user interface...');
 
@@ -266,7 +267,7 @@ class SolarSystemApp {
 
     // Render the scene
     if (this.sceneManager) {
-      this.sceneManager.render();
+      this.sceneManager.render(deltaTime);
     }
 
     // Update stats
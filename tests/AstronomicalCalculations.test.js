@@ -0,0 +1,352 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  solveKeplersEquation,
+  calculateTrueAnomaly,
+  transformToEcliptic,
+  calculateHeliocentricPosition,
+  calculateApparentMagnitude,
+  calculatePhaseAngle,
+  calculateDistance,
+  equatorialToEcliptic,
+  eclipticToEquatorial,
+  calculateElongation,
+  calculateSubLatitudes,
+  calculateRingTilt,
+  calculateMeanObliquity,
+  calculateNutation,
+  correctForLightTime,
+  applyAberration,
+  getPositionMode,
+  setPositionMode
+} from '../src/js/utils/AstronomicalCalculations.js';
+import { calculatePlanetReducedMagnitude, calculateReducedMagnitudeHG } from '../src/js/utils/PlanetaryMagnitudes.js';
+import { calculateBodyPosition, setEphemerisBackend } from '../src/js/utils/Ephemeris.js';
+import { SOLAR_SYSTEM_DATA } from '../src/js/data/SolarSystemData.js';
+import { assertClose } from './helpers/assertions.js';
+
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+describe('solveKeplersEquation', () => {
+  it('matches the worked example in Meeus (e = 0.1, M = 5°)', () => {
+    const eccentricAnomaly = solveKeplersEquation(5, 0.1);
+    assertClose(eccentricAnomaly / DEGREES_TO_RADIANS, 5.554589, 1e-6, 'E');
+  });
+
+  it('returns M unchanged for a circular orbit', () => {
+    [0, 45, 180, 300].forEach(meanAnomaly => {
+      assertClose(solveKeplersEquation(meanAnomaly, 0), meanAnomaly * DEGREES_TO_RADIANS, 1e-12, `M = ${meanAnomaly}`);
+    });
+  });
+
+  it('satisfies E - e·sin E = M to 1e-12 rad across eccentricities', () => {
+    [0.0167, 0.2056, 0.5, 0.9, 0.967, 0.995].forEach(eccentricity => {
+      for (let meanAnomaly = 0; meanAnomaly < 360; meanAnomaly += 7.5) {
+        const eccentricAnomaly = solveKeplersEquation(meanAnomaly, eccentricity);
+        const residual = eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly) - meanAnomaly * DEGREES_TO_RADIANS;
+
+        // Compare modulo a full turn
+        const wrapped = Math.atan2(Math.sin(residual), Math.cos(residual));
+        assertClose(wrapped, 0, 1e-12, `e = ${eccentricity}, M = ${meanAnomaly}`);
+      }
+    });
+  });
+});
+
+describe('calculateTrueAnomaly', () => {
+  it('equals the eccentric anomaly for a circular orbit', () => {
+    assertClose(calculateTrueAnomaly(1.234, 0), 1.234, 1e-15, 'ν');
+  });
+
+  it('gives 120° at E = 90° for e = 0.5', () => {
+    assertClose(calculateTrueAnomaly(Math.PI / 2, 0.5), 120 * DEGREES_TO_RADIANS, 1e-12, 'ν');
+  });
+
+  it('agrees with cos ν = (cos E - e) / (1 - e·cos E)', () => {
+    const eccentricity = 0.3;
+    for (let eccentricAnomaly = 0.1; eccentricAnomaly < Math.PI; eccentricAnomaly += 0.2) {
+      const trueAnomaly = calculateTrueAnomaly(eccentricAnomaly, eccentricity);
+      const expected = (Math.cos(eccentricAnomaly) - eccentricity) / (1 - eccentricity * Math.cos(eccentricAnomaly));
+      assertClose(Math.cos(trueAnomaly), expected, 1e-12, `E = ${eccentricAnomaly.toFixed(1)}`);
+    }
+  });
+});
+
+describe('transformToEcliptic', () => {
+  const flatElements = { inclination: 0, longitudeOfAscendingNode: 0, longitudeOfPerihelion: 0 };
+
+  it('leaves orbital-plane coordinates unchanged for zero angles', () => {
+    const position = transformToEcliptic({ x: 0.3, y: -0.4 }, flatElements);
+    assertClose(position.x, 0.3, 1e-15, 'x');
+    assertClose(position.y, -0.4, 1e-15, 'y');
+    assertClose(position.z, 0, 1e-15, 'z');
+  });
+
+  it('rotates perihelion to the longitude of perihelion', () => {
+    const position = transformToEcliptic({ x: 1, y: 0 }, { ...flatElements, longitudeOfPerihelion: 90 });
+    assertClose(position.x, 0, 1e-15, 'x');
+    assertClose(position.y, 1, 1e-15, 'y');
+  });
+
+  it('lifts the point 90° past the node out of the ecliptic by the inclination', () => {
+    const elements = { inclination: 30, longitudeOfAscendingNode: 40, longitudeOfPerihelion: 40 };
+    const position = transformToEcliptic({ x: 0, y: 1 }, elements);
+    assertClose(position.z, Math.sin(30 * DEGREES_TO_RADIANS), 1e-12, 'z');
+  });
+
+  it('preserves distance', () => {
+    const elements = { inclination: 17.14, longitudeOfAscendingNode: 110.3, longitudeOfPerihelion: 224.07 };
+    const position = transformToEcliptic({ x: 12, y: -35 }, elements);
+    assertClose(Math.hypot(position.x, position.y, position.z), Math.hypot(12, -35), 1e-12, 'radius');
+  });
+});
+
+describe('eclipticToEquatorial', () => {
+  it('undoes equatorialToEcliptic', () => {
+    [[0, 0], [6, 23.4], [18.75, -23.03], [12.5, 60], [23.9, -89]].forEach(([rightAscension, declination]) => {
+      const equatorial = eclipticToEquatorial(equatorialToEcliptic(rightAscension, declination));
+      assertClose(equatorial.rightAscension, rightAscension, 1e-9, `RA ${rightAscension}h`);
+      assertClose(equatorial.declination, declination, 1e-9, `Dec ${declination}°`);
+    });
+  });
+
+  it('puts the ecliptic north pole at RA 18h, Dec 66.56°', () => {
+    const pole = eclipticToEquatorial({ x: 0, y: 0, z: 2 });
+    assertClose(pole.rightAscension, 18, 1e-9, 'RA');
+    assertClose(pole.declination, 90 - 23.4392911, 1e-9, 'Dec');
+    assertClose(pole.distance, 2, 1e-12, 'distance');
+  });
+});
+
+describe('calculateHeliocentricPosition', () => {
+  it('places the Sun at the origin', () => {
+    assert.deepEqual(calculateHeliocentricPosition(SOLAR_SYSTEM_DATA.sun), { x: 0, y: 0, z: 0 });
+  });
+
+  it('keeps every planet between perihelion and aphelion', () => {
+    const date = new Date('2025-01-01T00:00:00Z');
+    ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'].forEach(planetName => {
+      const elements = SOLAR_SYSTEM_DATA[planetName];
+      const position = calculateHeliocentricPosition(elements, date);
+      const perihelion = elements.semiMajorAxis * (1 - elements.eccentricity);
+      const aphelion = elements.semiMajorAxis * (1 + elements.eccentricity);
+
+      assert.ok(position.distance >= perihelion - 1e-9 && position.distance <= aphelion + 1e-9, planetName);
+      assertClose(Math.hypot(position.x, position.y, position.z), position.distance, 1e-9, `${planetName} radius`);
+    });
+  });
+});
+
+describe('calculatePhaseAngle', () => {
+  it('is zero at opposition, when the observer is between the Sun and the body', () => {
+    assertClose(calculatePhaseAngle({ x: 5, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }), 0, 1e-12, 'phase angle');
+  });
+
+  it('is 180° when the body is between the Sun and the observer', () => {
+    assertClose(calculatePhaseAngle({ x: 0.7, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }), 180, 1e-12, 'phase angle');
+  });
+
+  it('is the angle at the body between the Sun and the observer', () => {
+    assertClose(calculatePhaseAngle({ x: 1, y: 0, z: 0 }, { x: 1, y: 1, z: 0 }), 90, 1e-12, 'phase angle');
+  });
+});
+
+describe('calculateApparentMagnitude', () => {
+  const date = new Date('2025-01-01T00:00:00Z');
+  const jupiter = { ...SOLAR_SYSTEM_DATA.jupiter, name: 'jupiter' };
+
+  // Backend changes log
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  it('reports geometric distances from the Sun and the observer', () => {
+    const earthPosition = calculateBodyPosition('earth', SOLAR_SYSTEM_DATA.earth, date);
+    const jupiterPosition = calculateBodyPosition('jupiter', jupiter, date);
+    const result = calculateApparentMagnitude(jupiter, earthPosition, undefined, date);
+
+    assertClose(result.distanceFromSun, jupiterPosition.distance, 1e-12, 'r');
+    assertClose(result.distanceToObserver, calculateDistance(jupiterPosition, earthPosition), 1e-12, 'Δ');
+  });
+
+  it('places the body with the active ephemeris backend', () => {
+    const earthPosition = calculateBodyPosition('earth', SOLAR_SYSTEM_DATA.earth, date);
+
+    ['keplerian', 'jpl', 'vsop87'].forEach(backendName => {
+      setEphemerisBackend(backendName);
+      const result = calculateApparentMagnitude(jupiter, earthPosition, undefined, date);
+
+      const jupiterPosition = calculateBodyPosition('jupiter', jupiter, date, backendName);
+      assertClose(result.distanceToObserver, calculateDistance(jupiterPosition, earthPosition), 1e-12, backendName);
+      assertClose(result.phaseAngle, calculatePhaseAngle(jupiterPosition, earthPosition), 1e-9, backendName);
+    });
+
+    setEphemerisBackend('vsop87');
+  });
+
+  /**
+   * Observer at the third corner of an equilateral triangle with the Sun and the body,
+   * so Sun, body and observer are 60° apart from each other and no phase correction applies
+   */
+  function equilateralObserver(bodyPos) {
+    // Turn the body's position 60° about an axis square to it
+    const planarDistance = Math.hypot(bodyPos.x, bodyPos.y);
+    const axis = { x: bodyPos.y / planarDistance, y: -bodyPos.x / planarDistance, z: 0 };
+    const cos60 = Math.cos(Math.PI / 3);
+    const sin60 = Math.sin(Math.PI / 3);
+    return {
+      x: bodyPos.x * cos60 + (axis.y * bodyPos.z - axis.z * bodyPos.y) * sin60,
+      y: bodyPos.y * cos60 + (axis.z * bodyPos.x - axis.x * bodyPos.z) * sin60,
+      z: bodyPos.z * cos60 + (axis.x * bodyPos.y - axis.y * bodyPos.x) * sin60
+    };
+  }
+
+  it('dims the planet\'s reduced magnitude at its phase angle by 5·log10(r·Δ)', () => {
+    const observer = equilateralObserver(calculateBodyPosition('jupiter', jupiter, date));
+    const result = calculateApparentMagnitude(jupiter, observer, undefined, date);
+
+    assertClose(result.phaseAngle, 60, 1e-6, 'phase angle');
+    const expected = calculatePlanetReducedMagnitude('jupiter', result.phaseAngle) +
+      5 * Math.log10(result.distanceFromSun * result.distanceToObserver);
+    assertClose(result.apparentMagnitude, expected, 1e-9, 'magnitude');
+  });
+
+  it('uses the catalogue absolute magnitude and the H, G phase law for small bodies', () => {
+    const asteroid = { ...SOLAR_SYSTEM_DATA.ceres, name: 'test-asteroid', absoluteMagnitude: 12.5 };
+    const observer = equilateralObserver(calculateBodyPosition('test-asteroid', asteroid, date));
+    const result = calculateApparentMagnitude(asteroid, observer, undefined, date);
+
+    const expected = calculateReducedMagnitudeHG(12.5, 60) + 5 * Math.log10(result.distanceFromSun * result.distanceToObserver);
+    assertClose(result.apparentMagnitude, expected, 1e-9, 'magnitude');
+  });
+
+  it('reports the illuminated fraction and the elongation from the Sun', () => {
+    const observer = equilateralObserver(calculateBodyPosition('jupiter', jupiter, date));
+    const result = calculateApparentMagnitude(jupiter, observer, undefined, date);
+
+    assertClose(result.illuminatedFraction, 0.75, 1e-9, 'illuminated fraction');
+    assertClose(result.elongation, 60, 1e-6, 'elongation');
+  });
+
+  it('flags naked-eye visibility at magnitude 6.5', () => {
+    const earthPosition = calculateBodyPosition('earth', SOLAR_SYSTEM_DATA.earth, date);
+    const result = calculateApparentMagnitude(jupiter, earthPosition, undefined, date);
+
+    assert.equal(result.isVisible, result.apparentMagnitude < 6.5);
+    assert.equal(result.isBrightPlanet, result.apparentMagnitude < 1.0);
+  });
+});
+
+describe('Saturn ring geometry', () => {
+  const saturnPosition = { x: 9.5, y: 0, z: 0 };
+  const saturn = { northPole: SOLAR_SYSTEM_DATA.saturn.northPole };
+
+  it('measures the sub-observer and sub-solar latitudes from the pole', () => {
+    const latitudes = calculateSubLatitudes(saturn, saturnPosition, { x: 8.5, y: 0, z: 0 });
+    assertClose(latitudes.observer, latitudes.sun, 1e-9, 'same line of sight');
+    assert.ok(Math.abs(latitudes.sun) < 30, `latitude ${latitudes.sun}`);
+  });
+
+  it('takes the geometric mean when the Sun and observer light the same face', () => {
+    assertClose(calculateRingTilt({ observer: 9, sun: 16 }), 12, 1e-12, 'same side');
+    assertClose(calculateRingTilt({ observer: -9, sun: -16 }), 12, 1e-12, 'south face');
+  });
+
+  it('sees no lit rings from the dark face or without a pole', () => {
+    assert.equal(calculateRingTilt({ observer: 2, sun: -3 }), 0);
+    assert.equal(calculateRingTilt(calculateSubLatitudes({}, saturnPosition, { x: 0, y: 0, z: 0 })), 0);
+  });
+});
+
+describe('calculateElongation', () => {
+  it('is 180° at opposition and 90° at quadrature', () => {
+    assertClose(calculateElongation({ x: 5, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }), 180, 1e-9, 'opposition');
+    assertClose(calculateElongation({ x: 1, y: 1, z: 0 }, { x: 1, y: 0, z: 0 }), 90, 1e-9, 'quadrature');
+  });
+});
+
+describe('nutation and obliquity', () => {
+  // Meeus, Astronomical Algorithms, example 22.a (1987 April 10, 0h TD)
+  const date = new Date('1987-04-10T00:00:00Z');
+
+  it('gives the mean obliquity of date', () => {
+    assertClose(calculateMeanObliquity(date), 23 + 26 / 60 + 27.407 / 3600, 0.001 / 3600, 'ε0');
+  });
+
+  it('gives nutation in longitude and obliquity to within half an arcsecond', () => {
+    const nutation = calculateNutation(date);
+    assertClose(nutation.longitude * 3600, -3.788, 0.5, 'Δψ″');
+    assertClose(nutation.obliquity * 3600, 9.443, 0.5, 'Δε″');
+  });
+});
+
+describe('correctForLightTime', () => {
+  const SPEED_OF_LIGHT = 173.1446326846693; // AU per day
+  const date = new Date('2025-01-01T00:00:00Z');
+  const observer = { x: 0, y: 0, z: 0 };
+
+  it('gives distance over the speed of light for a body at rest', () => {
+    const result = correctForLightTime(() => ({ x: 5, y: 0, z: 0 }), observer, date);
+    assertClose(result.lightTime, 5 / SPEED_OF_LIGHT, 1e-12, 'τ');
+    assertClose(result.distance, 5, 1e-12, 'distance');
+  });
+
+  it('finds where a moving body was when its light left', () => {
+    // Receding at 0.1 AU per day from 10 AU
+    const time = date.getTime();
+    const positionAt = at => ({ x: 10 + 0.1 * (at.getTime() - time) / 86400000, y: 0, z: 0 });
+    const result = correctForLightTime(positionAt, observer, date);
+
+    assertClose(result.lightTime, 10 / (SPEED_OF_LIGHT + 0.1), 1e-9, 'τ');
+    assertClose(result.distance, result.lightTime * SPEED_OF_LIGHT, 1e-7, 'light path');
+  });
+});
+
+describe('applyAberration', () => {
+  it('leaves directions alone for an observer at rest', () => {
+    const direction = applyAberration({ x: 0.6, y: 0.8, z: 0 }, { x: 0, y: 0, z: 0 });
+    assertClose(direction.x, 0.6, 1e-15, 'x');
+    assertClose(direction.y, 0.8, 1e-15, 'y');
+  });
+
+  it('tilts a perpendicular direction towards the motion by v/c', () => {
+    // Earth's mean orbital speed, 0.0172 AU per day
+    const direction = applyAberration({ x: 1, y: 0, z: 0 }, { x: 0, y: 0.0172021, z: 0 });
+
+    assertClose(Math.hypot(direction.x, direction.y, direction.z), 1, 1e-12, 'length');
+    assertClose(Math.atan2(direction.y, direction.x) / DEGREES_TO_RADIANS * 3600, 20.49, 0.02, 'shift″');
+  });
+});
+
+describe('position mode', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+  after(() => {
+    setPositionMode('geometric');
+    mock.restoreAll();
+  });
+
+  it('defaults to geometric positions and rejects unknown modes', () => {
+    assert.equal(getPositionMode(), 'geometric');
+    assert.equal(setPositionMode('astrometric'), false);
+    assert.equal(getPositionMode(), 'geometric');
+  });
+
+  it('measures magnitudes from where the body was when its light left', () => {
+    const date = new Date('2025-01-01T00:00:00Z');
+    const jupiter = { ...SOLAR_SYSTEM_DATA.jupiter, name: 'jupiter' };
+    const earthPosition = calculateBodyPosition('earth', SOLAR_SYSTEM_DATA.earth, date);
+
+    setPositionMode('apparent');
+    const apparent = calculateApparentMagnitude(jupiter, earthPosition, undefined, date);
+    setPositionMode('geometric');
+    const geometric = calculateApparentMagnitude(jupiter, earthPosition, undefined, date);
+
+    const lightTime = apparent.distanceToObserver / 173.1446326846693;
+    const retarded = calculateBodyPosition('jupiter', jupiter, new Date(date.getTime() - lightTime * 86400000));
+    assertClose(apparent.distanceToObserver, calculateDistance(retarded, earthPosition), 1e-7, 'Δ');
+    assert.notEqual(apparent.distanceToObserver, geometric.distanceToObserver);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  findEclipses,
+  calculateSolarEclipseGeometry,
+  calculateLunarEclipseGeometry
+} from '../src/js/utils/EclipseCalculations.js';
+import { assertClose } from './helpers/assertions.js';
+
+const MILLISECONDS_PER_MINUTE = 60000;
+
+function minutesBetween(date, isoString) {
+  return Math.abs(date.getTime() - new Date(isoString).getTime()) / MILLISECONDS_PER_MINUTE;
+}
+
+describe('findEclipses', () => {
+  let eclipses;
+
+  // NASA eclipse predictions (Espenak), times of greatest eclipse in TD
+  before(() => {
+    eclipses = findEclipses(new Date('2022-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'));
+  });
+
+  function findEclipse(type, isoDate) {
+    const eclipse = eclipses.find(candidate => candidate.type === type && minutesBetween(candidate.date, isoDate) < 60);
+    assert.ok(eclipse, `no ${type} eclipse near ${isoDate}`);
+    return eclipse;
+  }
+
+  it('finds every eclipse of 2022 to 2024 in date order', () => {
+    assert.deepEqual(
+      eclipses.map(eclipse => `${eclipse.date.toISOString().slice(0, 10)} ${eclipse.kind} ${eclipse.type}`),
+      [
+        '2022-04-30 partial solar',
+        '2022-05-16 total lunar',
+        '2022-10-25 partial solar',
+        '2022-11-08 total lunar',
+        '2023-04-20 hybrid solar',
+        '2023-05-05 penumbral lunar',
+        '2023-10-14 annular solar',
+        '2023-10-28 partial lunar',
+        '2024-03-25 penumbral lunar',
+        '2024-04-08 total solar',
+        '2024-09-18 partial lunar',
+        '2024-10-02 annular solar'
+      ]
+    );
+  });
+
+  it('times and measures the total solar eclipse of 2024 April 8', () => {
+    const eclipse = findEclipse('solar', '2024-04-08T18:18:29Z');
+    assert.ok(minutesBetween(eclipse.date, '2024-04-08T18:18:29Z') < 1, eclipse.date.toISOString());
+    assertClose(eclipse.gamma, 0.3431, 0.002, 'gamma');
+    assertClose(eclipse.magnitude, 1.0566, 0.001, 'magnitude');
+
+    // Greatest eclipse near Nazas, Mexico (planetocentric latitude, no ΔT)
+    assertClose(eclipse.greatestEclipse.latitude, 25.3, 0.5, 'latitude');
+    assertClose(eclipse.greatestEclipse.longitude, -104.1, 0.6, 'longitude');
+  });
+
+  it('runs the central track of 2024 April 8 from the Pacific to the Atlantic', () => {
+    const { track, contacts } = findEclipse('solar', '2024-04-08T18:18:29Z');
+
+    assert.ok(track.length > 50);
+    assert.ok(contacts.centralStart < track[1].date && track[track.length - 1].date <= contacts.centralEnd);
+    assert.ok(track[0].longitude < -150, `starts at ${track[0].longitude}`);
+    assert.ok(track[track.length - 1].longitude > -30, `ends at ${track[track.length - 1].longitude}`);
+    assert.ok(track[0].latitude < 0 && track[track.length - 1].latitude > 40);
+  });
+
+  it('tells annular and partial solar eclipses apart', () => {
+    const annular = findEclipse('solar', '2023-10-14T18:00:41Z');
+    assert.equal(annular.kind, 'annular');
+    assertClose(annular.gamma, 0.3753, 0.002, 'annular gamma');
+    assertClose(annular.magnitude, 0.9520, 0.001, 'annular magnitude');
+
+    const partial = findEclipse('solar', '2022-10-25T11:01:20Z');
+    assert.equal(partial.kind, 'partial');
+    assertClose(partial.gamma, 1.0701, 0.002, 'partial gamma');
+    assertClose(partial.magnitude, 0.8619, 0.005, 'partial magnitude');
+    assert.equal(partial.track.length, 0);
+    assert.equal(partial.greatestEclipse, null);
+  });
+
+  it('times and measures the total lunar eclipse of 2022 November 8', () => {
+    const eclipse = findEclipse('lunar', '2022-11-08T11:00:22Z');
+    assert.ok(minutesBetween(eclipse.date, '2022-11-08T11:00:22Z') < 1, eclipse.date.toISOString());
+    assertClose(eclipse.umbralMagnitude, 1.359, 0.005, 'umbral magnitude');
+    assertClose(eclipse.gamma, 0.2570, 0.002, 'gamma');
+
+    // Totality lasted 85 minutes
+    const totality = (eclipse.contacts.totalEnd - eclipse.contacts.totalStart) / MILLISECONDS_PER_MINUTE;
+    assertClose(totality, 85, 2, 'totality');
+  });
+
+  it('measures partial and penumbral lunar eclipses', () => {
+    const partial = findEclipse('lunar', '2023-10-28T20:14:05Z');
+    assert.equal(partial.kind, 'partial');
+    assertClose(partial.umbralMagnitude, 0.122, 0.005, 'umbral magnitude');
+    assert.equal(partial.contacts.totalStart, null);
+
+    const penumbral = findEclipse('lunar', '2023-05-05T17:24:05Z');
+    assert.equal(penumbral.kind, 'penumbral');
+    assertClose(penumbral.penumbralMagnitude, 0.964, 0.005, 'penumbral magnitude');
+    assert.ok(penumbral.umbralMagnitude < 0);
+    assert.equal(penumbral.contacts.partialStart, null);
+  });
+
+  it('only returns the requested types', () => {
+    const lunar = findEclipses(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'), { types: ['lunar'] });
+    assert.deepEqual(lunar.map(eclipse => eclipse.kind), ['penumbral', 'partial']);
+  });
+
+  it('returns nothing for an empty range', () => {
+    const date = new Date('2024-04-08T00:00:00Z');
+    assert.deepEqual(findEclipses(date, date), []);
+  });
+});
+
+describe('shadow geometry', () => {
+  it('puts the Moon\'s umbra on Earth at a total solar eclipse', () => {
+    const geometry = calculateSolarEclipseGeometry(new Date('2024-04-08T18:18:29Z'));
+
+    assert.ok(geometry.planeDistance > 0);
+    assertClose(geometry.umbraRadius, 0.0101, 0.0005, 'umbra');
+    assertClose(geometry.penumbraRadius, 0.54, 0.02, 'penumbra');
+  });
+
+  it('gives Earth\'s umbra about 2.7 lunar radii at the Moon', () => {
+    const geometry = calculateLunarEclipseGeometry(new Date('2022-11-08T11:00:22Z'));
+
+    assertClose(geometry.umbraRadius / geometry.moonRadius, 2.7, 0.2, 'umbra');
+    assert.ok(geometry.separation < geometry.umbraRadius - geometry.moonRadius, 'Moon inside the umbra');
+  });
+});
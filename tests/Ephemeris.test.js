@@ -0,0 +1,211 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  VSOP87Ephemeris,
+  calculateLunarPosition,
+  calculateSatellitePosition,
+  calculateBodyPosition,
+  calculateOrbitalElements,
+  getEphemerisBackend,
+  setEphemerisBackend
+} from '../src/js/utils/Ephemeris.js';
+import { SOLAR_SYSTEM_DATA, MOONS_DATA } from '../src/js/data/SolarSystemData.js';
+import { loadHorizonsVectors } from './helpers/horizons.js';
+import { assertClose } from './helpers/assertions.js';
+
+const RADIANS_TO_ARCMINUTES = (180 / Math.PI) * 60;
+const DEGREES_TO_RADIANS = Math.PI / 180;
+const JULIAN_DATE_UNIX_EPOCH = 2440587.5;
+const MILLISECONDS_PER_DAY = 86400000;
+
+/**
+ * Maximum error against the DE431 reference vectors per backend and planet: direction in
+ * arcminutes as seen from the Sun, distance in AU. Each is the largest error measured over
+ * 1800-2200 with about 20% to spare.
+ */
+const TOLERANCES = {
+  vsop87: {
+    mercury: [0.05, 0.00001], venus: [0.03, 0.000005], earth: [0.01, 0.000003], mars: [0.08, 0.00004],
+    jupiter: [0.03, 0.00004], saturn: [0.06, 0.0002], uranus: [0.07, 0.0002], neptune: [0.08, 0.0002]
+  },
+  jpl: {
+    mercury: [0.5, 0.00002], venus: [0.7, 0.00007], earth: [0.6, 0.00009], mars: [2.8, 0.0004],
+    jupiter: [9, 0.007], saturn: [23, 0.032], uranus: [18, 0.041], neptune: [6.5, 0.028]
+  },
+  // Fixed J2000 elements drift away from the true orbits
+  keplerian: {
+    mercury: [93, 0.0019], venus: [8, 0.0001], earth: [7.5, 0.00015], mars: [11, 0.0026],
+    jupiter: [28, 0.0066], saturn: [77, 0.034], uranus: [13, 0.017], neptune: [8, 0.0175]
+  }
+};
+
+function julianDateToDate(julianDate) {
+  return new Date((julianDate - JULIAN_DATE_UNIX_EPOCH) * MILLISECONDS_PER_DAY);
+}
+
+function angleBetween(a, b) {
+  const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+  const cross = Math.hypot(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+  return Math.atan2(cross, dot);
+}
+
+/**
+ * How far (AU) a heliocentric position lies from the ellipse the elements describe
+ */
+function distanceFromOrbit(position, elements) {
+  const node = elements.longitudeOfAscendingNode * DEGREES_TO_RADIANS;
+  const inclination = elements.inclination * DEGREES_TO_RADIANS;
+  const perihelion = (elements.longitudeOfPerihelion - elements.longitudeOfAscendingNode) * DEGREES_TO_RADIANS;
+
+  // Rotate into the orbital plane, with perihelion along x
+  const alongNode = position.x * Math.cos(node) + position.y * Math.sin(node);
+  const acrossNode = -position.x * Math.sin(node) + position.y * Math.cos(node);
+  const inPlane = acrossNode * Math.cos(inclination) + position.z * Math.sin(inclination);
+  const outOfPlane = -acrossNode * Math.sin(inclination) + position.z * Math.cos(inclination);
+  const x = alongNode * Math.cos(perihelion) + inPlane * Math.sin(perihelion);
+  const y = -alongNode * Math.sin(perihelion) + inPlane * Math.cos(perihelion);
+
+  const { semiMajorAxis, eccentricity } = elements;
+  const orbitRadius = semiMajorAxis * (1 - eccentricity * eccentricity) / (1 + eccentricity * Math.cos(Math.atan2(y, x)));
+  return Math.hypot(outOfPlane, Math.hypot(x, y) - orbitRadius);
+}
+
+describe('VSOP87Ephemeris', () => {
+  const vsop87 = new VSOP87Ephemeris();
+
+  // Meeus, Astronomical Algorithms, example 32.a
+  it('matches the worked example for Venus on 1992 December 20', () => {
+    const { longitude, latitude, radius } = vsop87.getSphericalPosition('venus', julianDateToDate(2448976.5));
+
+    assert.ok(Math.abs(longitude * 180 / Math.PI - 26.11428) < 0.0001, `L = ${longitude}`);
+    assert.ok(Math.abs(latitude * 180 / Math.PI + 2.62070) < 0.0001, `B = ${latitude}`);
+    assert.ok(Math.abs(radius - 0.724603) < 0.000001, `R = ${radius}`);
+  });
+
+  // Meeus, Astronomical Algorithms, example 25.b
+  it('matches the worked example for Earth on 1992 October 13', () => {
+    const { longitude, radius } = vsop87.getSphericalPosition('earth', julianDateToDate(2448908.5));
+
+    assert.ok(Math.abs(longitude * 180 / Math.PI - 19.907372) < 0.00001, `L = ${longitude}`);
+    assert.ok(Math.abs(radius - 0.99760775) < 0.0000001, `R = ${radius}`);
+  });
+
+  it('only covers the eight planets', () => {
+    assert.ok(vsop87.supports('neptune'));
+    assert.ok(!vsop87.supports('pluto'));
+  });
+});
+
+describe('ephemeris backends against DE431 vectors', () => {
+  Object.entries(TOLERANCES).forEach(([backendName, planets]) => {
+    Object.entries(planets).forEach(([planetName, [maxArcminutes, maxDistance]]) => {
+      it(`${backendName} places ${planetName} within ${maxArcminutes}′ and ${maxDistance} AU`, () => {
+        const rows = loadHorizonsVectors(planetName);
+        assert.ok(rows.length > 30, 'fixture should span many dates');
+
+        rows.forEach(row => {
+          const position = calculateBodyPosition(planetName, SOLAR_SYSTEM_DATA[planetName], row.date, backendName);
+          const arcminutes = angleBetween(position, row) * RADIANS_TO_ARCMINUTES;
+          const distanceError = Math.abs(position.distance - Math.hypot(row.x, row.y, row.z));
+
+          assert.ok(arcminutes <= maxArcminutes, `${row.calendarDate}: off by ${arcminutes.toFixed(3)}′`);
+          assert.ok(distanceError <= maxDistance, `${row.calendarDate}: off by ${distanceError.toExponential(2)} AU`);
+        });
+      });
+    });
+  });
+});
+
+describe('orbital elements', () => {
+  const dates = ['1850-06-01', '2024-03-01', '2190-11-15'].map(day => new Date(`${day}T00:00:00Z`));
+
+  ['vsop87', 'jpl', 'keplerian'].forEach((backendName) => {
+    it(`puts each planet on the orbit drawn from ${backendName} elements`, () => {
+      Object.keys(TOLERANCES[backendName]).forEach((planetName) => {
+        const planet = SOLAR_SYSTEM_DATA[planetName];
+
+        dates.forEach((date) => {
+          const elements = calculateOrbitalElements(planetName, planet, date, backendName);
+          const position = calculateBodyPosition(planetName, planet, date, backendName);
+          assert.ok(distanceFromOrbit(position, elements) < 1e-9, `${planetName} on ${date.toISOString()}`);
+        });
+      });
+    });
+  });
+
+  it('gives VSOP87 osculating elements close to the mean orbit', () => {
+    const elements = calculateOrbitalElements('earth', SOLAR_SYSTEM_DATA.earth, dates[1], 'vsop87');
+
+    assertClose(elements.semiMajorAxis, 1, 0.001, 'semi-major axis');
+    assertClose(elements.eccentricity, 0.0167, 0.001, 'eccentricity');
+    assertClose(elements.inclination, 0, 0.01, 'inclination');
+  });
+
+  it('keeps the elements of bodies a backend does not cover', () => {
+    const pluto = SOLAR_SYSTEM_DATA.pluto;
+    assert.equal(calculateOrbitalElements('pluto', pluto, dates[1], 'vsop87'), pluto);
+  });
+});
+
+describe('lunar theory', () => {
+  // Meeus, Astronomical Algorithms, example 47.a
+  it('matches the worked example for the Moon on 1992 April 12', () => {
+    const { longitude, latitude, distance } = calculateLunarPosition(julianDateToDate(2448724.5));
+
+    assert.ok(Math.abs(longitude - 133.162655) < 0.000001, `λ = ${longitude}`);
+    assert.ok(Math.abs(latitude + 3.229126) < 0.000001, `β = ${latitude}`);
+    assert.ok(Math.abs(distance - 368409.7) < 0.1, `Δ = ${distance}`);
+  });
+
+  it('gives the Moon a J2000 position relative to Earth in km', () => {
+    const date = julianDateToDate(2448724.5);
+    const position = calculateSatellitePosition('moon', MOONS_DATA.moon, date);
+    const lunar = calculateLunarPosition(date);
+
+    assert.ok(Math.abs(Math.hypot(position.x, position.y, position.z) - lunar.distance) < 1e-6);
+
+    // Precession over the 7.7 years to J2000 adds about 0.108° of longitude
+    const longitude = Math.atan2(position.y, position.x) * 180 / Math.PI;
+    assert.ok(Math.abs(longitude - lunar.longitude - 0.108) < 0.002, `λ(J2000) = ${longitude}`);
+  });
+
+  it('keeps Keplerian elements for other moons', () => {
+    const date = new Date('2025-01-01T00:00:00Z');
+    const titan = MOONS_DATA.titan;
+
+    assert.deepEqual(calculateSatellitePosition('titan', titan, date), calculateBodyPosition('titan', titan, date, 'keplerian'));
+  });
+});
+
+describe('backend selection', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+  after(() => {
+    setEphemerisBackend('vsop87');
+    mock.restoreAll();
+  });
+
+  it('switches the active backend', () => {
+    assert.equal(setEphemerisBackend('jpl'), true);
+    assert.equal(getEphemerisBackend().name, 'jpl');
+  });
+
+  it('rejects unknown backends and keeps the current one', () => {
+    setEphemerisBackend('keplerian');
+    assert.equal(setEphemerisBackend('de440'), false);
+    assert.equal(getEphemerisBackend().name, 'keplerian');
+  });
+
+  it('falls back to Keplerian elements for bodies a backend does not cover', () => {
+    const date = new Date('2025-01-01T00:00:00Z');
+    const pluto = SOLAR_SYSTEM_DATA.pluto;
+
+    assert.deepEqual(
+      calculateBodyPosition('pluto', pluto, date, 'vsop87'),
+      calculateBodyPosition('pluto', pluto, date, 'keplerian')
+    );
+  });
+});
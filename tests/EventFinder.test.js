@@ -0,0 +1,87 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findPlanetaryEvents } from '../src/js/utils/EventFinder.js';
+
+const MILLISECONDS_PER_HOUR = 3600000;
+
+function hoursBetween(date, isoString) {
+  return Math.abs(date.getTime() - new Date(isoString).getTime()) / MILLISECONDS_PER_HOUR;
+}
+
+describe('findPlanetaryEvents', () => {
+  let events;
+
+  // Almanac times for 2020 (geocentric, in longitude)
+  before(() => {
+    mock.method(console, 'log', () => {});
+    events = findPlanetaryEvents(new Date('2020-01-01T00:00:00Z'), new Date('2021-01-01T00:00:00Z'));
+  });
+  after(() => mock.restoreAll());
+
+  function findEvent(type, bodyName, extra = () => true) {
+    const event = events.find(candidate => candidate.type === type && candidate.bodies[0] === bodyName && extra(candidate));
+    assert.ok(event, `no ${type} of ${bodyName}`);
+    return event;
+  }
+
+  it('returns events in date order within the range', () => {
+    events.forEach((event, index) => {
+      assert.ok(event.date >= new Date('2020-01-01T00:00:00Z') && event.date <= new Date('2021-01-01T00:00:00Z'));
+      if (index > 0) assert.ok(event.date >= events[index - 1].date, 'sorted');
+    });
+  });
+
+  it('finds the opposition of Mars on 2020 October 13', () => {
+    const opposition = findEvent('opposition', 'mars');
+    assert.ok(hoursBetween(opposition.date, '2020-10-13T23:20Z') < 1, opposition.date.toISOString());
+  });
+
+  it('finds the inferior conjunction of Venus on 2020 June 3', () => {
+    const conjunction = findEvent('conjunction', 'venus', event => event.kind === 'inferior');
+    assert.ok(hoursBetween(conjunction.date, '2020-06-03T17:44Z') < 1, conjunction.date.toISOString());
+  });
+
+  it('finds the greatest eastern elongation of Venus, 46.1° on 2020 March 24', () => {
+    const elongation = findEvent('greatest-elongation', 'venus', event => event.direction === 'east');
+    assert.ok(hoursBetween(elongation.date, '2020-03-24T22:00Z') < 6, elongation.date.toISOString());
+    assert.ok(Math.abs(elongation.elongation - 46.1) < 0.1, `${elongation.elongation}°`);
+  });
+
+  it('finds the great conjunction of Jupiter and Saturn on 2020 December 21', () => {
+    const approach = findEvent('close-approach', 'jupiter', event => event.bodies[1] === 'saturn');
+    assert.ok(hoursBetween(approach.date, '2020-12-21T18:00Z') < 3, approach.date.toISOString());
+    assert.ok(approach.separation < 0.11, `${approach.separation}°`);
+  });
+
+  it('finds the stations bracketing the 2020 retrograde loop of Mars', () => {
+    const retrograde = findEvent('station', 'mars', event => event.motion === 'retrograde');
+    const direct = findEvent('station', 'mars', event => event.motion === 'direct');
+
+    assert.ok(hoursBetween(retrograde.date, '2020-09-09T22:00Z') < 6, retrograde.date.toISOString());
+    assert.ok(hoursBetween(direct.date, '2020-11-14T00:00Z') < 6, direct.date.toISOString());
+  });
+
+  it('never puts the superior planets at inferior conjunction or gives them elongations', () => {
+    assert.ok(!events.some(event => event.kind === 'inferior' && !['mercury', 'venus'].includes(event.bodies[0])));
+    assert.ok(!events.some(event => event.type === 'greatest-elongation' && !['mercury', 'venus'].includes(event.bodies[0])));
+  });
+});
+
+describe('findPlanetaryEvents options', () => {
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  it('limits the search to the requested planets and event types', () => {
+    const events = findPlanetaryEvents(new Date('2020-01-01T00:00:00Z'), new Date('2021-01-01T00:00:00Z'), {
+      planets: ['mars'],
+      types: ['opposition']
+    });
+    assert.deepEqual(events.map(event => event.type), ['opposition']);
+  });
+
+  it('returns nothing for an empty range', () => {
+    const date = new Date('2020-01-01T00:00:00Z');
+    assert.deepEqual(findPlanetaryEvents(date, date), []);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateDiskOverlap } from '../src/js/models/LensFlare.js';
+import { assertClose } from './helpers/assertions.js';
+
+describe('calculateDiskOverlap', () => {
+  it('runs from an uncovered to a fully covered disk', () => {
+    assert.equal(calculateDiskOverlap(1, 0.5, 1.6), 0);
+    assert.equal(calculateDiskOverlap(1, 0.5, 0.2), 0.25);
+    assert.equal(calculateDiskOverlap(1, 1.05, 0.01), 1);
+  });
+
+  it('measures the lens where two disks overlap', () => {
+    // Two unit disks a radius apart overlap in a lens of 2π/3 - √3/2
+    assertClose(calculateDiskOverlap(1, 1, 1), (2 * Math.PI / 3 - Math.sqrt(3) / 2) / Math.PI, 1e-12, 'lens');
+
+    // The covered fraction grows steadily as the disks close in
+    const fractions = [1.9, 1.5, 1, 0.5, 0.1].map(separation => calculateDiskOverlap(1, 1, separation));
+    fractions.slice(1).forEach((fraction, i) => assert.ok(fraction > fractions[i]));
+  });
+});
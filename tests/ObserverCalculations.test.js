@@ -0,0 +1,245 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getNorthPole,
+  getRotationAngle,
+  getSurfaceFrame,
+  toHorizontalCoordinates,
+  calculateSkyFromSurface,
+  calculateGeocentricEquatorial,
+  calculateTopocentricHorizontal,
+  calculateRiseTransitSet,
+  calculateObservedPosition,
+  getBodyPosition,
+  getBodyVelocity
+} from '../src/js/utils/ObserverCalculations.js';
+import { setPositionMode } from '../src/js/utils/AstronomicalCalculations.js';
+import { SOLAR_SYSTEM_DATA } from '../src/js/data/SolarSystemData.js';
+import { assertClose } from './helpers/assertions.js';
+
+const DEGREES_TO_RADIANS = Math.PI / 180;
+const OBLIQUITY_J2000 = 23.4392911;
+const J2000_NOON = new Date('2000-01-01T12:00:00Z');
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function sunFrom(latitude, longitude, date) {
+  return calculateSkyFromSurface('earth', latitude, longitude, ['sun'], date)[0];
+}
+
+describe('getNorthPole', () => {
+  it('tilts Earth\'s pole away from the ecliptic pole by the obliquity', () => {
+    const pole = getNorthPole('earth', J2000_NOON);
+    assertClose(pole.x, 0, 1e-12, 'x');
+    assertClose(pole.y, Math.sin(OBLIQUITY_J2000 * DEGREES_TO_RADIANS), 1e-12, 'y');
+    assertClose(pole.z, Math.cos(OBLIQUITY_J2000 * DEGREES_TO_RADIANS), 1e-12, 'z');
+  });
+
+  it('precesses Earth\'s pole around the ecliptic pole', () => {
+    const pole = getNorthPole('earth', new Date('2100-01-01T12:00:00Z'));
+    assertClose(pole.z, Math.cos(OBLIQUITY_J2000 * DEGREES_TO_RADIANS), 1e-12, 'z');
+    assertClose(Math.atan2(pole.x, pole.y) / DEGREES_TO_RADIANS, 1.397, 0.001, 'longitude shift');
+  });
+
+  it('returns unit vectors for bodies with and without a measured pole', () => {
+    ['mars', 'uranus', 'pluto', 'titan', 'triton'].forEach(bodyName => {
+      assertClose(Math.sqrt(dot(getNorthPole(bodyName), getNorthPole(bodyName))), 1, 1e-12, bodyName);
+    });
+  });
+});
+
+describe('getSurfaceFrame', () => {
+  it('gives orthonormal up, north and east vectors', () => {
+    [['earth', 51.5, -0.1], ['mars', -14.6, 175.5], ['moon', 0.7, 23.5], ['pluto', 20, 180]].forEach(([bodyName, latitude, longitude]) => {
+      const { up, north, east } = getSurfaceFrame(bodyName, latitude, longitude, J2000_NOON);
+
+      [up, north, east].forEach(vector => assertClose(dot(vector, vector), 1, 1e-12, `${bodyName} length`));
+      assertClose(dot(up, north), 0, 1e-12, `${bodyName} up·north`);
+      assertClose(dot(up, east), 0, 1e-12, `${bodyName} up·east`);
+      assertClose(dot(north, east), 0, 1e-12, `${bodyName} north·east`);
+    });
+  });
+
+  it('points north along the spin axis at the equator', () => {
+    const { north } = getSurfaceFrame('earth', 0, 45, J2000_NOON);
+    assertClose(dot(north, getNorthPole('earth', J2000_NOON)), 1, 1e-12, 'north·pole');
+  });
+
+  it('comes back to the same orientation after one sidereal rotation', () => {
+    const later = new Date(J2000_NOON.getTime() + SOLAR_SYSTEM_DATA.earth.rotationPeriod * 3600000);
+    const start = getSurfaceFrame('earth', 40, 10, J2000_NOON);
+    const end = getSurfaceFrame('earth', 40, 10, later);
+
+    assertClose(dot(start.up, end.up), 1, 1e-9, 'up');
+    assertClose(getRotationAngle('earth', later), getRotationAngle('earth', J2000_NOON), 1e-5, 'rotation angle');
+  });
+});
+
+describe('toHorizontalCoordinates', () => {
+  const frame = { up: { x: 0, y: 0, z: 1 }, north: { x: 0, y: 1, z: 0 }, east: { x: 1, y: 0, z: 0 } };
+
+  it('measures azimuth from north through east', () => {
+    assertClose(toHorizontalCoordinates({ x: 0, y: 1, z: 0 }, frame).azimuth, 0, 1e-12, 'north');
+    assertClose(toHorizontalCoordinates({ x: 1, y: 0, z: 0 }, frame).azimuth, 90, 1e-12, 'east');
+    assertClose(toHorizontalCoordinates({ x: -1, y: 0, z: 0 }, frame).azimuth, 270, 1e-12, 'west');
+  });
+
+  it('measures altitude from the horizon', () => {
+    assertClose(toHorizontalCoordinates({ x: 0, y: 0, z: 5 }, frame).altitude, 90, 1e-12, 'zenith');
+    assertClose(toHorizontalCoordinates({ x: 1, y: 0, z: -1 }, frame).altitude, -45, 1e-12, 'below');
+  });
+});
+
+describe('calculateSkyFromSurface', () => {
+  // The VSOP87 backend logs when it falls back to Keplerian elements
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  // Sun declination -23.0°, equation of time -3.3 minutes at J2000.0
+  it('puts the noon Sun near the meridian at Greenwich', () => {
+    const sun = sunFrom(51.5, 0, J2000_NOON);
+    assertClose(sun.altitude, 90 - 51.5 - 23.0, 0.1, 'altitude');
+    assertClose(sun.azimuth, 180, 1.0, 'azimuth');
+  });
+
+  it('sees the Sun at its declination from the north pole', () => {
+    assertClose(sunFrom(90, 0, J2000_NOON).altitude, -23.0, 0.1, 'altitude');
+  });
+
+  it('puts the Sun below the horizon at midnight', () => {
+    assert.ok(sunFrom(51.5, 0, new Date('2000-01-01T00:00:00Z')).altitude < -50);
+  });
+
+  it('gives the Sun and Moon their familiar half-degree discs from Earth', () => {
+    const [sun, moon] = calculateSkyFromSurface('earth', 0, 0, ['sun', 'moon'], J2000_NOON);
+
+    assertClose(sun.angularDiameter * 60, 32.5, 0.3, 'Sun′');
+    assert.ok(moon.angularDiameter * 60 > 29 && moon.angularDiameter * 60 < 34, `Moon ${moon.angularDiameter * 60}′`);
+    assertClose(sun.apparentMagnitude, -26.74, 0.05, 'Sun magnitude');
+  });
+
+  it('leaves out the observer\'s own body', () => {
+    const names = calculateSkyFromSurface('mars', 0, 0, ['mars', 'earth', 'phobos'], J2000_NOON).map(target => target.name);
+    assert.deepEqual(names, ['earth', 'phobos']);
+  });
+});
+
+describe('observing from Earth', () => {
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  const GREENWICH = [51.4769, 0];
+
+  function minutesBetween(date, isoString) {
+    return Math.abs(date.getTime() - new Date(isoString).getTime()) / 60000;
+  }
+
+  // Astronomical Almanac: the Sun at 2000 January 1 12h TT, RA 18h 45m, Dec -23° 02′
+  it('gives the Sun\'s geocentric RA and Dec at J2000.0', () => {
+    const sun = calculateGeocentricEquatorial('sun', J2000_NOON);
+    assertClose(sun.rightAscension, 18.7526, 0.005, 'RA');
+    assertClose(sun.declination, -23.033, 0.01, 'Dec');
+    assertClose(sun.distance, 0.98333, 0.0001, 'distance');
+  });
+
+  it('includes the Moon\'s parallax in its topocentric position', () => {
+    const topocentric = calculateTopocentricHorizontal('moon', 90, 0, J2000_NOON);
+    const equatorial = calculateGeocentricEquatorial('moon', J2000_NOON);
+
+    // From the pole the geocentric altitude is the declination; parallax lowers it by up to a degree
+    const parallaxShift = equatorial.declination - topocentric.altitude;
+    assert.ok(parallaxShift > 0.8 && parallaxShift < 1.0, `shift ${parallaxShift}°`);
+  });
+
+  // Sunrise, noon and sunset at Greenwich on 2024 June 1 from the standard sunrise equation
+  it('finds the Sun\'s rise, transit and set at Greenwich', () => {
+    const events = calculateRiseTransitSet('sun', ...GREENWICH, new Date('2024-06-01T00:00:00Z'));
+
+    assert.ok(minutesBetween(events.rise, '2024-06-01T03:48:40Z') < 1.5, `rise ${events.rise.toISOString()}`);
+    assert.ok(minutesBetween(events.transit, '2024-06-01T11:57:48Z') < 0.5, `transit ${events.transit.toISOString()}`);
+    assert.ok(minutesBetween(events.set, '2024-06-01T20:07:10Z') < 1.5, `set ${events.set.toISOString()}`);
+    // Declination of date at noon
+    assertClose(events.transitAltitude, 90 - 51.4769 + 22.15, 0.05, 'transit altitude');
+  });
+
+  it('returns the next events after the given time', () => {
+    const events = calculateRiseTransitSet('sun', ...GREENWICH, new Date('2024-06-01T12:00:00Z'));
+
+    assert.ok(events.set < events.rise, 'sets before it rises again');
+    assert.ok(minutesBetween(events.transit, '2024-06-02T11:57:58Z') < 0.5, `transit ${events.transit.toISOString()}`);
+  });
+
+  it('reports the midnight Sun and the polar night', () => {
+    const summer = calculateRiseTransitSet('sun', 78.2, 15.6, new Date('2024-06-21T00:00:00Z'));
+    const winter = calculateRiseTransitSet('sun', 78.2, 15.6, new Date('2024-12-21T00:00:00Z'));
+
+    assert.equal(summer.isCircumpolar, true);
+    assert.equal(summer.rise, null);
+    assert.equal(winter.neverRises, true);
+    assert.equal(winter.set, null);
+  });
+});
+
+describe('apparent positions', () => {
+  before(() => {
+    mock.method(console, 'log', () => {});
+    setPositionMode('apparent');
+  });
+  after(() => {
+    setPositionMode('geometric');
+    mock.restoreAll();
+  });
+
+  const ARCSECONDS = 1 / 3600;
+
+  // Julian dates in Dynamical Time
+  function julianDateToDate(julianDate) {
+    return new Date((julianDate - 2440587.5) * 86400000);
+  }
+
+  function hours(h, m, s) {
+    return h + m / 60 + s / 3600;
+  }
+
+  // Meeus, Astronomical Algorithms, example 25.b: 13h 13m 30.749s, -7° 47′ 01.74″
+  it('matches the almanac place of the Sun on 1992 October 13', () => {
+    const sun = calculateGeocentricEquatorial('sun', julianDateToDate(2448908.5));
+
+    assert.equal(sun.equinox, 'date');
+    assertClose(sun.rightAscension, hours(13, 13, 30.749), 0.1 / 3600, 'RA');
+    assertClose(sun.declination, -hours(7, 47, 1.74), 1 * ARCSECONDS, 'Dec');
+  });
+
+  // Meeus, Astronomical Algorithms, example 33.a: 21h 04m 41.454s, -18° 53′ 16.84″, τ = 0.0052606 d
+  it('matches the almanac place of Venus on 1992 December 20', () => {
+    const date = julianDateToDate(2448976.5);
+    const venus = calculateGeocentricEquatorial('venus', date);
+    const { lightTime } = calculateObservedPosition('venus', getBodyPosition('earth', date), null, date);
+
+    assertClose(venus.rightAscension, hours(21, 4, 41.454), 0.1 / 3600, 'RA');
+    assertClose(venus.declination, -hours(18, 53, 16.84), 1 * ARCSECONDS, 'Dec');
+    assertClose(lightTime, 0.0052606, 0.000001, 'light time');
+  });
+
+  it('shifts the Sun by the 20.5″ constant of aberration', () => {
+    const date = new Date('2024-03-20T00:00:00Z');
+    const earth = getBodyPosition('earth', date);
+    const apparent = calculateObservedPosition('sun', earth, getBodyVelocity('earth', date), date).offset;
+    const geometric = { x: -earth.x, y: -earth.y, z: -earth.z };
+
+    const cosAngle = dot(apparent, geometric) / Math.sqrt(dot(apparent, apparent) * dot(geometric, geometric));
+    assertClose(Math.acos(Math.min(1, cosAngle)) / DEGREES_TO_RADIANS / ARCSECONDS, 20.5, 0.5, 'aberration″');
+  });
+
+  it('goes back to J2000 geometric positions in geometric mode', () => {
+    setPositionMode('geometric');
+    const sun = calculateGeocentricEquatorial('sun', J2000_NOON);
+    setPositionMode('apparent');
+
+    assert.equal(sun.equinox, 'J2000');
+    assertClose(sun.rightAscension, 18.7526, 0.005, 'RA');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  hasPlanetMagnitudeModel,
+  calculatePlanetReducedMagnitude,
+  calculateReducedMagnitudeHG
+} from '../src/js/utils/PlanetaryMagnitudes.js';
+import { calculateMagnitudeAtPosition } from '../src/js/utils/AstronomicalCalculations.js';
+import { getBodyPosition } from '../src/js/utils/ObserverCalculations.js';
+import { SOLAR_SYSTEM_DATA } from '../src/js/data/SolarSystemData.js';
+import { assertClose } from './helpers/assertions.js';
+
+describe('calculatePlanetReducedMagnitude', () => {
+  // Mallama & Hilton (2018): V(1, 0) of each planet
+  it('gives the published magnitudes at zero phase', () => {
+    const expected = { mercury: -0.613, venus: -4.384, earth: -3.99, mars: -1.601, jupiter: -9.395, uranus: -7.110 };
+    Object.entries(expected).forEach(([planetName, magnitude]) => {
+      assertClose(calculatePlanetReducedMagnitude(planetName, 0), magnitude, 1e-9, planetName);
+    });
+  });
+
+  it('joins the piecewise fits without a jump', () => {
+    [['venus', 163.7], ['mars', 50], ['jupiter', 12]].forEach(([planetName, phaseAngle]) => {
+      const below = calculatePlanetReducedMagnitude(planetName, phaseAngle - 1e-9);
+      const above = calculatePlanetReducedMagnitude(planetName, phaseAngle + 1e-9);
+      assertClose(above, below, 0.02, `${planetName} at ${phaseAngle}°`);
+    });
+  });
+
+  it('fades as the phase angle grows', () => {
+    ['mercury', 'venus', 'earth', 'mars', 'jupiter'].forEach(planetName => {
+      for (let phaseAngle = 10; phaseAngle <= 120; phaseAngle += 10) {
+        assert.ok(
+          calculatePlanetReducedMagnitude(planetName, phaseAngle) > calculatePlanetReducedMagnitude(planetName, phaseAngle - 10),
+          `${planetName} at ${phaseAngle}°`
+        );
+      }
+    });
+  });
+
+  it('brightens Saturn by its open rings', () => {
+    const edgeOn = calculatePlanetReducedMagnitude('saturn', 0, { ringTilt: 0 });
+    const open = calculatePlanetReducedMagnitude('saturn', 0, { ringTilt: 26 });
+
+    assertClose(edgeOn, -8.914, 1e-9, 'edge-on');
+    assertClose(open - edgeOn, -(1.825 + 0.378) * Math.sin(26 * Math.PI / 180), 1e-9, 'ring contribution');
+  });
+
+  it('falls back to Saturn\'s globe beyond the phase angles seen from Earth', () => {
+    assertClose(calculatePlanetReducedMagnitude('saturn', 7, { ringTilt: 20 }),
+      calculatePlanetReducedMagnitude('saturn', 7, { ringTilt: 0 }), 1e-12, 'ring tilt ignored');
+  });
+
+  it('follows Neptune\'s brightening between 1980 and 2000', () => {
+    assertClose(calculatePlanetReducedMagnitude('neptune', 0, { date: new Date('1970-01-01T00:00:00Z') }), -6.89, 1e-9, '1970');
+    assertClose(calculatePlanetReducedMagnitude('neptune', 0, { date: new Date('1990-01-01T00:00:00Z') }), -6.944, 1e-9, '1990');
+    assertClose(calculatePlanetReducedMagnitude('neptune', 0, { date: new Date('2020-01-01T00:00:00Z') }), -7.00, 1e-9, '2020');
+  });
+
+  it('only covers the planets', () => {
+    assert.ok(hasPlanetMagnitudeModel('saturn'));
+    assert.ok(!hasPlanetMagnitudeModel('pluto'));
+    assert.equal(calculatePlanetReducedMagnitude('pluto', 0), null);
+  });
+});
+
+describe('calculateReducedMagnitudeHG', () => {
+  it('equals H at zero phase', () => {
+    assertClose(calculateReducedMagnitudeHG(3.34, 0), 3.34, 1e-12, 'H');
+  });
+
+  it('fades more steeply for a smaller slope parameter', () => {
+    const dark = calculateReducedMagnitudeHG(10, 20, 0.05);
+    const bright = calculateReducedMagnitudeHG(10, 20, 0.4);
+    assert.ok(dark > bright && bright > 10, `G = 0.05: ${dark}, G = 0.4: ${bright}`);
+  });
+});
+
+describe('magnitudes against almanac values', () => {
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  function magnitudeFromEarth(planetName, isoDate) {
+    const date = new Date(isoDate);
+    const data = { ...SOLAR_SYSTEM_DATA[planetName], name: planetName };
+    return calculateMagnitudeAtPosition(data, getBodyPosition(planetName, date), getBodyPosition('earth', date), undefined, date);
+  }
+
+  it('matches the 2003 opposition of Mars at -2.9', () => {
+    assertClose(magnitudeFromEarth('mars', '2003-08-28T18:00:00Z').apparentMagnitude, -2.9, 0.1, 'Mars');
+  });
+
+  it('matches the 2022 opposition of Jupiter at -2.9', () => {
+    assertClose(magnitudeFromEarth('jupiter', '2022-09-26T20:00:00Z').apparentMagnitude, -2.9, 0.1, 'Jupiter');
+  });
+
+  it('matches Saturn at -0.5 with its rings wide open at the 2003 opposition', () => {
+    assertClose(magnitudeFromEarth('saturn', '2003-12-31T12:00:00Z').apparentMagnitude, -0.5, 0.1, 'Saturn');
+  });
+
+  it('matches the greatest brilliancy of Venus in 2020 at -4.7 as a crescent', () => {
+    const venus = magnitudeFromEarth('venus', '2020-04-28T00:00:00Z');
+    assertClose(venus.apparentMagnitude, -4.7, 0.1, 'Venus');
+    assertClose(venus.illuminatedFraction, 0.27, 0.02, 'illuminated fraction');
+  });
+});
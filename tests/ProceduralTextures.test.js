@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generateSurfacePixels, getSurfaceStyle } from '../src/js/utils/ProceduralTextures.js';
+import { SOLAR_SYSTEM_DATA, MOONS_DATA } from '../src/js/data/SolarSystemData.js';
+
+const PALETTE = { dark: 0x202020, mid: 0x808080, light: 0xe0e0e0 };
+
+function generate(name, style, width = 64) {
+  return generateSurfacePixels({ name, style, palette: PALETTE, width, radiusKm: 1000 });
+}
+
+describe('getSurfaceStyle', () => {
+  it('picks a style from each body\'s type, size and colour', () => {
+    assert.equal(getSurfaceStyle(SOLAR_SYSTEM_DATA.sun), 'stellar');
+    assert.equal(getSurfaceStyle(SOLAR_SYSTEM_DATA.jupiter), 'banded');
+    assert.equal(getSurfaceStyle(SOLAR_SYSTEM_DATA.neptune), 'banded');
+    assert.equal(getSurfaceStyle(MOONS_DATA.callisto), 'rocky');
+    assert.equal(getSurfaceStyle(MOONS_DATA.enceladus), 'icy');
+    assert.equal(getSurfaceStyle(MOONS_DATA.europa), 'icy');
+  });
+
+  it('lets a body choose its style', () => {
+    assert.equal(getSurfaceStyle(SOLAR_SYSTEM_DATA.venus), 'cloudy');
+    assert.equal(getSurfaceStyle(MOONS_DATA.titan), 'cloudy');
+    assert.equal(getSurfaceStyle(MOONS_DATA.io), 'rocky');
+  });
+
+  it('handles bodies added without any style information', () => {
+    assert.equal(getSurfaceStyle({ type: 'asteroid', radius: 50, color: 0x8a8070 }), 'rocky');
+    assert.equal(getSurfaceStyle(null), 'rocky');
+  });
+});
+
+describe('generateSurfacePixels', () => {
+  ['banded', 'rocky', 'icy', 'cloudy', 'stellar'].forEach(style => {
+    it(`builds the same ${style} map on every run`, () => {
+      const first = generate('testbody', style);
+      const second = generate('testbody', style);
+
+      assert.equal(first.length, 64 * 32 * 4);
+      assert.deepEqual(first, second);
+    });
+  });
+
+  it('seeds each body differently', () => {
+    assert.notDeepEqual(generate('ganymede', 'rocky'), generate('callisto', 'rocky'));
+  });
+
+  it('keeps colours within the palette', () => {
+    const pixels = generate('testbody', 'cloudy');
+    for (let i = 0; i < pixels.length; i += 4) {
+      assert.ok(pixels[i] >= 0x20 && pixels[i] <= 0xe0);
+      assert.equal(pixels[i + 3], 255);
+    }
+  });
+
+  it('wraps around the antimeridian without a seam', () => {
+    const width = 256;
+    const pixels = generate('testbody', 'banded', width);
+    const height = width / 2;
+    let seam = 0;
+    let neighbours = 0;
+
+    for (let row = 0; row < height; row++) {
+      const first = row * width * 4;
+      const last = first + (width - 1) * 4;
+      seam += Math.abs(pixels[first] - pixels[last]);
+      neighbours += Math.abs(pixels[first] - pixels[first + 4]);
+    }
+
+    // Across the seam the map changes no more than between any two neighbouring columns
+    assert.ok(seam <= neighbours * 1.5 + height, `seam difference ${seam}, neighbours ${neighbours}`);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SimulationClock } from '../src/js/systems/SimulationClock.js';
+
+const SECONDS_PER_DAY = 86400;
+
+describe('SimulationClock', () => {
+  it('advances by the time warp and direction', () => {
+    const clock = new SimulationClock(new Date('2000-01-01T00:00:00Z'));
+    clock.setTimeWarp(-SECONDS_PER_DAY);
+    clock.update(2);
+
+    assert.equal(clock.getDate().toISOString(), '1999-12-30T00:00:00.000Z');
+    assert.equal(clock.takeRangeLimitReached(), null);
+  });
+
+  it('pauses at the end of the supported range', () => {
+    const clock = new SimulationClock(new Date('2200-12-31T00:00:00Z'));
+    clock.setTimeWarp(SECONDS_PER_DAY);
+    clock.update(2);
+
+    assert.equal(clock.getDate().getTime(), clock.getDateRange().max.getTime());
+    assert.equal(clock.isPaused, true);
+    assert.equal(clock.getTimeScale(), 0);
+
+    // The edge is reported once
+    assert.equal(clock.takeRangeLimitReached(), 'end');
+    assert.equal(clock.takeRangeLimitReached(), null);
+  });
+
+  it('pauses at the start of the supported range when running backwards', () => {
+    const clock = new SimulationClock(new Date('1800-01-01T12:00:00Z'));
+    clock.setTimeWarp(-SECONDS_PER_DAY);
+    clock.update(1);
+
+    assert.equal(clock.getDate().getTime(), clock.getDateRange().min.getTime());
+    assert.equal(clock.isPaused, true);
+    assert.equal(clock.takeRangeLimitReached(), 'start');
+  });
+});
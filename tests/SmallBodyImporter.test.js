@@ -0,0 +1,168 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseSmallBodyFile,
+  detectFormat,
+  parseMPCORB,
+  unpackEpoch,
+  parseSBDBJSON,
+  parseSBDBCSV,
+  createBodyKey
+} from '../src/js/utils/SmallBodyImporter.js';
+import { assertClose } from './helpers/assertions.js';
+
+const J2000_EPOCH = 2451545.0;
+
+// MPCORB.DAT record for Ceres, elements at epoch K2555 (2025 May 5.0 TT)
+const CERES_MPCORB = '00001    3.34  0.15 K2555 188.70269   73.27343   80.25221   10.58780  0.0794013  0.21424651   2.7660512  0 E2024-V47  7330 125 1801-2024 0.80 M-v 30k MPCLINUX   4000 (1) Ceres                   20241101';
+const MPCORB_HEADER = [
+  'MINOR PLANET CENTER ORBIT DATABASE (MPCORB)',
+  'Des\'n     H     G   Epoch     M        Peri.      Node       Incl.       e            n           a        Reference #Obs #Opp    Arc    rms  Perts   Computer',
+  '----------------------------------------------------------------------------------------------------------------------------------------------------------------'
+].join('\n');
+
+// The same elements with SBDB field names
+const CERES_SBDB = {
+  full_name: '     1 Ceres (A801 AA)',
+  kind: 'an',
+  epoch: '2460800.5',
+  e: '0.0794013',
+  a: '2.7660512',
+  i: '10.5878',
+  om: '80.25221',
+  w: '73.27343',
+  ma: '188.70269',
+  n: '0.21424651',
+  H: '3.34',
+  G: '0.15'
+};
+
+// J2000 mean longitude from propagating the epoch's mean anomaly back at the mean motion
+const CERES_J2000_MEAN_LONGITUDE = 159.27;
+
+describe('unpackEpoch', () => {
+  it('unpacks the century, year, month and day', () => {
+    assert.equal(unpackEpoch('K2555'), Date.UTC(2025, 4, 5) / 86400000 + 2440587.5);
+    assert.equal(unpackEpoch('K2555'), 2460800.5);
+    assert.equal(unpackEpoch('J9611'), 2450083.5); // 1996 January 1
+    assert.equal(unpackEpoch('K24AV'), 2460614.5); // 2024 October 31
+    assert.equal(unpackEpoch('I2211'), Date.UTC(1822, 0, 1) / 86400000 + 2440587.5);
+  });
+});
+
+describe('parseMPCORB', () => {
+  it('reads the elements from their fixed columns and skips the header', () => {
+    const [ceres, ...rest] = parseMPCORB(`${MPCORB_HEADER}\n${CERES_MPCORB}\n`);
+
+    assert.equal(rest.length, 0);
+    assert.equal(ceres.designation, '(1) Ceres');
+    assert.equal(ceres.displayName, '1 Ceres');
+    assert.equal(ceres.key, '1-ceres');
+    assert.equal(ceres.type, 'asteroid');
+    assert.equal(ceres.source, 'MPCORB');
+    assert.equal(ceres.absoluteMagnitude, 3.34);
+    assert.equal(ceres.slopeParameter, 0.15);
+    assert.equal(ceres.semiMajorAxis, 2.7660512);
+    assert.equal(ceres.eccentricity, 0.0794013);
+    assert.equal(ceres.inclination, 10.5878);
+    assert.equal(ceres.longitudeOfAscendingNode, 80.25221);
+    assertClose(ceres.longitudeOfPerihelion, 80.25221 + 73.27343, 1e-9, 'longitude of perihelion');
+    assertClose(ceres.orbitalPeriod, 360 / 0.21424651, 1e-9, 'orbital period');
+  });
+
+  it('propagates the mean anomaly from the packed epoch back to J2000', () => {
+    const [ceres] = parseMPCORB(CERES_MPCORB);
+
+    assertClose(ceres.meanLongitude, CERES_J2000_MEAN_LONGITUDE, 0.01, 'J2000 mean longitude');
+
+    // Mean longitude at the epoch, less the mean motion over the days since J2000
+    const epochMeanLongitude = 80.25221 + 73.27343 + 188.70269;
+    const propagated = epochMeanLongitude - 0.21424651 * (2460800.5 - J2000_EPOCH);
+    assertClose(ceres.meanLongitude, ((propagated % 360) + 360) % 360, 1e-9, 'propagated mean longitude');
+  });
+});
+
+describe('parseSBDBJSON', () => {
+  it('reads single-object API responses', () => {
+    const response = {
+      object: { fullname: '1 Ceres (A801 AA)', des: '1', kind: 'an' },
+      orbit: {
+        epoch: '2460800.5',
+        elements: ['e', 'a', 'i', 'om', 'w', 'ma', 'n'].map(name => ({ name, value: CERES_SBDB[name] }))
+      },
+      phys_par: [{ name: 'H', value: '3.34' }, { name: 'diameter', value: '939.4' }]
+    };
+
+    const [ceres] = parseSBDBJSON(JSON.stringify(response));
+
+    assert.equal(ceres.designation, '1 Ceres (A801 AA)');
+    assert.equal(ceres.source, 'JPL SBDB');
+    assert.equal(ceres.radius, 469.7);
+    assertClose(ceres.meanLongitude, CERES_J2000_MEAN_LONGITUDE, 0.01, 'J2000 mean longitude');
+  });
+
+  it('reads query API results', () => {
+    const fields = Object.keys(CERES_SBDB);
+    const halley = { ...CERES_SBDB, full_name: '  1P/Halley', kind: 'cn', e: '0.9679', a: '17.93' };
+    const bodies = parseSBDBJSON({ fields, data: [CERES_SBDB, halley].map(record => fields.map(field => record[field])) });
+
+    assert.deepEqual(bodies.map(body => body.designation), ['1 Ceres (A801 AA)', '1P/Halley']);
+    assert.deepEqual(bodies.map(body => body.type), ['asteroid', 'comet']);
+    assertClose(bodies[0].meanLongitude, CERES_J2000_MEAN_LONGITUDE, 0.01, 'J2000 mean longitude');
+  });
+
+  it('reads arrays of records', () => {
+    const eros = { ...CERES_SBDB, full_name: '433 Eros (A898 PA)', a: '1.458' };
+    const bodies = parseSBDBJSON([CERES_SBDB, eros]);
+
+    assert.deepEqual(bodies.map(body => body.key), ['1-ceres-a801-aa', '433-eros-a898-pa']);
+  });
+});
+
+describe('parseSBDBCSV', () => {
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('keeps commas and doubled quotes inside quoted fields', () => {
+    const csv = [
+      'full_name,epoch,e,a,q,i,om,w,ma,tp,H',
+      '"     1 Ceres (A801 AA)",2460800.5,0.0794013,2.7660512,,10.5878,80.25221,73.27343,188.70269,,3.34',
+      '"C/1995 O1 (Hale-Bopp), ""the great comet""",2450539.5,0.995,,0.914,89.4,282.47,130.59,,2450539.63,'
+    ].join('\n');
+
+    const [ceres, haleBopp] = parseSBDBCSV(csv);
+
+    assert.equal(ceres.designation, '1 Ceres (A801 AA)');
+    assertClose(ceres.meanLongitude, CERES_J2000_MEAN_LONGITUDE, 0.01, 'J2000 mean longitude');
+
+    // Comet records give the perihelion distance and time instead of a and M
+    assert.equal(haleBopp.designation, 'C/1995 O1 (Hale-Bopp), "the great comet"');
+    assert.equal(haleBopp.type, 'comet');
+    assertClose(haleBopp.semiMajorAxis, 0.914 / (1 - 0.995), 1e-9, 'semi-major axis');
+  });
+
+  it('skips open orbits', () => {
+    const csv = 'full_name,epoch,e,q,i,om,w,tp\n"C/2017 U1 (\'Oumuamua)",2458080.5,1.2011,0.2552,122.74,24.6,241.8,2458006.0';
+
+    assert.deepEqual(parseSBDBCSV(csv), []);
+  });
+});
+
+describe('parseSmallBodyFile', () => {
+  it('detects the format from the name and contents', () => {
+    assert.equal(detectFormat(CERES_MPCORB), 'mpcorb');
+    assert.equal(detectFormat(JSON.stringify(CERES_SBDB)), 'sbdb-json');
+    assert.equal(detectFormat('anything', 'sbdb_query.csv'), 'sbdb-csv');
+    assert.equal(detectFormat('full_name,e,a,i\n"1 Ceres",0.08,2.77,10.6'), 'sbdb-csv');
+    assert.throws(() => parseSmallBodyFile('not an orbit', 'notes.txt'), /Unrecognised small-body file format/);
+  });
+
+  it('gives the same orbit from every format', () => {
+    const [fromMPCORB] = parseSmallBodyFile(CERES_MPCORB, 'MPCORB.DAT');
+    const [fromJSON] = parseSmallBodyFile(JSON.stringify(CERES_SBDB), 'ceres.json');
+
+    assertClose(fromJSON.meanLongitude, fromMPCORB.meanLongitude, 1e-9, 'J2000 mean longitude');
+    assert.equal(createBodyKey(fromMPCORB.designation), '1-ceres');
+  });
+});
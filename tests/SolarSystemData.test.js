@@ -0,0 +1,152 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SOLAR_SYSTEM_DATA,
+  MOONS_DATA,
+  getScaledData,
+  findMatchingBody,
+  registerBodyData,
+  getImportedBodyNames
+} from '../src/js/data/SolarSystemData.js';
+
+const MODE_DISTANCE_SCALES = { realistic: 1000, exploration: 50, artistic: 25 };
+
+describe('getScaledData', () => {
+  // getScaledData logs its scaling for debugging
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  it('returns null for unknown bodies', () => {
+    assert.equal(getScaledData('vulcan'), null);
+  });
+
+  it('defaults to exploration mode', () => {
+    assert.equal(getScaledData('mars').semiMajorAxis, getScaledData('mars', 'exploration').semiMajorAxis);
+  });
+
+  Object.entries(MODE_DISTANCE_SCALES).forEach(([mode, distanceScale]) => {
+    it(`scales planet distances by ${distanceScale} units per AU in ${mode} mode`, () => {
+      ['mercury', 'earth', 'jupiter', 'neptune'].forEach(planetName => {
+        const scaled = getScaledData(planetName, mode);
+        const semiMajorAxis = SOLAR_SYSTEM_DATA[planetName].semiMajorAxis;
+
+        assert.equal(scaled.originalSemiMajorAxis, semiMajorAxis);
+        assert.ok(Math.abs(scaled.semiMajorAxis - semiMajorAxis * distanceScale) < 1e-9, planetName);
+      });
+    });
+  });
+
+  it('keeps planets at true size in realistic mode', () => {
+    ['mercury', 'earth', 'jupiter'].forEach(planetName => {
+      const expected = Math.max(SOLAR_SYSTEM_DATA[planetName].radius / 1000000, 0.001);
+      assert.ok(Math.abs(getScaledData(planetName, 'realistic').radius - expected) < 1e-12, planetName);
+    });
+  });
+
+  it('preserves the relative order of planet sizes in every mode', () => {
+    Object.keys(MODE_DISTANCE_SCALES).forEach(mode => {
+      const jupiter = getScaledData('jupiter', mode).radius;
+      const earth = getScaledData('earth', mode).radius;
+      assert.ok(jupiter > earth, mode);
+    });
+  });
+
+  it('never makes the Sun smaller than the planets', () => {
+    Object.keys(MODE_DISTANCE_SCALES).forEach(mode => {
+      assert.ok(getScaledData('sun', mode).radius > getScaledData('jupiter', mode).radius, mode);
+    });
+  });
+
+  it('places moons outside their parent', () => {
+    Object.keys(MODE_DISTANCE_SCALES).forEach(mode => {
+      ['moon', 'io', 'titan'].forEach(moonName => {
+        const moon = getScaledData(moonName, mode);
+        const parent = getScaledData(MOONS_DATA[moonName].parent, mode);
+
+        assert.equal(moon.originalSemiMajorAxis, MOONS_DATA[moonName].semiMajorAxis);
+        assert.ok(moon.semiMajorAxis > parent.radius, `${moonName} in ${mode} mode`);
+      });
+    });
+  });
+
+  it('keeps moon distances to true scale in realistic mode', () => {
+    const moon = getScaledData('moon', 'realistic');
+    assert.ok(Math.abs(moon.semiMajorAxis - MOONS_DATA.moon.semiMajorAxis / 1000000) < 1e-9);
+  });
+
+  it('does not modify the source data', () => {
+    const radius = SOLAR_SYSTEM_DATA.earth.radius;
+    getScaledData('earth', 'artistic');
+    assert.equal(SOLAR_SYSTEM_DATA.earth.radius, radius);
+  });
+});
+
+describe('ring systems', () => {
+  const RINGED_PLANETS = ['jupiter', 'saturn', 'uranus', 'neptune'];
+
+  it('gives every giant planet a ring system', () => {
+    RINGED_PLANETS.forEach(planetName => {
+      assert.ok(SOLAR_SYSTEM_DATA[planetName].rings.bands.length > 0, planetName);
+    });
+  });
+
+  it('lists bands outward without overlaps, outside the planet', () => {
+    RINGED_PLANETS.forEach(planetName => {
+      const { radius, rings } = SOLAR_SYSTEM_DATA[planetName];
+      let previousOuter = radius;
+
+      rings.bands.forEach(band => {
+        assert.ok(band.inner >= previousOuter, `${planetName} ${band.name}`);
+        assert.ok(band.outer > band.inner, `${planetName} ${band.name}`);
+        previousOuter = band.outer;
+      });
+    });
+  });
+
+  it('keeps opacities between 0 and 1', () => {
+    RINGED_PLANETS.forEach(planetName => {
+      SOLAR_SYSTEM_DATA[planetName].rings.bands.forEach(band => {
+        [band.opacity].flat().forEach(opacity => {
+          assert.ok(opacity >= 0 && opacity <= 1, `${planetName} ${band.name}`);
+        });
+      });
+    });
+  });
+
+  it('places Saturn\'s Cassini Division between the B and A rings', () => {
+    const bands = SOLAR_SYSTEM_DATA.saturn.rings.bands;
+    const cassini = bands.find(band => band.name === 'Cassini Division');
+
+    assert.equal(cassini.inner, bands.find(band => band.name === 'B (outer)').outer);
+    assert.equal(cassini.outer, bands.find(band => band.name === 'A').inner);
+    assert.ok(cassini.opacity < 0.2);
+  });
+});
+
+describe('registerBodyData', () => {
+  // Refused imports warn
+  before(() => mock.method(console, 'warn', () => {}));
+  after(() => mock.restoreAll());
+
+  it('refuses bodies that are built in, by name or designation', () => {
+    assert.equal(registerBodyData('1-ceres', { designation: '(1) Ceres' }), false);
+    assert.equal(registerBodyData('1-ceres-a801-aa', { designation: '1 Ceres (A801 AA)' }), false);
+    assert.equal(registerBodyData('1p-halley', { designation: '1P/Halley' }), false);
+    assert.equal(registerBodyData('c-1995-o1-hale-bopp', { designation: 'C/1995 O1 (Hale-Bopp)' }), false);
+    assert.equal(registerBodyData('europa', { designation: 'Europa' }), false);
+    assert.deepEqual(getImportedBodyNames(), []);
+  });
+
+  it('keeps asteroids that only share a name with a moon', () => {
+    assert.equal(findMatchingBody('52-europa', { designation: '(52) Europa' }), null);
+  });
+
+  it('replaces an earlier import of the same body', () => {
+    assert.equal(registerBodyData('433-eros', { designation: '(433) Eros' }), true);
+    assert.equal(findMatchingBody('433-eros-a898-pa', { designation: '433 Eros (A898 PA)' }), '433-eros');
+
+    assert.equal(registerBodyData('433-eros-a898-pa', { designation: '433 Eros (A898 PA)' }), true);
+    assert.deepEqual(getImportedBodyNames(), ['433-eros-a898-pa']);
+  });
+});
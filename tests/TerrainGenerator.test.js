@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createProceduralTerrain,
+  createHeightmapTerrain,
+  createTerrainNormalData,
+  directionFromLatLon,
+  getCraterShape
+} from '../src/js/utils/TerrainGenerator.js';
+import { SOLAR_SYSTEM_DATA, MOONS_DATA } from '../src/js/data/SolarSystemData.js';
+
+function heightAt(terrain, latitude, longitude) {
+  return terrain.heightAt(...directionFromLatLon(latitude, longitude));
+}
+
+describe('createProceduralTerrain', () => {
+  const mars = SOLAR_SYSTEM_DATA.mars;
+  const moon = MOONS_DATA.moon;
+
+  it('builds the same terrain for the same body every time', () => {
+    const first = createProceduralTerrain('mars', mars.terrain, mars.radius);
+    const second = createProceduralTerrain('mars', mars.terrain, mars.radius);
+
+    for (let lon = -180; lon < 180; lon += 7) {
+      assert.equal(heightAt(first, 20, lon), heightAt(second, 20, lon));
+    }
+  });
+
+  it('seeds each body differently', () => {
+    const config = { roughness: 1, craters: { count: 200, minRadius: 5, maxRadius: 50 } };
+    const mercury = createProceduralTerrain('mercury', config, 2439.7);
+    const other = createProceduralTerrain('moon', config, 2439.7);
+
+    const differences = [-60, -20, 0, 20, 60].filter(lat => heightAt(mercury, lat, 45) !== heightAt(other, lat, 45));
+    assert.ok(differences.length > 0);
+  });
+
+  it('raises Olympus Mons about 20 km above the mean radius', () => {
+    const terrain = createProceduralTerrain('mars', mars.terrain, mars.radius);
+    const olympus = mars.terrain.features.find(feature => feature.name === 'Olympus Mons');
+
+    // Caldera rim, just inside the summit caldera
+    const rimLatitude = olympus.latitude + (olympus.calderaRadius / mars.radius) * (180 / Math.PI);
+    const rim = heightAt(terrain, rimLatitude, olympus.longitude);
+    assert.ok(rim > 16 && rim < 26, `caldera rim at ${rim} km`);
+
+    // The caldera floor sits below its rim, and the plains far from the shield lie low
+    assert.ok(heightAt(terrain, olympus.latitude, olympus.longitude) < rim);
+    assert.ok(heightAt(terrain, olympus.latitude + 10, olympus.longitude) < 8);
+  });
+
+  it('sinks Hellas several km below the mean radius', () => {
+    const terrain = createProceduralTerrain('mars', mars.terrain, mars.radius);
+    assert.ok(heightAt(terrain, -42.4, 70.5) < -4);
+  });
+
+  it('cuts named craters below their rims', () => {
+    const terrain = createProceduralTerrain('moon', moon.terrain, moon.radius);
+    const tycho = moon.terrain.features.find(feature => feature.name === 'Tycho');
+    const rimLatitude = tycho.latitude + (tycho.radius / moon.radius) * (180 / Math.PI);
+
+    const floor = heightAt(terrain, tycho.latitude, tycho.longitude);
+    const rim = heightAt(terrain, rimLatitude, tycho.longitude);
+    assert.ok(rim - floor > 3, `Tycho is ${rim - floor} km deep`);
+  });
+});
+
+describe('getCraterShape', () => {
+  it('makes small craters deep bowls and large craters shallow', () => {
+    const simple = getCraterShape(5);
+    const complex = getCraterShape(100);
+
+    assert.equal(simple.depth, 1);
+    assert.ok(complex.depth / 100 < 0.05);
+    assert.ok(complex.rimHeight < complex.depth);
+  });
+});
+
+describe('createHeightmapTerrain', () => {
+  it('samples rows from the north pole down and wraps in longitude', () => {
+    // 4 x 2 grid: northern row rises eastwards, southern row is flat
+    const terrain = createHeightmapTerrain(new Float32Array([0, 1, 2, 3, 5, 5, 5, 5]), 4, 2);
+
+    assert.equal(heightAt(terrain, 89, -135), 0);
+    assert.equal(heightAt(terrain, 89, 135), 3);
+    assert.equal(heightAt(terrain, -89, 10), 5);
+
+    // Halfway from the last column back round to the first
+    assert.ok(Math.abs(heightAt(terrain, 89, 180) - 1.5) < 1e-9);
+  });
+});
+
+describe('createTerrainNormalData', () => {
+  it('encodes flat terrain as normals straight out of the surface', () => {
+    const data = createTerrainNormalData({ heightAt: () => 0 }, 1000, 16, 8);
+
+    for (let i = 0; i < data.length; i += 4) {
+      assert.deepEqual([data[i], data[i + 1], data[i + 2], data[i + 3]], [128, 128, 255, 255]);
+    }
+  });
+
+  it('tilts normals away from rising ground', () => {
+    // Height rising eastwards (towards -Z) and northwards (+Y)
+    const data = createTerrainNormalData({ heightAt: (x, y, z) => 50 * (y - z) }, 1000, 32, 16);
+    const equator = (8 * 32 + 8) * 4;
+
+    assert.ok(data[equator] < 128, 'red falls where the ground rises east');
+    assert.ok(data[equator + 1] < 128, 'green falls where the ground rises north');
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Shared assertions for the unit tests
+ */
+
+import assert from 'node:assert/strict';
+
+/**
+ * Assert that a number lies within tolerance of the expected value
+ */
+export function assertClose(actual, expected, tolerance, message) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
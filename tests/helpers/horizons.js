@@ -0,0 +1,45 @@
+/**
+ * Horizons fixture loader - reads JPL Horizons CSV vector tables from tests/fixtures
+ */
+
+import { readFileSync } from 'node:fs';
+
+const JULIAN_DATE_UNIX_EPOCH = 2440587.5;
+const MILLISECONDS_PER_DAY = 86400000;
+
+/**
+ * Parse the rows between $$SOE and $$EOE of a Horizons CSV vector table
+ * Horizons times are TDB; the app treats dates as UTC, which differs by about a minute
+ */
+export function parseHorizonsVectors(text) {
+  // Markers sit on lines of their own; the header may mention them in prose
+  const lines = text.split('\n').map(line => line.trim());
+  const start = lines.indexOf('$$SOE');
+  const end = lines.indexOf('$$EOE');
+  if (start === -1 || end === -1) {
+    throw new Error('Not a Horizons table: missing $$SOE/$$EOE markers');
+  }
+
+  return lines.slice(start + 1, end)
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [julianDate, calendarDate, x, y, z] = line.split(',').map(field => field.trim());
+
+      return {
+        julianDate: Number(julianDate),
+        calendarDate,
+        date: new Date((Number(julianDate) - JULIAN_DATE_UNIX_EPOCH) * MILLISECONDS_PER_DAY),
+        x: Number(x),
+        y: Number(y),
+        z: Number(z)
+      };
+    });
+}
+
+/**
+ * Load the heliocentric vector fixture for a body
+ */
+export function loadHorizonsVectors(bodyName) {
+  const url = new URL(`../fixtures/horizons/${bodyName}.csv`, import.meta.url);
+  return parseHorizonsVectors(readFileSync(url, 'utf8'));
+}